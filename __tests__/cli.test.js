@@ -0,0 +1,425 @@
+/**
+ * Tests for the Ensure Immutable Actions CLI
+ */
+
+import { jest } from '@jest/globals';
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Mock the @actions/core module
+const mockCore = {
+  getInput: jest.fn(),
+  getBooleanInput: jest.fn(),
+  setOutput: jest.fn(),
+  setFailed: jest.fn(),
+  info: jest.fn(),
+  warning: jest.fn(),
+  notice: jest.fn()
+};
+
+// Mock octokit instance
+const mockOctokit = {
+  rest: {
+    repos: {
+      getReleaseByTag: jest.fn(),
+      getContent: jest.fn(),
+      getCommit: jest.fn(),
+      listReleases: jest.fn().mockResolvedValue({ data: [] })
+    },
+    git: {
+      getRef: jest.fn().mockRejectedValue({ status: 404 })
+    }
+  },
+  hook: {
+    wrap: jest.fn()
+  },
+  paginate: jest.fn(async (method, params) => (await method(params)).data)
+};
+
+const MockOctokit = jest.fn(() => mockOctokit);
+
+jest.unstable_mockModule('@actions/core', () => mockCore);
+jest.unstable_mockModule('@octokit/rest', () => ({
+  Octokit: MockOctokit
+}));
+
+const { createColorizer, formatResultsTable, parseCliArgs, runCli } = await import('../src/cli.js');
+
+function createStream(isTTY = false) {
+  const chunks = [];
+  return {
+    isTTY,
+    write: jest.fn(chunk => chunks.push(chunk)),
+    text: () => chunks.join('')
+  };
+}
+
+describe('Ensure Immutable Actions CLI', () => {
+  const workspaceDir = '/tmp/test-cli-workspace';
+  const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.mkdirSync(workflowsDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(workflowsDir, 'ci.yml'),
+      `
+on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: third-party/action@v1
+      - uses: pinned/action@1234567890abcdef1234567890abcdef12345678
+`
+    );
+    mockOctokit.rest.repos.getContent.mockResolvedValue({
+      data: {
+        type: 'file',
+        encoding: 'base64',
+        content: Buffer.from('runs:\n  using: node24\n').toString('base64')
+      }
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspaceDir, { recursive: true, force: true });
+  });
+
+  describe('parseCliArgs', () => {
+    test('should parse the scan command with path and options', () => {
+      const parsed = parseCliArgs(['scan', 'repo', '--offline', '--workflows', 'ci.yml']);
+
+      expect(parsed.command).toBe('scan');
+      expect(parsed.targetPath).toBe('repo');
+      expect(parsed.options.offline).toBe(true);
+      expect(parsed.options.workflows).toBe('ci.yml');
+    });
+
+    test('should default the path to the current directory', () => {
+      expect(parseCliArgs(['scan']).targetPath).toBe('.');
+    });
+
+    test('should reject unknown commands and options', () => {
+      expect(() => parseCliArgs(['lint'])).toThrow('Unknown command: lint');
+      expect(() => parseCliArgs([])).toThrow('Missing command: scan');
+      expect(() => parseCliArgs(['scan', '--bogus'])).toThrow();
+    });
+  });
+
+  describe('formatResultsTable', () => {
+    test('should align columns and color statuses', () => {
+      const table = formatResultsTable(
+        {
+          'ci.yml': {
+            immutable: [{ owner: 'a', repo: 'b', ref: 'v1.0.0', message: 'Immutable release' }],
+            mutable: [{ owner: 'c', repo: 'd', ref: 'v1', message: 'Mutable release' }]
+          }
+        },
+        createColorizer(true)
+      );
+
+      expect(table).toContain('\u001b[32mimmutable\u001b[0m');
+      expect(table).toContain('\u001b[31mmutable\u001b[0m');
+      expect(table).toContain('c/d@v1    ');
+    });
+
+    test('should not emit color codes when disabled', () => {
+      const table = formatResultsTable(
+        { 'ci.yml': { mutable: [{ owner: 'c', repo: 'd', ref: 'v1', message: 'Mutable release' }] } },
+        createColorizer(false)
+      );
+
+      expect(table).not.toContain('\u001b[');
+      expect(table.split('\n')[2]).toBe('ci.yml    c/d@v1  mutable  Mutable release');
+    });
+
+    test('should show suggested immutable releases', () => {
+      const table = formatResultsTable(
+        {
+          'ci.yml': {
+            mutable: [
+              {
+                owner: 'c',
+                repo: 'd',
+                ref: 'v1',
+                message: 'Mutable release',
+                suggestion: { tag: 'v1.2.0', uses: 'c/d@v1.2.0' }
+              }
+            ]
+          }
+        },
+        createColorizer(false)
+      );
+
+      expect(table).toContain('Mutable release (suggested: c/d@v1.2.0)');
+    });
+  });
+
+  describe('runCli', () => {
+    test('should print usage for --help', async () => {
+      const stdout = createStream();
+
+      expect(await runCli(['--help'], { stdout, stderr: createStream(), env: {} })).toBe(0);
+      expect(stdout.text()).toContain('Usage: ensure-immutable-actions scan [path] [options]');
+    });
+
+    test('should exit 2 on invalid arguments', async () => {
+      const stderr = createStream();
+
+      expect(await runCli(['check'], { stdout: createStream(), stderr, env: {} })).toBe(2);
+      expect(stderr.text()).toContain('Unknown command: check');
+    });
+
+    test('should require a token unless offline', async () => {
+      const stderr = createStream();
+
+      expect(await runCli(['scan', workspaceDir], { stdout: createStream(), stderr, env: {} })).toBe(2);
+      expect(stderr.text()).toContain('A GitHub token is required');
+      expect(MockOctokit).not.toHaveBeenCalled();
+    });
+
+    test('should only run static checks in offline mode', async () => {
+      const stdout = createStream();
+
+      const exitCode = await runCli(['scan', workspaceDir, '--offline'], { stdout, stderr: createStream(), env: {} });
+
+      expect(exitCode).toBe(0);
+      expect(MockOctokit).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(stdout.text()).toContain('third-party/action@v1');
+      expect(stdout.text()).toContain('unverified');
+      expect(stdout.text()).toContain('1 excluded, 1 immutable, 0 waived, 1 unverified, 0 mutable, 0 unsupported');
+    });
+
+    test('should exit 1 on mutable findings', async () => {
+      const stdout = createStream();
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      const exitCode = await runCli(['scan', workspaceDir, '--no-color'], {
+        stdout,
+        stderr: createStream(),
+        env: { GITHUB_TOKEN: 'test-token' }
+      });
+
+      expect(exitCode).toBe(1);
+      expect(MockOctokit).toHaveBeenCalledWith({ auth: 'test-token' });
+      expect(stdout.text()).toContain('✖ Failing findings: mutable');
+    });
+
+    test('should pass when all references are immutable', async () => {
+      const stdout = createStream();
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: true } });
+
+      const exitCode = await runCli(['scan', workspaceDir, '--token', 'cli-token'], {
+        stdout,
+        stderr: createStream(),
+        env: {}
+      });
+
+      expect(exitCode).toBe(0);
+      expect(MockOctokit).toHaveBeenCalledWith({ auth: 'cli-token' });
+      expect(stdout.text()).toContain('✔ All checks passed');
+    });
+
+    test('should write a SARIF report with --sarif', async () => {
+      const sarifPath = path.join(workspaceDir, 'out', 'results.sarif');
+
+      const exitCode = await runCli(['scan', workspaceDir, '--offline', '--sarif', sarifPath], {
+        stdout: createStream(),
+        stderr: createStream(),
+        env: {}
+      });
+
+      const { results } = JSON.parse(fs.readFileSync(sarifPath, 'utf8')).runs[0];
+      expect(exitCode).toBe(0);
+      expect(results).toHaveLength(1);
+      expect(results[0].ruleId).toBe('unverified-reference');
+      expect(results[0].locations[0].physicalLocation.region.startLine).toBe(8);
+    });
+
+    test('should print a pinning diff with --fix --dry-run', async () => {
+      const stdout = createStream();
+      const sha = 'b'.repeat(40);
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha } });
+
+      await runCli(['scan', workspaceDir, '--token', 'cli-token', '--fix', '--dry-run'], {
+        stdout,
+        stderr: createStream(),
+        env: {}
+      });
+
+      expect(stdout.text()).toContain(`+      - uses: third-party/action@${sha} # v1`);
+      expect(stdout.text()).toContain('Would pin 1 reference(s) in 1 file(s)');
+      expect(fs.readFileSync(path.join(workflowsDir, 'ci.yml'), 'utf8')).toContain('third-party/action@v1\n');
+    });
+
+    test('should reject --fix in offline mode', async () => {
+      const stderr = createStream();
+
+      expect(
+        await runCli(['scan', workspaceDir, '--offline', '--fix'], { stdout: createStream(), stderr, env: {} })
+      ).toBe(2);
+      expect(stderr.text()).toContain('cannot be combined with --offline');
+    });
+
+    test('should reject API-only options in offline mode', async () => {
+      const stderr = createStream();
+
+      expect(
+        await runCli(['scan', workspaceDir, '--offline', '--verify-sha-commits'], {
+          stdout: createStream(),
+          stderr,
+          env: {}
+        })
+      ).toBe(2);
+      expect(stderr.text()).toContain('--verify-sha-commits needs the GitHub API');
+
+      expect(
+        await runCli(['scan', workspaceDir, '--offline', '--strict-sha-pins'], {
+          stdout: createStream(),
+          stderr,
+          env: {}
+        })
+      ).toBe(2);
+      expect(stderr.text()).toContain('--strict-sha-pins needs the GitHub API');
+
+      expect(
+        await runCli(['scan', workspaceDir, '--offline', '--graphql-batching'], {
+          stdout: createStream(),
+          stderr,
+          env: {}
+        })
+      ).toBe(2);
+      expect(stderr.text()).toContain('--graphql-batching needs the GitHub API');
+
+      expect(
+        await runCli(['scan', workspaceDir, '--offline', '--cache-file', 'cache.json'], {
+          stdout: createStream(),
+          stderr,
+          env: {}
+        })
+      ).toBe(2);
+      expect(stderr.text()).toContain('--cache-file needs the GitHub API');
+    });
+
+    test('should reject an invalid --concurrency value', async () => {
+      const stderr = createStream();
+
+      expect(
+        await runCli(['scan', workspaceDir, '--offline', '--concurrency', '0'], {
+          stdout: createStream(),
+          stderr,
+          env: {}
+        })
+      ).toBe(2);
+      expect(stderr.text()).toContain('--concurrency must be a positive integer');
+    });
+
+    test('should store results in the --cache-file', async () => {
+      const cachePath = path.join(workspaceDir, 'cache', 'results.json');
+      const stdout = createStream();
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: true } });
+
+      await runCli(['scan', workspaceDir, '--token', 'cli-token', '--cache-file', cachePath, '--cache-ttl', '0'], {
+        stdout,
+        stderr: createStream(),
+        env: {}
+      });
+
+      const { immutability } = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      expect(Object.keys(immutability)).toEqual(['third-party/action@v1']);
+      expect(stdout.text()).toContain('Result cache: 0 hit(s), 3 miss(es) (0 expired), 2 stored');
+    });
+
+    test('should record findings with --update-baseline and pass on them afterwards', async () => {
+      const baselinePath = path.join(workspaceDir, 'baseline.json');
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      const scan = async (...args) => {
+        const stdout = createStream();
+        const exitCode = await runCli(['scan', workspaceDir, '--no-color', '--baseline', baselinePath, ...args], {
+          stdout,
+          stderr: createStream(),
+          env: { GITHUB_TOKEN: 'test-token' }
+        });
+        return { exitCode, output: stdout.text() };
+      };
+
+      expect((await scan()).exitCode).toBe(2);
+
+      const update = await scan('--update-baseline');
+      expect(update.exitCode).toBe(0);
+      expect(update.output).toContain(`Wrote 1 baseline entr(ies) to ${baselinePath}`);
+      expect(JSON.parse(fs.readFileSync(baselinePath, 'utf8')).findings).toEqual([
+        { workflow: 'ci.yml', job: 'test', step: 'unnamed step', stepId: '#2', uses: 'third-party/action@v1' }
+      ]);
+
+      const rerun = await scan();
+      expect(rerun.exitCode).toBe(0);
+      expect(rerun.output).toContain('mutable (baseline)');
+      expect(rerun.output).toContain('0 errored, 1 baselined');
+
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: true } });
+      const fixed = await scan();
+      expect(fixed.output).toContain(
+        'Baseline entry no longer matches a finding: third-party/action@v1 in ci.yml (job: test, step: unnamed step (#2))'
+      );
+    });
+
+    test('should show findings suppressed by inline comments and warn about unused comments', async () => {
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        `on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: third-party/action@v1 # immutable-actions: ignore reason="vendor has no releases"
+      # immutable-actions: ignore reason="not needed"
+      - uses: pinned/action@1234567890abcdef1234567890abcdef12345678
+`
+      );
+      const stdout = createStream();
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      const exitCode = await runCli(['scan', workspaceDir, '--no-color'], {
+        stdout,
+        stderr: createStream(),
+        env: { GITHUB_TOKEN: 'test-token' }
+      });
+
+      expect(exitCode).toBe(0);
+      expect(stdout.text()).toContain('suppressed');
+      expect(stdout.text()).toContain('Mutable release (suppressed: vendor has no releases)');
+      expect(stdout.text()).toContain(
+        'Suppression comment in .github/workflows/ci.yml:7 does not match a finding and can be removed'
+      );
+      expect(stdout.text()).toContain('0 errored, 1 suppressed');
+    });
+
+    test('should apply the repository config file', async () => {
+      fs.writeFileSync(
+        path.join(workspaceDir, '.github', 'immutable-actions.yml'),
+        'trusted-owners: [third-party]\nseverity:\n  mutable: warning\n'
+      );
+      const stdout = createStream();
+
+      const exitCode = await runCli(['scan', workspaceDir, '--offline'], { stdout, stderr: createStream(), env: {} });
+
+      expect(exitCode).toBe(0);
+      expect(stdout.text()).toContain('2 excluded, 1 immutable');
+    });
+
+    test('should exit 2 with the config error when the config file is invalid', async () => {
+      fs.writeFileSync(path.join(workspaceDir, '.github', 'immutable-actions.yml'), 'severity: strict\n');
+      const stderr = createStream();
+
+      const exitCode = await runCli(['scan', workspaceDir, '--offline'], { stdout: createStream(), stderr, env: {} });
+
+      expect(exitCode).toBe(2);
+      expect(stderr.text()).toContain(`'severity' must be a mapping of finding category to severity level (line 1)`);
+    });
+  });
+});
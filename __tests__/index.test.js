@@ -15,6 +15,7 @@ const mockCore = {
   info: jest.fn(),
   warning: jest.fn(),
   notice: jest.fn(),
+  error: jest.fn(),
   setSecret: jest.fn(),
   summary: {
     addHeading: jest.fn().mockReturnThis(),
@@ -29,11 +30,48 @@ const mockOctokit = {
   rest: {
     repos: {
       getReleaseByTag: jest.fn(),
-      getContent: jest.fn()
+      getContent: jest.fn(),
+      getCommit: jest.fn(),
+      get: jest.fn(),
+      listReleases: jest.fn(),
+      listForOrg: jest.fn(),
+      listForUser: jest.fn(),
+      listBranches: jest.fn(),
+      listTags: jest.fn(),
+      compareCommitsWithBasehead: jest.fn()
+    },
+    git: {
+      getRef: jest.fn(),
+      getCommit: jest.fn(),
+      createTree: jest.fn(),
+      createCommit: jest.fn(),
+      createRef: jest.fn(),
+      updateRef: jest.fn()
+    },
+    pulls: {
+      list: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn()
     }
-  }
+  },
+  hook: {
+    wrap: jest.fn()
+  },
+  paginate: jest.fn()
 };
 
+// Follow pages like octokit.paginate, stopping at the first page shorter than per_page
+async function followPages(method, params) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const { data } = await method({ ...params, page });
+    items.push(...data);
+    if (data.length < params.per_page) {
+      return items;
+    }
+  }
+}
+
 // Mock the modules before importing the main module
 jest.unstable_mockModule('@actions/core', () => mockCore);
 jest.unstable_mockModule('@octokit/rest', () => ({
@@ -45,6 +83,7 @@ const {
   default: run,
   parseActionReference,
   shouldExcludeAction,
+  parseTrustedOwners,
   extractActionsFromWorkflow,
   expandActionReferences,
   expandRemoteReference,
@@ -52,6 +91,9 @@ const {
   findLocalActionMetadataFile,
   formatActionReference,
   formatSourceLocationLink,
+  getActionLocation,
+  getAnnotationProperties,
+  formatAnnotationMessage,
   formatSummaryMessage,
   formatTraversalHint,
   getUnsupportedReference,
@@ -62,10 +104,74 @@ const {
   resolveLocalActionDirectory,
   resolveLocalReusableWorkflowPath,
   checkReleaseImmutability,
+  classifyReference,
+  verifyShaCommit,
+  SHA_VERIFICATION_COMPARE_LIMIT,
+  isOrphanCommit,
+  parseVersionComment,
+  checkVersionComment,
+  findShaRelease,
   checkAllActions,
+  parseVersionTag,
+  findNearestImmutableRelease,
+  suggestImmutableRelease,
+  parseAllowlist,
+  findAllowlistEntry,
+  isAllowlistEntryExpired,
+  parseSeverityRules,
+  evaluateFindings,
+  validateConfig,
+  loadConfigFile,
+  parseYamlWithPositions,
+  buildSarifReport,
+  writeSarifFile,
+  resolveCommitSha,
+  pinActionReference,
+  planPinFixes,
+  applyUsesEdits,
+  formatUnifiedDiff,
+  applyPinFixes,
+  formatPinPullRequestBody,
+  createOrUpdatePinPullRequest,
   isFullSHA,
   getActionCacheKey,
-  matchesPattern
+  matchesPattern,
+  parseDockerImageReference,
+  getDockerImageResult,
+  parseDockerfileImages,
+  mapWithConcurrency,
+  parseConcurrency,
+  getRetryDelay,
+  addRequestRetries,
+  formatRateLimit,
+  buildGraphqlBatchQuery,
+  addGraphqlBatching,
+  formatGraphqlBatchStats,
+  expandAndCheckActions,
+  loadResultCache,
+  getCachedResult,
+  setCachedResult,
+  saveResultCache,
+  formatResultCacheStats,
+  parseCacheTtl,
+  resolveRemoteLocalUses,
+  selectWorkflowFiles,
+  listRemoteWorkflowFiles,
+  extractActionsFromRemoteRepository,
+  parseRepositoryPatterns,
+  resolveScanRepositories,
+  buildMutableActionRollup,
+  scanRepositories,
+  parseTargetRepository,
+  getDiffReferenceKey,
+  markIntroducedFindings,
+  createBaseline,
+  loadBaselineFile,
+  writeBaselineFile,
+  applyBaseline,
+  parseSuppressionComment,
+  getUnusedSuppressions,
+  groupMutableFindings
 } = await import('../src/index.js');
 
 describe('Ensure Immutable Actions', () => {
@@ -75,6 +181,9 @@ describe('Ensure Immutable Actions', () => {
     // Reset Octokit mock
     mockOctokit.rest.repos.getReleaseByTag.mockClear();
     mockOctokit.rest.repos.getContent.mockClear();
+    mockOctokit.rest.repos.listReleases.mockResolvedValue({ data: [] });
+    mockOctokit.rest.git.getRef.mockRejectedValue({ status: 404 });
+    mockOctokit.paginate.mockImplementation(followPages);
 
     // Set default inputs
     mockCore.getBooleanInput.mockImplementation(name => {
@@ -159,10 +268,11 @@ describe('Ensure Immutable Actions', () => {
 
   describe('getUnsupportedReference', () => {
     test('should detect protocol-based references as unsupported', () => {
-      expect(getUnsupportedReference('docker://alpine:3.8')).toEqual({
+      expect(getUnsupportedReference('https://example.com/action.tgz')).toEqual({
         unsupportedType: 'protocol',
-        message: 'Unsupported reference type: docker://'
+        message: 'Unsupported reference type: https://'
       });
+      expect(getUnsupportedReference('docker://alpine:3.8')).toBeNull();
     });
 
     test('should return null for supported references', () => {
@@ -279,6 +389,18 @@ describe('Ensure Immutable Actions', () => {
         })
       ).toBe('unsupported:owner/repo@v1:Unsupported remote action type: docker');
     });
+
+    test('should keep SHA pins with different version comments apart', () => {
+      const sha = 'a'.repeat(40);
+
+      expect(getActionCacheKey({ uses: `o/r@${sha}`, ref: sha, comment: 'v1.2.3' })).toBe(
+        `supported:o/r@${sha} # v1.2.3`
+      );
+      expect(getActionCacheKey({ uses: `o/r@${sha}`, ref: sha, comment: 'pinned by bot' })).toBe(
+        `supported:o/r@${sha}`
+      );
+      expect(getActionCacheKey({ uses: 'o/r@v1', ref: 'v1', comment: 'v1.2.3' })).toBe('supported:o/r@v1');
+    });
   });
 
   describe('shouldExcludeAction', () => {
@@ -299,9 +421,84 @@ describe('Ensure Immutable Actions', () => {
       expect(shouldExcludeAction('microsoft')).toBe(false);
       expect(shouldExcludeAction('third-party')).toBe(false);
     });
+
+    test('should match configured owners, owner/repo pairs and glob patterns', () => {
+      const trustedOwners = parseTrustedOwners('my-org, vendor-org/deploy-action, platform-*');
+
+      expect(shouldExcludeAction('my-org', 'anything', trustedOwners)).toBe(true);
+      expect(shouldExcludeAction('My-Org', 'anything', trustedOwners)).toBe(true);
+      expect(shouldExcludeAction('vendor-org', 'deploy-action', trustedOwners)).toBe(true);
+      expect(shouldExcludeAction('vendor-org', 'other-action', trustedOwners)).toBe(false);
+      expect(shouldExcludeAction('platform-tools', 'setup', trustedOwners)).toBe(true);
+      expect(shouldExcludeAction('actions', 'checkout', trustedOwners)).toBe(true);
+    });
+
+    test('should let later negated entries remove trust', () => {
+      const trustedOwners = parseTrustedOwners('!actions,my-org,!my-org/experimental');
+
+      expect(shouldExcludeAction('actions', 'checkout', trustedOwners)).toBe(false);
+      expect(shouldExcludeAction('github', 'codeql-action', trustedOwners)).toBe(true);
+      expect(shouldExcludeAction('my-org', 'stable', trustedOwners)).toBe(true);
+      expect(shouldExcludeAction('my-org', 'experimental', trustedOwners)).toBe(false);
+    });
+
+    test('should clear built-in owners with a negated wildcard', () => {
+      const trustedOwners = parseTrustedOwners('!*,my-org');
+
+      expect(shouldExcludeAction('actions', 'checkout', trustedOwners)).toBe(false);
+      expect(shouldExcludeAction('octokit', 'request-action', trustedOwners)).toBe(false);
+      expect(shouldExcludeAction('my-org', 'deploy', trustedOwners)).toBe(true);
+    });
+  });
+
+  describe('parseTrustedOwners', () => {
+    test('should return built-in owners when input is empty', () => {
+      expect(parseTrustedOwners('')).toEqual(['actions', 'github', 'octokit']);
+      expect(parseTrustedOwners(undefined)).toEqual(['actions', 'github', 'octokit']);
+    });
+
+    test('should append trimmed entries from strings and arrays after built-in owners', () => {
+      expect(parseTrustedOwners(' my-org , ,!actions ')).toEqual([
+        'actions',
+        'github',
+        'octokit',
+        'my-org',
+        '!actions'
+      ]);
+      expect(parseTrustedOwners(['vendor/*'])).toEqual(['actions', 'github', 'octokit', 'vendor/*']);
+    });
   });
 
   describe('extractActionsFromWorkflow', () => {
+    test('should record the line and column of each uses value', () => {
+      const tempFile = '/tmp/test-workflow-positions.yml';
+      fs.writeFileSync(
+        tempFile,
+        `on: push
+jobs:
+  reusable:
+    uses: owner/platform-workflows/.github/workflows/test.yml@v1
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - name: Checkout
+        uses: actions/checkout@v4
+      - uses: third-party/action@v2
+`
+      );
+
+      const actions = extractActionsFromWorkflow(tempFile);
+
+      expect(actions.map(action => [action.line, action.column])).toEqual([
+        [4, 11],
+        [9, 15],
+        [10, 15]
+      ]);
+      expect(actions[2].sourceLine).toBe(10);
+
+      fs.unlinkSync(tempFile);
+    });
+
     test('should extract actions from valid workflow', () => {
       const workflowContent = `
 name: CI
@@ -413,7 +610,7 @@ jobs:
       expect(mockCore.warning).toHaveBeenCalled();
     });
 
-    test('should recurse into local composite actions and keep docker references unsupported', () => {
+    test('should recurse into local composite actions and extract docker image references', () => {
       const workspaceDir = '/tmp/test-workflow-local-composite';
       const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
       const localActionDir = path.join(workspaceDir, '.github', 'actions', 'composite');
@@ -463,9 +660,11 @@ runs:
       });
       expect(actions[2]).toMatchObject({
         uses: 'docker://alpine:3.8',
-        supported: false,
-        unsupportedType: 'protocol',
-        message: 'Unsupported reference type: docker://'
+        supported: true,
+        image: 'alpine:3.8',
+        ref: '3.8',
+        isFirstParty: false,
+        line: 9
       });
       expect(actions[3]).toMatchObject({
         uses: 'third-party/action@v1',
@@ -478,6 +677,52 @@ runs:
       fs.rmSync(workspaceDir, { recursive: true, force: true });
     });
 
+    test('should apply trusted owners to workflow and local composite action references', () => {
+      const workspaceDir = '/tmp/test-workflow-trusted-owners';
+      const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
+      const localActionDir = path.join(workspaceDir, '.github', 'actions', 'composite');
+
+      fs.mkdirSync(workflowsDir, { recursive: true });
+      fs.mkdirSync(localActionDir, { recursive: true });
+
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        `
+on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: my-org/build@v1
+      - uses: ./.github/actions/composite
+`
+      );
+      fs.writeFileSync(
+        path.join(localActionDir, 'action.yml'),
+        `
+runs:
+  using: composite
+  steps:
+    - uses: my-org/setup@v2
+    - uses: vendor/tool@v3
+`
+      );
+
+      const actions = extractActionsFromWorkflow(path.join(workflowsDir, 'ci.yml'), workspaceDir, {
+        trustedOwners: parseTrustedOwners('!actions,my-org')
+      });
+
+      expect(actions.map(action => [action.uses, action.isFirstParty])).toEqual([
+        ['actions/checkout@v4', false],
+        ['my-org/build@v1', true],
+        ['my-org/setup@v2', true],
+        ['vendor/tool@v3', false]
+      ]);
+
+      fs.rmSync(workspaceDir, { recursive: true, force: true });
+    });
+
     test('should recurse into nested local composite actions', () => {
       const workspaceDir = '/tmp/test-workflow-nested-local-composite';
       const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
@@ -692,6 +937,79 @@ jobs:
       fs.rmSync(workspaceDir, { recursive: true, force: true });
     });
 
+    test('should record file paths and positions inside local composite actions and reusable workflows', () => {
+      const workspaceDir = '/tmp/test-workflow-local-positions';
+      const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
+      const localActionDir = path.join(workspaceDir, '.github', 'actions', 'composite');
+
+      fs.mkdirSync(workflowsDir, { recursive: true });
+      fs.mkdirSync(localActionDir, { recursive: true });
+
+      fs.writeFileSync(
+        path.join(localActionDir, 'action.yml'),
+        `name: Composite
+runs:
+  using: composite
+  steps:
+    - run: echo hi
+      shell: bash
+    - uses: nested-owner/nested-action@v1
+`
+      );
+
+      fs.writeFileSync(
+        path.join(workflowsDir, 'reusable.yml'),
+        `on: workflow_call
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: reusable-owner/reusable-action@v2
+`
+      );
+
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        `on: push
+jobs:
+  call:
+    uses: ./.github/workflows/reusable.yml
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: ./.github/actions/composite
+`
+      );
+
+      const actions = extractActionsFromWorkflow(path.join(workflowsDir, 'ci.yml'), workspaceDir);
+
+      expect(actions).toHaveLength(2);
+      expect(actions[0]).toMatchObject({
+        uses: 'reusable-owner/reusable-action@v2',
+        filePath: '.github/workflows/reusable.yml',
+        line: 6,
+        column: 15,
+        sourceFilePath: '.github/workflows/ci.yml',
+        sourceLine: 4,
+        sourceColumn: 11
+      });
+      expect(actions[1]).toMatchObject({
+        uses: 'nested-owner/nested-action@v1',
+        filePath: '.github/actions/composite/action.yml',
+        line: 7,
+        column: 13,
+        sourceFilePath: '.github/workflows/ci.yml',
+        sourceLine: 8
+      });
+      expect(getActionLocation(actions[1])).toEqual({
+        filePath: '.github/actions/composite/action.yml',
+        line: 7,
+        column: 13
+      });
+
+      fs.rmSync(workspaceDir, { recursive: true, force: true });
+    });
+
     test('should recurse into nested local reusable workflows', () => {
       const workspaceDir = '/tmp/test-workflow-nested-local-reusable';
       const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
@@ -1165,6 +1483,54 @@ jobs:
       );
     });
 
+    test('should deep-link source locations to the uses line when known', () => {
+      expect(
+        formatSourceLocationLink(
+          { workflowFile: 'ci.yml', filePath: '.github/workflows/ci.yml', line: 42 },
+          'owner/repo',
+          'abc123'
+        )
+      ).toBe('[ci.yml:42](https://github.com/owner/repo/blob/abc123/.github/workflows/ci.yml#L42)');
+    });
+
+    test('should fall back to caller-side locations for remote references', () => {
+      const location = getActionLocation({
+        uses: 'owner/nested@v1',
+        sourceFilePath: '.github/workflows/ci.yml',
+        sourceLine: 12,
+        sourceColumn: 9
+      });
+
+      expect(location).toEqual({ filePath: '.github/workflows/ci.yml', line: 12, column: 9 });
+      expect(getAnnotationProperties(location, 'Mutable action reference')).toEqual({
+        title: 'Mutable action reference',
+        file: '.github/workflows/ci.yml',
+        startLine: 12,
+        startColumn: 9
+      });
+      expect(getActionLocation({ uses: 'owner/nested@v1' })).toBeNull();
+      expect(getAnnotationProperties(null, 'Mutable action reference')).toEqual({ title: 'Mutable action reference' });
+    });
+
+    test('should name the reference chain in annotations for transitive findings', () => {
+      const action = {
+        uses: 'owner/nested@main',
+        owner: 'owner',
+        repo: 'nested',
+        ref: 'main',
+        message: 'No release found for this reference',
+        sourceFilePath: '.github/workflows/ci.yml',
+        sourceLine: 12,
+        via: ['owner/repo/.github/workflows/reusable.yml@v1']
+      };
+
+      expect(formatAnnotationMessage(action, getActionLocation(action))).toBe(
+        'owner/nested@main (No release found for this reference)\n' +
+          'Reached via owner/repo/.github/workflows/reusable.yml@v1 → owner/nested@main'
+      );
+      expect(formatAnnotationMessage(action, null)).toBe('owner/nested@main (No release found for this reference)');
+    });
+
     test('should append linked source locations to summary messages', () => {
       process.env.GITHUB_REPOSITORY = 'Wuodan/ensure-immutable-actions-test';
       process.env.GITHUB_SHA = '1234567890abcdef1234567890abcdef12345678';
@@ -1180,6 +1546,33 @@ jobs:
       );
     });
 
+    test('should link summary source locations to a target repository', () => {
+      process.env.GITHUB_REPOSITORY = 'Wuodan/ensure-immutable-actions-test';
+
+      expect(
+        formatSummaryMessage(
+          'No release found for this reference',
+          [{ workflowFile: 'ci.yml', filePath: '.github/workflows/ci.yml', line: 12 }],
+          true,
+          { repository: 'vendor/tool', sha: 'e'.repeat(40) }
+        )
+      ).toBe(
+        `No release found for this reference<br>- [ci.yml:12](https://github.com/vendor/tool/blob/${'e'.repeat(40)}/.github/workflows/ci.yml#L12)`
+      );
+    });
+
+    test('should parse target repository references', () => {
+      expect(parseTargetRepository('vendor/tool')).toEqual({ owner: 'vendor', repo: 'tool' });
+      expect(parseTargetRepository(' vendor/tool@release/v2 ')).toEqual({
+        owner: 'vendor',
+        repo: 'tool',
+        ref: 'release/v2'
+      });
+      expect(() => parseTargetRepository('vendor/tool/path@v1')).toThrow(
+        'vendor/tool/path@v1 is not an owner/repo or owner/repo@ref reference'
+      );
+    });
+
     test('should deduplicate identical workflow links in summary messages', () => {
       process.env.GITHUB_REPOSITORY = 'Wuodan/ensure-immutable-actions-test';
       process.env.GITHUB_SHA = '1234567890abcdef1234567890abcdef12345678';
@@ -1229,6 +1622,220 @@ jobs:
     });
   });
 
+  describe('request retries', () => {
+    const createError = (status, message, headers = {}) =>
+      Object.assign(new Error(message), { status, response: { headers } });
+    const policy = { retries: 3, baseDelay: 1000, maxDelay: 60000 };
+
+    test('should back off exponentially on server errors', () => {
+      expect(getRetryDelay(createError(502, 'Bad Gateway'), 0, policy)).toBe(1000);
+      expect(getRetryDelay(createError(503, 'Unavailable'), 2, policy)).toBe(4000);
+      expect(getRetryDelay(createError(503, 'Unavailable', { 'retry-after': '7' }), 0, policy)).toBe(7000);
+    });
+
+    test('should wait for rate limits to reset', () => {
+      const now = Date.UTC(2026, 0, 1);
+      const reset = String(now / 1000 + 20);
+
+      expect(getRetryDelay(createError(403, 'Forbidden', { 'retry-after': '30' }), 0, policy)).toBe(30000);
+      expect(getRetryDelay(createError(429, 'Too Many Requests'), 1, policy)).toBe(2000);
+      expect(getRetryDelay(createError(403, 'You have exceeded a secondary rate limit'), 0, policy)).toBe(1000);
+      expect(
+        getRetryDelay(
+          createError(403, 'API rate limit exceeded', { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }),
+          0,
+          policy,
+          now
+        )
+      ).toBe(21000);
+    });
+
+    test('should not retry client errors or waits longer than the maximum delay', () => {
+      expect(getRetryDelay(createError(404, 'Not Found'), 0, policy)).toBeNull();
+      expect(getRetryDelay(createError(403, 'Resource not accessible by integration'), 0, policy)).toBeNull();
+      expect(getRetryDelay(createError(403, 'Forbidden', { 'retry-after': '3600' }), 0, policy)).toBeNull();
+    });
+
+    test('should retry wrapped requests and track the remaining quota', async () => {
+      let wrapper;
+      const octokit = { hook: { wrap: jest.fn((name, hook) => (wrapper = hook)) } };
+      const sleep = jest.fn().mockResolvedValue();
+      const rateLimit = addRequestRetries(octokit, { sleep });
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(createError(502, 'Bad Gateway', { 'x-ratelimit-remaining': '10' }))
+        .mockResolvedValueOnce({
+          data: 'ok',
+          headers: { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4998', 'x-ratelimit-reset': '1767225600' }
+        });
+
+      const response = await wrapper(request, { method: 'GET', url: '/repos/{owner}/{repo}/releases/tags/{tag}' });
+
+      expect(octokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+      expect(response.data).toBe('ok');
+      expect(sleep).toHaveBeenCalledWith(1000);
+      expect(mockCore.info).toHaveBeenCalledWith(
+        'Retrying GET /repos/{owner}/{repo}/releases/tags/{tag} in 1s (HTTP 502, retry 1 of 3)'
+      );
+      expect(rateLimit).toEqual({ limit: 5000, remaining: 4998, reset: 1767225600, retries: 1 });
+      expect(formatRateLimit(rateLimit)).toBe(
+        'GitHub API rate limit: 4998 of 5000 requests remaining, resets at 2026-01-01T00:00:00.000Z (1 request(s) retried)'
+      );
+      expect(formatRateLimit({ limit: null, remaining: null, reset: null, retries: 0 })).toBeNull();
+    });
+
+    test('should give up after the configured number of retries', async () => {
+      let wrapper;
+      addRequestRetries({ hook: { wrap: (name, hook) => (wrapper = hook) } }, { retries: 2, sleep: async () => {} });
+      const request = jest.fn().mockRejectedValue(createError(500, 'Server Error'));
+
+      await expect(wrapper(request, { method: 'GET', url: '/rate_limit' })).rejects.toThrow('Server Error');
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    test('should report API errors as errored rather than mutable', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue(createError(502, 'Bad Gateway'));
+      mockOctokit.rest.repos.getContent.mockRejectedValue(createError(503, 'Service Unavailable'));
+      const actions = [
+        { uses: 'owner/repo@v1', owner: 'owner', repo: 'repo', ref: 'v1', workflowFile: 'ci.yml' },
+        ...(await expandRemoteReference(
+          mockOctokit,
+          { uses: 'owner/composite@v2', owner: 'owner', repo: 'composite', ref: 'v2', workflowFile: 'ci.yml' },
+          { expansionCache: new Map(), expansionStack: new Set() }
+        ))
+      ];
+
+      const result = await checkAllActions(mockOctokit, actions);
+
+      expect(result.mutable).toEqual([]);
+      expect(result.unsupported).toEqual([]);
+      expect(result.errored.map(finding => [finding.uses, finding.message])).toEqual([
+        ['owner/composite@v2', 'Failed to fetch remote file action.yml: Service Unavailable'],
+        ['owner/repo@v1', 'API error: Bad Gateway']
+      ]);
+      expect(result.errored[1].suggestion).toBeUndefined();
+      expect(result.byWorkflow['ci.yml'].errored).toHaveLength(2);
+      expect(new Set(buildSarifReport(result).runs[0].results.map(sarifResult => sarifResult.ruleId))).toEqual(
+        new Set(['api-error'])
+      );
+      expect(mockOctokit.rest.repos.listReleases).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GraphQL batching', () => {
+    const createBatchingOctokit = graphql => ({
+      rest: {
+        repos: {
+          getReleaseByTag: jest.fn().mockResolvedValue({ data: { immutable: true } }),
+          getContent: jest.fn().mockResolvedValue({
+            data: { type: 'file', encoding: 'base64', content: Buffer.from('rest').toString('base64') }
+          })
+        },
+        git: { getRef: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })) }
+      },
+      graphql: jest.fn(graphql)
+    });
+
+    test('should build an aliased query with variables for each lookup', () => {
+      const { query, variables } = buildGraphqlBatchQuery([
+        { kind: 'release', owner: 'a', repo: 'b', tag: 'v1' },
+        { kind: 'file', owner: 'c', repo: 'd', expression: 'v2:action.yml' }
+      ]);
+
+      expect(query).toBe(
+        [
+          'query($o0: String!, $n0: String!, $t0: String!, $o1: String!, $n1: String!, $e1: String!) {',
+          '  q0: repository(owner: $o0, name: $n0) { release(tagName: $t0) { tagName immutable } }',
+          '  q1: repository(owner: $o1, name: $n1) { object(expression: $e1) { __typename ... on Blob { text isBinary } } }',
+          '}'
+        ].join('\n')
+      );
+      expect(variables).toEqual({ o0: 'a', n0: 'b', t0: 'v1', o1: 'c', n1: 'd', e1: 'v2:action.yml' });
+    });
+
+    test('should answer concurrent release and file lookups with one GraphQL request', async () => {
+      const octokit = createBatchingOctokit(async () => ({
+        q0: { release: { tagName: 'v1.0.0', immutable: true } },
+        q1: { release: null },
+        q2: { object: { __typename: 'Blob', text: 'runs:\n  using: node24\n', isBinary: false } },
+        q3: { object: null }
+      }));
+      const stats = addGraphqlBatching(octokit);
+
+      const [immutableRelease, missingRelease, metadata, missingFile, duplicate] = await Promise.all([
+        checkReleaseImmutability(octokit, 'owner', 'repo', 'v1.0.0'),
+        checkReleaseImmutability(octokit, 'owner', 'other', 'v2'),
+        fetchRemoteFile(octokit, 'owner', 'repo', 'action.yml', 'v1.0.0'),
+        fetchRemoteFile(octokit, 'owner', 'repo', 'action.yaml', 'v1.0.0'),
+        fetchRemoteFile(octokit, 'owner', 'repo', 'action.yml', 'v1.0.0')
+      ]);
+
+      expect(octokit.graphql).toHaveBeenCalledTimes(1);
+      expect(octokit.graphql.mock.calls[0][1]).toMatchObject({ t0: 'v1.0.0', t1: 'v2', e2: 'v1.0.0:action.yml' });
+      expect(immutableRelease).toMatchObject({ immutable: true, releaseFound: true, message: 'Immutable release' });
+      expect(missingRelease).toMatchObject({ immutable: false, releaseFound: false });
+      expect(metadata).toEqual({ found: true, content: 'runs:\n  using: node24\n' });
+      expect(duplicate).toEqual(metadata);
+      expect(missingFile).toEqual({ found: false, message: 'Remote file not found: action.yaml' });
+      expect(formatGraphqlBatchStats(stats)).toBe('GraphQL batching: 5 lookup(s) in 1 request(s), 0 REST fallback(s)');
+    });
+
+    test('should fall back to REST for lookups the batch cannot answer', async () => {
+      const octokit = createBatchingOctokit(async () => {
+        throw Object.assign(new Error('Partial failure'), {
+          data: { q0: null, q1: { object: { __typename: 'Blob', text: null, isBinary: true } } },
+          errors: [{ type: 'FORBIDDEN', path: ['q0'], message: 'Resource not accessible' }]
+        });
+      });
+      const restGetReleaseByTag = octokit.rest.repos.getReleaseByTag;
+      const restGetContent = octokit.rest.repos.getContent;
+      const stats = addGraphqlBatching(octokit);
+
+      const [release, file] = await Promise.all([
+        checkReleaseImmutability(octokit, 'owner', 'repo', 'v1.0.0'),
+        fetchRemoteFile(octokit, 'owner', 'repo', 'logo.png', 'v1.0.0')
+      ]);
+
+      expect(release.message).toBe('Immutable release');
+      expect(file).toEqual({ found: true, content: 'rest' });
+      expect(restGetReleaseByTag).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', tag: 'v1.0.0' });
+      expect(restGetContent).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', path: 'logo.png', ref: 'v1.0.0' });
+      expect(stats.fallbacks).toBe(2);
+    });
+
+    test('should fall back to REST when the GraphQL request fails and split large batches', async () => {
+      const octokit = createBatchingOctokit(async () => {
+        throw new Error('Bad credentials');
+      });
+      const stats = addGraphqlBatching(octokit, { batchSize: 2 });
+
+      const results = await Promise.all(
+        ['v1', 'v2', 'v3'].map(tag => checkReleaseImmutability(octokit, 'owner', 'repo', tag))
+      );
+
+      expect(results.map(result => result.immutable)).toEqual([true, true, true]);
+      expect(octokit.graphql).toHaveBeenCalledTimes(2);
+      expect(stats).toEqual({ lookups: 3, requests: 2, fallbacks: 3 });
+      expect(mockCore.info).toHaveBeenCalledWith(
+        'GraphQL batch of 2 lookup(s) failed, falling back to REST: Bad credentials'
+      );
+    });
+
+    test('should fall back to REST for directory listings', async () => {
+      const octokit = createBatchingOctokit(async () => ({ q0: { object: { __typename: 'Tree' } } }));
+      const restGetContent = octokit.rest.repos.getContent;
+      restGetContent.mockResolvedValue({ data: [{ type: 'file', name: 'ci.yml' }] });
+      const stats = addGraphqlBatching(octokit);
+
+      const params = { owner: 'owner', repo: 'repo', path: '.github/workflows', ref: 'v1' };
+      const { data } = await octokit.rest.repos.getContent(params);
+
+      expect(data).toEqual([{ type: 'file', name: 'ci.yml' }]);
+      expect(restGetContent).toHaveBeenCalledWith(params);
+      expect(stats.fallbacks).toBe(1);
+    });
+  });
+
   describe('checkReleaseImmutability', () => {
     test('should return immutable true for full SHA references', async () => {
       const result = await checkReleaseImmutability(
@@ -1241,6 +1848,7 @@ jobs:
       expect(result).toEqual({
         immutable: true,
         releaseFound: false,
+        referenceType: 'full-sha',
         message: 'Immutable (full SHA reference)'
       });
       // Should not call API for SHA references
@@ -1257,6 +1865,7 @@ jobs:
       expect(result).toEqual({
         immutable: true,
         releaseFound: true,
+        referenceType: 'release-tag',
         message: 'Immutable release'
       });
     });
@@ -1271,6 +1880,7 @@ jobs:
       expect(result).toEqual({
         immutable: false,
         releaseFound: true,
+        referenceType: 'release-tag',
         message: 'Mutable release'
       });
     });
@@ -1286,10 +1896,25 @@ jobs:
       expect(result).toEqual({
         immutable: false,
         releaseFound: false,
+        referenceType: 'unknown',
         message: 'No release found for this reference'
       });
     });
 
+    test('should name the reference type when no release is found', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.git.getRef.mockImplementation(async ({ ref }) => {
+        if (ref === 'heads/main') return { data: { ref: 'refs/heads/main', object: { type: 'commit' } } };
+        throw Object.assign(new Error('Not Found'), { status: 404 });
+      });
+
+      const result = await checkReleaseImmutability(mockOctokit, 'owner', 'repo', 'main');
+
+      expect(result.referenceType).toBe('branch');
+      expect(result.message).toBe('No release found for this reference (branch)');
+      expect(mockOctokit.rest.git.getRef).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', ref: 'tags/main' });
+    });
+
     test('should handle API errors', async () => {
       mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue({
         status: 500,
@@ -1301,403 +1926,657 @@ jobs:
       expect(result).toEqual({
         immutable: false,
         releaseFound: false,
+        referenceType: 'unknown',
+        apiError: true,
         message: 'API error: Server Error'
       });
       expect(mockCore.warning).toHaveBeenCalled();
     });
   });
 
-  describe('checkAllActions', () => {
-    test('should check multiple actions and categorize them', async () => {
-      const actions = [
-        {
-          uses: 'owner1/repo1@v1',
-          owner: 'owner1',
-          repo: 'repo1',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml'
-        },
-        {
-          uses: 'owner2/repo2@v2',
-          owner: 'owner2',
-          repo: 'repo2',
-          ref: 'v2',
-          workflowFile: 'workflow1.yml'
-        },
-        {
-          uses: 'owner3/repo3@v3',
-          owner: 'owner3',
-          repo: 'repo3',
-          ref: 'v3',
-          workflowFile: 'workflow2.yml'
-        }
-      ];
+  describe('classifyReference', () => {
+    const mockRefs = refs => {
+      mockOctokit.rest.git.getRef.mockImplementation(async ({ ref }) => {
+        if (refs[ref]) return { data: { ref: `refs/${ref}`, object: { type: refs[ref] } } };
+        throw Object.assign(new Error('Not Found'), { status: 404 });
+      });
+    };
 
-      mockOctokit.rest.repos.getReleaseByTag
-        .mockResolvedValueOnce({ data: { immutable: true } })
-        .mockResolvedValueOnce({ data: { immutable: false } })
-        .mockRejectedValueOnce({ status: 404 });
+    test('should classify SHAs and release tags without calling the refs API', async () => {
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'a'.repeat(40))).toBe('full-sha');
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'v1.0.0', true)).toBe('release-tag');
+      expect(mockOctokit.rest.git.getRef).not.toHaveBeenCalled();
+    });
 
-      const result = await checkAllActions(mockOctokit, actions);
+    test('should distinguish annotated, lightweight and moving major tags', async () => {
+      mockRefs({ 'tags/v1.2.3': 'tag', 'tags/v1.2.4': 'commit', 'tags/v1': 'tag', 'tags/v1.2': 'commit' });
 
-      expect(result.immutable).toHaveLength(1);
-      expect(result.mutable).toHaveLength(2);
-      expect(result.immutable[0].owner).toBe('owner1');
-      expect(result.mutable[0].owner).toBe('owner2');
-      expect(result.mutable[1].owner).toBe('owner3');
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'v1.2.3')).toBe('annotated-tag');
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'v1.2.4')).toBe('lightweight-tag');
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'v1')).toBe('major-tag');
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'v1.2')).toBe('major-tag');
+    });
 
-      // Check byWorkflow grouping
-      expect(result.byWorkflow).toBeDefined();
-      expect(result.byWorkflow['workflow1.yml']).toBeDefined();
-      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
-      expect(result.byWorkflow['workflow1.yml'].mutable).toHaveLength(1);
-      expect(result.byWorkflow['workflow2.yml']).toBeDefined();
-      expect(result.byWorkflow['workflow2.yml'].immutable).toHaveLength(0);
-      expect(result.byWorkflow['workflow2.yml'].mutable).toHaveLength(1);
+    test('should classify branches and short SHAs', async () => {
+      mockRefs({ 'heads/main': 'commit' });
+
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'main')).toBe('branch');
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'abc1234')).toBe('short-sha');
+      expect(await classifyReference(mockOctokit, 'o', 'r', 'missing')).toBe('unknown');
     });
 
-    test('should deduplicate actions by uses string', async () => {
-      const actions = [
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml'
-        },
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml'
-        },
-        {
-          uses: 'owner/repo@v2',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v2',
-          workflowFile: 'workflow2.yml'
-        }
-      ];
+    test('should report refs API errors as errored findings', async () => {
+      mockOctokit.rest.git.getRef.mockRejectedValue({ status: 500, message: 'Server Error' });
+      mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue({ status: 404, message: 'Not Found' });
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: true }
+      await expect(classifyReference(mockOctokit, 'o', 'r', 'main')).rejects.toMatchObject({ status: 500 });
+      expect(await checkReleaseImmutability(mockOctokit, 'o', 'r', 'main')).toEqual({
+        immutable: false,
+        releaseFound: false,
+        referenceType: 'unknown',
+        apiError: true,
+        message: 'API error: Server Error'
       });
+      expect(mockCore.warning).toHaveBeenCalledWith('API error checking o/r@main: Server Error');
+    });
+  });
 
-      await checkAllActions(mockOctokit, actions);
+  describe('verifyShaCommit', () => {
+    const sha = 'a'.repeat(40);
 
-      // Should only call API twice (for v1 and v2), not three times
-      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(2);
+    beforeEach(() => {
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha } });
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.listBranches.mockResolvedValue({
+        data: [
+          { name: 'dev', commit: { sha: 'd'.repeat(40) } },
+          { name: 'main', commit: { sha: 'b'.repeat(40) } }
+        ]
+      });
+      mockOctokit.rest.repos.listTags.mockResolvedValue({
+        data: [{ name: 'v1.0.0', commit: { sha: 'c'.repeat(40) } }]
+      });
     });
 
-    test('should group same action appearing in multiple workflows', async () => {
-      const actions = [
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml'
-        },
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow2.yml'
-        }
-      ];
+    test('should accept a SHA at the tip of a tag without comparing its history', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data: { status: 'diverged' } });
+      mockOctokit.rest.repos.listTags.mockResolvedValue({ data: [{ name: 'v1.0.0', commit: { sha } }] });
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: true }
+      expect(await verifyShaCommit(mockOctokit, 'owner', 'repo', sha)).toEqual({
+        commitStatus: 'reachable',
+        reachableFrom: 'tag v1.0.0'
       });
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(1);
+    });
 
-      const result = await checkAllActions(mockOctokit, actions);
+    test('should compare against the default branch first without listing branches or tags', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data: { status: 'behind' } });
 
-      // Should only call API once (same action)
-      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(1);
+      expect(await verifyShaCommit(mockOctokit, 'owner', 'repo', sha)).toEqual({
+        commitStatus: 'reachable',
+        reachableFrom: 'branch main'
+      });
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        basehead: `main...${sha}`,
+        per_page: 1
+      });
+      expect(mockOctokit.rest.repos.listBranches).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.listTags).not.toHaveBeenCalled();
+    });
 
-      // But should appear in both workflows
-      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
-      expect(result.byWorkflow['workflow2.yml'].immutable).toHaveLength(1);
+    test('should check branches and tags past the first page and stop at the first match', async () => {
+      const branches = Array.from({ length: 100 }, (_, index) => ({
+        name: `feature-${index}`,
+        commit: { sha: 'e'.repeat(40) }
+      }));
+      mockOctokit.rest.repos.listBranches.mockImplementation(async ({ page }) => ({
+        data: page === 1 ? branches : [{ name: 'release', commit: { sha } }]
+      }));
+      mockOctokit.rest.repos.listTags.mockImplementation(async ({ page }) => ({
+        data: page === 1 ? [{ name: 'v1.0.0', commit: { sha: 'c'.repeat(40) } }] : []
+      }));
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockImplementation(async ({ basehead }) => ({
+        data: { status: basehead.startsWith('feature-1...') ? 'behind' : 'diverged' }
+      }));
+
+      expect(await verifyShaCommit(mockOctokit, 'owner', 'repo', sha)).toEqual({
+        commitStatus: 'reachable',
+        reachableFrom: 'branch release'
+      });
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listBranches, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100
+      });
+
+      mockOctokit.rest.repos.listBranches.mockImplementation(async ({ page }) => ({
+        data: page === 1 ? branches : []
+      }));
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockClear();
+
+      expect(await verifyShaCommit(mockOctokit, 'owner', 'repo', sha)).toEqual({
+        commitStatus: 'reachable',
+        reachableFrom: 'branch feature-1'
+      });
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(3);
     });
 
-    test('should handle first-party actions without API calls', async () => {
-      const actions = [
-        {
-          uses: 'actions/checkout@v4',
-          owner: 'actions',
-          repo: 'checkout',
-          ref: 'v4',
-          workflowFile: 'workflow1.yml',
-          isFirstParty: true
-        },
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml',
-          isFirstParty: false
-        }
-      ];
+    test('should report commits not reachable from any branch or tag as orphans', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data: { status: 'diverged' } });
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: true }
+      expect(await verifyShaCommit(mockOctokit, 'owner', 'repo', sha)).toEqual({ commitStatus: 'orphan' });
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(3);
+    });
+
+    test('should report commits as unverified once the comparison limit is reached', async () => {
+      mockOctokit.rest.repos.listBranches.mockResolvedValue({
+        data: Array.from({ length: SHA_VERIFICATION_COMPARE_LIMIT + 5 }, (_, index) => ({
+          name: `feature-${index}`,
+          commit: { sha: 'e'.repeat(40) }
+        }))
       });
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data: { status: 'diverged' } });
 
-      const result = await checkAllActions(mockOctokit, actions);
+      expect(await verifyShaCommit(mockOctokit, 'owner', 'repo', sha)).toEqual({ commitStatus: 'unverified' });
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledTimes(
+        SHA_VERIFICATION_COMPARE_LIMIT + 1
+      );
 
-      // Should only call API once (for third-party action)
-      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(1);
+      const actions = [{ uses: `owner/repo@${sha}`, owner: 'owner', repo: 'repo', ref: sha, workflowFile: 'ci.yml' }];
+      const result = await checkAllActions(mockOctokit, actions, false, { verifyShaCommits: true });
 
-      // First-party actions should be in firstParty array with allowed/reason
-      expect(result.firstParty).toHaveLength(1);
-      expect(result.firstParty[0].owner).toBe('actions');
-      expect(result.firstParty[0].message).toBe('Excluded (first-party)');
-      expect(result.firstParty[0].isFirstParty).toBe(true);
-      expect(result.firstParty[0].allowed).toBe(true);
+      expect(result.immutable[0]).toMatchObject({
+        commitStatus: 'unverified',
+        message: `Immutable (full SHA reference, reachability not verified past ${SHA_VERIFICATION_COMPARE_LIMIT} branches and tags)`
+      });
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Could not verify owner/repo@${sha}: not on the default branch or the first ${SHA_VERIFICATION_COMPARE_LIMIT} branches and tags compared`
+      );
+    });
 
-      // Third-party action should be in immutable array
-      expect(result.immutable).toHaveLength(1);
-      expect(result.immutable[0].owner).toBe('owner');
+    test('should report commits missing from the repository', async () => {
+      mockOctokit.rest.repos.getCommit.mockRejectedValue(Object.assign(new Error('No commit found'), { status: 422 }));
 
-      // Check byWorkflow grouping includes firstParty
-      expect(result.byWorkflow['workflow1.yml'].firstParty).toHaveLength(1);
-      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
+      expect(await verifyShaCommit(mockOctokit, 'owner', 'repo', sha)).toEqual({ commitStatus: 'not-found' });
+      expect(isOrphanCommit({ commitStatus: 'not-found' })).toBe(true);
+      expect(isOrphanCommit({ commitStatus: 'reachable' })).toBe(false);
     });
 
-    test('should deduplicate same action used multiple times within a workflow', async () => {
-      const actions = [
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml',
-          isFirstParty: false
-        },
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml',
-          isFirstParty: false
-        },
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml',
-          isFirstParty: false
-        }
-      ];
+    test('should fail orphan SHA pins in checkAllActions only when verification is enabled', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data: { status: 'diverged' } });
+      const actions = [{ uses: `owner/repo@${sha}`, owner: 'owner', repo: 'repo', ref: sha, workflowFile: 'ci.yml' }];
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: true }
-      });
+      const unverifiedResult = await checkAllActions(mockOctokit, actions);
+      const result = await checkAllActions(mockOctokit, actions, false, { verifyShaCommits: true });
 
-      const result = await checkAllActions(mockOctokit, actions);
+      expect(unverifiedResult.immutable).toHaveLength(1);
+      expect(result.mutable).toHaveLength(1);
+      expect(result.mutable[0].commitStatus).toBe('orphan');
+      expect(result.mutable[0].message).toBe(
+        'Orphan or fork-only commit (not reachable from any branch or tag of owner/repo)'
+      );
+      expect(buildSarifReport(result).runs[0].results[0].ruleId).toBe('orphan-commit');
+    });
 
-      // Should only call API once (same action)
-      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(1);
+    test('should name the ref a verified SHA is reachable from', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({ data: { status: 'identical' } });
+      const actions = [{ uses: `owner/repo@${sha}`, owner: 'owner', repo: 'repo', ref: sha, workflowFile: 'ci.yml' }];
 
-      // Global array should have 1 entry (deduplicated across all)
-      expect(result.immutable).toHaveLength(1);
+      const result = await checkAllActions(mockOctokit, actions, false, { verifyShaCommits: true });
 
-      // byWorkflow should also have 1 entry (deduplicated within workflow)
-      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
-      expect(result.byWorkflow['workflow1.yml'].immutable[0].uses).toBe('owner/repo@v1');
+      expect(result.immutable[0].message).toBe('Immutable (full SHA reference, reachable from branch main)');
     });
+  });
 
-    test('should preserve all caller-side source locations when deduplicating within a workflow', async () => {
-      const actions = [
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml',
-          jobName: 'lint',
-          stepName: 'First use',
-          sourceWorkflowFile: 'workflow1.yml',
-          sourceJobName: 'lint',
-          sourceStepName: 'First use',
-          isFirstParty: false
-        },
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml',
-          jobName: 'test',
-          stepName: 'Second use',
-          sourceWorkflowFile: 'workflow1.yml',
-          sourceJobName: 'test',
-          sourceStepName: 'Second use',
-          isFirstParty: false
-        }
-      ];
+  describe('docker images', () => {
+    const digest = `sha256:${'d'.repeat(64)}`;
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: true }
+    test('should split image references into name, tag and digest', () => {
+      expect(parseDockerImageReference('ghcr.io/owner/image:1.2')).toEqual({
+        name: 'ghcr.io/owner/image',
+        tag: '1.2',
+        digest: undefined
       });
+      expect(parseDockerImageReference('localhost:5000/image')).toEqual({
+        name: 'localhost:5000/image',
+        tag: undefined,
+        digest: undefined
+      });
+      expect(parseDockerImageReference(`alpine:3.20@${digest}`)).toEqual({ name: 'alpine', tag: '3.20', digest });
+    });
 
-      const result = await checkAllActions(mockOctokit, actions);
+    test('should only treat sha256 digests as immutable', () => {
+      expect(getDockerImageResult(`alpine@${digest}`)).toEqual({
+        immutable: true,
+        releaseFound: false,
+        referenceType: 'docker-digest',
+        message: 'Immutable (image pinned to digest)'
+      });
+      expect(getDockerImageResult('alpine:3.20').message).toBe('Docker image not pinned to a digest (tag 3.20)');
+      expect(getDockerImageResult('alpine')).toMatchObject({
+        immutable: false,
+        referenceType: 'docker-tag',
+        message: 'Docker image not pinned to a digest (implicit latest tag)'
+      });
+    });
 
-      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
-      expect(result.byWorkflow['workflow1.yml'].immutable[0].sourceLocations).toEqual([
-        {
-          workflowFile: 'workflow1.yml',
-          jobName: 'lint',
-          stepName: 'First use'
-        },
-        {
-          workflowFile: 'workflow1.yml',
-          jobName: 'test',
-          stepName: 'Second use'
-        }
+    test('should read external base images from Dockerfile FROM lines', () => {
+      const dockerfile = [
+        'FROM --platform=$BUILDPLATFORM golang:1.22 AS build',
+        'RUN go build',
+        'FROM build AS test',
+        'FROM scratch',
+        `from alpine@${digest}`
+      ].join('\n');
+
+      expect(parseDockerfileImages(dockerfile)).toEqual([
+        { image: 'golang:1.22', line: 1 },
+        { image: `alpine@${digest}`, line: 5 }
       ]);
     });
 
-    test('should deduplicate first-party actions within a workflow', async () => {
-      const actions = [
-        {
-          uses: 'actions/checkout@v4',
-          owner: 'actions',
-          repo: 'checkout',
-          ref: 'v4',
-          workflowFile: 'ci.yml',
-          isFirstParty: true
-        },
-        {
-          uses: 'actions/checkout@v4',
-          owner: 'actions',
-          repo: 'checkout',
-          ref: 'v4',
-          workflowFile: 'ci.yml',
-          isFirstParty: true
-        },
-        {
-          uses: 'actions/setup-node@v4',
-          owner: 'actions',
-          repo: 'setup-node',
-          ref: 'v4',
-          workflowFile: 'ci.yml',
-          isFirstParty: true
-        }
-      ];
+    test('should extract Dockerfile base images of local docker actions at their Dockerfile location', () => {
+      const workspaceDir = '/tmp/test-workflow-local-docker';
+      const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
+      const localActionDir = path.join(workspaceDir, '.github', 'actions', 'docker');
+      fs.mkdirSync(workflowsDir, { recursive: true });
+      fs.mkdirSync(localActionDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: ./.github/actions/docker\n'
+      );
+      fs.writeFileSync(path.join(localActionDir, 'action.yml'), 'runs:\n  using: docker\n  image: Dockerfile\n');
+      fs.writeFileSync(path.join(localActionDir, 'Dockerfile'), 'ARG BASE=node\nFROM node:20\nFROM ${BASE}\n');
 
-      const result = await checkAllActions(mockOctokit, actions);
+      const actions = extractActionsFromWorkflow(path.join(workflowsDir, 'ci.yml'), workspaceDir);
 
-      // Should not call API for first-party actions
-      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(actions).toHaveLength(2);
+      expect(actions[0]).toMatchObject({
+        uses: 'docker://node:20',
+        image: 'node:20',
+        ref: '20',
+        supported: true,
+        filePath: '.github/actions/docker/Dockerfile',
+        line: 2,
+        column: 1
+      });
+      expect(actions[1]).toMatchObject({ supported: false, unsupportedType: 'docker-build-arg' });
 
-      // Global firstParty array should have 2 unique entries
-      expect(result.firstParty).toHaveLength(2);
-      expect(result.firstParty[0].uses).toBe('actions/checkout@v4');
-      expect(result.firstParty[1].uses).toBe('actions/setup-node@v4');
+      fs.rmSync(workspaceDir, { recursive: true, force: true });
+    });
 
-      // byWorkflow should also have 2 unique entries (deduplicated within workflow)
-      expect(result.byWorkflow['ci.yml'].firstParty).toHaveLength(2);
-      expect(result.byWorkflow['ci.yml'].firstParty[0].uses).toBe('actions/checkout@v4');
-      expect(result.byWorkflow['ci.yml'].firstParty[1].uses).toBe('actions/setup-node@v4');
+    test('should extract job container and service container images with job metadata', () => {
+      const tempFile = '/tmp/test-workflow-containers.yml';
+      fs.writeFileSync(
+        tempFile,
+        `
+on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    container: node:20
+    services:
+      redis:
+        image: redis@${digest}
+      db:
+        image: \${{ matrix.db }}
+      optional:
+        image: ''
+    steps:
+      - uses: third-party/action@v1
+  lint:
+    runs-on: ubuntu-latest
+    container:
+      image: ghcr.io/owner/linter:latest
+`
+      );
+
+      const actions = extractActionsFromWorkflow(tempFile, '/tmp');
+
+      expect(actions.map(action => [action.uses, action.containerType, action.serviceName, action.line])).toEqual([
+        ['docker://node:20', 'container', undefined, 6],
+        [`docker://redis@${digest}`, 'service', 'redis', 9],
+        ['docker://${{ matrix.db }}', 'service', 'db', 11],
+        ['third-party/action@v1', undefined, undefined, 15],
+        ['docker://ghcr.io/owner/linter:latest', 'container', undefined, 19]
+      ]);
+      expect(actions[0]).toMatchObject({
+        image: 'node:20',
+        ref: '20',
+        supported: true,
+        workflowFile: 'test-workflow-containers.yml',
+        jobName: 'test',
+        sourceJobName: 'test',
+        sourceLine: 6
+      });
+      expect(actions[2]).toMatchObject({
+        supported: false,
+        unsupportedType: 'expression',
+        message: 'Unsupported container image: ${{ matrix.db }} (expressions are not resolved)'
+      });
+
+      fs.unlinkSync(tempFile);
     });
 
-    test('should check first-party actions via API when includeFirstParty is true', async () => {
+    test('should attribute container images in local reusable workflows to the calling job', () => {
+      const workspaceDir = '/tmp/test-workflow-reusable-containers';
+      const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
+      fs.mkdirSync(workflowsDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        'on: push\njobs:\n  call:\n    uses: ./.github/workflows/build.yml\n'
+      );
+      fs.writeFileSync(
+        path.join(workflowsDir, 'build.yml'),
+        'on: workflow_call\njobs:\n  build:\n    runs-on: ubuntu-latest\n    container: node:20\n'
+      );
+
+      const actions = extractActionsFromWorkflow(path.join(workflowsDir, 'ci.yml'), workspaceDir);
+
+      expect(actions).toHaveLength(1);
+      expect(actions[0]).toMatchObject({
+        uses: 'docker://node:20',
+        containerType: 'container',
+        jobName: 'build',
+        filePath: '.github/workflows/build.yml',
+        line: 5,
+        sourceJobName: 'call',
+        sourceFilePath: '.github/workflows/ci.yml',
+        sourceLine: 4,
+        via: ['./.github/workflows/build.yml']
+      });
+
+      fs.rmSync(workspaceDir, { recursive: true, force: true });
+    });
+
+    test('should check image references without API calls, including offline', async () => {
       const actions = [
+        { uses: 'docker://alpine:3.20', image: 'alpine:3.20', ref: '3.20', supported: true, workflowFile: 'ci.yml' },
         {
-          uses: 'actions/checkout@v4',
-          owner: 'actions',
-          repo: 'checkout',
-          ref: 'v4',
-          workflowFile: 'workflow1.yml',
-          isFirstParty: true
-        },
-        {
-          uses: 'owner/repo@v1',
-          owner: 'owner',
-          repo: 'repo',
-          ref: 'v1',
-          workflowFile: 'workflow1.yml',
-          isFirstParty: false
+          uses: `docker://alpine@${digest}`,
+          image: `alpine@${digest}`,
+          ref: digest,
+          supported: true,
+          workflowFile: 'ci.yml'
         }
       ];
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: true }
+      const result = await checkAllActions(null, actions, false, { offline: true });
+
+      expect(result.mutable).toHaveLength(1);
+      expect(result.mutable[0]).toMatchObject({ image: 'alpine:3.20', referenceType: 'docker-tag' });
+      expect(result.mutable[0].suggestion).toBeUndefined();
+      expect(result.immutable[0].message).toBe('Immutable (image pinned to digest)');
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(buildSarifReport(result).runs[0].results[0]).toMatchObject({ ruleId: 'unpinned-image', level: 'warning' });
+    });
+  });
+
+  describe('strict SHA pins', () => {
+    const sha = 'a'.repeat(40);
+    const actions = [{ uses: `owner/repo@${sha}`, owner: 'owner', repo: 'repo', ref: sha, workflowFile: 'ci.yml' }];
+
+    beforeEach(() => {
+      mockOctokit.rest.repos.listTags.mockResolvedValue({
+        data: [
+          { name: 'v1.0.1', commit: { sha } },
+          { name: 'v1.0.0', commit: { sha } },
+          { name: 'v0.9.0', commit: { sha: 'b'.repeat(40) } }
+        ]
       });
+    });
 
-      const result = await checkAllActions(mockOctokit, actions, true);
+    test('should prefer an immutable release among the tags pointing at the SHA', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockImplementation(async ({ tag }) => ({
+        data: { immutable: tag === 'v1.0.0' }
+      }));
+      const tagsCache = new Map();
 
-      // Should call API for both actions
-      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(2);
+      expect(await findShaRelease(mockOctokit, 'owner', 'repo', sha, tagsCache)).toEqual({
+        tag: 'v1.0.0',
+        immutable: true
+      });
+      expect(await findShaRelease(mockOctokit, 'owner', 'repo', 'c'.repeat(40), tagsCache)).toBeNull();
+      expect(mockOctokit.rest.repos.listTags).toHaveBeenCalledTimes(1);
+    });
 
-      // firstParty array should contain the checked first-party action with allowed/reason
-      expect(result.firstParty).toHaveLength(1);
-      expect(result.firstParty[0].owner).toBe('actions');
-      expect(result.firstParty[0].allowed).toBe(true);
-      expect(result.firstParty[0].message).toBe('Immutable release');
+    test('should find release tags past the first page', async () => {
+      const olderTags = Array.from({ length: 100 }, (_, index) => ({
+        name: `v0.1.${index}`,
+        commit: { sha: 'b'.repeat(40) }
+      }));
+      mockOctokit.rest.repos.listTags.mockImplementation(async ({ page }) => ({
+        data: page === 1 ? olderTags : [{ name: 'v1.0.0', commit: { sha } }]
+      }));
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: true } });
+
+      expect(await findShaRelease(mockOctokit, 'owner', 'repo', sha)).toEqual({ tag: 'v1.0.0', immutable: true });
+      expect(mockOctokit.rest.repos.listTags).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        tag: 'v1.0.0'
+      });
+    });
 
-      // Both should be in immutable array
-      expect(result.immutable).toHaveLength(2);
+    test('should only accept SHA pins of immutable releases in strict mode', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: true } });
 
-      // First-party action should preserve isFirstParty flag
-      const checkoutAction = result.immutable.find(a => a.owner === 'actions');
-      expect(checkoutAction.isFirstParty).toBe(true);
-      const thirdPartyAction = result.immutable.find(a => a.owner === 'owner');
-      expect(thirdPartyAction.isFirstParty).toBe(false);
+      const result = await checkAllActions(mockOctokit, actions, false, { strictShaPins: true });
 
-      // byWorkflow should have no firstParty, both in immutable
-      expect(result.byWorkflow['workflow1.yml'].firstParty).toHaveLength(0);
-      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(2);
+      expect(result.immutable[0].message).toBe('Immutable (full SHA reference, immutable release v1.0.1)');
+      expect(result.immutable[0].releaseTag).toBe('v1.0.1');
     });
 
-    test('should report first-party actions as mutable when includeFirstParty is true and release is mutable', async () => {
+    test('should name the mutable release a strict SHA pin corresponds to', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      const result = await checkAllActions(mockOctokit, actions, false, { strictShaPins: true });
+
+      expect(result.mutable[0]).toMatchObject({
+        releaseFound: true,
+        releaseTag: 'v1.0.1',
+        message: 'Full SHA matches release v1.0.1, which is not immutable (strict mode)'
+      });
+    });
+
+    test('should flag unreleased commits in strict mode', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+      mockOctokit.rest.repos.listTags.mockResolvedValue({ data: [] });
+
+      const strictResult = await checkAllActions(mockOctokit, actions, false, { strictShaPins: true });
+      const defaultResult = await checkAllActions(mockOctokit, actions);
+
+      expect(strictResult.mutable[0].message).toBe('Full SHA does not correspond to a release (strict mode)');
+      expect(strictResult.mutable[0].releaseFound).toBe(false);
+      expect(defaultResult.immutable).toHaveLength(1);
+    });
+  });
+
+  describe('version comments', () => {
+    const sha = 'a'.repeat(40);
+
+    test('should read the version tag from a trailing comment', () => {
+      expect(parseVersionComment('v1.2.3')).toBe('v1.2.3');
+      expect(parseVersionComment(' tag=v4.1.1 ')).toBe('v4.1.1');
+      expect(parseVersionComment('v2.0.0-beta.1, pinned by bot')).toBe('v2.0.0-beta.1');
+      expect(parseVersionComment('1.0 (2024-01-01)')).toBe('1.0');
+      expect(parseVersionComment('pinned by bot')).toBeNull();
+      expect(parseVersionComment(undefined)).toBeNull();
+    });
+
+    test('should capture the trailing comment on workflow uses lines', () => {
+      const workflowsDir = '/tmp/test-version-comments/.github/workflows';
+      fs.mkdirSync(workflowsDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        `jobs:\n  test:\n    steps:\n      - uses: owner/repo@${sha} # v1.2.3\n      - uses: owner/other@v1\n`
+      );
+
+      const actions = extractActionsFromWorkflow(path.join(workflowsDir, 'ci.yml'), '/tmp/test-version-comments');
+
+      expect(actions[0].comment).toBe('v1.2.3');
+      expect(actions[1].comment).toBeUndefined();
+      fs.rmSync('/tmp/test-version-comments', { recursive: true, force: true });
+    });
+
+    test('should report whether a matching tag is an immutable release', async () => {
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha } });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: true } });
+
+      expect(await checkVersionComment(mockOctokit, 'owner', 'repo', sha, 'v1.2.3')).toEqual({
+        tag: 'v1.2.3',
+        matches: true,
+        tagSha: sha,
+        immutableRelease: true,
+        matchingTags: ['v1.2.3']
+      });
+      expect(mockOctokit.rest.repos.getCommit).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'tags/v1.2.3'
+      });
+    });
+
+    test('should name the tags a mismatched SHA belongs to', async () => {
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha: 'b'.repeat(40) } });
+      mockOctokit.rest.repos.listTags.mockResolvedValue({
+        data: [
+          { name: 'v1.2.3', commit: { sha: 'b'.repeat(40) } },
+          { name: 'v1.1.0', commit: { sha } }
+        ]
+      });
+
+      const result = await checkVersionComment(mockOctokit, 'owner', 'repo', sha, 'v1.2.3');
+
+      expect(result.matches).toBe(false);
+      expect(result.matchingTags).toEqual(['v1.1.0']);
+    });
+
+    test('should name matching tags past the first page', async () => {
+      const newerTags = Array.from({ length: 100 }, (_, index) => ({
+        name: `v2.0.${index}`,
+        commit: { sha: 'b'.repeat(40) }
+      }));
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha: 'b'.repeat(40) } });
+      mockOctokit.rest.repos.listTags.mockImplementation(async ({ page }) => ({
+        data: page === 1 ? newerTags : [{ name: 'v1.1.0', commit: { sha } }]
+      }));
+
+      const result = await checkVersionComment(mockOctokit, 'owner', 'repo', sha, 'v2.0.0');
+
+      expect(result.matchingTags).toEqual(['v1.1.0']);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listTags, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100
+      });
+    });
+
+    test('should report mismatched comments as their own category in checkAllActions', async () => {
+      mockOctokit.rest.repos.getCommit.mockImplementation(async ({ ref }) => {
+        if (ref === 'tags/v1.1.0') return { data: { sha } };
+        if (ref === 'tags/v1.2.3') return { data: { sha: 'b'.repeat(40) } };
+        throw Object.assign(new Error('Not Found'), { status: 404 });
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.listTags.mockResolvedValue({ data: [{ name: 'v1.1.0', commit: { sha } }] });
+      const base = { uses: `owner/repo@${sha}`, owner: 'owner', repo: 'repo', ref: sha, workflowFile: 'ci.yml' };
       const actions = [
-        {
-          uses: 'actions/checkout@v4',
-          owner: 'actions',
-          repo: 'checkout',
-          ref: 'v4',
-          workflowFile: 'ci.yml',
-          isFirstParty: true
-        }
+        { ...base, comment: 'v1.2.3' },
+        { ...base, comment: 'v1.1.0' },
+        { ...base, comment: 'v9.9.9' }
       ];
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: false }
+      const result = await checkAllActions(mockOctokit, actions);
+
+      expect(result.mismatched.map(action => action.message)).toEqual([
+        'Version comment does not match the SHA (v1.2.3 points at bbbbbbb; the SHA matches v1.1.0)',
+        'Version comment does not match the SHA (tag v9.9.9 not found in owner/repo; the SHA matches v1.1.0)'
+      ]);
+      expect(result.immutable).toHaveLength(1);
+      expect(result.immutable[0].message).toBe(
+        'Immutable (full SHA reference), matches v1.1.0 which is not an immutable release'
+      );
+      expect(result.byWorkflow['ci.yml'].mismatched).toHaveLength(2);
+      expect(buildSarifReport(result).runs[0].results[0]).toMatchObject({
+        ruleId: 'version-comment-mismatch',
+        level: 'warning'
       });
+    });
 
-      const result = await checkAllActions(mockOctokit, actions, true);
+    test('should not check version comments offline', async () => {
+      const actions = [
+        { uses: `owner/repo@${sha}`, owner: 'owner', repo: 'repo', ref: sha, workflowFile: 'ci.yml', comment: 'v1' }
+      ];
 
-      // firstParty should have the action with allowed: false
-      expect(result.firstParty).toHaveLength(1);
-      expect(result.firstParty[0].allowed).toBe(false);
-      expect(result.firstParty[0].message).toBe('Mutable release');
-      expect(result.mutable).toHaveLength(1);
-      expect(result.mutable[0].owner).toBe('actions');
-      expect(result.byWorkflow['ci.yml'].mutable).toHaveLength(1);
+      const result = await checkAllActions(null, actions, false, { offline: true });
+
+      expect(result.immutable).toHaveLength(1);
+      expect(result.mismatched).toHaveLength(0);
     });
+  });
 
-    test('should report unsupported references separately', async () => {
+  describe('checkAllActions', () => {
+    test('should check multiple actions and categorize them', async () => {
       const actions = [
         {
-          uses: './local-action',
-          supported: false,
-          unsupportedType: 'local-action',
-          message: 'Unsupported reference type: local action',
+          uses: 'owner1/repo1@v1',
+          owner: 'owner1',
+          repo: 'repo1',
+          ref: 'v1',
           workflowFile: 'workflow1.yml'
         },
         {
-          uses: 'docker://alpine:3.8',
-          supported: false,
-          unsupportedType: 'protocol',
-          message: 'Unsupported reference type: docker://',
+          uses: 'owner2/repo2@v2',
+          owner: 'owner2',
+          repo: 'repo2',
+          ref: 'v2',
+          workflowFile: 'workflow1.yml'
+        },
+        {
+          uses: 'owner3/repo3@v3',
+          owner: 'owner3',
+          repo: 'repo3',
+          ref: 'v3',
+          workflowFile: 'workflow2.yml'
+        }
+      ];
+
+      mockOctokit.rest.repos.getReleaseByTag
+        .mockResolvedValueOnce({ data: { immutable: true } })
+        .mockResolvedValueOnce({ data: { immutable: false } })
+        .mockRejectedValueOnce({ status: 404 });
+
+      const result = await checkAllActions(mockOctokit, actions);
+
+      expect(result.immutable).toHaveLength(1);
+      expect(result.mutable).toHaveLength(2);
+      expect(result.immutable[0].owner).toBe('owner1');
+      expect(result.mutable[0].owner).toBe('owner2');
+      expect(result.mutable[1].owner).toBe('owner3');
+
+      // Check byWorkflow grouping
+      expect(result.byWorkflow).toBeDefined();
+      expect(result.byWorkflow['workflow1.yml']).toBeDefined();
+      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
+      expect(result.byWorkflow['workflow1.yml'].mutable).toHaveLength(1);
+      expect(result.byWorkflow['workflow2.yml']).toBeDefined();
+      expect(result.byWorkflow['workflow2.yml'].immutable).toHaveLength(0);
+      expect(result.byWorkflow['workflow2.yml'].mutable).toHaveLength(1);
+    });
+
+    test('should deduplicate actions by uses string', async () => {
+      const actions = [
+        {
+          uses: 'owner/repo@v1',
+          owner: 'owner',
+          repo: 'repo',
+          ref: 'v1',
           workflowFile: 'workflow1.yml'
         },
         {
@@ -1705,9 +2584,14 @@ jobs:
           owner: 'owner',
           repo: 'repo',
           ref: 'v1',
-          supported: true,
-          workflowFile: 'workflow1.yml',
-          isFirstParty: false
+          workflowFile: 'workflow1.yml'
+        },
+        {
+          uses: 'owner/repo@v2',
+          owner: 'owner',
+          repo: 'repo',
+          ref: 'v2',
+          workflowFile: 'workflow2.yml'
         }
       ];
 
@@ -1715,531 +2599,3150 @@ jobs:
         data: { immutable: true }
       });
 
-      const result = await checkAllActions(mockOctokit, actions);
+      await checkAllActions(mockOctokit, actions);
 
-      expect(result.unsupported).toHaveLength(2);
-      expect(result.unsupported[0].uses).toBe('./local-action');
-      expect(result.unsupported[1].uses).toBe('docker://alpine:3.8');
-      expect(result.immutable).toHaveLength(1);
-      expect(result.mutable).toHaveLength(0);
-      expect(result.byWorkflow['workflow1.yml'].unsupported).toHaveLength(2);
-    });
-  });
-
-  describe('expandActionReferences', () => {
-    test('should recurse into remote composite actions', async () => {
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
-        const files = {
-          'path/to/action/action.yml': `
-name: Remote Composite
-runs:
-  using: composite
-  steps:
-    - uses: owner/nested-action@v2
-`,
-          'action.yml': `
-name: Nested Action
-runs:
-  using: node24
-  main: index.js
-`
-        };
-
-        if (!files[remotePath]) {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
-        }
-
-        return {
-          data: {
-            type: 'file',
-            encoding: 'base64',
-            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
-          }
-        };
-      });
+      // Should only call API twice (for v1 and v2), not three times
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(2);
+    });
 
+    test('should group same action appearing in multiple workflows', async () => {
       const actions = [
         {
-          uses: 'owner/repo/path/to/action@v1',
+          uses: 'owner/repo@v1',
           owner: 'owner',
           repo: 'repo',
-          actionPath: 'path/to/action',
           ref: 'v1',
-          workflowFile: 'ci.yml',
-          supported: true,
-          isFirstParty: false
+          workflowFile: 'workflow1.yml'
+        },
+        {
+          uses: 'owner/repo@v1',
+          owner: 'owner',
+          repo: 'repo',
+          ref: 'v1',
+          workflowFile: 'workflow2.yml'
         }
       ];
 
-      const result = await expandActionReferences(mockOctokit, actions, {
-        workspaceDir: '/tmp/workspace',
-        expansionCache: new Map(),
-        expansionStack: new Set()
-      });
-
-      expect(result).toHaveLength(2);
-      expect(result[1]).toMatchObject({
-        uses: 'owner/nested-action@v2',
-        owner: 'owner',
-        repo: 'nested-action',
-        actionPath: '',
-        ref: 'v2',
-        workflowFile: 'ci.yml',
-        supported: true
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
       });
-    });
 
-    test('should recurse into remote reusable workflows', async () => {
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
-        const files = {
-          '.github/workflows/reusable.yml': `
-name: Reusable
-on:
-  workflow_call:
-jobs:
-  nested:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: owner/nested-action@v2
-`,
-          'action.yml': `
-name: Nested Action
-runs:
-  using: node24
-  main: index.js
-`
-        };
+      const result = await checkAllActions(mockOctokit, actions);
 
-        if (!files[remotePath]) {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
-        }
+      // Should only call API once (same action)
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(1);
 
-        return {
-          data: {
-            type: 'file',
-            encoding: 'base64',
-            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
-          }
-        };
-      });
+      // But should appear in both workflows
+      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
+      expect(result.byWorkflow['workflow2.yml'].immutable).toHaveLength(1);
+    });
 
+    test('should handle first-party actions without API calls', async () => {
       const actions = [
         {
-          uses: 'owner/repo/.github/workflows/reusable.yml@v1',
+          uses: 'actions/checkout@v4',
+          owner: 'actions',
+          repo: 'checkout',
+          ref: 'v4',
+          workflowFile: 'workflow1.yml',
+          isFirstParty: true
+        },
+        {
+          uses: 'owner/repo@v1',
           owner: 'owner',
           repo: 'repo',
-          actionPath: '.github/workflows/reusable.yml',
           ref: 'v1',
-          workflowFile: 'ci.yml',
-          sourceWorkflowFile: 'ci.yml',
-          sourceJobName: 'call-reusable',
-          supported: true,
+          workflowFile: 'workflow1.yml',
           isFirstParty: false
         }
       ];
 
-      const result = await expandActionReferences(mockOctokit, actions, {
-        workspaceDir: '/tmp/workspace',
-        expansionCache: new Map(),
-        expansionStack: new Set()
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
       });
 
-      expect(result).toHaveLength(2);
-      expect(result[1]).toMatchObject({
-        uses: 'owner/nested-action@v2',
-        owner: 'owner',
-        repo: 'nested-action',
-        actionPath: '',
-        ref: 'v2',
-        workflowFile: 'ci.yml',
-        entrypointUses: 'owner/repo/.github/workflows/reusable.yml@v1',
-        jobName: 'nested',
-        stepName: 'unnamed step',
-        sourceWorkflowFile: 'ci.yml',
-        sourceJobName: 'call-reusable',
-        supported: true
-      });
-    });
+      const result = await checkAllActions(mockOctokit, actions);
 
-    test('should respect excluded workflows throughout remote reusable traversal', async () => {
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
-        const files = {
-          '.github/workflows/reusable.yml': `
-name: Reusable
-on:
-  workflow_call:
-jobs:
-  direct:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: owner/direct-action@v2
-  nested:
-    uses: owner/repo/.github/workflows/excluded-child.yml@v1
-`,
-          'action.yml': `
-name: Nested Action
-runs:
-  using: node24
-  main: index.js
-`
-        };
+      // Should only call API once (for third-party action)
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(1);
 
-        if (!files[remotePath]) {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
-        }
+      // First-party actions should be in firstParty array with allowed/reason
+      expect(result.firstParty).toHaveLength(1);
+      expect(result.firstParty[0].owner).toBe('actions');
+      expect(result.firstParty[0].message).toBe('Excluded (first-party)');
+      expect(result.firstParty[0].isFirstParty).toBe(true);
+      expect(result.firstParty[0].allowed).toBe(true);
 
-        return {
-          data: {
-            type: 'file',
-            encoding: 'base64',
-            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
-          }
-        };
-      });
+      // Third-party action should be in immutable array
+      expect(result.immutable).toHaveLength(1);
+      expect(result.immutable[0].owner).toBe('owner');
+
+      // Check byWorkflow grouping includes firstParty
+      expect(result.byWorkflow['workflow1.yml'].firstParty).toHaveLength(1);
+      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
+    });
 
+    test('should deduplicate same action used multiple times within a workflow', async () => {
       const actions = [
         {
-          uses: 'owner/repo/.github/workflows/reusable.yml@v1',
+          uses: 'owner/repo@v1',
           owner: 'owner',
           repo: 'repo',
-          actionPath: '.github/workflows/reusable.yml',
           ref: 'v1',
-          workflowFile: 'ci.yml',
-          sourceWorkflowFile: 'ci.yml',
-          sourceJobName: 'call-reusable',
-          supported: true,
+          workflowFile: 'workflow1.yml',
+          isFirstParty: false
+        },
+        {
+          uses: 'owner/repo@v1',
+          owner: 'owner',
+          repo: 'repo',
+          ref: 'v1',
+          workflowFile: 'workflow1.yml',
+          isFirstParty: false
+        },
+        {
+          uses: 'owner/repo@v1',
+          owner: 'owner',
+          repo: 'repo',
+          ref: 'v1',
+          workflowFile: 'workflow1.yml',
           isFirstParty: false
         }
       ];
 
-      const result = await expandActionReferences(mockOctokit, actions, {
-        workspaceDir: '/tmp/workspace',
-        excludeWorkflowPatterns: ['excluded-child.yml'],
-        expansionCache: new Map(),
-        expansionStack: new Set()
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
       });
 
-      expect(result).toHaveLength(2);
-      expect(result[0].uses).toBe('owner/repo/.github/workflows/reusable.yml@v1');
-      expect(result[1]).toMatchObject({
-        uses: 'owner/direct-action@v2',
-        owner: 'owner',
-        repo: 'direct-action',
-        actionPath: '',
-        ref: 'v2',
-        workflowFile: 'ci.yml',
-        entrypointUses: 'owner/repo/.github/workflows/reusable.yml@v1',
-        jobName: 'direct',
-        stepName: 'unnamed step',
-        sourceWorkflowFile: 'ci.yml',
-        sourceJobName: 'call-reusable',
-        supported: true
-      });
-    });
+      const result = await checkAllActions(mockOctokit, actions);
 
-    test('should resolve remote composite local paths relative to the composite action directory', async () => {
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
-        const files = {
-          'actions/parent/action.yml': `
-name: Parent
-runs:
-  using: composite
-  steps:
-    - uses: ./child
-`,
-          'actions/parent/child/action.yml': `
-name: Child
-runs:
-  using: composite
-  steps:
-    - uses: child-owner/child-action@v3
-`,
-          'action.yml': `
-name: Terminal Action
-runs:
-  using: node24
-  main: index.js
-`
-        };
+      // Should only call API once (same action)
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(1);
 
-        if (!files[remotePath]) {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
-        }
+      // Global array should have 1 entry (deduplicated across all)
+      expect(result.immutable).toHaveLength(1);
 
-        return {
-          data: {
-            type: 'file',
-            encoding: 'base64',
-            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
-          }
-        };
-      });
+      // byWorkflow should also have 1 entry (deduplicated within workflow)
+      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
+      expect(result.byWorkflow['workflow1.yml'].immutable[0].uses).toBe('owner/repo@v1');
+    });
 
+    test('should preserve all caller-side source locations when deduplicating within a workflow', async () => {
       const actions = [
         {
-          uses: 'owner/repo/actions/parent@v1',
+          uses: 'owner/repo@v1',
           owner: 'owner',
           repo: 'repo',
-          actionPath: 'actions/parent',
           ref: 'v1',
-          workflowFile: 'ci.yml',
-          supported: true,
+          workflowFile: 'workflow1.yml',
+          jobName: 'lint',
+          stepName: 'First use',
+          sourceWorkflowFile: 'workflow1.yml',
+          sourceJobName: 'lint',
+          sourceStepName: 'First use',
+          isFirstParty: false
+        },
+        {
+          uses: 'owner/repo@v1',
+          owner: 'owner',
+          repo: 'repo',
+          ref: 'v1',
+          workflowFile: 'workflow1.yml',
+          jobName: 'test',
+          stepName: 'Second use',
+          sourceWorkflowFile: 'workflow1.yml',
+          sourceJobName: 'test',
+          sourceStepName: 'Second use',
           isFirstParty: false
         }
       ];
 
-      const result = await expandActionReferences(mockOctokit, actions, {
-        workspaceDir: '/tmp/workspace',
-        expansionCache: new Map(),
-        expansionStack: new Set()
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
       });
 
-      expect(result.some(action => action.uses === 'child-owner/child-action@v3')).toBe(true);
-      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          path: 'actions/parent/child/action.yml',
-          ref: 'v1'
-        })
-      );
-    });
-
-    test('should resolve reusable workflow local paths relative to the remote repo', async () => {
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
-        const files = {
-          '.github/workflows/reusable.yml': `
-name: Reusable
-on:
-  workflow_call:
-jobs:
-  nested:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: ./.github/actions/local-from-workflow
-`,
-          '.github/actions/local-from-workflow/action.yml': `
-name: Local From Workflow
-runs:
-  using: composite
-  steps:
-    - uses: local-owner/local-action@v4
-`
-        };
+      const result = await checkAllActions(mockOctokit, actions);
 
-        if (!files[remotePath]) {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
+      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(1);
+      expect(result.byWorkflow['workflow1.yml'].immutable[0].sourceLocations).toEqual([
+        {
+          workflowFile: 'workflow1.yml',
+          jobName: 'lint',
+          stepName: 'First use'
+        },
+        {
+          workflowFile: 'workflow1.yml',
+          jobName: 'test',
+          stepName: 'Second use'
         }
+      ]);
+    });
 
-        return {
-          data: {
-            type: 'file',
-            encoding: 'base64',
-            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
-          }
-        };
-      });
-
+    test('should deduplicate first-party actions within a workflow', async () => {
       const actions = [
         {
-          uses: 'owner/repo/.github/workflows/reusable.yml@v1',
-          owner: 'owner',
-          repo: 'repo',
-          actionPath: '.github/workflows/reusable.yml',
-          ref: 'v1',
+          uses: 'actions/checkout@v4',
+          owner: 'actions',
+          repo: 'checkout',
+          ref: 'v4',
           workflowFile: 'ci.yml',
-          supported: true,
-          isFirstParty: false
+          isFirstParty: true
+        },
+        {
+          uses: 'actions/checkout@v4',
+          owner: 'actions',
+          repo: 'checkout',
+          ref: 'v4',
+          workflowFile: 'ci.yml',
+          isFirstParty: true
+        },
+        {
+          uses: 'actions/setup-node@v4',
+          owner: 'actions',
+          repo: 'setup-node',
+          ref: 'v4',
+          workflowFile: 'ci.yml',
+          isFirstParty: true
         }
       ];
 
-      const result = await expandActionReferences(mockOctokit, actions, {
-        workspaceDir: '/tmp/phase4-reusable-local-workspace',
-        expansionCache: new Map(),
-        expansionStack: new Set()
-      });
-
-      expect(result.some(action => action.uses === 'local-owner/local-action@v4')).toBe(true);
-    });
+      const result = await checkAllActions(mockOctokit, actions);
 
-    test('should skip remote docker actions without reporting as unsupported', async () => {
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
-        const files = {
-          'action.yml': `
-name: Docker Action
-runs:
-  using: docker
-  image: Dockerfile
-`
-        };
+      // Should not call API for first-party actions
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
 
-        if (!files[remotePath]) {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
-        }
+      // Global firstParty array should have 2 unique entries
+      expect(result.firstParty).toHaveLength(2);
+      expect(result.firstParty[0].uses).toBe('actions/checkout@v4');
+      expect(result.firstParty[1].uses).toBe('actions/setup-node@v4');
 
-        return {
-          data: {
-            type: 'file',
-            encoding: 'base64',
-            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
-          }
-        };
-      });
+      // byWorkflow should also have 2 unique entries (deduplicated within workflow)
+      expect(result.byWorkflow['ci.yml'].firstParty).toHaveLength(2);
+      expect(result.byWorkflow['ci.yml'].firstParty[0].uses).toBe('actions/checkout@v4');
+      expect(result.byWorkflow['ci.yml'].firstParty[1].uses).toBe('actions/setup-node@v4');
+    });
 
+    test('should check first-party actions via API when includeFirstParty is true', async () => {
       const actions = [
+        {
+          uses: 'actions/checkout@v4',
+          owner: 'actions',
+          repo: 'checkout',
+          ref: 'v4',
+          workflowFile: 'workflow1.yml',
+          isFirstParty: true
+        },
         {
           uses: 'owner/repo@v1',
           owner: 'owner',
           repo: 'repo',
-          actionPath: '',
           ref: 'v1',
-          workflowFile: 'ci.yml',
-          supported: true,
+          workflowFile: 'workflow1.yml',
           isFirstParty: false
         }
       ];
 
-      const result = await expandRemoteReference(mockOctokit, actions[0], {
-        workspaceDir: '/tmp/workspace',
-        expansionCache: new Map(),
-        expansionStack: new Set()
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
       });
 
-      expect(result).toEqual([]);
-    });
+      const result = await checkAllActions(mockOctokit, actions, true);
 
-    test('should not report node-based remote actions as unsupported', async () => {
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
-        const files = {
-          'action.yml': `
-name: Node Action
-runs:
-  using: node24
-  main: index.js
-`
-        };
+      // Should call API for both actions
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(2);
 
-        if (!files[remotePath]) {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
-        }
+      // firstParty array should contain the checked first-party action with allowed/reason
+      expect(result.firstParty).toHaveLength(1);
+      expect(result.firstParty[0].owner).toBe('actions');
+      expect(result.firstParty[0].allowed).toBe(true);
+      expect(result.firstParty[0].message).toBe('Immutable release');
 
-        return {
-          data: {
-            type: 'file',
-            encoding: 'base64',
-            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
-          }
-        };
-      });
+      // Both should be in immutable array
+      expect(result.immutable).toHaveLength(2);
 
-      const actions = [
+      // First-party action should preserve isFirstParty flag
+      const checkoutAction = result.immutable.find(a => a.owner === 'actions');
+      expect(checkoutAction.isFirstParty).toBe(true);
+      const thirdPartyAction = result.immutable.find(a => a.owner === 'owner');
+      expect(thirdPartyAction.isFirstParty).toBe(false);
+
+      // byWorkflow should have no firstParty, both in immutable
+      expect(result.byWorkflow['workflow1.yml'].firstParty).toHaveLength(0);
+      expect(result.byWorkflow['workflow1.yml'].immutable).toHaveLength(2);
+    });
+
+    test('should report first-party actions as mutable when includeFirstParty is true and release is mutable', async () => {
+      const actions = [
+        {
+          uses: 'actions/checkout@v4',
+          owner: 'actions',
+          repo: 'checkout',
+          ref: 'v4',
+          workflowFile: 'ci.yml',
+          isFirstParty: true
+        }
+      ];
+
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: false }
+      });
+
+      const result = await checkAllActions(mockOctokit, actions, true);
+
+      // firstParty should have the action with allowed: false
+      expect(result.firstParty).toHaveLength(1);
+      expect(result.firstParty[0].allowed).toBe(false);
+      expect(result.firstParty[0].message).toBe('Mutable release');
+      expect(result.mutable).toHaveLength(1);
+      expect(result.mutable[0].owner).toBe('actions');
+      expect(result.byWorkflow['ci.yml'].mutable).toHaveLength(1);
+    });
+
+    test('should report unsupported references separately', async () => {
+      const actions = [
+        {
+          uses: './local-action',
+          supported: false,
+          unsupportedType: 'local-action',
+          message: 'Unsupported reference type: local action',
+          workflowFile: 'workflow1.yml'
+        },
+        {
+          uses: 'docker://alpine:3.8',
+          supported: false,
+          unsupportedType: 'protocol',
+          message: 'Unsupported reference type: docker://',
+          workflowFile: 'workflow1.yml'
+        },
         {
           uses: 'owner/repo@v1',
           owner: 'owner',
           repo: 'repo',
-          actionPath: '',
           ref: 'v1',
+          supported: true,
+          workflowFile: 'workflow1.yml',
+          isFirstParty: false
+        }
+      ];
+
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
+      });
+
+      const result = await checkAllActions(mockOctokit, actions);
+
+      expect(result.unsupported).toHaveLength(2);
+      expect(result.unsupported[0].uses).toBe('./local-action');
+      expect(result.unsupported[1].uses).toBe('docker://alpine:3.8');
+      expect(result.immutable).toHaveLength(1);
+      expect(result.mutable).toHaveLength(0);
+      expect(result.byWorkflow['workflow1.yml'].unsupported).toHaveLength(2);
+    });
+  });
+
+  describe('release suggestions', () => {
+    const releases = [
+      { tag_name: 'v3.0.0', immutable: true },
+      { tag_name: 'v2.2.0', immutable: true },
+      { tag_name: 'v2.1.1', immutable: true },
+      { tag_name: 'v2.1.0', immutable: false },
+      { tag_name: 'v2.3.0', immutable: true, draft: true },
+      { tag_name: 'v2.4.0-rc.1', immutable: true, prerelease: true },
+      { tag_name: 'v2', immutable: true }
+    ];
+
+    test('should parse version-like tags', () => {
+      expect(parseVersionTag('v2')).toEqual([2]);
+      expect(parseVersionTag('v2.1')).toEqual([2, 1]);
+      expect(parseVersionTag('2.1.0')).toEqual([2, 1, 0]);
+      expect(parseVersionTag('main')).toBeNull();
+      expect(parseVersionTag('v2.1.0-beta')).toBeNull();
+    });
+
+    test('should suggest the newest immutable release in the same line for moving tags', () => {
+      expect(findNearestImmutableRelease('v2', releases)).toBe('v2.2.0');
+      expect(findNearestImmutableRelease('v2.1', releases)).toBe('v2.1.1');
+      expect(findNearestImmutableRelease('v1', releases)).toBeNull();
+    });
+
+    test('should suggest the nearest newer immutable release in the same major for full versions', () => {
+      expect(findNearestImmutableRelease('v2.1.0', releases)).toBe('v2.1.1');
+      expect(findNearestImmutableRelease('v2.2.0', releases)).toBeNull();
+    });
+
+    test('should suggest the newest immutable release for branches', () => {
+      expect(findNearestImmutableRelease('main', releases)).toBe('v3.0.0');
+      expect(findNearestImmutableRelease('main', [])).toBeNull();
+    });
+
+    test('should list releases once per repository', async () => {
+      mockOctokit.rest.repos.listReleases.mockResolvedValue({ data: releases });
+      const cache = new Map();
+      const action = { uses: 'Owner/Repo/sub@v2', owner: 'Owner', repo: 'Repo', ref: 'v2' };
+
+      expect(await suggestImmutableRelease(mockOctokit, action, cache)).toEqual({
+        tag: 'v2.2.0',
+        uses: 'Owner/Repo/sub@v2.2.0'
+      });
+      await suggestImmutableRelease(mockOctokit, { ...action, owner: 'owner', repo: 'repo' }, cache);
+      expect(mockOctokit.rest.repos.listReleases).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listReleases, {
+        owner: 'Owner',
+        repo: 'Repo',
+        per_page: 100
+      });
+    });
+
+    test('should consider releases past the first page', async () => {
+      const olderReleases = Array.from({ length: 100 }, (_, index) => ({
+        tag_name: `v1.0.${index}`,
+        immutable: false
+      }));
+      mockOctokit.rest.repos.listReleases.mockImplementation(async ({ page }) => ({
+        data: page === 1 ? olderReleases : [{ tag_name: 'v1.1.0', immutable: true }]
+      }));
+
+      const suggestion = await suggestImmutableRelease(mockOctokit, {
+        uses: 'owner/repo@v1',
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'v1'
+      });
+
+      expect(suggestion).toEqual({ tag: 'v1.1.0', uses: 'owner/repo@v1.1.0' });
+      expect(mockOctokit.rest.repos.listReleases).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not suggest anything when releases cannot be listed', async () => {
+      mockOctokit.rest.repos.listReleases.mockRejectedValue(new Error('Not Found'));
+
+      const suggestion = await suggestImmutableRelease(mockOctokit, {
+        uses: 'o/r@v1',
+        owner: 'o',
+        repo: 'r',
+        ref: 'v1'
+      });
+
+      expect(suggestion).toBeNull();
+      expect(mockCore.info).toHaveBeenCalledWith('Could not list releases for o/r: Not Found');
+    });
+
+    test('should attach suggestions to mutable results only', async () => {
+      mockOctokit.rest.repos.listReleases.mockResolvedValue({ data: releases });
+      mockOctokit.rest.repos.getReleaseByTag
+        .mockResolvedValueOnce({ data: { immutable: false } })
+        .mockResolvedValueOnce({ data: { immutable: true } });
+      const actions = [
+        { uses: 'owner/repo@v2', owner: 'owner', repo: 'repo', ref: 'v2', workflowFile: 'ci.yml' },
+        { uses: 'owner/repo@v2.2.0', owner: 'owner', repo: 'repo', ref: 'v2.2.0', workflowFile: 'ci.yml' }
+      ];
+
+      const result = await checkAllActions(mockOctokit, actions);
+
+      expect(result.mutable[0].suggestion).toEqual({ tag: 'v2.2.0', uses: 'owner/repo@v2.2.0' });
+      expect(result.byWorkflow['ci.yml'].mutable[0].suggestion.tag).toBe('v2.2.0');
+      expect(result.immutable[0].suggestion).toBeUndefined();
+      expect(formatAnnotationMessage(result.mutable[0], null)).toBe(
+        'owner/repo@v2 (Mutable release)\nSuggested immutable release: owner/repo@v2.2.0'
+      );
+    });
+  });
+
+  describe('concurrency', () => {
+    test('should keep input order while limiting calls in flight', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, index) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        inFlight--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(maxInFlight).toBe(2);
+      expect(await mapWithConcurrency([], 8, async item => item)).toEqual([]);
+    });
+
+    test('should parse positive integer limits', () => {
+      expect(parseConcurrency('4')).toBe(4);
+      expect(parseConcurrency(16)).toBe(16);
+      expect(() => parseConcurrency('0')).toThrow('must be a positive integer');
+      expect(() => parseConcurrency('2.5')).toThrow('must be a positive integer');
+      expect(() => parseConcurrency('')).toThrow('must be a positive integer');
+    });
+
+    test('should categorize concurrent checks in reference order and share release listings', async () => {
+      const actions = ['v1', 'v2', 'v3'].map(ref => ({
+        uses: `owner/repo@${ref}`,
+        owner: 'owner',
+        repo: 'repo',
+        ref,
+        workflowFile: 'ci.yml'
+      }));
+      const delays = { v1: 30, v2: 0, v3: 10 };
+      mockOctokit.rest.repos.getReleaseByTag.mockImplementation(async ({ tag }) => {
+        await new Promise(resolve => setTimeout(resolve, delays[tag]));
+        return { data: { immutable: false } };
+      });
+
+      const result = await checkAllActions(mockOctokit, actions, false, { concurrency: 3 });
+
+      expect(result.mutable.map(action => action.ref)).toEqual(['v1', 'v2', 'v3']);
+      expect(result.byWorkflow['ci.yml'].mutable.map(action => action.ref)).toEqual(['v1', 'v2', 'v3']);
+      expect(mockOctokit.rest.repos.listReleases).toHaveBeenCalledTimes(1);
+    });
+
+    test('should expand each distinct reference once and keep expanded references next to their parent', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ owner, repo }) => {
+        const metadata =
+          owner === 'owner'
+            ? `runs:\n  using: composite\n  steps:\n    - uses: nested/${repo}@v1\n`
+            : 'runs:\n  using: node24\n';
+        return { data: { type: 'file', encoding: 'base64', content: Buffer.from(metadata).toString('base64') } };
+      });
+      const createAction = (repo, workflowFile) => ({
+        uses: `owner/${repo}@v1`,
+        owner: 'owner',
+        repo,
+        actionPath: '',
+        ref: 'v1',
+        workflowFile,
+        supported: true,
+        isFirstParty: false
+      });
+
+      const result = await expandActionReferences(
+        mockOctokit,
+        [createAction('a', 'ci.yml'), createAction('b', 'ci.yml'), createAction('a', 'deploy.yml')],
+        { workspaceDir: '/tmp/workspace', concurrency: 4, expansionCache: new Map(), expansionStack: new Set() }
+      );
+
+      expect(result.map(action => [action.uses, action.workflowFile])).toEqual([
+        ['owner/a@v1', 'ci.yml'],
+        ['nested/a@v1', 'ci.yml'],
+        ['owner/b@v1', 'ci.yml'],
+        ['nested/b@v1', 'ci.yml'],
+        ['owner/a@v1', 'deploy.yml'],
+        ['nested/a@v1', 'deploy.yml']
+      ]);
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('result cache', () => {
+    const cacheDir = '/tmp/test-result-cache';
+    const cachePath = path.join(cacheDir, 'cache.json');
+    const now = new Date('2026-01-01T00:00:00Z');
+    const hoursLater = hours => new Date(now.getTime() + hours * 3600000);
+
+    afterEach(() => {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    test('should parse non-negative integer TTLs', () => {
+      expect(parseCacheTtl('12')).toBe(12);
+      expect(parseCacheTtl(0)).toBe(0);
+      expect(() => parseCacheTtl('-1')).toThrow('must be a non-negative integer number of hours');
+      expect(() => parseCacheTtl('soon')).toThrow('must be a non-negative integer number of hours');
+    });
+
+    test('should keep permanent entries and expire the others after the TTL', () => {
+      const cache = loadResultCache(cachePath, { ttlHours: 2, now });
+      expect(mockCore.info).toHaveBeenCalledWith(
+        `Result cache file not found, starting with an empty cache: ${cachePath}`
+      );
+
+      setCachedResult(cache, 'immutability', 'owner/repo@v1.0.0', { immutable: true }, true);
+      setCachedResult(cache, 'immutability', 'owner/repo@v1', { immutable: false }, false);
+      setCachedResult(
+        cache,
+        'expansion',
+        'owner/repo/sub@v1.0.0',
+        [{ uses: `pinned/action@${'a'.repeat(40)}` }],
+        false
+      );
+      setCachedResult(cache, 'expansion', 'owner/repo/other@v1.0.0', [{ uses: 'owner/repo@v1' }], false);
+      expect(saveResultCache(cache)).toBe(true);
+
+      const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      expect(stored.expansion['owner/repo/sub@v1.0.0'].expiresAt).toBeUndefined();
+      expect(stored.expansion['owner/repo/other@v1.0.0'].expiresAt).toBe('2026-01-01T02:00:00.000Z');
+
+      const reloaded = loadResultCache(cachePath, { ttlHours: 2, now: hoursLater(3) });
+      expect(getCachedResult(reloaded, 'immutability', 'owner/repo@v1.0.0')).toEqual({ immutable: true });
+      expect(getCachedResult(reloaded, 'immutability', 'owner/repo@v1')).toBeUndefined();
+      expect(getCachedResult(reloaded, 'immutability', 'owner/repo@v2')).toBeUndefined();
+      expect(mockCore.info).toHaveBeenCalledWith('Result cache hit: owner/repo@v1.0.0');
+      expect(mockCore.info).toHaveBeenCalledWith('Result cache miss: owner/repo@v1 (expired 2026-01-01T02:00:00.000Z)');
+      expect(mockCore.info).toHaveBeenCalledWith('Result cache miss: owner/repo@v2');
+      expect(formatResultCacheStats(reloaded)).toBe('Result cache: 1 hit(s), 2 miss(es) (1 expired), 0 stored');
+
+      const noTtl = loadResultCache(cachePath, { ttlHours: 0, now });
+      setCachedResult(noTtl, 'immutability', 'owner/repo@main', { immutable: false }, false);
+      expect(noTtl.entries.immutability['owner/repo@main']).toBeUndefined();
+    });
+
+    test('should ignore incompatible files and expansions stored with other settings', () => {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify({ version: 99 }));
+      expect(loadResultCache(cachePath).entries).toEqual({ immutability: {}, expansion: {} });
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Ignoring result cache file ${cachePath} with unsupported version: 99`
+      );
+
+      const cache = loadResultCache(cachePath, { settings: { trustedOwners: ['my-org'] }, now });
+      setCachedResult(cache, 'immutability', 'owner/repo@v1.0.0', { immutable: true }, true);
+      setCachedResult(cache, 'expansion', 'owner/repo@v1.0.0', [], true);
+      saveResultCache(cache);
+
+      const reloaded = loadResultCache(cachePath, { settings: { trustedOwners: ['other-org'] }, now });
+      expect(Object.keys(reloaded.entries.immutability)).toEqual(['owner/repo@v1.0.0']);
+      expect(reloaded.entries.expansion).toEqual({});
+      expect(mockCore.info).toHaveBeenCalledWith(
+        'Discarding cached expansions stored with different trusted owners or exclude patterns'
+      );
+    });
+
+    test('should reuse cached release results and expansions across runs', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ owner }) => {
+        const metadata =
+          owner === 'owner'
+            ? 'runs:\n  using: composite\n  steps:\n    - uses: nested/b@v1\n'
+            : 'runs:\n  using: node24\n';
+        return { data: { type: 'file', encoding: 'base64', content: Buffer.from(metadata).toString('base64') } };
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockImplementation(async ({ owner }) => ({
+        data: { immutable: owner === 'owner' }
+      }));
+      const actions = [
+        {
+          uses: 'owner/a@v1.0.0',
+          owner: 'owner',
+          repo: 'a',
+          actionPath: '',
+          ref: 'v1.0.0',
           workflowFile: 'ci.yml',
           supported: true,
           isFirstParty: false
         }
       ];
+      const check = async resultCache => {
+        const result = await expandAndCheckActions(mockOctokit, actions, {
+          workspaceDir: '/tmp/workspace',
+          resultCache
+        });
+        saveResultCache(resultCache);
+        return result;
+      };
 
-      const result = await expandRemoteReference(mockOctokit, actions[0], {
-        workspaceDir: '/tmp/workspace',
-        expansionCache: new Map(),
-        expansionStack: new Set()
+      const firstRun = await check(loadResultCache(cachePath, { ttlHours: 24, now }));
+      expect(firstRun.immutable.map(action => action.uses)).toEqual(['owner/a@v1.0.0']);
+      expect(firstRun.mutable.map(action => action.uses)).toEqual(['nested/b@v1']);
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(2);
+
+      const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      expect(stored.immutability['owner/a@v1.0.0'].expiresAt).toBeUndefined();
+      expect(stored.immutability['nested/b@v1'].expiresAt).toBe('2026-01-02T00:00:00.000Z');
+      expect(stored.expansion['owner/a@v1.0.0'].expiresAt).toBe('2026-01-02T00:00:00.000Z');
+      expect(stored.expansion['nested/b@v1'].expiresAt).toBe('2026-01-02T00:00:00.000Z');
+
+      jest.clearAllMocks();
+      const cachedCache = loadResultCache(cachePath, { ttlHours: 24, now: hoursLater(1) });
+      const secondRun = await check(cachedCache);
+      expect(secondRun.mutable).toEqual(
+        expect.arrayContaining([expect.objectContaining({ uses: 'nested/b@v1', entrypointUses: 'owner/a@v1.0.0' })])
+      );
+      expect(mockOctokit.rest.repos.getContent).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(formatResultCacheStats(cachedCache)).toBe('Result cache: 3 hit(s), 0 miss(es) (0 expired), 0 stored');
+
+      jest.clearAllMocks();
+      await check(loadResultCache(cachePath, { ttlHours: 24, now: hoursLater(25) }));
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledWith({ owner: 'nested', repo: 'b', tag: 'v1' });
+    });
+
+    test('should not cache results hit by API errors', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue(
+        Object.assign(new Error('Server Error'), { status: 502 })
+      );
+      const cache = loadResultCache(cachePath, { now });
+
+      const result = await checkAllActions(
+        mockOctokit,
+        [{ uses: 'owner/a@v1', owner: 'owner', repo: 'a', ref: 'v1', workflowFile: 'ci.yml' }],
+        false,
+        { resultCache: cache }
+      );
+
+      expect(result.errored).toHaveLength(1);
+      expect(cache.entries.immutability).toEqual({});
+    });
+  });
+
+  describe('repository scans', () => {
+    const sha = 'c'.repeat(40);
+    const encode = content => ({
+      data: { type: 'file', encoding: 'base64', content: Buffer.from(content).toString('base64') }
+    });
+    const mockRemoteRepositories = workflowsByRepository => {
+      mockOctokit.rest.repos.getCommit.mockImplementation(async ({ ref }) => {
+        if (ref === 'heads/main') {
+          return { data: { sha } };
+        }
+        throw Object.assign(new Error('Not Found'), { status: 404 });
+      });
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ repo, path: filePath }) => {
+        const workflows = workflowsByRepository[repo];
+        if (!workflows) {
+          throw Object.assign(new Error('Forbidden'), { status: 403 });
+        }
+        if (filePath === '.github/workflows') {
+          return { data: [...Object.keys(workflows), 'README.md'].map(name => ({ name, type: 'file' })) };
+        }
+        const workflowName = filePath.replace('.github/workflows/', '');
+        if (workflows[workflowName]) {
+          return encode(workflows[workflowName]);
+        }
+        return encode('runs:\n  using: node24\n');
       });
+    };
 
-      expect(result).toEqual([]);
+    test('should resolve local references against the remote repository', () => {
+      const repository = { owner: 'owner', repo: 'repo', ref: sha };
+
+      expect(resolveRemoteLocalUses('./.github/actions/build', repository)).toBe(
+        `owner/repo/.github/actions/build@${sha}`
+      );
+      expect(resolveRemoteLocalUses('./', repository)).toBe(`owner/repo@${sha}`);
+      expect(resolveRemoteLocalUses('./nested', repository, 'actions/setup')).toBe(
+        `owner/repo/actions/setup/nested@${sha}`
+      );
+    });
+
+    test('should select workflow files by name and pattern', () => {
+      const files = ['ci.yml', 'deploy-prod.yml', 'release.yaml'];
+
+      expect(selectWorkflowFiles(files, '', '')).toEqual(files);
+      expect(selectWorkflowFiles(files, 'deploy-*.yml,ci.yml', '')).toEqual(['deploy-prod.yml', 'ci.yml']);
+      expect(selectWorkflowFiles(files, '', 'release.yaml')).toEqual(['ci.yml', 'deploy-prod.yml']);
+      expect(selectWorkflowFiles(files, 'missing.yml', '', { quiet: true })).toEqual([]);
+      expect(mockCore.warning).not.toHaveBeenCalled();
+    });
+
+    test('should extract workflow actions from a remote repository at its default branch', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockRemoteRepositories({
+        repo: {
+          'ci.yml': [
+            'on: push',
+            'jobs:',
+            '  build:',
+            '    runs-on: ubuntu-latest',
+            '    steps:',
+            '      - uses: vendor/action@v1',
+            '      - uses: ./.github/actions/build'
+          ].join('\n')
+        }
+      });
+
+      const scan = await extractActionsFromRemoteRepository(
+        mockOctokit,
+        { owner: 'owner', repo: 'repo' },
+        { qualifyWorkflowFiles: true }
+      );
+
+      expect(mockOctokit.rest.repos.get).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo' });
+      expect(scan).toMatchObject({ repository: 'owner/repo', ref: 'main', sha, workflowFiles: ['ci.yml'] });
+      expect(scan.actions.map(action => [action.uses, action.workflowFile, action.filePath, action.line])).toEqual([
+        ['vendor/action@v1', 'owner/repo:ci.yml', '.github/workflows/ci.yml', 6],
+        [`owner/repo/.github/actions/build@${sha}`, 'owner/repo:ci.yml', '.github/workflows/ci.yml', 7]
+      ]);
+      expect(await listRemoteWorkflowFiles(mockOctokit, 'owner', 'repo', sha)).toEqual(['ci.yml']);
+    });
+
+    test('should parse organization and repository patterns', () => {
+      expect(parseRepositoryPatterns('', 'my-org')).toEqual(['my-org/*']);
+      expect(parseRepositoryPatterns('service-*, other-org/api', 'my-org')).toEqual([
+        'my-org/service-*',
+        'other-org/api'
+      ]);
+      expect(parseRepositoryPatterns(['owner/repo'])).toEqual(['owner/repo']);
+      expect(parseRepositoryPatterns('')).toEqual([]);
+      expect(() => parseRepositoryPatterns('repo')).toThrow('repo is not an owner/repo name or pattern');
+      expect(() => parseRepositoryPatterns('owner/repo@main')).toThrow(
+        'owner/repo@main is not an owner/repo name or pattern'
+      );
+    });
+
+    test('should list repositories matching glob patterns and skip archived ones', async () => {
+      mockOctokit.paginate.mockImplementation(async (method, params) => {
+        if (method === mockOctokit.rest.repos.listForUser) {
+          return [{ name: 'dotfiles', default_branch: 'main' }];
+        }
+        if (params.org === 'someone') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return [
+          { name: 'service-a', default_branch: 'main' },
+          { name: 'service-b', default_branch: 'trunk', archived: true },
+          { name: 'website', default_branch: 'main' }
+        ];
+      });
+
+      const repositories = await resolveScanRepositories(mockOctokit, [
+        'my-org/service-*',
+        'my-org/*',
+        'someone/*',
+        'other/api'
+      ]);
+
+      expect(repositories).toEqual([
+        { owner: 'my-org', repo: 'service-a', ref: 'main' },
+        { owner: 'my-org', repo: 'website', ref: 'main' },
+        { owner: 'someone', repo: 'dotfiles', ref: 'main' },
+        { owner: 'other', repo: 'api' }
+      ]);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listForOrg, {
+        org: 'my-org',
+        per_page: 100
+      });
+      expect(mockOctokit.paginate).toHaveBeenCalledTimes(3);
+    });
+
+    test('should check all repositories together and roll up the most-used mutable actions', async () => {
+      const workflow = uses =>
+        `on: push\njobs:\n  build:\n    runs-on: ubuntu-latest\n    steps:\n${uses.map(u => `      - uses: ${u}\n`).join('')}`;
+      mockRemoteRepositories({
+        a: { 'ci.yml': workflow(['vendor/action@v1', 'other/tool@v2']), 'deploy.yml': workflow(['vendor/action@v1']) },
+        b: { 'ci.yml': workflow(['vendor/action@v1', 'safe/action@v1.0.0']) }
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockImplementation(async ({ owner }) => ({
+        data: { immutable: owner === 'safe' }
+      }));
+
+      const results = await scanRepositories(
+        mockOctokit,
+        [
+          { owner: 'org', repo: 'a', ref: 'main' },
+          { owner: 'org', repo: 'b', ref: 'main' },
+          { owner: 'org', repo: 'locked', ref: 'main' }
+        ],
+        { workspaceDir: '/tmp/workspace' }
+      );
+
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(3);
+      expect(Object.keys(results.byWorkflow)).toEqual(['org/a:ci.yml', 'org/a:deploy.yml', 'org/b:ci.yml']);
+      expect(results.repositories).toEqual([
+        expect.objectContaining({ repository: 'org/a', workflows: ['ci.yml', 'deploy.yml'], mutable: 2, immutable: 0 }),
+        expect.objectContaining({ repository: 'org/b', workflows: ['ci.yml'], mutable: 1, immutable: 1 }),
+        {
+          repository: 'org/locked',
+          workflows: [],
+          immutable: 0,
+          waived: 0,
+          mutable: 0,
+          mismatched: 0,
+          errored: 0,
+          unsupported: 0,
+          error: 'Forbidden'
+        }
+      ]);
+      expect(results.rollup).toEqual([
+        { uses: 'vendor/action@v1', message: 'Mutable release', repositories: ['org/a', 'org/b'], workflows: 3 },
+        { uses: 'other/tool@v2', message: 'Mutable release', repositories: ['org/a'], workflows: 1 }
+      ]);
+      expect(buildMutableActionRollup({})).toEqual([]);
     });
   });
 
-  describe('Action execution', () => {
-    const testWorkspaceDir = '/tmp/test-action-workspace';
-    const testWorkflowsDir = path.join(testWorkspaceDir, '.github', 'workflows');
+  describe('diff base', () => {
+    test('should compare local references by path, including ones resolved to the base commit', () => {
+      const baseRepository = { owner: 'Owner', repo: 'repo', sha: 'b'.repeat(40) };
 
-    beforeEach(() => {
-      // Set workspace
-      process.env.GITHUB_WORKSPACE = testWorkspaceDir;
+      expect(getDiffReferenceKey('ci.yml', `owner/repo/.github/actions/build@${'b'.repeat(40)}`, baseRepository)).toBe(
+        getDiffReferenceKey('ci.yml', './.github/actions/build/')
+      );
+      expect(getDiffReferenceKey('ci.yml', `owner/repo@${'b'.repeat(40)}`, baseRepository)).toBe(
+        getDiffReferenceKey('ci.yml', './')
+      );
+      expect(getDiffReferenceKey('ci.yml', 'owner/repo/.github/actions/build@main', baseRepository)).not.toBe(
+        getDiffReferenceKey('ci.yml', './.github/actions/build')
+      );
+      expect(getDiffReferenceKey('ci.yml', 'vendor/action@v1')).not.toBe(
+        getDiffReferenceKey('deploy.yml', 'vendor/action@v1')
+      );
+    });
 
-      // Create test directory structure
-      if (!fs.existsSync(testWorkflowsDir)) {
-        fs.mkdirSync(testWorkflowsDir, { recursive: true });
-      }
+    test('should mark findings whose workflow did not use the reference in the base as introduced', () => {
+      const finding = uses => ({ uses, message: 'Mutable release' });
+      const results = {
+        mutable: [finding('vendor/action@v1'), finding('vendor/new@v1')],
+        immutable: [finding('vendor/safe@v1.0.0')],
+        mismatched: [],
+        errored: [],
+        unsupported: [],
+        byWorkflow: {
+          'ci.yml': {
+            mutable: [finding('vendor/action@v1')],
+            immutable: [finding('vendor/safe@v1.0.0')],
+            mismatched: [],
+            errored: [],
+            unsupported: []
+          },
+          'deploy.yml': {
+            mutable: [finding('vendor/action@v1'), finding('vendor/new@v1')],
+            immutable: [],
+            mismatched: [],
+            errored: [],
+            unsupported: []
+          }
+        }
+      };
+      const baseReferences = new Set([
+        getDiffReferenceKey('ci.yml', 'vendor/action@v1'),
+        getDiffReferenceKey('deploy.yml', 'vendor/new@v1')
+      ]);
 
-      // Create a test workflow
-      const workflowContent = `
-name: CI
-on: push
-jobs:
+      const marked = markIntroducedFindings(results, baseReferences);
+
+      expect(marked.byWorkflow['ci.yml'].mutable[0].introduced).toBe(false);
+      expect(marked.byWorkflow['deploy.yml'].mutable.map(action => action.introduced)).toEqual([true, false]);
+      expect(marked.mutable.map(action => action.introduced)).toEqual([true, false]);
+      expect(marked.immutable[0]).not.toHaveProperty('introduced');
+      expect(results.mutable[0]).not.toHaveProperty('introduced');
+    });
+  });
+
+  describe('baseline', () => {
+    const location = (jobName, stepName) => ({ workflowFile: 'ci.yml', jobName, stepName, line: 10 });
+    const finding = (uses, sourceLocations) => ({ uses, message: 'Mutable release', sourceLocations });
+    const createResults = byWorkflowMutable => ({
+      mutable: byWorkflowMutable.map(action => ({ ...action, sourceLocations: undefined })),
+      unsupported: [],
+      byWorkflow: { 'ci.yml': { mutable: byWorkflowMutable, unsupported: [], immutable: [] } }
+    });
+
+    test('should create sorted entries for every job and step using a finding', () => {
+      const results = createResults([
+        finding('vendor/b@v1', [location('build', 'Deploy')]),
+        finding('vendor/a@v1', [location('test', 'Setup'), location('build', 'Setup')])
+      ]);
+
+      expect(createBaseline(results.byWorkflow)).toEqual({
+        version: 1,
+        findings: [
+          { workflow: 'ci.yml', job: 'build', step: 'Deploy', uses: 'vendor/b@v1' },
+          { workflow: 'ci.yml', job: 'build', step: 'Setup', uses: 'vendor/a@v1' },
+          { workflow: 'ci.yml', job: 'test', step: 'Setup', uses: 'vendor/a@v1' }
+        ]
+      });
+    });
+
+    test('should only baseline findings whose every job and step is recorded and report fixed entries', () => {
+      const results = createResults([
+        finding('vendor/a@v1', [location('test', 'Setup')]),
+        finding('vendor/b@v1', [location('test', 'Deploy'), location('release', 'Deploy')])
+      ]);
+      const entries = [
+        { workflow: 'ci.yml', job: 'test', step: 'Setup', uses: 'vendor/a@v1' },
+        { workflow: 'ci.yml', job: 'test', step: 'Deploy', uses: 'vendor/b@v1' },
+        { workflow: 'ci.yml', job: 'test', step: 'Removed', uses: 'vendor/c@v1' }
+      ];
+
+      const { results: marked, fixed } = applyBaseline(results, entries);
+
+      expect(marked.byWorkflow['ci.yml'].mutable.map(action => action.baselined)).toEqual([true, false]);
+      expect(marked.mutable.map(action => action.baselined)).toEqual([true, false]);
+      expect(fixed).toEqual([entries[2]]);
+      expect(results.mutable[0]).not.toHaveProperty('baselined');
+    });
+
+    test('should match steps on their id or position rather than their name', () => {
+      const recorded = createResults([
+        finding('vendor/a@v1', [
+          { ...location('test', 'Deploy'), stepId: 'deploy' },
+          { ...location('test', 'unnamed step'), stepId: '#2' }
+        ])
+      ]);
+      const entries = createBaseline(recorded.byWorkflow).findings;
+
+      expect(entries).toEqual([
+        { workflow: 'ci.yml', job: 'test', step: 'unnamed step', stepId: '#2', uses: 'vendor/a@v1' },
+        { workflow: 'ci.yml', job: 'test', step: 'Deploy', stepId: 'deploy', uses: 'vendor/a@v1' }
+      ]);
+
+      const renamed = createResults([
+        finding('vendor/a@v1', [
+          { ...location('test', 'Deploy to production'), stepId: 'deploy' },
+          { ...location('test', 'unnamed step'), stepId: '#2' }
+        ])
+      ]);
+      expect(applyBaseline(renamed, entries).results.mutable[0].baselined).toBe(true);
+
+      const newUnnamedStep = createResults([
+        finding('vendor/a@v1', [
+          { ...location('test', 'Deploy'), stepId: 'deploy' },
+          { ...location('test', 'unnamed step'), stepId: '#2' },
+          { ...location('test', 'unnamed step'), stepId: '#3' }
+        ])
+      ]);
+      expect(applyBaseline(newUnnamedStep, entries).results.mutable[0].baselined).toBe(false);
+    });
+
+    test('should write and validate baseline files', () => {
+      const baselinePath = '/tmp/test-baseline/baseline.json';
+      const baseline = {
+        version: 1,
+        findings: [
+          { workflow: 'ci.yml', job: 'test', step: 'Setup', uses: 'vendor/a@v1' },
+          { workflow: 'ci.yml', job: 'test', step: 'unnamed step', stepId: '#3', uses: 'vendor/b@v1' }
+        ]
+      };
+
+      writeBaselineFile(baselinePath, baseline);
+      expect(loadBaselineFile(baselinePath)).toEqual(baseline.findings);
+
+      fs.writeFileSync(baselinePath, JSON.stringify({ version: 1, findings: [{ uses: 'vendor/a@v1' }] }));
+      expect(() => loadBaselineFile(baselinePath, 'baseline.json')).toThrow(
+        'Invalid baseline file baseline.json: findings[0] must have workflow, job, step and uses strings'
+      );
+      fs.writeFileSync(
+        baselinePath,
+        JSON.stringify({
+          version: 1,
+          findings: [{ workflow: 'ci.yml', job: 'test', step: '', stepId: 3, uses: 'a/b@v1' }]
+        })
+      );
+      expect(() => loadBaselineFile(baselinePath, 'baseline.json')).toThrow(
+        'Invalid baseline file baseline.json: findings[0].stepId must be a non-empty string'
+      );
+      fs.writeFileSync(baselinePath, '[]');
+      expect(() => loadBaselineFile(baselinePath, 'baseline.json')).toThrow(
+        'Invalid baseline file baseline.json: expected { "version": 1, "findings": [...] }'
+      );
+      fs.rmSync(path.dirname(baselinePath), { recursive: true, force: true });
+    });
+  });
+
+  describe('suppression comments', () => {
+    const workspaceDir = '/tmp/test-suppression-comments';
+    const workflowsDir = path.join(workspaceDir, '.github', 'workflows');
+
+    afterEach(() => {
+      fs.rmSync(workspaceDir, { recursive: true, force: true });
+    });
+
+    test('should parse suppression comments and report malformed ones', () => {
+      expect(parseSuppressionComment(' immutable-actions: ignore reason="vendor has no releases"')).toEqual({
+        reason: 'vendor has no releases'
+      });
+      expect(parseSuppressionComment(`immutable-actions:ignore reason='internal mirror'`)).toEqual({
+        reason: 'internal mirror'
+      });
+      expect(parseSuppressionComment(' v4.2.0')).toBeNull();
+      expect(parseSuppressionComment(' immutable-actions: ignore')).toEqual({
+        error: 'expected ignore reason="..."'
+      });
+      expect(parseSuppressionComment(' immutable-actions: ignore reason=" "')).toEqual({
+        error: 'the reason must not be empty'
+      });
+      expect(parseSuppressionComment(' immutable-actions: allow reason="x"')).toEqual({
+        error: 'expected ignore reason="..."'
+      });
+    });
+
+    test('should attach suppressions on or directly above uses lines and warn about the others', () => {
+      const localActionDir = path.join(workspaceDir, '.github', 'actions', 'composite');
+      fs.mkdirSync(workflowsDir, { recursive: true });
+      fs.mkdirSync(localActionDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        `on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: vendor/trailing@main # immutable-actions: ignore reason="vendor has no releases"
+      # immutable-actions: ignore reason="internal mirror"
+      - uses: vendor/above@v1
+      - uses: vendor/plain@v1
+      - uses: ./.github/actions/composite # immutable-actions: ignore
+      # immutable-actions: ignore reason="nothing below"
+
+      - uses: vendor/gap@v1
+`
+      );
+      fs.writeFileSync(
+        path.join(localActionDir, 'action.yml'),
+        `runs:
+  using: composite
+  steps:
+    # immutable-actions: ignore reason="pinned by the platform team"
+    - uses: vendor/nested@v1
+`
+      );
+
+      const actions = extractActionsFromWorkflow(path.join(workflowsDir, 'ci.yml'), workspaceDir);
+
+      expect(actions.map(action => [action.uses, action.suppression])).toEqual([
+        ['vendor/trailing@main', { reason: 'vendor has no releases', filePath: '.github/workflows/ci.yml', line: 6 }],
+        ['vendor/above@v1', { reason: 'internal mirror', filePath: '.github/workflows/ci.yml', line: 7 }],
+        ['vendor/plain@v1', undefined],
+        [
+          'vendor/nested@v1',
+          { reason: 'pinned by the platform team', filePath: '.github/actions/composite/action.yml', line: 4 }
+        ],
+        ['vendor/gap@v1', undefined]
+      ]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Malformed suppression comment in .github/workflows/ci.yml:10: expected ignore reason="..."',
+        { title: 'Suppression comment', file: '.github/workflows/ci.yml', startLine: 10 }
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Suppression comment in .github/workflows/ci.yml:11 is not on or directly above a uses: line',
+        { title: 'Suppression comment', file: '.github/workflows/ci.yml', startLine: 11 }
+      );
+      expect(mockCore.warning).toHaveBeenCalledTimes(2);
+    });
+
+    test('should ignore suppression text inside scripts and other scalars', () => {
+      fs.mkdirSync(workflowsDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(workflowsDir, 'ci.yml'),
+        `on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - run: |
+          echo "checking"
+          # immutable-actions: ignore reason="inside the script"
+      - uses: vendor/after-script@v1
+      - name: 'Note # immutable-actions: ignore reason="in a string"'
+        uses: vendor/quoted@v1
+      - uses: vendor/real@v1 # immutable-actions: ignore reason="a real comment"
+`
+      );
+
+      const actions = extractActionsFromWorkflow(path.join(workflowsDir, 'ci.yml'), workspaceDir);
+
+      expect(actions.map(action => [action.uses, action.suppression?.reason])).toEqual([
+        ['vendor/after-script@v1', undefined],
+        ['vendor/quoted@v1', undefined],
+        ['vendor/real@v1', 'a real comment']
+      ]);
+      expect(mockCore.warning).not.toHaveBeenCalled();
+    });
+
+    test('should report suppressed findings per comment and keep other occurrences in their category', async () => {
+      const suppression = { reason: 'vendor has no releases', filePath: '.github/workflows/ci.yml', line: 6 };
+      const unusedSuppression = { reason: 'audited', filePath: '.github/workflows/ci.yml', line: 9 };
+      const reference = (uses, line, extra = {}) => {
+        const [owner, rest] = uses.split('/');
+        const [repo, ref] = rest.split('@');
+        return {
+          uses,
+          owner,
+          repo,
+          ref,
+          workflowFile: 'ci.yml',
+          jobName: 'test',
+          filePath: '.github/workflows/ci.yml',
+          line,
+          column: 15,
+          ...extra
+        };
+      };
+      const actions = [
+        reference('vendor/action@v1', 6, { suppression }),
+        reference('vendor/action@v1', 8),
+        reference('vendor/pinned@v2', 10, { suppression: unusedSuppression }),
+        { uses: 'vendor/no-ref', workflowFile: 'ci.yml', supported: false, message: 'Missing ref', suppression }
+      ];
+      mockOctokit.rest.repos.getReleaseByTag.mockImplementation(async ({ repo }) => ({
+        data: { immutable: repo === 'pinned' }
+      }));
+
+      const results = await checkAllActions(mockOctokit, actions);
+
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledTimes(2);
+      expect(results.mutable).toEqual([expect.objectContaining({ uses: 'vendor/action@v1' })]);
+      expect(results.mutable[0].locations.map(location => location.line)).toEqual([8]);
+      expect(results.immutable).toEqual([expect.objectContaining({ uses: 'vendor/pinned@v2' })]);
+      expect(results.unsupported).toEqual([]);
+      expect(results.suppressed).toEqual([
+        expect.objectContaining({ uses: 'vendor/action@v1', suppression, suppressedCategory: 'mutable' }),
+        expect.objectContaining({ uses: 'vendor/no-ref', suppression, suppressedCategory: 'unsupported' })
+      ]);
+      expect(results.suppressed[0].locations.map(location => location.line)).toEqual([6]);
+      expect(results.byWorkflow['ci.yml'].suppressed).toHaveLength(2);
+      expect(results.byWorkflow['ci.yml'].mutable).toHaveLength(1);
+      expect(getUnusedSuppressions(actions, results)).toEqual([unusedSuppression]);
+    });
+  });
+
+  describe('allowlist', () => {
+    test('should parse YAML allowlist entries', () => {
+      const allowlist = parseAllowlist(`
+- uses: some-vendor/deploy@v3
+  reason: ' Vendor has no releases '
+  expires: 2026-12-31
+`);
+
+      expect(allowlist).toEqual([
+        { uses: 'some-vendor/deploy@v3', reason: 'Vendor has no releases', expires: '2026-12-31' }
+      ]);
+      expect(parseAllowlist('')).toEqual([]);
+    });
+
+    test('should reject malformed allowlists with the offending entry', () => {
+      expect(() => parseAllowlist('uses: owner/repo@v1')).toThrow('expected a list of entries');
+      expect(() => parseAllowlist([{ uses: 'owner/repo@v1', expires: '2026-01-01' }])).toThrow(
+        `entry 1 is missing required 'reason'`
+      );
+      expect(() => parseAllowlist([{ uses: 'a/b@v1', reason: 'ok', expires: '2026-02-31' }])).toThrow(
+        `entry 1 has invalid 'expires' date: 2026-02-31`
+      );
+      expect(() => parseAllowlist(['owner/repo@v1'])).toThrow('entry 1 must be a mapping');
+    });
+
+    test('should match exact references and glob patterns', () => {
+      const allowlist = parseAllowlist([
+        { uses: 'vendor/*@v3', reason: 'glob', expires: '2026-01-01' },
+        { uses: 'other/action@main', reason: 'exact', expires: '2026-01-01' }
+      ]);
+
+      expect(findAllowlistEntry({ uses: 'vendor/deploy@v3' }, allowlist).reason).toBe('glob');
+      expect(findAllowlistEntry({ uses: 'other/action@main' }, allowlist).reason).toBe('exact');
+      expect(findAllowlistEntry({ uses: 'vendor/deploy@v4' }, allowlist)).toBeNull();
+    });
+
+    test('should keep entries valid through the end of the expiry date', () => {
+      const entry = { expires: '2026-06-30' };
+
+      expect(isAllowlistEntryExpired(entry, new Date('2026-06-30T23:59:00Z'))).toBe(false);
+      expect(isAllowlistEntryExpired(entry, new Date('2026-07-01T00:00:00Z'))).toBe(true);
+    });
+
+    test('should report allowlisted mutable actions as waived in checkAllActions', async () => {
+      const actions = [
+        { uses: 'vendor/deploy@v3', owner: 'vendor', repo: 'deploy', ref: 'v3', workflowFile: 'ci.yml' },
+        { uses: 'vendor/build@v1', owner: 'vendor', repo: 'build', ref: 'v1', workflowFile: 'ci.yml' }
+      ];
+      mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue({ status: 404 });
+
+      const result = await checkAllActions(mockOctokit, actions, false, {
+        allowlist: [{ uses: 'vendor/deploy@v3', reason: 'Audited', expires: '2026-12-31' }],
+        now: new Date('2026-10-01T00:00:00Z')
+      });
+
+      expect(result.waived).toHaveLength(1);
+      expect(result.waived[0]).toMatchObject({
+        uses: 'vendor/deploy@v3',
+        waived: true,
+        reason: 'Audited',
+        expires: '2026-12-31',
+        message: 'No release found for this reference'
+      });
+      expect(result.mutable.map(action => action.uses)).toEqual(['vendor/build@v1']);
+      expect(result.byWorkflow['ci.yml'].waived).toHaveLength(1);
+      expect(result.byWorkflow['ci.yml'].mutable).toHaveLength(1);
+    });
+
+    test('should treat expired allowlist entries as mutable and warn', async () => {
+      const actions = [
+        { uses: 'vendor/deploy@v3', owner: 'vendor', repo: 'deploy', ref: 'v3', workflowFile: 'ci.yml' }
+      ];
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      const result = await checkAllActions(mockOctokit, actions, false, {
+        allowlist: [{ uses: 'vendor/deploy@v3', reason: 'Audited', expires: '2026-01-31' }],
+        now: new Date('2026-10-01T00:00:00Z')
+      });
+
+      expect(result.waived).toHaveLength(0);
+      expect(result.mutable[0].message).toBe('Mutable release (allowlist entry expired on 2026-01-31)');
+      expect(mockCore.warning).toHaveBeenCalledWith('Allowlist entry for vendor/deploy@v3 expired on 2026-01-31');
+    });
+  });
+
+  describe('config file', () => {
+    const configDir = '/tmp/test-config-file';
+    const configPath = path.join(configDir, 'immutable-actions.yml');
+
+    beforeEach(() => {
+      fs.mkdirSync(configDir, { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should normalize all supported settings', () => {
+      expect(
+        validateConfig({
+          workflows: 'ci.yml, deploy-*.yml',
+          'exclude-workflows': ['experimental.yml'],
+          'trusted-owners': ['my-org'],
+          'include-first-party': true,
+          'fail-on-mutable': false,
+          'write-job-summary': 'on-failure-only',
+          'annotation-level': 'warning',
+          concurrency: 4,
+          'cache-file': '.cache/immutable-actions.json',
+          'cache-ttl': 12,
+          organization: 'my-org',
+          repositories: 'service-*, other-org/api',
+          'target-repository': ' vendor/tool@v2 ',
+          'diff-base': 'pull-request',
+          'baseline-file': '.github/immutable-actions-baseline.json',
+          allowlist: [{ uses: 'vendor/deploy@v3', reason: 'Audited', expires: '2026-12-31' }],
+          severity: { unsupported: 'off' }
+        })
+      ).toEqual({
+        workflows: ['ci.yml', 'deploy-*.yml'],
+        'exclude-workflows': ['experimental.yml'],
+        'trusted-owners': ['my-org'],
+        'include-first-party': true,
+        'fail-on-mutable': false,
+        'write-job-summary': 'on-failure-only',
+        'annotation-level': 'warning',
+        concurrency: 4,
+        'cache-file': '.cache/immutable-actions.json',
+        'cache-ttl': 12,
+        organization: 'my-org',
+        repositories: ['service-*', 'other-org/api'],
+        'target-repository': 'vendor/tool@v2',
+        'diff-base': 'pull-request',
+        'baseline-file': '.github/immutable-actions-baseline.json',
+        allowlist: [{ uses: 'vendor/deploy@v3', reason: 'Audited', expires: '2026-12-31' }],
+        severity: {
+          mutable: 'error',
+          branch: 'error',
+          image: 'warning',
+          mismatched: 'warning',
+          errored: 'error',
+          unsupported: 'off'
+        }
+      });
+      expect(validateConfig(null)).toEqual({});
+      expect(() => validateConfig({ concurrency: '8' })).toThrow('must be a positive integer');
+      expect(() => validateConfig({ 'cache-ttl': -1 })).toThrow('must be a non-negative integer number of hours');
+      expect(() => validateConfig({ 'target-repository': 'vendor' })).toThrow(
+        'vendor is not an owner/repo or owner/repo@ref reference'
+      );
+    });
+
+    test('should reject unknown severity categories and levels', () => {
+      expect(parseSeverityRules()).toEqual({
+        mutable: 'error',
+        branch: 'error',
+        image: 'warning',
+        mismatched: 'warning',
+        errored: 'error',
+        unsupported: 'warning'
+      });
+      expect(() => parseSeverityRules({ tag: 'error' })).toThrow('is not a known finding category');
+      expect(() => parseSeverityRules({ mutable: 'fatal' })).toThrow('must be one of: error, warning, notice, off');
+    });
+
+    test('should return an empty config when the file does not exist', () => {
+      expect(loadConfigFile(path.join(configDir, 'missing.yml'))).toEqual({});
+    });
+
+    test('should point at the offending key and line', () => {
+      fs.writeFileSync(configPath, 'workflows:\n  - ci.yml\nseverity:\n  mutable: fatal\n');
+      expect(() => loadConfigFile(configPath, '.github/immutable-actions.yml')).toThrow(
+        `Invalid config file .github/immutable-actions.yml: 'severity.mutable' must be one of: error, warning, notice, off (line 4)`
+      );
+
+      fs.writeFileSync(configPath, 'fail-on-mutable: true\nfail-on-mutabel: false\n');
+      expect(() => loadConfigFile(configPath, 'config.yml')).toThrow(
+        `Invalid config file config.yml: 'fail-on-mutabel' is not a supported setting (line 2)`
+      );
+
+      fs.writeFileSync(
+        configPath,
+        'allowlist:\n  - uses: a/b@v1\n    reason: ok\n    expires: 2026-01-01\n  - uses: c/d@v1\n    expires: 2026-01-01\n'
+      );
+      expect(() => loadConfigFile(configPath, 'config.yml')).toThrow(
+        `Invalid config file config.yml: 'allowlist' entry 2 is missing required 'reason' (non-empty string) (line 5)`
+      );
+    });
+
+    test('should report YAML syntax errors', () => {
+      fs.writeFileSync(configPath, 'workflows: [ci.yml\n');
+      expect(() => loadConfigFile(configPath, 'config.yml')).toThrow('Invalid config file config.yml:');
+    });
+
+    test('should evaluate findings against severity rules', () => {
+      const findings = { mutable: [{}], unsupported: [{}] };
+
+      expect(evaluateFindings(findings)).toEqual({ allPassed: false, failingCategories: ['mutable'] });
+      expect(evaluateFindings(findings, { mutable: 'warning', unsupported: 'off' })).toEqual({
+        allPassed: false,
+        failingCategories: []
+      });
+      expect(evaluateFindings({ mutable: [], unsupported: [{}] }, { mutable: 'error', unsupported: 'off' })).toEqual({
+        allPassed: true,
+        failingCategories: []
+      });
+    });
+
+    test('should apply the branch severity to branch references and inherit it from mutable', () => {
+      const findings = groupMutableFindings([{ referenceType: 'major-tag' }, { referenceType: 'branch' }]);
+
+      expect(findings).toEqual({
+        mutable: [{ referenceType: 'major-tag' }],
+        branch: [{ referenceType: 'branch' }],
+        image: []
+      });
+      expect(parseSeverityRules({ mutable: 'warning' }).branch).toBe('warning');
+      expect(evaluateFindings(findings, parseSeverityRules({ mutable: 'warning', branch: 'error' }))).toEqual({
+        allPassed: false,
+        failingCategories: ['branch']
+      });
+      expect(evaluateFindings({ ...findings, mutable: [] }, parseSeverityRules({ branch: 'off' }))).toEqual({
+        allPassed: true,
+        failingCategories: []
+      });
+    });
+  });
+
+  describe('SARIF report', () => {
+    const byWorkflow = {
+      'ci.yml': {
+        mutable: [
+          {
+            uses: 'owner/mutable@v1',
+            owner: 'owner',
+            repo: 'mutable',
+            ref: 'v1',
+            releaseFound: true,
+            message: 'Mutable release',
+            sourceLocations: [
+              { workflowFile: 'ci.yml', jobName: 'build', line: 12, column: 15 },
+              { workflowFile: 'ci.yml', jobName: 'test', line: 20, column: 15 }
+            ]
+          },
+          {
+            uses: 'owner/branch@main',
+            owner: 'owner',
+            repo: 'branch',
+            ref: 'main',
+            releaseFound: false,
+            referenceType: 'branch',
+            message: 'No release found for this reference (branch)',
+            sourceLocations: [{ workflowFile: 'ci.yml', line: 14, column: 15 }]
+          }
+        ],
+        waived: [
+          {
+            uses: 'vendor/deploy@v3',
+            owner: 'vendor',
+            repo: 'deploy',
+            ref: 'v3',
+            releaseFound: true,
+            message: 'Mutable release',
+            waived: true,
+            reason: 'Audited',
+            expires: '2026-12-31',
+            sourceLocations: [{ workflowFile: 'ci.yml', line: 16, column: 15 }]
+          }
+        ],
+        unsupported: [
+          {
+            uses: 'docker://alpine:3',
+            supported: false,
+            message: 'Docker references are not supported',
+            sourceLocations: []
+          }
+        ]
+      }
+    };
+
+    test('should emit one result per source location with rule IDs and levels', () => {
+      const report = buildSarifReport({ byWorkflow });
+      const { results, tool } = report.runs[0];
+
+      expect(report.version).toBe('2.1.0');
+      expect(tool.driver.name).toBe('ensure-immutable-actions');
+      expect(tool.driver.rules.map(rule => rule.id)).toEqual([
+        'mutable-release',
+        'no-release',
+        'branch-ref',
+        'unpinned-image',
+        'orphan-commit',
+        'version-comment-mismatch',
+        'api-error',
+        'unverified-reference',
+        'unsupported-reference'
+      ]);
+      expect(results.map(result => [result.ruleId, result.level])).toEqual([
+        ['mutable-release', 'error'],
+        ['mutable-release', 'error'],
+        ['branch-ref', 'error'],
+        ['mutable-release', 'error'],
+        ['unsupported-reference', 'warning']
+      ]);
+      expect(results[1].locations[0].physicalLocation).toEqual({
+        artifactLocation: { uri: '.github/workflows/ci.yml', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 20, startColumn: 15 }
+      });
+      expect(results[1].message.text).toBe('owner/mutable@v1: Mutable release');
+      expect(results[4].locations[0].physicalLocation.region).toEqual({ startLine: 1, startColumn: 1 });
+      expect(results[2].properties).toEqual({ referenceType: 'branch' });
+    });
+
+    test('should suppress waived findings and apply severity rules', () => {
+      const severityRules = parseSeverityRules({ mutable: 'notice', unsupported: 'off' });
+      const { results } = buildSarifReport({ byWorkflow }, { severityRules }).runs[0];
+
+      expect(results).toHaveLength(4);
+      expect(results.every(result => result.level === 'note')).toBe(true);
+      expect(results[3].suppressions).toEqual([{ kind: 'external', justification: 'Audited (expires 2026-12-31)' }]);
+    });
+
+    test('should report findings suppressed by inline comments with an in-source suppression', () => {
+      const suppressed = {
+        uses: 'vendor/no-ref',
+        supported: false,
+        message: 'Missing ref',
+        suppression: { reason: 'Vendored', filePath: '.github/workflows/ci.yml', line: 21 },
+        suppressedCategory: 'unsupported',
+        sourceLocations: [{ workflowFile: 'ci.yml', filePath: '.github/workflows/ci.yml', line: 22, column: 15 }]
+      };
+      const { results } = buildSarifReport({ byWorkflow: { 'ci.yml': { suppressed: [suppressed] } } }).runs[0];
+
+      expect(results).toEqual([
+        expect.objectContaining({
+          ruleId: 'unsupported-reference',
+          message: { text: 'vendor/no-ref: Missing ref' },
+          suppressions: [{ kind: 'inSource', justification: 'Vendored' }]
+        })
+      ]);
+    });
+
+    test('should write the report to disk', () => {
+      const sarifPath = '/tmp/test-sarif/nested/results.sarif';
+
+      writeSarifFile(sarifPath, buildSarifReport({ byWorkflow: {} }));
+
+      expect(JSON.parse(fs.readFileSync(sarifPath, 'utf8')).runs[0].results).toEqual([]);
+      fs.rmSync('/tmp/test-sarif', { recursive: true, force: true });
+    });
+
+    test('should expose YAML positions by key path', () => {
+      const { data, getPosition } = parseYamlWithPositions(
+        'jobs:\n  test:\n    uses: a/b/.github/workflows/c.yml@v1\n'
+      );
+
+      expect(data.jobs.test.uses).toBe('a/b/.github/workflows/c.yml@v1');
+      expect(getPosition(['jobs', 'test', 'uses'])).toEqual({ line: 3, column: 11 });
+      expect(parseYamlWithPositions('uses: a/b@c # v1.2.3\n').getPosition(['uses'])).toEqual({
+        line: 1,
+        column: 7,
+        comment: 'v1.2.3'
+      });
+      expect(getPosition(['jobs', 'missing'])).toBeNull();
+    });
+  });
+
+  describe('SHA pinning fixes', () => {
+    const sha = '0123456789abcdef0123456789abcdef01234567';
+
+    test('should resolve tags before branches to a commit SHA', async () => {
+      mockOctokit.rest.repos.getCommit.mockImplementation(async ({ ref }) => {
+        if (ref === 'heads/main') {
+          return { data: { sha } };
+        }
+        const error = new Error('Not Found');
+        error.status = 422;
+        throw error;
+      });
+
+      expect(await resolveCommitSha(mockOctokit, 'owner', 'repo', 'main')).toBe(sha);
+      expect(mockOctokit.rest.repos.getCommit).toHaveBeenNthCalledWith(1, {
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'tags/main'
+      });
+      expect(await resolveCommitSha(mockOctokit, 'owner', 'repo', 'missing')).toBeNull();
+    });
+
+    test('should pin the ref part of a uses string', () => {
+      expect(pinActionReference('owner/repo/path@v2', sha)).toBe(`owner/repo/path@${sha}`);
+    });
+
+    test('should plan fixes only for uses lines that live in the workspace', async () => {
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha } });
+
+      const { fixes, unresolved } = await planPinFixes(mockOctokit, [
+        {
+          uses: 'owner/action@v2',
+          owner: 'owner',
+          repo: 'action',
+          ref: 'v2',
+          locations: [
+            { filePath: '.github/workflows/ci.yml', line: 8, column: 15 },
+            { filePath: '.github/workflows/ci.yml', line: 4, column: 11, via: ['owner/reusable@v1'] }
+          ]
+        },
+        { uses: 'owner/remote-only@v1', owner: 'owner', repo: 'remote-only', ref: 'v1', locations: [] },
+        {
+          uses: `owner/orphan@${sha}`,
+          owner: 'owner',
+          repo: 'orphan',
+          ref: sha,
+          locations: [{ filePath: '.github/workflows/ci.yml', line: 9, column: 15 }]
+        }
+      ]);
+
+      expect(fixes).toEqual([
+        {
+          filePath: '.github/workflows/ci.yml',
+          line: 8,
+          column: 15,
+          uses: 'owner/action@v2',
+          ref: 'v2',
+          sha,
+          pinnedUses: `owner/action@${sha}`
+        }
+      ]);
+      expect(unresolved).toEqual([]);
+      expect(mockOctokit.rest.repos.getCommit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should rewrite uses values while keeping quotes and comments', () => {
+      const content = [
+        'jobs:',
+        '  test:',
+        '    steps:',
+        '      - uses: owner/plain@v2',
+        `      - uses: 'owner/quoted@v1'   `,
+        '      - uses: owner/commented@main # keep me',
+        '      - { uses: owner/flow@v3, name: Flow }',
+        '      - uses: owner/other@v1',
+        ''
+      ].join('\n');
+      const edit = (line, column, uses) => ({
+        line,
+        column,
+        uses,
+        ref: uses.split('@')[1],
+        pinnedUses: pinActionReference(uses, sha)
+      });
+
+      const result = applyUsesEdits(content, [
+        edit(4, 15, 'owner/plain@v2'),
+        edit(5, 15, 'owner/quoted@v1'),
+        edit(6, 15, 'owner/commented@main'),
+        edit(7, 17, 'owner/flow@v3'),
+        edit(8, 15, 'owner/changed@v1')
+      ]);
+
+      expect(result.content.split('\n').slice(3, 8)).toEqual([
+        `      - uses: owner/plain@${sha} # v2`,
+        `      - uses: 'owner/quoted@${sha}' # v1`,
+        `      - uses: owner/commented@${sha} # main keep me`,
+        `      - { uses: owner/flow@${sha}, name: Flow }`,
+        '      - uses: owner/other@v1'
+      ]);
+      expect(result.applied).toHaveLength(4);
+      expect(result.skipped.map(skipped => skipped.uses)).toEqual(['owner/changed@v1']);
+    });
+
+    test('should keep comments that already name the ref and directive comments as written', () => {
+      const content = [
+        'jobs:',
+        '  test:',
+        '    steps:',
+        '      - uses: owner/named@v4 # v4',
+        '      - uses: owner/tagged@v2 # tag=v2',
+        '      - uses: owner/suppressed@v1 # immutable-actions: ignore reason="vendored"',
+        '      - uses: owner/other@v3 # zizmor: ignore[unpinned-uses]',
+        ''
+      ].join('\n');
+      const edit = (line, uses) => ({
+        line,
+        column: 15,
+        uses,
+        ref: uses.split('@')[1],
+        pinnedUses: pinActionReference(uses, sha)
+      });
+
+      const result = applyUsesEdits(content, [
+        edit(4, 'owner/named@v4'),
+        edit(5, 'owner/tagged@v2'),
+        edit(6, 'owner/suppressed@v1'),
+        edit(7, 'owner/other@v3')
+      ]);
+
+      expect(result.content.split('\n').slice(3, 7)).toEqual([
+        `      - uses: owner/named@${sha} # v4`,
+        `      - uses: owner/tagged@${sha} # tag=v2`,
+        `      - uses: owner/suppressed@${sha} # immutable-actions: ignore reason="vendored"`,
+        `      - uses: owner/other@${sha} # zizmor: ignore[unpinned-uses]`
+      ]);
+      expect(result.applied).toHaveLength(4);
+    });
+
+    test('should format a unified diff with context', () => {
+      const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+      const after = before.replace('b', 'B');
+
+      expect(formatUnifiedDiff('x.yml', before, after, 1)).toBe(
+        ['--- a/x.yml', '+++ b/x.yml', '@@ -1,3 +1,3 @@', ' a', '-b', '+B', ' c', ''].join('\n')
+      );
+      expect(formatUnifiedDiff('x.yml', before, before)).toBe('');
+    });
+
+    test('should only write files outside of dry-run mode', () => {
+      const workspaceDir = '/tmp/test-pin-fixes';
+      const workflowPath = path.join(workspaceDir, '.github', 'workflows', 'ci.yml');
+      fs.mkdirSync(path.dirname(workflowPath), { recursive: true });
+      fs.writeFileSync(workflowPath, 'jobs:\n  test:\n    steps:\n      - uses: owner/action@v2\n');
+      const fixes = [
+        {
+          filePath: '.github/workflows/ci.yml',
+          line: 4,
+          column: 15,
+          uses: 'owner/action@v2',
+          ref: 'v2',
+          sha,
+          pinnedUses: `owner/action@${sha}`
+        }
+      ];
+
+      const dryRun = applyPinFixes(fixes, { workspaceDir, dryRun: true });
+      expect(dryRun.files[0].diff).toContain(`+      - uses: owner/action@${sha} # v2`);
+      expect(fs.readFileSync(workflowPath, 'utf8')).toContain('owner/action@v2');
+
+      const written = applyPinFixes(fixes, { workspaceDir });
+      expect(written.applied).toHaveLength(1);
+      expect(fs.readFileSync(workflowPath, 'utf8')).toBe(
+        `jobs:\n  test:\n    steps:\n      - uses: owner/action@${sha} # v2\n`
+      );
+
+      fs.rmSync(workspaceDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('pinning pull request', () => {
+    const sha = '0123456789abcdef0123456789abcdef01234567';
+    const fix = {
+      filePath: '.github/workflows/ci.yml',
+      line: 2,
+      column: 7,
+      uses: 'owner/action@v2',
+      ref: 'v2',
+      sha,
+      pinnedUses: `owner/action@${sha}`
+    };
+    const pinResult = {
+      applied: [fix],
+      files: [
+        { filePath: '.github/workflows/ci.yml', fixes: [fix], content: `name: CI\nuses: owner/action@${sha} # v2\n` }
+      ]
+    };
+    const mockBaseContent = content =>
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from(content).toString('base64') }
+      });
+
+    beforeEach(() => {
+      mockBaseContent('name: CI\nuses: owner/action@v2\n');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.git.getRef.mockImplementation(async ({ ref }) => {
+        if (ref === 'heads/main') {
+          return { data: { object: { sha: 'base-sha' } } };
+        }
+        const error = new Error('Not Found');
+        error.status = 404;
+        throw error;
+      });
+      mockOctokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'base-tree' } } });
+      mockOctokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'new-tree' } });
+      mockOctokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'new-commit' } });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 7, html_url: 'https://github.com/owner/repo/pull/7' }
+      });
+      mockOctokit.rest.pulls.update.mockResolvedValue({
+        data: { number: 5, html_url: 'https://github.com/owner/repo/pull/5' }
+      });
+    });
+
+    test('should list each changed reference in the body', () => {
+      const body = formatPinPullRequestBody(pinResult.applied);
+
+      expect(body).toContain('| Location | Old reference | New reference |');
+      expect(body).toContain(`| \`.github/workflows/ci.yml:2\` | \`owner/action@v2\` | \`owner/action@${sha}\` |`);
+    });
+
+    test('should commit on top of the default branch and open a pull request', async () => {
+      const result = await createOrUpdatePinPullRequest(mockOctokit, pinResult, { owner: 'owner', repo: 'repo' });
+
+      expect(result).toEqual({ number: 7, url: 'https://github.com/owner/repo/pull/7', created: true, skipped: [] });
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        path: '.github/workflows/ci.yml',
+        ref: 'base-sha'
+      });
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        base_tree: 'base-tree',
+        tree: [
+          {
+            path: '.github/workflows/ci.yml',
+            mode: '100644',
+            type: 'blob',
+            content: `name: CI\nuses: owner/action@${sha} # v2\n`
+          }
+        ]
+      });
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: 'new-tree', parents: ['base-sha'] })
+      );
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'refs/heads/immutable-actions/pin-shas',
+        sha: 'new-commit'
+      });
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({ head: 'immutable-actions/pin-shas', base: 'main' })
+      );
+    });
+
+    test('should force-update the branch and existing pull request on re-runs', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'base-sha' } } });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [{ number: 5 }] });
+
+      const result = await createOrUpdatePinPullRequest(mockOctokit, pinResult, {
+        owner: 'owner',
+        repo: 'repo',
+        base: 'release',
+        branch: 'pin-actions'
+      });
+
+      expect(result).toEqual({ number: 5, url: 'https://github.com/owner/repo/pull/5', created: false, skipped: [] });
+      expect(mockOctokit.rest.repos.get).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/pin-actions',
+        sha: 'new-commit',
+        force: true
+      });
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith(
+        expect.objectContaining({ head: 'owner:pin-actions', base: 'release', state: 'open' })
+      );
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('should apply the pins to the base branch content instead of the workspace content', async () => {
+      mockBaseContent('name: Build\nuses: owner/action@v2\n');
+
+      await createOrUpdatePinPullRequest(mockOctokit, pinResult, { owner: 'owner', repo: 'repo' });
+
+      expect(mockOctokit.rest.git.createTree.mock.calls[0][0].tree[0].content).toBe(
+        `name: Build\nuses: owner/action@${sha} # v2\n`
+      );
+    });
+
+    test('should skip references that moved on the base branch and not open an empty pull request', async () => {
+      mockBaseContent('name: CI\nenv: {}\nuses: owner/action@v2\n');
+
+      const result = await createOrUpdatePinPullRequest(mockOctokit, pinResult, { owner: 'owner', repo: 'repo' });
+
+      expect(result).toBeNull();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('should require the repository owner and name', async () => {
+      await expect(createOrUpdatePinPullRequest(mockOctokit, pinResult, { owner: 'owner' })).rejects.toThrow(
+        'Repository owner and name are required to open a pull request'
+      );
+      expect(mockOctokit.rest.git.getRef).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expandActionReferences', () => {
+    test('should recurse into remote composite actions', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
+        const files = {
+          'path/to/action/action.yml': `
+name: Remote Composite
+runs:
+  using: composite
+  steps:
+    - uses: owner/nested-action@v2
+`,
+          'action.yml': `
+name: Nested Action
+runs:
+  using: node24
+  main: index.js
+`
+        };
+
+        if (!files[remotePath]) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return {
+          data: {
+            type: 'file',
+            encoding: 'base64',
+            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
+          }
+        };
+      });
+
+      const actions = [
+        {
+          uses: 'owner/repo/path/to/action@v1',
+          owner: 'owner',
+          repo: 'repo',
+          actionPath: 'path/to/action',
+          ref: 'v1',
+          workflowFile: 'ci.yml',
+          supported: true,
+          isFirstParty: false
+        }
+      ];
+
+      const result = await expandActionReferences(mockOctokit, actions, {
+        workspaceDir: '/tmp/workspace',
+        expansionCache: new Map(),
+        expansionStack: new Set()
+      });
+
+      expect(result).toHaveLength(2);
+      expect(result[1]).toMatchObject({
+        uses: 'owner/nested-action@v2',
+        owner: 'owner',
+        repo: 'nested-action',
+        actionPath: '',
+        ref: 'v2',
+        workflowFile: 'ci.yml',
+        supported: true
+      });
+    });
+
+    test('should recurse into remote reusable workflows', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
+        const files = {
+          '.github/workflows/reusable.yml': `
+name: Reusable
+on:
+  workflow_call:
+jobs:
+  nested:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: owner/nested-action@v2
+`,
+          'action.yml': `
+name: Nested Action
+runs:
+  using: node24
+  main: index.js
+`
+        };
+
+        if (!files[remotePath]) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return {
+          data: {
+            type: 'file',
+            encoding: 'base64',
+            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
+          }
+        };
+      });
+
+      const actions = [
+        {
+          uses: 'owner/repo/.github/workflows/reusable.yml@v1',
+          owner: 'owner',
+          repo: 'repo',
+          actionPath: '.github/workflows/reusable.yml',
+          ref: 'v1',
+          workflowFile: 'ci.yml',
+          sourceWorkflowFile: 'ci.yml',
+          sourceJobName: 'call-reusable',
+          supported: true,
+          isFirstParty: false
+        }
+      ];
+
+      const result = await expandActionReferences(mockOctokit, actions, {
+        workspaceDir: '/tmp/workspace',
+        expansionCache: new Map(),
+        expansionStack: new Set()
+      });
+
+      expect(result).toHaveLength(2);
+      expect(result[1]).toMatchObject({
+        uses: 'owner/nested-action@v2',
+        owner: 'owner',
+        repo: 'nested-action',
+        actionPath: '',
+        ref: 'v2',
+        workflowFile: 'ci.yml',
+        entrypointUses: 'owner/repo/.github/workflows/reusable.yml@v1',
+        jobName: 'nested',
+        stepName: 'unnamed step',
+        sourceWorkflowFile: 'ci.yml',
+        sourceJobName: 'call-reusable',
+        supported: true
+      });
+    });
+
+    test('should respect excluded workflows throughout remote reusable traversal', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
+        const files = {
+          '.github/workflows/reusable.yml': `
+name: Reusable
+on:
+  workflow_call:
+jobs:
+  direct:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: owner/direct-action@v2
+  nested:
+    uses: owner/repo/.github/workflows/excluded-child.yml@v1
+`,
+          'action.yml': `
+name: Nested Action
+runs:
+  using: node24
+  main: index.js
+`
+        };
+
+        if (!files[remotePath]) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return {
+          data: {
+            type: 'file',
+            encoding: 'base64',
+            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
+          }
+        };
+      });
+
+      const actions = [
+        {
+          uses: 'owner/repo/.github/workflows/reusable.yml@v1',
+          owner: 'owner',
+          repo: 'repo',
+          actionPath: '.github/workflows/reusable.yml',
+          ref: 'v1',
+          workflowFile: 'ci.yml',
+          sourceWorkflowFile: 'ci.yml',
+          sourceJobName: 'call-reusable',
+          supported: true,
+          isFirstParty: false
+        }
+      ];
+
+      const result = await expandActionReferences(mockOctokit, actions, {
+        workspaceDir: '/tmp/workspace',
+        excludeWorkflowPatterns: ['excluded-child.yml'],
+        expansionCache: new Map(),
+        expansionStack: new Set()
+      });
+
+      expect(result).toHaveLength(2);
+      expect(result[0].uses).toBe('owner/repo/.github/workflows/reusable.yml@v1');
+      expect(result[1]).toMatchObject({
+        uses: 'owner/direct-action@v2',
+        owner: 'owner',
+        repo: 'direct-action',
+        actionPath: '',
+        ref: 'v2',
+        workflowFile: 'ci.yml',
+        entrypointUses: 'owner/repo/.github/workflows/reusable.yml@v1',
+        jobName: 'direct',
+        stepName: 'unnamed step',
+        sourceWorkflowFile: 'ci.yml',
+        sourceJobName: 'call-reusable',
+        supported: true
+      });
+    });
+
+    test('should resolve remote composite local paths relative to the composite action directory', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
+        const files = {
+          'actions/parent/action.yml': `
+name: Parent
+runs:
+  using: composite
+  steps:
+    - uses: ./child
+`,
+          'actions/parent/child/action.yml': `
+name: Child
+runs:
+  using: composite
+  steps:
+    - uses: child-owner/child-action@v3
+`,
+          'action.yml': `
+name: Terminal Action
+runs:
+  using: node24
+  main: index.js
+`
+        };
+
+        if (!files[remotePath]) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return {
+          data: {
+            type: 'file',
+            encoding: 'base64',
+            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
+          }
+        };
+      });
+
+      const actions = [
+        {
+          uses: 'owner/repo/actions/parent@v1',
+          owner: 'owner',
+          repo: 'repo',
+          actionPath: 'actions/parent',
+          ref: 'v1',
+          workflowFile: 'ci.yml',
+          supported: true,
+          isFirstParty: false
+        }
+      ];
+
+      const result = await expandActionReferences(mockOctokit, actions, {
+        workspaceDir: '/tmp/workspace',
+        expansionCache: new Map(),
+        expansionStack: new Set()
+      });
+
+      expect(result.some(action => action.uses === 'child-owner/child-action@v3')).toBe(true);
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          path: 'actions/parent/child/action.yml',
+          ref: 'v1'
+        })
+      );
+    });
+
+    test('should resolve reusable workflow local paths relative to the remote repo', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
+        const files = {
+          '.github/workflows/reusable.yml': `
+name: Reusable
+on:
+  workflow_call:
+jobs:
+  nested:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: ./.github/actions/local-from-workflow
+`,
+          '.github/actions/local-from-workflow/action.yml': `
+name: Local From Workflow
+runs:
+  using: composite
+  steps:
+    - uses: local-owner/local-action@v4
+`
+        };
+
+        if (!files[remotePath]) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return {
+          data: {
+            type: 'file',
+            encoding: 'base64',
+            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
+          }
+        };
+      });
+
+      const actions = [
+        {
+          uses: 'owner/repo/.github/workflows/reusable.yml@v1',
+          owner: 'owner',
+          repo: 'repo',
+          actionPath: '.github/workflows/reusable.yml',
+          ref: 'v1',
+          workflowFile: 'ci.yml',
+          supported: true,
+          isFirstParty: false
+        }
+      ];
+
+      const result = await expandActionReferences(mockOctokit, actions, {
+        workspaceDir: '/tmp/phase4-reusable-local-workspace',
+        expansionCache: new Map(),
+        expansionStack: new Set()
+      });
+
+      expect(result.find(action => action.uses === 'local-owner/local-action@v4').via).toEqual([
+        'owner/repo/.github/workflows/reusable.yml@v1',
+        'owner/repo/.github/actions/local-from-workflow@v1'
+      ]);
+    });
+
+    test('should extract the base images of remote docker actions', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
+        const files = {
+          'action.yml': `
+name: Docker Action
+runs:
+  using: docker
+  image: Dockerfile
+`,
+          Dockerfile: `FROM golang:1.22 AS build\nFROM build AS test\nFROM alpine@sha256:${'a'.repeat(64)}\n`
+        };
+
+        if (!files[remotePath]) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return {
+          data: {
+            type: 'file',
+            encoding: 'base64',
+            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
+          }
+        };
+      });
+
+      const actions = [
+        {
+          uses: 'owner/repo@v1',
+          owner: 'owner',
+          repo: 'repo',
+          actionPath: '',
+          ref: 'v1',
+          workflowFile: 'ci.yml',
+          supported: true,
+          isFirstParty: false
+        }
+      ];
+
+      const result = await expandRemoteReference(mockOctokit, actions[0], {
+        workspaceDir: '/tmp/workspace',
+        expansionCache: new Map(),
+        expansionStack: new Set()
+      });
+
+      expect(result.map(template => [template.uses, template.ref])).toEqual([
+        ['docker://golang:1.22', '1.22'],
+        [`docker://alpine@sha256:${'a'.repeat(64)}`, `sha256:${'a'.repeat(64)}`]
+      ]);
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'Dockerfile' }));
+    });
+
+    test('should not report node-based remote actions as unsupported', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: remotePath }) => {
+        const files = {
+          'action.yml': `
+name: Node Action
+runs:
+  using: node24
+  main: index.js
+`
+        };
+
+        if (!files[remotePath]) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return {
+          data: {
+            type: 'file',
+            encoding: 'base64',
+            content: Buffer.from(files[remotePath], 'utf8').toString('base64')
+          }
+        };
+      });
+
+      const actions = [
+        {
+          uses: 'owner/repo@v1',
+          owner: 'owner',
+          repo: 'repo',
+          actionPath: '',
+          ref: 'v1',
+          workflowFile: 'ci.yml',
+          supported: true,
+          isFirstParty: false
+        }
+      ];
+
+      const result = await expandRemoteReference(mockOctokit, actions[0], {
+        workspaceDir: '/tmp/workspace',
+        expansionCache: new Map(),
+        expansionStack: new Set()
+      });
+
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('Action execution', () => {
+    const testWorkspaceDir = '/tmp/test-action-workspace';
+    const testWorkflowsDir = path.join(testWorkspaceDir, '.github', 'workflows');
+
+    beforeEach(() => {
+      // Set workspace
+      process.env.GITHUB_WORKSPACE = testWorkspaceDir;
+
+      // Create test directory structure
+      if (!fs.existsSync(testWorkflowsDir)) {
+        fs.mkdirSync(testWorkflowsDir, { recursive: true });
+      }
+
+      // Create a test workflow
+      const workflowContent = `
+name: CI
+on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: third-party/action@v1
+`;
+      fs.writeFileSync(path.join(testWorkflowsDir, 'ci.yml'), workflowContent);
+    });
+
+    afterEach(() => {
+      // Clean up
+      if (fs.existsSync(testWorkspaceDir)) {
+        fs.rmSync(testWorkspaceDir, { recursive: true, force: true });
+      }
+      delete process.env.GITHUB_WORKSPACE;
+    });
+
+    test('should complete successfully with immutable actions', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
+      });
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('mutable-actions', expect.stringContaining('[]'));
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('# ✅ Immutable Actions Check - All Passed\n\n');
+    });
+
+    test('should fail with mutable actions when fail-on-mutable is true', async () => {
+      mockCore.getBooleanInput.mockImplementation(name => {
+        if (name === 'fail-on-mutable') return true;
+        if (name === 'include-first-party') return false;
+        return true;
+      });
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'write-job-summary': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: false }
+      });
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', false);
+      expect(mockCore.setFailed).toHaveBeenCalled();
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('# ❌ Immutable Actions Check - Failed\n\n');
+    });
+
+    test('should attach mutable annotations to the workflow line', async () => {
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+
+      await run();
+
+      expect(mockCore.notice).toHaveBeenCalledWith('third-party/action@v1 (Mutable release)', {
+        title: 'Mutable action reference',
+        file: '.github/workflows/ci.yml',
+        startLine: 9,
+        startColumn: 15
+      });
+    });
+
+    test('should pin mutable references in the workflow when fix is enabled', async () => {
+      const sha = 'fedcba9876543210fedcba9876543210fedcba98';
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          fix: 'true'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+
+      await run();
+
+      expect(fs.readFileSync(path.join(testWorkflowsDir, 'ci.yml'), 'utf8')).toContain(
+        `      - uses: third-party/action@${sha} # v1\n`
+      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith(
+        'pinned-actions',
+        JSON.stringify([
+          {
+            filePath: '.github/workflows/ci.yml',
+            line: 9,
+            uses: 'third-party/action@v1',
+            pinnedUses: `third-party/action@${sha}`,
+            sha
+          }
+        ])
+      );
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('## 📌 Pinned references\n\n');
+    });
+
+    test('should leave files untouched and log a diff in fix dry-run mode', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          fix: 'dry-run'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha: 'a'.repeat(40) } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+
+      await run();
+
+      expect(fs.readFileSync(path.join(testWorkflowsDir, 'ci.yml'), 'utf8')).toContain('third-party/action@v1\n');
+      expect(mockCore.info).toHaveBeenCalledWith(
+        expect.stringContaining(`+      - uses: third-party/action@${'a'.repeat(40)} # v1`)
+      );
+      expect(mockCore.info).toHaveBeenCalledWith('Would pin 1 reference(s) in 1 file(s)');
+    });
+
+    test('should open a pull request without touching the workspace in pull-request fix mode', async () => {
+      const sha = 'c'.repeat(40);
+      process.env.GITHUB_REPOSITORY = 'owner/repo';
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          fix: 'pull-request'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha } });
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: contentPath }) => {
+        const content = contentPath.startsWith('.github/workflows/')
+          ? fs.readFileSync(path.join(testWorkflowsDir, path.basename(contentPath)), 'utf8')
+          : 'runs:\n  using: node24\n';
+        return { data: { type: 'file', encoding: 'base64', content: Buffer.from(content).toString('base64') } };
+      });
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'base-sha' } } });
+      mockOctokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'base-tree' } } });
+      mockOctokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'new-tree' } });
+      mockOctokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'new-commit' } });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 12, html_url: 'https://github.com/owner/repo/pull/12' }
+      });
+
+      await run();
+      delete process.env.GITHUB_REPOSITORY;
+
+      expect(fs.readFileSync(path.join(testWorkflowsDir, 'ci.yml'), 'utf8')).toContain('third-party/action@v1\n');
+      expect(mockOctokit.rest.git.createTree.mock.calls[0][0].tree[0].content).toContain(
+        `third-party/action@${sha} # v1`
+      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pull-request-number', 12);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pull-request-url', 'https://github.com/owner/repo/pull/12');
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        '## 📌 SHA pins proposed in [#12](https://github.com/owner/repo/pull/12)\n\n'
+      );
+    });
+
+    test('should fail before pinning when GITHUB_REPOSITORY is not owner/repo in pull-request fix mode', async () => {
+      delete process.env.GITHUB_REPOSITORY;
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          fix: 'pull-request'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `The 'fix: pull-request' mode requires GITHUB_REPOSITORY to be set to owner/repo`
+      );
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+    });
+
+    test('should use the configured annotation level', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'annotation-level': 'error'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+
+      await run();
+
+      expect(mockCore.error).toHaveBeenCalledWith(
+        'third-party/action@v1 (Mutable release)',
+        expect.objectContaining({ file: '.github/workflows/ci.yml', startLine: 9 })
+      );
+      expect(mockCore.notice).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid concurrency input', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          concurrency: 'many'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(`Invalid 'concurrency' input: many (must be a positive integer)`);
+    });
+
+    test('should reuse the cache file on the next run', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'cache-file': '.cache/immutable-actions.json' };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: true } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+
+      await run();
+      expect(fs.existsSync(path.join(testWorkspaceDir, '.cache', 'immutable-actions.json'))).toBe(true);
+      expect(mockCore.info).toHaveBeenCalledWith('Cache file: .cache/immutable-actions.json (TTL 24 hour(s))');
+      expect(mockCore.info).toHaveBeenCalledWith('Result cache: 0 hit(s), 2 miss(es) (0 expired), 2 stored');
+
+      jest.clearAllMocks();
+      await run();
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(mockCore.info).toHaveBeenCalledWith('Result cache: 2 hit(s), 0 miss(es) (0 expired), 0 stored');
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid cache TTL input', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'cache-ttl': '1.5' };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Invalid 'cache-ttl' input: 1.5 (must be a non-negative integer number of hours)`
+      );
+    });
+
+    test('should scan organization repositories and report a rollup', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', organization: 'my-org' };
+        return inputs[name] || '';
+      });
+      mockOctokit.paginate.mockResolvedValue([
+        { name: 'api', default_branch: 'main' },
+        { name: 'web', default_branch: 'main' }
+      ]);
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha: 'd'.repeat(40) } });
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: filePath }) =>
+        filePath === '.github/workflows'
+          ? { data: [{ name: 'ci.yml', type: 'file' }] }
+          : {
+              data: {
+                type: 'file',
+                encoding: 'base64',
+                content: Buffer.from(
+                  'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: vendor/action@v1\n'
+                ).toString('base64')
+              }
+            }
+      );
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      await run();
+
+      const repositories = JSON.parse(
+        mockCore.setOutput.mock.calls.find(call => call[0] === 'repositories-checked')[1]
+      );
+      expect(repositories.map(repository => [repository.repository, repository.mutable])).toEqual([
+        ['my-org/api', 1],
+        ['my-org/web', 1]
+      ]);
+      expect(mockCore.setOutput).toHaveBeenCalledWith(
+        'workflows-checked',
+        JSON.stringify(['my-org/api:ci.yml', 'my-org/web:ci.yml'])
+      );
+      expect(
+        JSON.parse(mockCore.setOutput.mock.calls.find(call => call[0] === 'mutable-actions-rollup')[1])[0]
+      ).toMatchObject({ uses: 'vendor/action@v1', repositories: ['my-org/api', 'my-org/web'], workflows: 2 });
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('## Most-used mutable actions\n\n');
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('| ❌ my-org/api | 1 | 0 | 0 | 1 |')
+      );
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'Found 1 action(s) using mutable releases across 2 repositories.'
+      );
+    });
+
+    test('should mark scanned repositories and fail the run by the configured severities', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', organization: 'my-org' };
+        return inputs[name] || '';
+      });
+      fs.writeFileSync(
+        path.join(testWorkspaceDir, '.github', 'immutable-actions.yml'),
+        'severity:\n  mutable: notice\n  image: error\n'
+      );
+      mockOctokit.paginate.mockResolvedValue([
+        { name: 'api', default_branch: 'main' },
+        { name: 'web', default_branch: 'main' }
+      ]);
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha: 'd'.repeat(40) } });
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ repo, path: filePath }) =>
+        filePath === '.github/workflows'
+          ? { data: [{ name: 'ci.yml', type: 'file' }] }
+          : {
+              data: {
+                type: 'file',
+                encoding: 'base64',
+                content: Buffer.from(
+                  `on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: ${repo === 'api' ? 'docker://alpine:3.20' : 'vendor/action@v1'}\n`
+                ).toString('base64')
+              }
+            }
+      );
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      await run();
+
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('| ❌ my-org/api | 1 |'));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('| ⚠️ my-org/web | 1 |'));
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Found 1 Docker image(s) not pinned to a digest.');
+    });
+
+    test('should reject fix mode when scanning other repositories', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', repositories: 'my-org/api', fix: 'dry-run' };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `The 'fix' and 'sarif-file' inputs cannot be combined with 'organization', 'repositories' or 'target-repository' (other repositories are not checked out)`
+      );
+      expect(mockOctokit.paginate).not.toHaveBeenCalled();
+    });
+
+    test('should check the workflows of a target repository at a ref', async () => {
+      const sha = 'e'.repeat(40);
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'target-repository': 'vendor/tool@v2' };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha } });
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: filePath }) =>
+        filePath === '.github/workflows'
+          ? { data: [{ name: 'release.yml', type: 'file' }] }
+          : {
+              data: {
+                type: 'file',
+                encoding: 'base64',
+                content: Buffer.from(
+                  'on: push\njobs:\n  release:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: other/publish@v1\n'
+                ).toString('base64')
+              }
+            }
+      );
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: 'vendor', repo: 'tool', path: '.github/workflows', ref: sha })
+      );
+      expect(mockCore.info).toHaveBeenCalledWith(`Checking vendor/tool@v2 at commit ${sha}`);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('workflows-checked', JSON.stringify(['release.yml']));
+      const mutableActions = JSON.parse(mockCore.setOutput.mock.calls.find(call => call[0] === 'mutable-actions')[1]);
+      expect(mutableActions[0]).toMatchObject({
+        uses: 'other/publish@v1',
+        locations: [expect.objectContaining({ filePath: '.github/workflows/release.yml', line: 6 })]
+      });
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        `**Repository:** [vendor/tool@v2](https://github.com/vendor/tool/tree/${sha})\n\n`
+      );
+      expect(mockCore.notice).toHaveBeenCalledWith(expect.stringContaining('other/publish@v1'), {
+        title: 'Mutable action reference'
+      });
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining('Found 1 action(s) using mutable releases')
+      );
+    });
+
+    test('should only fail on findings introduced compared with a base checkout', async () => {
+      const baseWorkflowsDir = path.join(testWorkspaceDir, 'base', '.github', 'workflows');
+      fs.mkdirSync(baseWorkflowsDir, { recursive: true });
+      const workflow = uses =>
+        `on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n${uses.map(u => `      - uses: ${u}\n`).join('')}`;
+      fs.writeFileSync(path.join(baseWorkflowsDir, 'ci.yml'), workflow(['third-party/action@v1']));
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        workflow(['third-party/action@v1', 'new-vendor/tool@v2'])
+      );
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'diff-base-path': 'base', 'annotation-level': 'error' };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+
+      await run();
+
+      const mutableActions = JSON.parse(mockCore.setOutput.mock.calls.find(call => call[0] === 'mutable-actions')[1]);
+      expect(mutableActions.map(action => [action.uses, action.introduced])).toEqual([
+        ['third-party/action@v1', false],
+        ['new-vendor/tool@v2', true]
+      ]);
+      expect(mockCore.error).toHaveBeenCalledWith('new-vendor/tool@v2 (Mutable release)', expect.any(Object));
+      expect(mockCore.notice).toHaveBeenCalledWith('third-party/action@v1 (Mutable release)', expect.any(Object));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('## 🆕 Introduced findings\n\n');
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('| ci.yml | [new-vendor/tool@v2]'));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        'Already present in the checkout in base; reported for information only.\n\n'
+      );
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'Found 1 newly introduced action(s) using mutable releases. Please use immutable releases for supply chain security.'
+      );
+    });
+
+    test('should read the pull request base through the API and pass when nothing is introduced', async () => {
+      const baseSha = 'b'.repeat(40);
+      const eventPath = path.join(testWorkspaceDir, 'event.json');
+      fs.writeFileSync(eventPath, JSON.stringify({ pull_request: { base: { sha: baseSha } } }));
+      process.env.GITHUB_EVENT_PATH = eventPath;
+      process.env.GITHUB_REPOSITORY = 'owner/repo';
+      const actionDir = path.join(testWorkspaceDir, '.github', 'actions', 'build');
+      fs.mkdirSync(actionDir, { recursive: true });
+      const compositeAction = 'runs:\n  using: composite\n  steps:\n    - uses: vendor/nested@v1\n';
+      fs.writeFileSync(path.join(actionDir, 'action.yml'), compositeAction);
+      const workflowContent =
+        'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: ./.github/actions/build\n';
+      fs.writeFileSync(path.join(testWorkflowsDir, 'ci.yml'), workflowContent);
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'diff-base': 'pull-request' };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      const encode = content => ({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from(content).toString('base64') }
+      });
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path: filePath, ref }) => {
+        if (filePath === '.github/workflows') {
+          return { data: [{ name: 'ci.yml', type: 'file' }] };
+        }
+        if (filePath === '.github/workflows/ci.yml' && ref === baseSha) {
+          return encode(workflowContent);
+        }
+        if (filePath === '.github/actions/build/action.yml' && ref === baseSha) {
+          return encode(compositeAction);
+        }
+        return encode('runs:\n  using: node24\n');
+      });
+
+      await run();
+
+      delete process.env.GITHUB_EVENT_PATH;
+      delete process.env.GITHUB_REPOSITORY;
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: 'owner', repo: 'repo', path: '.github/workflows', ref: baseSha })
+      );
+      expect(mockCore.info).toHaveBeenCalledWith(`Diff base: the pull request base (bbbbbbb) (2 reference(s))`);
+      const mutableActions = JSON.parse(mockCore.setOutput.mock.calls.find(call => call[0] === 'mutable-actions')[1]);
+      expect(mutableActions).toEqual([expect.objectContaining({ uses: 'vendor/nested@v1', introduced: false })]);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('No findings introduced.\n\n');
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('should not fail on findings recorded in the baseline file and report fixed entries', async () => {
+      const baselineEntry = {
+        workflow: 'ci.yml',
+        job: 'test',
+        step: 'unnamed step',
+        stepId: '#2',
+        uses: 'third-party/action@v1'
+      };
+      const fixedEntry = { workflow: 'ci.yml', job: 'test', step: 'Deploy', uses: 'vendor/removed@v1' };
+      fs.writeFileSync(
+        path.join(testWorkspaceDir, 'baseline.json'),
+        JSON.stringify({ version: 1, findings: [baselineEntry, fixedEntry] })
+      );
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'baseline-file': 'baseline.json', 'annotation-level': 'error' };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      await run();
+
+      const mutableActions = JSON.parse(mockCore.setOutput.mock.calls.find(call => call[0] === 'mutable-actions')[1]);
+      expect(mutableActions).toEqual([expect.objectContaining({ uses: 'third-party/action@v1', baselined: true })]);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('fixed-baseline-entries', JSON.stringify([fixedEntry]));
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
+      expect(mockCore.notice).toHaveBeenCalledWith('third-party/action@v1 (Mutable release)', expect.any(Object));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('## Baseline\n\n');
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('| ci.yml | test | Deploy | vendor/removed@v1 |\n')
+      );
+      expect(mockCore.info).toHaveBeenCalledWith('Run with update-baseline to remove 1 fixed baseline entr(ies)');
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('should write the baseline file with update-baseline', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'baseline-file': '.github/baseline.json',
+          'update-baseline': 'true'
+        };
+        return inputs[name] || '';
+      });
+      mockCore.getBooleanInput.mockImplementation(name => name === 'update-baseline');
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      await run();
+
+      expect(JSON.parse(fs.readFileSync(path.join(testWorkspaceDir, '.github', 'baseline.json'), 'utf8'))).toEqual({
+        version: 1,
+        findings: [
+          { workflow: 'ci.yml', job: 'test', step: 'unnamed step', stepId: '#2', uses: 'third-party/action@v1' }
+        ]
+      });
+      expect(mockCore.info).toHaveBeenCalledWith('Wrote 1 baseline entr(ies) to .github/baseline.json');
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('should report findings suppressed by inline comments and warn about unused comments', async () => {
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        `on: push
+jobs:
   test:
     runs-on: ubuntu-latest
     steps:
-      - uses: actions/checkout@v4
+      # immutable-actions: ignore reason="vendor has no releases"
       - uses: third-party/action@v1
-`;
-      fs.writeFileSync(path.join(testWorkflowsDir, 'ci.yml'), workflowContent);
+      - uses: actions/checkout@v4 # immutable-actions: ignore reason="trusted"
+`
+      );
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+
+      await run();
+
+      const suppressedActions = JSON.parse(
+        mockCore.setOutput.mock.calls.find(call => call[0] === 'suppressed-actions')[1]
+      );
+      expect(suppressedActions).toEqual([
+        expect.objectContaining({
+          uses: 'third-party/action@v1',
+          suppressedCategory: 'mutable',
+          suppression: { reason: 'vendor has no releases', filePath: '.github/workflows/ci.yml', line: 6 }
+        })
+      ]);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('mutable-actions', '[]');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Suppression comment in .github/workflows/ci.yml:8 does not match a finding and can be removed',
+        { title: 'Unused suppression comment', file: '.github/workflows/ci.yml', startLine: 8 }
+      );
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining(', 1 suppressed\n\n'));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('## 🔕 Suppressed findings\n\n');
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('| Mutable | vendor has no releases | .github/workflows/ci.yml:6 |\n')
+      );
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('should reject a missing baseline file', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'baseline-file': 'missing.json' };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Baseline file not found: missing.json');
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+    });
+
+    test('should check all findings when the diff base is requested outside a pull request', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'diff-base': 'pull-request' };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      await run();
+
+      expect(mockCore.info).toHaveBeenCalledWith('Diff base: not a pull request, so all findings are checked');
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'Found 1 action(s) using mutable releases. Please use immutable releases for supply chain security.'
+      );
     });
 
-    afterEach(() => {
-      // Clean up
-      if (fs.existsSync(testWorkspaceDir)) {
-        fs.rmSync(testWorkspaceDir, { recursive: true, force: true });
-      }
-      delete process.env.GITHUB_WORKSPACE;
+    test('should reject an invalid or conflicting target repository', async () => {
+      let inputs = { 'github-token': 'test-token', 'target-repository': 'vendor' };
+      mockCore.getInput.mockImplementation(name => inputs[name] || '');
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Invalid 'target-repository' input: vendor is not an owner/repo or owner/repo@ref reference`
+      );
+
+      inputs = { 'github-token': 'test-token', 'target-repository': 'vendor/tool', organization: 'my-org' };
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `The 'target-repository' input cannot be combined with 'organization' or 'repositories'`
+      );
+      expect(mockOctokit.rest.repos.getContent).not.toHaveBeenCalled();
     });
 
-    test('should complete successfully with immutable actions', async () => {
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: true }
+    test('should reject an invalid annotation level', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'annotation-level': 'fatal'
+        };
+        return inputs[name] || '';
       });
 
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
-      expect(mockCore.setOutput).toHaveBeenCalledWith('mutable-actions', expect.stringContaining('[]'));
-      expect(mockCore.setFailed).not.toHaveBeenCalled();
-      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('# ✅ Immutable Actions Check - All Passed\n\n');
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Invalid 'annotation-level' input: fatal. Allowed values: notice, warning, error`
+      );
     });
 
-    test('should fail with mutable actions when fail-on-mutable is true', async () => {
-      mockCore.getBooleanInput.mockImplementation(name => {
-        if (name === 'fail-on-mutable') return true;
-        if (name === 'include-first-party') return false;
-        return true;
-      });
+    test('should write a SARIF report pointing at the workflow line', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          'write-job-summary': 'true'
+          'sarif-file': 'results/immutable-actions.sarif'
         };
         return inputs[name] || '';
       });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
 
-      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
-        data: { immutable: false }
+      await run();
+
+      const report = JSON.parse(
+        fs.readFileSync(path.join(testWorkspaceDir, 'results', 'immutable-actions.sarif'), 'utf8')
+      );
+      expect(report.runs[0].results).toHaveLength(1);
+      expect(report.runs[0].results[0].ruleId).toBe('mutable-release');
+      expect(report.runs[0].results[0].locations[0].physicalLocation.region).toEqual({ startLine: 9, startColumn: 15 });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('sarif-file', 'results/immutable-actions.sarif');
+    });
+
+    test('should report orphan SHA pins when verify-sha-commits is enabled', async () => {
+      const sha = 'a'.repeat(40);
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        `on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: third-party/action@${sha}\n`
+      );
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = { 'github-token': 'test-token', 'verify-sha-commits': 'true' };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+      mockOctokit.rest.repos.getCommit.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      await run();
+
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('❌ Orphan commit'));
+      expect(mockCore.error).not.toHaveBeenCalled();
+      expect(mockCore.notice).toHaveBeenCalledWith(
+        `third-party/action@${sha} (Commit not found in third-party/action)`,
+        expect.objectContaining({ title: 'Orphan commit reference', startLine: 6 })
+      );
+      expect(mockCore.setFailed).toHaveBeenCalledWith(expect.stringContaining('mutable releases'));
+    });
+
+    test('should report unpinned job and service container images', async () => {
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    container: node:20\n    services:\n      redis:\n        image: redis:7\n    steps:\n      - run: npm test\n'
+      );
+
+      await run();
+
+      const mutableOutput = JSON.parse(mockCore.setOutput.mock.calls.find(c => c[0] === 'mutable-actions')[1]);
+      expect(mutableOutput.map(action => [action.uses, action.containerType, action.serviceName])).toEqual([
+        ['docker://node:20', 'container', undefined],
+        ['docker://redis:7', 'service', 'redis']
+      ]);
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('`docker://redis:7` (service `redis`)')
+      );
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('`docker://node:20` (job container)')
+      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', false);
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('should report a job container and a service using the same image separately', async () => {
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    container: redis:7\n    services:\n      cache:\n        image: redis:7\n      queue:\n        image: redis:7\n    steps:\n      - run: npm test\n'
+      );
+
+      await run();
+
+      const mutableOutput = JSON.parse(mockCore.setOutput.mock.calls.find(c => c[0] === 'mutable-actions')[1]);
+      expect(
+        mutableOutput.map(action => [action.containerType, action.serviceName, action.locations.map(l => l.line)])
+      ).toEqual([
+        ['container', undefined, [5]],
+        ['service', 'cache', [8]],
+        ['service', 'queue', [10]]
+      ]);
+    });
+
+    test('should fail with a distinct message when API errors survive retries', async () => {
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: third-party/action@v1\n'
+      );
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockRejectedValue(
+        Object.assign(new Error('Bad Gateway'), { status: 502 })
+      );
+
+      await run();
+
+      expect(mockOctokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+      expect(mockCore.setOutput).toHaveBeenCalledWith('mutable-actions', '[]');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('errored-actions', expect.stringContaining('"apiError":true'));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('❗ API error'));
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'Found 1 action reference(s) that could not be checked due to API errors.'
+      );
+    });
+
+    test('should warn about mismatched version comments without failing', async () => {
+      const sha = 'a'.repeat(40);
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        `on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: third-party/action@${sha} # v2.0.0\n`
+      );
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('runs:\n  using: node24\n').toString('base64') }
       });
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({ data: { sha: 'b'.repeat(40) } });
+      mockOctokit.rest.repos.listTags.mockResolvedValue({ data: [] });
 
       await run();
 
+      expect(mockCore.setOutput).toHaveBeenCalledWith(
+        'mismatched-actions',
+        expect.stringContaining('"mismatched":true')
+      );
       expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', false);
-      expect(mockCore.setFailed).toHaveBeenCalled();
-      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('# ❌ Immutable Actions Check - Failed\n\n');
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('⚠️ Comment mismatch'));
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `third-party/action@${sha} (Version comment does not match the SHA (v2.0.0 points at bbbbbbb))`,
+        expect.objectContaining({ title: 'Version comment mismatch', startLine: 6 })
+      );
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
     });
 
     test('should not fail with mutable actions when fail-on-mutable is false', async () => {
@@ -2251,6 +5754,7 @@ jobs:
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
+          'fail-on-mutable': 'false',
           'write-job-summary': 'true'
         };
         return inputs[name] || '';
@@ -2287,6 +5791,196 @@ jobs:
       expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
     });
 
+    test('should treat trusted-owners entries as first-party', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'write-job-summary': 'true',
+          'trusted-owners': 'third-party'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
+      const firstPartyOutput = JSON.parse(
+        mockCore.setOutput.mock.calls.find(([name]) => name === 'first-party-actions')[1]
+      );
+      expect(firstPartyOutput.map(action => action.uses)).toEqual(['actions/checkout@v4', 'third-party/action@v1']);
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+    });
+
+    test('should check built-in owners removed via trusted-owners', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'write-job-summary': 'true',
+          'trusted-owners': '!actions'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: true }
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getReleaseByTag).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: 'actions', repo: 'checkout', tag: 'v4' })
+      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith('first-party-actions', '[]');
+    });
+
+    test('should pass when mutable actions are covered by the allowlist input', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'write-job-summary': 'true',
+          allowlist: '- uses: third-party/action@v1\n  reason: Vendor audited\n  expires: 2999-12-31\n'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({
+        data: { immutable: false }
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('waived-actions', expect.stringContaining('Vendor audited'));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('⏳ Waived'));
+    });
+
+    test('should fail on an invalid allowlist input', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'write-job-summary': 'true',
+          allowlist: '- uses: third-party/action@v1\n  expires: 2999-12-31\n'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Invalid 'allowlist' input: entry 1 is missing required 'reason' (non-empty string)`
+      );
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+    });
+
+    test('should apply settings from the default config file', async () => {
+      fs.writeFileSync(
+        path.join(testWorkspaceDir, '.github', 'immutable-actions.yml'),
+        `
+trusted-owners: [third-party]
+write-job-summary: 'false'
+`
+      );
+      mockCore.getInput.mockImplementation(name => (name === 'github-token' ? 'test-token' : ''));
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getReleaseByTag).not.toHaveBeenCalled();
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', true);
+      expect(mockCore.summary.write).not.toHaveBeenCalled();
+    });
+
+    test('should let action inputs override config file values', async () => {
+      fs.writeFileSync(
+        path.join(testWorkspaceDir, '.github', 'immutable-actions.yml'),
+        `
+fail-on-mutable: true
+write-job-summary: 'false'
+`
+      );
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'fail-on-mutable': 'false',
+          'write-job-summary': 'true'
+        };
+        return inputs[name] || '';
+      });
+      mockCore.getBooleanInput.mockImplementation(name => name !== 'fail-on-mutable' && name !== 'include-first-party');
+      mockOctokit.rest.repos.getReleaseByTag.mockResolvedValue({ data: { immutable: false } });
+
+      await run();
+
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+      expect(mockCore.summary.write).toHaveBeenCalled();
+    });
+
+    test('should fail on unsupported references when severity is error', async () => {
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        `
+on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: ./missing-action
+`
+      );
+      fs.writeFileSync(
+        path.join(testWorkspaceDir, '.github', 'immutable-actions.yml'),
+        'severity:\n  unsupported: error\n'
+      );
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Found 1 unsupported action reference(s).');
+    });
+
+    test('should only fail on unpinned images when the image severity is error', async () => {
+      fs.writeFileSync(
+        path.join(testWorkflowsDir, 'ci.yml'),
+        'on: push\njobs:\n  test:\n    runs-on: ubuntu-latest\n    steps:\n      - uses: docker://alpine:3.20\n'
+      );
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith(
+        'mutable-actions',
+        expect.stringContaining('docker://alpine:3.20')
+      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith('all-passed', false);
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
+
+      fs.writeFileSync(path.join(testWorkspaceDir, '.github', 'immutable-actions.yml'), 'severity:\n  image: error\n');
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Found 1 Docker image(s) not pinned to a digest.');
+    });
+
+    test('should fail with the config error when the config file is invalid', async () => {
+      fs.writeFileSync(path.join(testWorkspaceDir, '.github', 'immutable-actions.yml'), 'workflows: 42\n');
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Invalid config file .github/immutable-actions.yml: 'workflows' must be a comma-separated string or a list of non-empty strings (line 1)`
+      );
+    });
+
+    test('should fail when an explicit config-file does not exist', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'config-file': 'config/missing.yml'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Config file not found: config/missing.yml');
+    });
+
     test('should not write summary when write-job-summary is false', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
@@ -2384,7 +6078,7 @@ jobs:
     runs-on: ubuntu-latest
     steps:
       - uses: ./local-action
-      - uses: docker://alpine:3.8
+      - uses: https://example.com/action.tgz
       - uses: owner/repo@1234567890abcdef1234567890abcdef12345678
 `;
       fs.writeFileSync(path.join(testWorkflowsDir, 'ci.yml'), workflowContent);
@@ -2470,6 +6164,14 @@ runs:
         if (name === 'include-first-party') return true;
         return true;
       });
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'include-first-party': 'true',
+          'write-job-summary': 'true'
+        };
+        return inputs[name] || '';
+      });
 
       // Create workflow with only first-party actions
       const workflowContent = `
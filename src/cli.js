@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+/**
+ * Ensure Immutable Actions CLI
+ * Scans workflows in a local checkout, for use during development and in pre-commit hooks
+ *
+ * Usage:
+ *    ensure-immutable-actions scan [path] [options]
+ *
+ * Set GITHUB_TOKEN (or GH_TOKEN) or pass --token for release checks; use --offline for static checks only.
+ */
+
+import { Octokit } from '@octokit/rest';
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import {
+  DEFAULT_CACHE_TTL_HOURS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_CONFIG_FILE,
+  addGraphqlBatching,
+  addRequestRetries,
+  applyBaseline,
+  applyPinFixes,
+  buildSarifReport,
+  createBaseline,
+  evaluateFindings,
+  expandAndCheckActions,
+  extractActionsFromWorkflows,
+  formatActionReferenceText,
+  formatBaselineStep,
+  formatGraphqlBatchStats,
+  formatRateLimit,
+  formatResultCacheStats,
+  getUnusedSuppressions,
+  getWorkflowFiles,
+  groupMutableFindings,
+  isOrphanCommit,
+  loadBaselineFile,
+  loadConfigFile,
+  loadResultCache,
+  parseCacheTtl,
+  parseConcurrency,
+  parseSeverityRules,
+  parseTrustedOwners,
+  parseWorkflowPatterns,
+  planPinFixes,
+  saveResultCache,
+  writeBaselineFile,
+  writeSarifFile
+} from './index.js';
+
+export const USAGE = `Usage: ensure-immutable-actions scan [path] [options]
+
+Scan GitHub Actions workflows in a local repository for mutable action references.
+
+Arguments:
+  path                        Repository root to scan (default: current directory)
+
+Options:
+  --token <token>             GitHub token for API calls (default: GITHUB_TOKEN or GH_TOKEN)
+  --offline                   Only run static checks without calling the GitHub API
+  --config <file>             Config file relative to path (default: ${DEFAULT_CONFIG_FILE} when present)
+  --workflows <patterns>      Comma-separated workflow files or glob patterns to check
+  --exclude-workflows <list>  Comma-separated workflow files or glob patterns to exclude
+  --trusted-owners <list>     Comma-separated trusted owners, owner/repo pairs or glob patterns
+  --include-first-party       Include first-party and trusted actions in immutability checks
+  --verify-sha-commits        Check that SHA pins are reachable from a branch or tag of their repository
+  --strict-sha-pins           Only accept SHA pins that are the target of an immutable release
+  --graphql-batching          Batch release and file lookups into GraphQL requests
+  --concurrency <number>      References expanded or checked at the same time (default: ${DEFAULT_CONCURRENCY})
+  --cache-file <file>         Reuse and store release results and expansions in a JSON cache file
+  --cache-ttl <hours>         Hours cached results that can still change are kept (default: ${DEFAULT_CACHE_TTL_HOURS})
+  --sarif <file>              Write a SARIF 2.1.0 report of findings to file
+  --baseline <file>           Only fail on findings not recorded in a baseline JSON file
+  --update-baseline           Record the current findings in the --baseline file
+  --fix                       Pin mutable references to commit SHAs in workflow and local action files
+  --dry-run                   With --fix, print the changes as a diff without writing files
+  --no-color                  Disable colored output
+  -h, --help                  Show this help
+`;
+
+const ANSI_CODES = {
+  red: 31,
+  green: 32,
+  yellow: 33,
+  dim: 2,
+  bold: 1
+};
+
+const STATUS_STYLES = {
+  firstParty: { label: 'first-party', color: 'green' },
+  immutable: { label: 'immutable', color: 'green' },
+  waived: { label: 'waived', color: 'yellow' },
+  unverified: { label: 'unverified', color: 'yellow' },
+  mutable: { label: 'mutable', color: 'red' },
+  mismatched: { label: 'mismatched', color: 'yellow' },
+  errored: { label: 'API error', color: 'red' },
+  unsupported: { label: 'unsupported', color: 'yellow' },
+  suppressed: { label: 'suppressed', color: 'dim' }
+};
+
+/**
+ * Create a colorizer that wraps text in ANSI escape codes when enabled
+ * @param {boolean} enabled - Whether to emit color codes
+ * @returns {Function} (color, text) => string
+ */
+export function createColorizer(enabled) {
+  return (color, text) => (enabled && ANSI_CODES[color] ? `\u001b[${ANSI_CODES[color]}m${text}\u001b[0m` : text);
+}
+
+const ANSI_CODE_PATTERN = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g');
+
+function visibleLength(text) {
+  return text.replace(ANSI_CODE_PATTERN, '').length;
+}
+
+/**
+ * Parse CLI arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Object} { command, targetPath, options }
+ * @throws {Error} When arguments are invalid
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      token: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      config: { type: 'string' },
+      workflows: { type: 'string' },
+      'exclude-workflows': { type: 'string' },
+      'trusted-owners': { type: 'string' },
+      'include-first-party': { type: 'boolean' },
+      'verify-sha-commits': { type: 'boolean' },
+      'strict-sha-pins': { type: 'boolean' },
+      'graphql-batching': { type: 'boolean' },
+      concurrency: { type: 'string' },
+      'cache-file': { type: 'string' },
+      'cache-ttl': { type: 'string' },
+      sarif: { type: 'string' },
+      baseline: { type: 'string' },
+      'update-baseline': { type: 'boolean', default: false },
+      fix: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      'no-color': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    return { command: 'help', targetPath: null, options: values };
+  }
+
+  const [command, targetPath, ...extra] = positionals;
+  if (command !== 'scan') {
+    throw new Error(command ? `Unknown command: ${command}` : 'Missing command: scan');
+  }
+
+  if (extra.length > 0) {
+    throw new Error(`Unexpected arguments: ${extra.join(' ')}`);
+  }
+
+  return { command, targetPath: targetPath || '.', options: values };
+}
+
+function formatCliMessage(action) {
+  if (action.waived) {
+    return `${action.message} (waived until ${action.expires}: ${action.reason})`;
+  }
+
+  if (action.suppression) {
+    return `${action.message} (suppressed: ${action.suppression.reason})`;
+  }
+
+  return action.suggestion ? `${action.message} (suggested: ${action.suggestion.uses})` : action.message;
+}
+
+/**
+ * Format check results as a terminal table grouped by workflow
+ * @param {Object} byWorkflow - Results grouped by workflow (from checkAllActions)
+ * @param {Function} colorize - Colorizer from createColorizer
+ * @returns {string} Table text
+ */
+export function formatResultsTable(byWorkflow, colorize) {
+  const rows = [];
+  for (const [workflowFile, workflowData] of Object.entries(byWorkflow)) {
+    for (const [category, style] of Object.entries(STATUS_STYLES)) {
+      for (const action of workflowData[category] || []) {
+        rows.push([
+          workflowFile,
+          action.supported === false ? action.uses : formatActionReferenceText(action),
+          action.baselined
+            ? colorize('dim', `${style.label} (baseline)`)
+            : colorize(style.color, category === 'mutable' && isOrphanCommit(action) ? 'orphan commit' : style.label),
+          formatCliMessage(action)
+        ]);
+      }
+    }
+  }
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const header = ['Workflow', 'Action', 'Status', 'Message'].map(title => colorize('bold', title));
+  const widths = header.map((_, column) => Math.max(...[header, ...rows].map(row => visibleLength(row[column]))));
+  const formatRow = row =>
+    row
+      .map((cell, column) =>
+        column === row.length - 1 ? cell : `${cell}${' '.repeat(widths[column] - visibleLength(cell))}`
+      )
+      .join('  ')
+      .trimEnd();
+
+  return [formatRow(header), colorize('dim', widths.map(width => '-'.repeat(width)).join('  ')), ...rows.map(formatRow)]
+    .map(line => `${line}\n`)
+    .join('');
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @param {Object} io - Output streams and environment
+ * @returns {Promise<number>} Process exit code (0 passed, 1 findings, 2 usage or configuration error)
+ */
+export async function runCli(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const env = io.env || process.env;
+
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (parsed.command === 'help') {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  const { options } = parsed;
+  const colorize = createColorizer(!options['no-color'] && !env.NO_COLOR && Boolean(stdout.isTTY));
+  const workspaceDir = path.resolve(parsed.targetPath);
+
+  try {
+    const configFile = options.config || DEFAULT_CONFIG_FILE;
+    const configPath = path.resolve(workspaceDir, configFile);
+    if (options.config && !fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${options.config}`);
+    }
+    const config = loadConfigFile(configPath, configFile);
+
+    const token = options.token || env.GITHUB_TOKEN || env.GH_TOKEN;
+    const offline = options.offline;
+    if (options['dry-run'] && !options.fix) {
+      throw new Error('--dry-run requires --fix');
+    }
+    if (options.fix && offline) {
+      throw new Error('--fix needs the GitHub API to resolve commit SHAs and cannot be combined with --offline');
+    }
+    const verifyShaCommits = options['verify-sha-commits'] ?? config['verify-sha-commits'] ?? false;
+    const strictShaPins = options['strict-sha-pins'] ?? config['strict-sha-pins'] ?? false;
+    const graphqlBatching = options['graphql-batching'] ?? config['graphql-batching'] ?? false;
+    for (const option of ['verify-sha-commits', 'strict-sha-pins', 'graphql-batching', 'cache-file']) {
+      if (options[option] && offline) {
+        throw new Error(`--${option} needs the GitHub API and cannot be combined with --offline`);
+      }
+    }
+    let concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+    if (options.concurrency !== undefined) {
+      try {
+        concurrency = parseConcurrency(options.concurrency);
+      } catch (error) {
+        throw new Error(`--concurrency ${error.message}`);
+      }
+    }
+    let cacheTtl = config['cache-ttl'] ?? DEFAULT_CACHE_TTL_HOURS;
+    if (options['cache-ttl'] !== undefined) {
+      try {
+        cacheTtl = parseCacheTtl(options['cache-ttl']);
+      } catch (error) {
+        throw new Error(`--cache-ttl ${error.message}`);
+      }
+    }
+    const baselineFile = options.baseline
+      ? path.resolve(options.baseline)
+      : config['baseline-file'] && path.resolve(workspaceDir, config['baseline-file']);
+    if (options['update-baseline'] && !baselineFile) {
+      throw new Error('--update-baseline requires --baseline (or baseline-file in the config file)');
+    }
+    let baselineEntries = [];
+    if (baselineFile && fs.existsSync(baselineFile)) {
+      baselineEntries = loadBaselineFile(baselineFile);
+    } else if (baselineFile && !options['update-baseline']) {
+      throw new Error(`Baseline file not found: ${baselineFile}`);
+    }
+    if (!offline && !token) {
+      throw new Error(
+        'A GitHub token is required for release checks: set GITHUB_TOKEN or pass --token (or use --offline)'
+      );
+    }
+
+    const includeFirstParty = options['include-first-party'] ?? config['include-first-party'] ?? false;
+    const workflowsInput = options.workflows || (config.workflows || []).join(',');
+    const excludeWorkflowsInput = options['exclude-workflows'] || (config['exclude-workflows'] || []).join(',');
+    const trustedOwners = parseTrustedOwners(options['trusted-owners'] || config['trusted-owners']);
+    const allowlist = config.allowlist || [];
+    const severityRules = config.severity || parseSeverityRules();
+    const excludeWorkflowPatterns = parseWorkflowPatterns(excludeWorkflowsInput);
+
+    const workflowFiles = getWorkflowFiles(workflowsInput, excludeWorkflowsInput, workspaceDir);
+    if (workflowFiles.length === 0) {
+      stdout.write('No workflow files found to check\n');
+      return 0;
+    }
+
+    const actions = extractActionsFromWorkflows(workflowFiles, workspaceDir, {
+      excludeWorkflowPatterns,
+      trustedOwners
+    });
+
+    const octokit = offline ? null : new Octokit({ auth: token });
+    const rateLimit = octokit ? addRequestRetries(octokit) : null;
+    const batchStats = octokit && graphqlBatching ? addGraphqlBatching(octokit) : null;
+    const cacheFile = options['cache-file']
+      ? path.resolve(options['cache-file'])
+      : config['cache-file'] && path.resolve(workspaceDir, config['cache-file']);
+    const resultCache =
+      octokit && cacheFile
+        ? loadResultCache(cacheFile, { ttlHours: cacheTtl, settings: { trustedOwners, excludeWorkflowPatterns } })
+        : null;
+    const checkResults = await expandAndCheckActions(octokit, actions, {
+      workspaceDir,
+      excludeWorkflowPatterns,
+      trustedOwners,
+      includeFirstParty,
+      allowlist,
+      offline,
+      verifyShaCommits,
+      strictShaPins,
+      concurrency,
+      resultCache
+    });
+    if (resultCache) {
+      saveResultCache(resultCache);
+    }
+
+    let baselineResult = null;
+    let writtenBaseline = null;
+    if (baselineFile) {
+      baselineResult = applyBaseline(checkResults, baselineEntries);
+      if (options['update-baseline']) {
+        writtenBaseline = createBaseline(checkResults.byWorkflow);
+        writeBaselineFile(baselineFile, writtenBaseline);
+        baselineResult = { ...applyBaseline(checkResults, writtenBaseline.findings), fixed: baselineResult.fixed };
+      }
+    }
+    const {
+      mutable,
+      immutable,
+      waived,
+      unverified,
+      mismatched,
+      errored,
+      unsupported,
+      suppressed,
+      firstParty,
+      byWorkflow
+    } = baselineResult ? baselineResult.results : checkResults;
+    const countedFindings = findings => findings.filter(action => !action.baselined);
+
+    if (options.sarif) {
+      writeSarifFile(path.resolve(options.sarif), buildSarifReport({ byWorkflow }, { severityRules }));
+      stdout.write(`SARIF report written to ${options.sarif}\n`);
+    }
+
+    stdout.write(`\n${formatResultsTable(byWorkflow, colorize)}\n`);
+
+    // Offline results are not verified, so a suppression comment that matched nothing may still be needed
+    const unusedSuppressions = offline ? [] : getUnusedSuppressions(actions, checkResults);
+    for (const suppression of unusedSuppressions) {
+      stdout.write(
+        colorize(
+          'yellow',
+          `Suppression comment in ${suppression.filePath}:${suppression.line} does not match a finding and can be removed\n`
+        )
+      );
+    }
+    if (unusedSuppressions.length > 0) {
+      stdout.write('\n');
+    }
+
+    if (baselineResult) {
+      for (const entry of baselineResult.fixed) {
+        stdout.write(
+          colorize(
+            'yellow',
+            `Baseline entry ${options['update-baseline'] ? 'removed' : 'no longer matches a finding'}: ${entry.uses} in ${entry.workflow} (job: ${entry.job}, step: ${formatBaselineStep(entry)})\n`
+          )
+        );
+      }
+      if (writtenBaseline) {
+        stdout.write(
+          `Wrote ${writtenBaseline.findings.length} baseline entr(ies) to ${options.baseline || config['baseline-file']}\n`
+        );
+      }
+      stdout.write('\n');
+    }
+
+    if (options.fix) {
+      const { fixes, unresolved } = await planPinFixes(octokit, mutable);
+      const pinResult = applyPinFixes(fixes, { workspaceDir, dryRun: options['dry-run'] });
+      for (const entry of unresolved) {
+        stdout.write(colorize('yellow', `${entry.uses}: ${entry.message}\n`));
+      }
+      for (const file of pinResult.files) {
+        stdout.write(options['dry-run'] ? file.diff : `Pinned ${file.fixes.length} reference(s) in ${file.filePath}\n`);
+      }
+      stdout.write(
+        `${options['dry-run'] ? 'Would pin' : 'Pinned'} ${pinResult.applied.length} reference(s) in ${pinResult.files.length} file(s)\n\n`
+      );
+    }
+    stdout.write(
+      `${workflowFiles.length} workflow(s): ${firstParty.filter(action => action.excluded).length} excluded, ` +
+        `${immutable.length} immutable, ${waived.length} waived, ${unverified.length} unverified, ` +
+        `${mutable.length} mutable, ${unsupported.length} unsupported, ${mismatched.length} mismatched, ${errored.length} errored` +
+        `${suppressed.length > 0 ? `, ${suppressed.length} suppressed` : ''}` +
+        `${baselineResult ? `, ${[...mutable, ...unsupported].filter(action => action.baselined).length} baselined` : ''}\n`
+    );
+    if (resultCache) {
+      stdout.write(colorize('dim', `${formatResultCacheStats(resultCache)}\n`));
+    }
+    if (batchStats) {
+      stdout.write(colorize('dim', `${formatGraphqlBatchStats(batchStats)}\n`));
+    }
+    const rateLimitMessage = formatRateLimit(rateLimit);
+    if (rateLimitMessage) {
+      stdout.write(colorize('dim', `${rateLimitMessage}\n`));
+    }
+
+    const { allPassed, failingCategories } = evaluateFindings(
+      {
+        ...groupMutableFindings(countedFindings(mutable)),
+        mismatched,
+        errored,
+        unsupported: countedFindings(unsupported)
+      },
+      severityRules
+    );
+    const failOnMutable = config['fail-on-mutable'] ?? true;
+    if (failOnMutable && failingCategories.length > 0) {
+      stdout.write(colorize('red', `✖ Failing findings: ${failingCategories.join(', ')}\n`));
+      return 1;
+    }
+
+    stdout.write(
+      allPassed ? colorize('green', '✔ All checks passed\n') : colorize('yellow', '⚠ Findings detected (not failing)\n')
+    );
+    return 0;
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 2;
+  }
+}
+
+// Execute the CLI (only when run directly, not when imported)
+if (import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1] || '.')).href) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -18,7 +18,7 @@ import { Octokit } from '@octokit/rest';
 import * as fs from 'fs';
 import { minimatch } from 'minimatch';
 import * as path from 'path';
-import YAML from 'yaml';
+import YAML, { LineCounter, Parser } from 'yaml';
 
 /**
  * Parse action reference from uses: field
@@ -73,7 +73,7 @@ export function getUnsupportedReference(uses) {
     return null;
   }
 
-  if (uses.includes('://')) {
+  if (uses.includes('://') && !uses.startsWith('docker://')) {
     const protocol = uses.split('://')[0];
     return {
       unsupportedType: 'protocol',
@@ -85,12 +85,135 @@ export function getUnsupportedReference(uses) {
 }
 
 /**
- * Check if an action should be excluded from checks (organizations that already publish immutable releases)
+ * Split a Docker image reference into name, tag and digest
+ * @param {string} image - Image reference without the docker:// prefix, e.g. alpine:3 or alpine@sha256:...
+ * @returns {Object} { name, tag, digest } (tag and digest are undefined when absent)
+ */
+export function parseDockerImageReference(image) {
+  const [nameAndTag, digest] = image.split('@');
+  const tagSeparator = nameAndTag.indexOf(':', nameAndTag.lastIndexOf('/') + 1);
+  return {
+    name: tagSeparator === -1 ? nameAndTag : nameAndTag.slice(0, tagSeparator),
+    tag: tagSeparator === -1 ? undefined : nameAndTag.slice(tagSeparator + 1),
+    digest
+  };
+}
+
+/**
+ * Check whether a Docker image reference is pinned to a content digest
+ * @param {string} image - Image reference without the docker:// prefix
+ * @returns {Object} { immutable: boolean, releaseFound: boolean, referenceType: string, message: string }
+ */
+export function getDockerImageResult(image) {
+  const { tag, digest } = parseDockerImageReference(image);
+  if (/^sha256:[a-f0-9]{64}$/i.test(digest || '')) {
+    return {
+      immutable: true,
+      releaseFound: false,
+      referenceType: 'docker-digest',
+      message: 'Immutable (image pinned to digest)'
+    };
+  }
+
+  return {
+    immutable: false,
+    releaseFound: false,
+    referenceType: 'docker-tag',
+    message: `Docker image not pinned to a digest (${tag ? `tag ${tag}` : 'implicit latest tag'})`
+  };
+}
+
+/**
+ * Build a record for a Docker image reference from docker:// uses, a Docker action's runs.image or a Dockerfile FROM line
+ * @param {string} image - Image reference without the docker:// prefix
+ * @param {Object} metadata - Workflow metadata for the reference
+ * @returns {Object} Docker image action record
+ */
+export function createDockerImageAction(image, metadata) {
+  const { tag, digest } = parseDockerImageReference(image);
+  return {
+    ...metadata,
+    uses: `docker://${image}`,
+    image,
+    ref: digest || tag || 'latest',
+    supported: true,
+    isFirstParty: false
+  };
+}
+
+/**
+ * Read the base images from the FROM instructions of a Dockerfile
+ * scratch and references to earlier build stages are skipped.
+ * @param {string} content - Dockerfile content
+ * @returns {Array<Object>} { image, line } for each external base image
+ */
+export function parseDockerfileImages(content) {
+  const images = [];
+  const stageNames = new Set();
+
+  for (const [index, rawLine] of content.split(/\r?\n/).entries()) {
+    const match = /^\s*FROM\s+(?:--\S+\s+)*(\S+)(?:\s+AS\s+(\S+))?/i.exec(rawLine);
+    if (!match) {
+      continue;
+    }
+
+    const [, image, stageName] = match;
+    if (image.toLowerCase() !== 'scratch' && !stageNames.has(image.toLowerCase())) {
+      images.push({ image, line: index + 1 });
+    }
+    if (stageName) {
+      stageNames.add(stageName.toLowerCase());
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Built-in trusted owners (organizations that already publish immutable releases)
+ */
+export const DEFAULT_TRUSTED_OWNERS = ['actions', 'github', 'octokit'];
+
+/**
+ * Parse the trusted-owners input into an ordered list of trust patterns
+ * Built-in owners come first so later entries (including ! negations) can override them.
+ * @param {string|Array<string>} trustedOwnersInput - Comma-separated owners, owner/repo pairs or glob patterns
+ * @returns {Array<string>} Ordered trust patterns, negations prefixed with !
+ */
+export function parseTrustedOwners(trustedOwnersInput) {
+  const entries = Array.isArray(trustedOwnersInput) ? trustedOwnersInput : parseWorkflowPatterns(trustedOwnersInput);
+  return [...DEFAULT_TRUSTED_OWNERS, ...entries.map(entry => String(entry).trim()).filter(Boolean)];
+}
+
+function matchesTrustedOwnerPattern(owner, repo, pattern) {
+  const normalizedPattern = pattern.toLowerCase();
+  const target = normalizedPattern.includes('/') ? `${owner}/${repo}` : owner;
+  return matchesPattern(target.toLowerCase(), normalizedPattern);
+}
+
+/**
+ * Check if an action should be excluded from checks (trusted owners that already publish immutable releases)
+ * The last matching pattern wins, so `!pattern` entries remove owners or repositories trusted by earlier entries.
  * @param {string} owner - Action owner
+ * @param {string} repo - Action repository name
+ * @param {Array<string>} trustedOwners - Ordered trust patterns (see parseTrustedOwners)
  * @returns {boolean} True if should be excluded
  */
-export function shouldExcludeAction(owner) {
-  return owner === 'actions' || owner === 'github' || owner === 'octokit';
+export function shouldExcludeAction(owner, repo = '', trustedOwners = DEFAULT_TRUSTED_OWNERS) {
+  if (!owner) {
+    return false;
+  }
+
+  let trusted = false;
+  for (const pattern of trustedOwners) {
+    const negated = pattern.startsWith('!');
+    const ownerPattern = negated ? pattern.slice(1) : pattern;
+    if (ownerPattern && matchesTrustedOwnerPattern(owner, repo, ownerPattern)) {
+      trusted = !negated;
+    }
+  }
+
+  return trusted;
 }
 
 /**
@@ -103,7 +226,9 @@ export function getActionCacheKey(action) {
     return `unsupported:${action.uses}:${action.message}`;
   }
 
-  return `supported:${action.uses}`;
+  // SHA pins with a version comment are checked against that version, so each comment is its own finding
+  const commentTag = isFullSHA(action.ref) ? parseVersionComment(action.comment) : null;
+  return commentTag ? `supported:${action.uses} # ${commentTag}` : `supported:${action.uses}`;
 }
 
 /**
@@ -254,6 +379,57 @@ export function createUnsupportedLocalAction(uses, metadata, message) {
   };
 }
 
+function extractImagesFromLocalDockerAction(uses, metadata, actionDefinition, getPosition, paths) {
+  const image = actionDefinition.runs.image;
+  const imageMetadata = {
+    ...metadata,
+    via: [...(metadata.via || []), uses],
+    sourceFilePath: metadata.sourceFilePath ?? metadata.filePath,
+    sourceLine: metadata.sourceLine ?? metadata.line,
+    sourceColumn: metadata.sourceColumn ?? metadata.column
+  };
+
+  if (typeof image !== 'string' || !image) {
+    return [createUnsupportedLocalAction(uses, metadata, 'Unsupported local Docker action: runs.image not set')];
+  }
+
+  if (image.startsWith('docker://')) {
+    const position = getPosition(['runs', 'image']);
+    return [
+      createDockerImageAction(image.slice('docker://'.length), {
+        ...imageMetadata,
+        filePath: getRepositoryPath(paths.metadataFile, paths.workspaceDir),
+        line: position?.line,
+        column: position?.column
+      })
+    ];
+  }
+
+  const dockerfilePath = path.resolve(paths.localActionDir, image);
+  if (!fs.existsSync(dockerfilePath)) {
+    return [createUnsupportedLocalAction(uses, metadata, `Unsupported local Docker action: ${image} not found`)];
+  }
+
+  const filePath = getRepositoryPath(dockerfilePath, paths.workspaceDir);
+  return parseDockerfileImages(fs.readFileSync(dockerfilePath, 'utf8')).map(({ image: baseImage, line }) =>
+    createDockerfileImageAction(baseImage, { ...imageMetadata, filePath, line, column: 1 }, uses)
+  );
+}
+
+function createDockerfileImageAction(image, metadata, uses) {
+  if (image.includes('$')) {
+    return {
+      ...metadata,
+      uses,
+      supported: false,
+      unsupportedType: 'docker-build-arg',
+      message: `Unsupported Dockerfile base image: ${image} (build arguments are not resolved)`
+    };
+  }
+
+  return createDockerImageAction(image, metadata);
+}
+
 /**
  * Extract nested references from a local composite action
  * @param {string} uses - Raw local action reference
@@ -261,9 +437,17 @@ export function createUnsupportedLocalAction(uses, metadata, message) {
  * @param {string} workspaceDir - Repository workspace root
  * @param {string} baseDir - Directory to resolve nested local actions from
  * @param {Set<string>} visitedLocalActions - Set of visited local action directories
+ * @param {Object} options - Shared extraction options (e.g., trustedOwners)
  * @returns {Array} Extracted nested action references or unsupported fallback
  */
-export function extractActionsFromLocalAction(uses, metadata, workspaceDir, baseDir, visitedLocalActions = new Set()) {
+export function extractActionsFromLocalAction(
+  uses,
+  metadata,
+  workspaceDir,
+  baseDir,
+  visitedLocalActions = new Set(),
+  options = {}
+) {
   const localActionDir = resolveLocalActionDirectory(uses, workspaceDir, baseDir);
 
   if (visitedLocalActions.has(localActionDir)) {
@@ -278,9 +462,17 @@ export function extractActionsFromLocalAction(uses, metadata, workspaceDir, base
 
   try {
     const content = fs.readFileSync(metadataFile, 'utf8');
-    const actionDefinition = YAML.parse(content);
+    const { data: actionDefinition, getPosition } = parseYamlWithPositions(content);
     const actionType = actionDefinition?.runs?.using;
 
+    if (actionType === 'docker') {
+      return extractImagesFromLocalDockerAction(uses, metadata, actionDefinition, getPosition, {
+        workspaceDir,
+        localActionDir,
+        metadataFile
+      });
+    }
+
     if (actionType !== 'composite') {
       return [
         createUnsupportedLocalAction(uses, metadata, `Unsupported local action type: ${actionType || 'unknown'}`)
@@ -290,25 +482,43 @@ export function extractActionsFromLocalAction(uses, metadata, workspaceDir, base
     const nestedActions = [];
     const nextVisitedLocalActions = new Set(visitedLocalActions);
     nextVisitedLocalActions.add(localActionDir);
+    const filePath = getRepositoryPath(metadataFile, workspaceDir);
+    const steps = actionDefinition?.runs?.steps || [];
+    const suppressions = createSuppressionReader(content, filePath, {
+      reportedFiles: options.reportedSuppressionFiles
+    });
 
-    for (const step of actionDefinition?.runs?.steps || []) {
+    for (const [stepIndex, step] of steps.entries()) {
       if (step?.uses) {
+        const position = getPosition(['runs', 'steps', stepIndex, 'uses']);
         addParsedAction(
           nestedActions,
           step.uses,
           {
             ...metadata,
-            stepName: step.name || metadata.stepName || 'unnamed step'
+            stepName: step.name || metadata.stepName || 'unnamed step',
+            via: [...(metadata.via || []), uses],
+            filePath,
+            line: position?.line,
+            column: position?.column,
+            comment: position?.comment,
+            sourceFilePath: metadata.sourceFilePath ?? metadata.filePath,
+            sourceLine: metadata.sourceLine ?? metadata.line,
+            sourceColumn: metadata.sourceColumn ?? metadata.column,
+            ...getSuppressionMetadata(suppressions, position)
           },
           {
             workspaceDir,
             baseDir: localActionDir,
-            visitedLocalActions: nextVisitedLocalActions
+            visitedLocalActions: nextVisitedLocalActions,
+            trustedOwners: options.trustedOwners,
+            reportedSuppressionFiles: options.reportedSuppressionFiles
           }
         );
       }
     }
 
+    suppressions.reportProblems();
     return nestedActions;
   } catch (error) {
     core.warning(`Failed to parse local action ${metadataFile}: ${error.message}`);
@@ -323,6 +533,7 @@ export function extractActionsFromLocalAction(uses, metadata, workspaceDir, base
  * @param {string} workspaceDir - Repository workspace root
  * @param {Array<string>} excludeWorkflowPatterns - Exclude patterns
  * @param {Set<string>} visitedWorkflows - Already-visited workflow paths for cycle detection
+ * @param {Object} options - Shared extraction options (e.g., trustedOwners)
  * @returns {Array} Extracted nested action references
  */
 export function extractActionsFromLocalReusableWorkflow(
@@ -330,7 +541,8 @@ export function extractActionsFromLocalReusableWorkflow(
   metadata,
   workspaceDir,
   excludeWorkflowPatterns = [],
-  visitedWorkflows = new Set()
+  visitedWorkflows = new Set(),
+  options = {}
 ) {
   if (isExcludedWorkflow(uses, excludeWorkflowPatterns)) {
     return [];
@@ -348,36 +560,71 @@ export function extractActionsFromLocalReusableWorkflow(
 
   try {
     const content = fs.readFileSync(workflowPath, 'utf8');
-    const workflow = YAML.parse(content);
+    const { data: workflow, getPosition } = parseYamlWithPositions(content);
     const nestedActions = [];
     const jobs = workflow?.jobs || {};
     const workflowFile = path.basename(workflowPath);
+    const filePath = getRepositoryPath(workflowPath, workspaceDir);
     const nextVisitedWorkflows = new Set(visitedWorkflows);
     nextVisitedWorkflows.add(workflowPath);
+    const suppressions = createSuppressionReader(content, filePath, {
+      reportedFiles: options.reportedSuppressionFiles
+    });
 
     for (const [jobName, job] of Object.entries(jobs)) {
+      if (job?.container || job?.services) {
+        addJobContainerImages(nestedActions, jobName, job, getPosition, {
+          workflowFile,
+          filePath,
+          entrypointUses: metadata.entrypointUses || uses,
+          via: [...(metadata.via || []), uses],
+          sourceWorkflowFile: metadata.sourceWorkflowFile || metadata.workflowFile,
+          sourceJobName: metadata.sourceJobName || metadata.jobName,
+          sourceStepName: metadata.sourceStepName || metadata.stepName,
+          sourceStepId: metadata.sourceStepId,
+          sourceFilePath: metadata.sourceFilePath ?? metadata.filePath,
+          sourceLine: metadata.sourceLine ?? metadata.line,
+          sourceColumn: metadata.sourceColumn ?? metadata.column
+        });
+      }
+
       if (job?.uses) {
+        const position = getPosition(['jobs', jobName, 'uses']);
         addParsedAction(
           nestedActions,
           job.uses,
           {
             workflowFile,
             jobName,
+            filePath,
+            line: position?.line,
+            column: position?.column,
+            comment: position?.comment,
             entrypointUses: metadata.entrypointUses || uses,
+            via: [...(metadata.via || []), uses],
             sourceWorkflowFile: metadata.sourceWorkflowFile || metadata.workflowFile,
             sourceJobName: metadata.sourceJobName || metadata.jobName,
-            sourceStepName: metadata.sourceStepName || metadata.stepName
+            sourceStepName: metadata.sourceStepName || metadata.stepName,
+            sourceStepId: metadata.sourceStepId,
+            sourceFilePath: metadata.sourceFilePath ?? metadata.filePath,
+            sourceLine: metadata.sourceLine ?? metadata.line,
+            sourceColumn: metadata.sourceColumn ?? metadata.column,
+            ...getSuppressionMetadata(suppressions, position, metadata.suppression)
           },
           {
             workspaceDir,
             excludeWorkflowPatterns,
-            visitedWorkflows: nextVisitedWorkflows
+            visitedWorkflows: nextVisitedWorkflows,
+            trustedOwners: options.trustedOwners,
+            reportedSuppressionFiles: options.reportedSuppressionFiles
           }
         );
       }
 
-      for (const step of job?.steps || []) {
+      const steps = job?.steps || [];
+      for (const [stepIndex, step] of steps.entries()) {
         if (step?.uses) {
+          const position = getPosition(['jobs', jobName, 'steps', stepIndex, 'uses']);
           addParsedAction(
             nestedActions,
             step.uses,
@@ -385,21 +632,34 @@ export function extractActionsFromLocalReusableWorkflow(
               workflowFile,
               jobName,
               stepName: step.name || 'unnamed step',
+              filePath,
+              line: position?.line,
+              column: position?.column,
+              comment: position?.comment,
               entrypointUses: metadata.entrypointUses || uses,
+              via: [...(metadata.via || []), uses],
               sourceWorkflowFile: metadata.sourceWorkflowFile || metadata.workflowFile,
               sourceJobName: metadata.sourceJobName || metadata.jobName,
-              sourceStepName: metadata.sourceStepName || metadata.stepName
+              sourceStepName: metadata.sourceStepName || metadata.stepName,
+              sourceStepId: metadata.sourceStepId,
+              sourceFilePath: metadata.sourceFilePath ?? metadata.filePath,
+              sourceLine: metadata.sourceLine ?? metadata.line,
+              sourceColumn: metadata.sourceColumn ?? metadata.column,
+              ...getSuppressionMetadata(suppressions, position, metadata.suppression)
             },
             {
               workspaceDir,
               excludeWorkflowPatterns,
-              visitedWorkflows: nextVisitedWorkflows
+              visitedWorkflows: nextVisitedWorkflows,
+              trustedOwners: options.trustedOwners,
+              reportedSuppressionFiles: options.reportedSuppressionFiles
             }
           );
         }
       }
     }
 
+    suppressions.reportProblems();
     return nestedActions;
   } catch (error) {
     core.warning(`Failed to parse local reusable workflow ${workflowPath}: ${error.message}`);
@@ -412,7 +672,7 @@ export function extractActionsFromLocalReusableWorkflow(
  * @param {Array} actions - Mutable collection of extracted action references
  * @param {string} uses - Raw uses string from a workflow job or step
  * @param {Object} metadata - Additional metadata to attach to the extracted action
- * @param {Object} options - Resolution options for local action recursion
+ * @param {Object} options - Resolution options for local action recursion and trusted owner matching
  */
 export function addParsedAction(actions, uses, metadata, options = {}) {
   const workspaceDir = options.workspaceDir || process.env.GITHUB_WORKSPACE || process.cwd();
@@ -420,6 +680,8 @@ export function addParsedAction(actions, uses, metadata, options = {}) {
   const visitedLocalActions = options.visitedLocalActions || new Set();
   const excludeWorkflowPatterns = options.excludeWorkflowPatterns || [];
   const visitedWorkflows = options.visitedWorkflows || new Set();
+  const trustedOwners = options.trustedOwners || DEFAULT_TRUSTED_OWNERS;
+  const { reportedSuppressionFiles } = options;
 
   if (uses.startsWith('./')) {
     if (isLocalReusableWorkflowReference(uses)) {
@@ -429,12 +691,23 @@ export function addParsedAction(actions, uses, metadata, options = {}) {
           metadata,
           workspaceDir,
           excludeWorkflowPatterns,
-          visitedWorkflows
+          visitedWorkflows,
+          { trustedOwners, reportedSuppressionFiles }
         )
       );
       return;
     }
-    actions.push(...extractActionsFromLocalAction(uses, metadata, workspaceDir, baseDir, visitedLocalActions));
+    actions.push(
+      ...extractActionsFromLocalAction(uses, metadata, workspaceDir, baseDir, visitedLocalActions, {
+        trustedOwners,
+        reportedSuppressionFiles
+      })
+    );
+    return;
+  }
+
+  if (uses.startsWith('docker://')) {
+    actions.push(createDockerImageAction(uses.slice('docker://'.length), metadata));
     return;
   }
 
@@ -463,10 +736,236 @@ export function addParsedAction(actions, uses, metadata, options = {}) {
     ...parsed,
     ...metadata,
     supported: true,
-    isFirstParty: shouldExcludeAction(parsed.owner)
+    isFirstParty: shouldExcludeAction(parsed.owner, parsed.repo, trustedOwners)
   });
 }
 
+/**
+ * Parse YAML content while keeping node positions for line and column lookups
+ * @param {string} content - YAML content
+ * @returns {Object} { data, getPosition } where getPosition(keyPath) returns { line, column, comment? } or null
+ * @throws {Error} When the content is not valid YAML
+ */
+export function parseYamlWithPositions(content) {
+  const lineCounter = new LineCounter();
+  const document = YAML.parseDocument(content, { lineCounter });
+  if (document.errors.length > 0) {
+    throw document.errors[0];
+  }
+
+  return {
+    data: document.toJS(),
+    getPosition: keyPath => {
+      const node = document.getIn(keyPath, true);
+      if (!node?.range) {
+        return null;
+      }
+
+      const { line, col } = lineCounter.linePos(node.range[0]);
+      const comment = node.comment?.trim();
+      return comment ? { line, column: col, comment } : { line, column: col };
+    }
+  };
+}
+
+/**
+ * Parse an inline suppression comment, e.g. `immutable-actions: ignore reason="vendor has no releases"`
+ * @param {string} comment - Comment text without the leading #
+ * @returns {Object|null} { reason } for a suppression, { error } for a malformed one, or null for other comments
+ */
+export function parseSuppressionComment(comment) {
+  const match = /^\s*immutable-actions\s*:\s*(.*)$/.exec(comment || '');
+  if (!match) {
+    return null;
+  }
+
+  const directive = /^ignore\s+reason=(?:"([^"]*)"|'([^']*)')$/.exec(match[1].trim());
+  if (!directive) {
+    return { error: 'expected ignore reason="..."' };
+  }
+
+  const reason = (directive[1] ?? directive[2]).trim();
+  return reason ? { reason } : { error: 'the reason must not be empty' };
+}
+
+/**
+ * Collect the comment tokens of a YAML concrete syntax tree
+ * Text inside block and quoted scalars (e.g. a run: | script) is part of the scalar token, not a comment.
+ * @param {Object|Array} token - CST token or list of tokens
+ * @param {Array<Object>} comments - Collected comment tokens ({ offset, source })
+ * @returns {Array<Object>} The comments array
+ */
+function collectYamlComments(token, comments = []) {
+  if (Array.isArray(token)) {
+    for (const item of token) {
+      collectYamlComments(item, comments);
+    }
+  } else if (token && typeof token === 'object') {
+    if (token.type === 'comment') {
+      comments.push(token);
+    } else {
+      for (const value of Object.values(token)) {
+        collectYamlComments(value, comments);
+      }
+    }
+  }
+
+  return comments;
+}
+
+/**
+ * Find the inline suppression comments in a YAML file and match them to uses lines
+ * A comment applies to the uses value on its own line, or on the next line when the comment is on a line by itself.
+ * Comments are read from the YAML syntax tree, so matching text inside scripts and other scalars is ignored.
+ * @param {string} content - YAML content
+ * @param {string} filePath - Repository-relative file path recorded with each suppression
+ * @param {Object} options - Warning options
+ * @param {Set<string>|false} options.reportedFiles - Files whose comment warnings were already reported, or false to
+ *   not report warnings (optional)
+ * @param {string} options.displayPath - Path shown in warnings (defaults to filePath)
+ * @param {boolean} options.annotate - Whether warnings are attached to the file (false for files not in the workspace)
+ * @returns {Object} { getSuppression(line), reportProblems() }
+ */
+export function createSuppressionReader(content, filePath, options = {}) {
+  const comments = new Map();
+  const lineCounter = new LineCounter();
+  for (const token of collectYamlComments([...new Parser(lineCounter.addNewLine).parse(content)])) {
+    const match = /^#(\s*immutable-actions\s*:.*)$/.exec(token.source);
+    if (match) {
+      const { line, col } = lineCounter.linePos(token.offset);
+      const ownLine = !content.slice(token.offset - col + 1, token.offset).trim();
+      comments.set(line, { ...parseSuppressionComment(match[1]), line, ownLine });
+    }
+  }
+  const attachedLines = new Set();
+
+  return {
+    getSuppression: line => {
+      const comment = comments.get(line) || (comments.get(line - 1)?.ownLine ? comments.get(line - 1) : null);
+      if (!line || !comment) {
+        return undefined;
+      }
+
+      attachedLines.add(comment.line);
+      return comment.reason ? { reason: comment.reason, filePath, line: comment.line } : undefined;
+    },
+    reportProblems: () => {
+      const displayPath = options.displayPath || filePath;
+      if (options.reportedFiles === false || options.reportedFiles?.has(displayPath)) {
+        return;
+      }
+      options.reportedFiles?.add(displayPath);
+
+      for (const comment of comments.values()) {
+        const message = comment.error
+          ? `Malformed suppression comment in ${displayPath}:${comment.line}: ${comment.error}`
+          : !attachedLines.has(comment.line) &&
+            `Suppression comment in ${displayPath}:${comment.line} is not on or directly above a uses: line`;
+        if (message) {
+          core.warning(
+            message,
+            getAnnotationProperties(
+              options.annotate === false ? null : { filePath, line: comment.line },
+              'Suppression comment'
+            )
+          );
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the suppression metadata for a uses value, falling back to the suppression of the referencing line
+ * @param {Object} suppressions - Reader from createSuppressionReader
+ * @param {Object} position - Position of the uses value
+ * @param {Object} inherited - Suppression of the reference that led to this file (optional)
+ * @returns {Object} { suppression } or an empty object
+ */
+function getSuppressionMetadata(suppressions, position, inherited) {
+  const suppression = suppressions.getSuppression(position?.line) || inherited;
+  return suppression ? { suppression } : {};
+}
+
+/**
+ * Convert a file path to a repository-relative POSIX path for annotations and links
+ * @param {string} filePath - Absolute or workspace-relative file path
+ * @param {string} workspaceDir - Repository workspace root
+ * @returns {string|undefined} Repository-relative path, or undefined when outside the workspace
+ */
+function getRepositoryPath(filePath, workspaceDir) {
+  const relativePath = path.relative(workspaceDir, path.resolve(workspaceDir, filePath));
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return undefined;
+  }
+
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Add image records for a job's container and service containers
+ * Images built from expressions (e.g. matrix values) cannot be resolved statically and are reported as unsupported.
+ * @param {Array} actions - Mutable collection of extracted action references
+ * @param {string} jobName - Job ID in the workflow
+ * @param {Object} job - Parsed workflow job
+ * @param {Function} getPosition - Position lookup from parseYamlWithPositions
+ * @param {Object} metadata - Workflow metadata to attach to each image record; source fields default to the image position
+ */
+function addJobContainerImages(actions, jobName, job, getPosition, metadata) {
+  const containers = [{ keyPath: ['container'], value: job.container, containerType: 'container' }];
+  for (const [serviceName, service] of Object.entries(job.services || {})) {
+    containers.push({ keyPath: ['services', serviceName], value: service, containerType: 'service', serviceName });
+  }
+
+  for (const { keyPath, value, containerType, serviceName } of containers) {
+    const imageKeyPath = typeof value === 'string' ? keyPath : [...keyPath, 'image'];
+    const image = typeof value === 'string' ? value : value?.image;
+    if (!image || typeof image !== 'string') {
+      continue;
+    }
+
+    const position = getPosition(['jobs', jobName, ...imageKeyPath]);
+    const imageMetadata = {
+      ...metadata,
+      jobName,
+      containerType,
+      ...(serviceName && { serviceName }),
+      line: position?.line,
+      column: position?.column,
+      sourceJobName: metadata.sourceJobName || jobName,
+      sourceLine: metadata.sourceLine ?? position?.line,
+      sourceColumn: metadata.sourceColumn ?? position?.column
+    };
+
+    if (image.includes('${{')) {
+      actions.push({
+        ...imageMetadata,
+        uses: `docker://${image}`,
+        supported: false,
+        unsupportedType: 'expression',
+        message: `Unsupported container image: ${image} (expressions are not resolved)`
+      });
+      continue;
+    }
+
+    actions.push(createDockerImageAction(image.replace(/^docker:\/\//, ''), imageMetadata));
+  }
+}
+
+/**
+ * Identify a workflow step within its job by its id, or by its position when it has neither an id nor a name
+ * @param {Object} step - Parsed workflow step
+ * @param {number} stepIndex - Zero-based index of the step in the job
+ * @returns {string|undefined} Step id, `#<position>` for anonymous steps, or undefined for named steps without an id
+ */
+function getStepId(step, stepIndex) {
+  if (step.id !== undefined && step.id !== null && step.id !== '') {
+    return String(step.id);
+  }
+
+  return step.name ? undefined : `#${stepIndex + 1}`;
+}
+
 /**
  * Extract all action references from a workflow file
  * @param {string} workflowPath - Path to workflow YAML file
@@ -481,61 +980,126 @@ export function extractActionsFromWorkflow(
 ) {
   try {
     const content = fs.readFileSync(workflowPath, 'utf8');
-    const workflow = YAML.parse(content);
-    const workflowFile = path.basename(workflowPath);
-    const excludeWorkflowPatterns = options.excludeWorkflowPatterns || [];
+    return extractActionsFromWorkflowContent(content, {
+      ...options,
+      workflowFile: path.basename(workflowPath),
+      filePath: getRepositoryPath(workflowPath, workspaceDir),
+      workspaceDir
+    });
+  } catch (error) {
+    core.warning(`Failed to parse workflow ${workflowPath}: ${error.message}`);
+    return [];
+  }
+}
 
-    const actions = [];
-    const jobs = workflow?.jobs || {};
+/**
+ * Extract all action references from workflow content
+ * Local ./ references are read from workspaceDir, or resolved to references to options.repository at its ref
+ * for workflows fetched from a remote repository.
+ * @param {string} content - Workflow YAML content
+ * @param {Object} options - Workflow extraction options
+ * @param {string} options.workflowFile - Workflow name used to group results
+ * @param {string} options.filePath - Repository-relative workflow path
+ * @param {string} options.workspaceDir - Repository workspace root for local references
+ * @param {Object} options.repository - { owner, repo, ref } of a remote workflow (optional)
+ * @param {Array<string>} options.excludeWorkflowPatterns - Exclude patterns for reusable workflows
+ * @param {Array<string>} options.trustedOwners - Ordered trust patterns
+ * @param {Set<string>|false} options.reportedSuppressionFiles - Files whose suppression comment warnings were already
+ *   reported, or false to not report them (optional)
+ * @returns {Array} Array of action references
+ * @throws {Error} When the content is not valid YAML
+ */
+export function extractActionsFromWorkflowContent(content, options = {}) {
+  const { data: workflow, getPosition } = parseYamlWithPositions(content);
+  const { workflowFile, filePath, workspaceDir, repository } = options;
+  const excludeWorkflowPatterns = options.excludeWorkflowPatterns || [];
+  const resolveUses = uses => (repository && uses.startsWith('./') ? resolveRemoteLocalUses(uses, repository) : uses);
+  const suppressions = createSuppressionReader(content, filePath, {
+    reportedFiles: options.reportedSuppressionFiles,
+    displayPath: repository ? `${repository.owner}/${repository.repo}/${filePath}` : filePath,
+    annotate: !repository
+  });
 
-    for (const [jobName, job] of Object.entries(jobs)) {
-      if (job?.uses) {
+  const actions = [];
+  const jobs = workflow?.jobs || {};
+
+  for (const [jobName, job] of Object.entries(jobs)) {
+    if (job?.container || job?.services) {
+      addJobContainerImages(actions, jobName, job, getPosition, {
+        workflowFile,
+        filePath,
+        sourceWorkflowFile: workflowFile,
+        sourceFilePath: filePath
+      });
+    }
+
+    if (job?.uses) {
+      const position = getPosition(['jobs', jobName, 'uses']);
+      addParsedAction(
+        actions,
+        resolveUses(job.uses),
+        {
+          workflowFile,
+          jobName,
+          filePath,
+          line: position?.line,
+          column: position?.column,
+          comment: position?.comment,
+          entrypointUses: resolveUses(job.uses),
+          sourceWorkflowFile: workflowFile,
+          sourceJobName: jobName,
+          sourceFilePath: filePath,
+          sourceLine: position?.line,
+          sourceColumn: position?.column,
+          ...getSuppressionMetadata(suppressions, position)
+        },
+        {
+          workspaceDir,
+          excludeWorkflowPatterns,
+          trustedOwners: options.trustedOwners,
+          reportedSuppressionFiles: options.reportedSuppressionFiles
+        }
+      );
+    }
+
+    const steps = job?.steps || [];
+    for (const [stepIndex, step] of steps.entries()) {
+      if (step?.uses) {
+        const position = getPosition(['jobs', jobName, 'steps', stepIndex, 'uses']);
         addParsedAction(
           actions,
-          job.uses,
+          resolveUses(step.uses),
           {
             workflowFile,
             jobName,
-            entrypointUses: job.uses,
+            stepName: step.name || 'unnamed step',
+            filePath,
+            line: position?.line,
+            column: position?.column,
+            comment: position?.comment,
+            entrypointUses: resolveUses(step.uses),
             sourceWorkflowFile: workflowFile,
-            sourceJobName: jobName
+            sourceJobName: jobName,
+            sourceStepName: step.name || 'unnamed step',
+            sourceStepId: getStepId(step, stepIndex),
+            sourceFilePath: filePath,
+            sourceLine: position?.line,
+            sourceColumn: position?.column,
+            ...getSuppressionMetadata(suppressions, position)
           },
           {
             workspaceDir,
-            excludeWorkflowPatterns
+            excludeWorkflowPatterns,
+            trustedOwners: options.trustedOwners,
+            reportedSuppressionFiles: options.reportedSuppressionFiles
           }
         );
       }
-
-      const steps = job?.steps || [];
-      for (const step of steps) {
-        if (step?.uses) {
-          addParsedAction(
-            actions,
-            step.uses,
-            {
-              workflowFile,
-              jobName,
-              stepName: step.name || 'unnamed step',
-              entrypointUses: step.uses,
-              sourceWorkflowFile: workflowFile,
-              sourceJobName: jobName,
-              sourceStepName: step.name || 'unnamed step'
-            },
-            {
-              workspaceDir,
-              excludeWorkflowPatterns
-            }
-          );
-        }
-      }
     }
-
-    return actions;
-  } catch (error) {
-    core.warning(`Failed to parse workflow ${workflowPath}: ${error.message}`);
-    return [];
   }
+
+  suppressions.reportProblems();
+  return actions;
 }
 
 /**
@@ -552,29 +1116,483 @@ export function isReusableWorkflowReference(action) {
 }
 
 /**
- * Fetch file content from a remote repository at a given ref
- * @param {Octokit} octokit - Octokit instance
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} filePath - Path in the repository
- * @param {string} ref - Git ref
- * @returns {Promise<Object>} Remote file result
+ * Default retry policy for GitHub API requests
+ * Delays are in milliseconds; a request whose required wait exceeds maxDelay is not retried.
  */
-export async function fetchRemoteFile(octokit, owner, repo, filePath, ref) {
-  try {
-    const response = await octokit.rest.repos.getContent({
-      owner,
-      repo,
-      path: filePath,
-      ref
-    });
+export const REQUEST_RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 60000
+};
 
-    const file = response.data;
-    if (!file || Array.isArray(file) || file.type !== 'file' || typeof file.content !== 'string') {
-      return {
-        found: false,
-        message: `Remote path is not a file: ${filePath}`
-      };
+/**
+ * Determine how long to wait before retrying a failed GitHub API request
+ * Server errors back off exponentially; rate-limited requests wait for retry-after or the x-ratelimit-reset time.
+ * @param {Error} error - Request error (status and response.headers are read)
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Retry policy (baseDelay, maxDelay)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null when the request should not be retried
+ */
+export function getRetryDelay(error, attempt, options = REQUEST_RETRY_DEFAULTS, now = Date.now()) {
+  const headers = error.response?.headers || {};
+  const retryAfter = Number.parseInt(headers['retry-after'], 10);
+  const backoff = options.baseDelay * 2 ** attempt;
+
+  let delay = null;
+  if (error.status === 403 || error.status === 429) {
+    if (Number.isFinite(retryAfter)) {
+      delay = retryAfter * 1000;
+    } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      delay = Math.max(Number(headers['x-ratelimit-reset']) * 1000 - now, 0) + options.baseDelay;
+    } else if (error.status === 429 || /secondary rate limit/i.test(error.message)) {
+      delay = backoff;
+    }
+  } else if (error.status >= 500) {
+    delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : backoff;
+  }
+
+  return delay !== null && delay <= options.maxDelay ? delay : null;
+}
+
+/**
+ * Retry failed GitHub API requests on server errors and rate limits, and track the remaining quota
+ * @param {Octokit} octokit - Octokit instance to wrap
+ * @param {Object} options - Retry policy overrides (retries, baseDelay, maxDelay) and sleep for tests
+ * @returns {Object} Live rate limit state { limit, remaining, reset, retries }
+ */
+export function addRequestRetries(octokit, options = {}) {
+  const policy = { ...REQUEST_RETRY_DEFAULTS, ...options };
+  const sleep = options.sleep || (delay => new Promise(resolve => setTimeout(resolve, delay)));
+  const rateLimit = { limit: null, remaining: null, reset: null, retries: 0 };
+  const trackRateLimit = headers => {
+    if (headers?.['x-ratelimit-remaining'] !== undefined) {
+      rateLimit.limit = Number(headers['x-ratelimit-limit']);
+      rateLimit.remaining = Number(headers['x-ratelimit-remaining']);
+      rateLimit.reset = Number(headers['x-ratelimit-reset']);
+    }
+  };
+
+  octokit.hook.wrap('request', async (request, requestOptions) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request(requestOptions);
+        trackRateLimit(response.headers);
+        return response;
+      } catch (error) {
+        trackRateLimit(error.response?.headers);
+        const delay = attempt < policy.retries ? getRetryDelay(error, attempt, policy) : null;
+        if (delay === null) {
+          throw error;
+        }
+
+        rateLimit.retries++;
+        core.info(
+          `Retrying ${requestOptions.method} ${requestOptions.url} in ${Math.ceil(delay / 1000)}s ` +
+            `(HTTP ${error.status}, retry ${attempt + 1} of ${policy.retries})`
+        );
+        await sleep(delay);
+      }
+    }
+  });
+
+  return rateLimit;
+}
+
+/**
+ * Describe the remaining GitHub API quota for logs
+ * @param {Object} rateLimit - Rate limit state from addRequestRetries
+ * @returns {string|null} Log line, or null when no rate limit headers were seen
+ */
+export function formatRateLimit(rateLimit) {
+  if (rateLimit?.remaining === null || rateLimit?.remaining === undefined) {
+    return null;
+  }
+
+  const reset = Number.isFinite(rateLimit.reset) ? `, resets at ${new Date(rateLimit.reset * 1000).toISOString()}` : '';
+  const retries = rateLimit.retries > 0 ? ` (${rateLimit.retries} request(s) retried)` : '';
+  return `GitHub API rate limit: ${rateLimit.remaining} of ${rateLimit.limit} requests remaining${reset}${retries}`;
+}
+
+/**
+ * Maximum number of lookups combined into a single GraphQL request
+ */
+export const GRAPHQL_BATCH_SIZE = 50;
+
+function createNotFoundError() {
+  return Object.assign(new Error('Not Found'), { status: 404 });
+}
+
+/**
+ * Build an aliased GraphQL query for a batch of release and file lookups
+ * @param {Array<Object>} lookups - { kind: 'release'|'file', owner, repo, tag?, expression? } entries
+ * @returns {Object} { query, variables } where lookup i is aliased as q<i>
+ */
+export function buildGraphqlBatchQuery(lookups) {
+  const definitions = [];
+  const fields = [];
+  const variables = {};
+
+  for (const [index, lookup] of lookups.entries()) {
+    variables[`o${index}`] = lookup.owner;
+    variables[`n${index}`] = lookup.repo;
+    definitions.push(`$o${index}: String!`, `$n${index}: String!`);
+
+    let selection;
+    if (lookup.kind === 'release') {
+      variables[`t${index}`] = lookup.tag;
+      definitions.push(`$t${index}: String!`);
+      selection = `release(tagName: $t${index}) { tagName immutable }`;
+    } else {
+      variables[`e${index}`] = lookup.expression;
+      definitions.push(`$e${index}: String!`);
+      selection = `object(expression: $e${index}) { __typename ... on Blob { text isBinary } }`;
+    }
+    fields.push(`  q${index}: repository(owner: $o${index}, name: $n${index}) { ${selection} }`);
+  }
+
+  return { query: `query(${definitions.join(', ')}) {\n${fields.join('\n')}\n}`, variables };
+}
+
+/**
+ * Convert a GraphQL repository result into the REST response shape expected by callers
+ * @param {Object} lookup - Release or file lookup
+ * @param {Object|null} repository - Aliased repository result
+ * @returns {Object|null} REST-shaped response, or null when the lookup needs the REST fallback (directories, binary files)
+ * @throws {Error} 404 error when the repository, release or path does not exist
+ */
+function toRestResponse(lookup, repository) {
+  if (lookup.kind === 'release') {
+    if (!repository?.release) {
+      throw createNotFoundError();
+    }
+    return { data: { tag_name: repository.release.tagName, immutable: repository.release.immutable === true } };
+  }
+
+  const object = repository?.object;
+  if (!object) {
+    throw createNotFoundError();
+  }
+  if (object.__typename !== 'Blob' || object.isBinary || typeof object.text !== 'string') {
+    return null;
+  }
+  return { data: { type: 'file', encoding: 'base64', content: Buffer.from(object.text, 'utf8').toString('base64') } };
+}
+
+/**
+ * Route release-by-tag and file content lookups through batched GraphQL queries
+ * Lookups requested in the same tick are combined into one request of up to batchSize aliased repository queries.
+ * Lookups the batch cannot answer (binary files, GraphQL errors other than NOT_FOUND, failed requests) fall back to REST.
+ * @param {Octokit} octokit - Octokit instance whose repos.getReleaseByTag and repos.getContent are replaced
+ * @param {Object} options - Batching options (batchSize)
+ * @returns {Object} Live batching statistics { lookups, requests, fallbacks }
+ */
+export function addGraphqlBatching(octokit, options = {}) {
+  const batchSize = options.batchSize || GRAPHQL_BATCH_SIZE;
+  const restMethods = {
+    release: octokit.rest.repos.getReleaseByTag,
+    file: octokit.rest.repos.getContent
+  };
+  const stats = { lookups: 0, requests: 0, fallbacks: 0 };
+  let pending = new Map();
+  let flushTimer = null;
+
+  const fallback = entry => {
+    stats.fallbacks++;
+    return restMethods[entry.lookup.kind](entry.params);
+  };
+
+  const settle = (entry, getResponse) => {
+    for (const { resolve, reject } of entry.callers) {
+      try {
+        resolve(getResponse());
+      } catch (error) {
+        reject(error);
+      }
+    }
+  };
+
+  const flush = async () => {
+    const entries = [...pending.values()];
+    pending = new Map();
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (entries.length === 0) {
+      return;
+    }
+
+    stats.requests++;
+    const { query, variables } = buildGraphqlBatchQuery(entries.map(entry => entry.lookup));
+    let data;
+    let errors = [];
+    try {
+      data = await octokit.graphql(query, variables);
+    } catch (error) {
+      if (!error.data) {
+        core.info(`GraphQL batch of ${entries.length} lookup(s) failed, falling back to REST: ${error.message}`);
+        for (const entry of entries) {
+          settle(entry, () => fallback(entry));
+        }
+        return;
+      }
+      data = error.data;
+      errors = error.errors || [];
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      const error = errors.find(candidate => candidate.path?.[0] === `q${index}`);
+      if (error && error.type !== 'NOT_FOUND') {
+        settle(entry, () => fallback(entry));
+        continue;
+      }
+      settle(entry, () => toRestResponse(entry.lookup, data?.[`q${index}`]) || fallback(entry));
+    }
+  };
+
+  const enqueue = (key, lookup, params) =>
+    new Promise((resolve, reject) => {
+      stats.lookups++;
+      if (!pending.has(key)) {
+        pending.set(key, { lookup, params, callers: [] });
+      }
+      pending.get(key).callers.push({ resolve, reject });
+
+      if (pending.size >= batchSize) {
+        flush();
+      } else if (!flushTimer) {
+        flushTimer = setTimeout(flush, 0);
+      }
+    });
+
+  octokit.rest.repos.getReleaseByTag = params =>
+    enqueue(
+      `release\u0000${params.owner}/${params.repo}\u0000${params.tag}`,
+      { kind: 'release', owner: params.owner, repo: params.repo, tag: params.tag },
+      params
+    );
+  octokit.rest.repos.getContent = params => {
+    if (!params.ref || Object.keys(params).some(key => !['owner', 'repo', 'path', 'ref'].includes(key))) {
+      return restMethods.file(params);
+    }
+    return enqueue(
+      `file\u0000${params.owner}/${params.repo}\u0000${params.ref}:${params.path}`,
+      { kind: 'file', owner: params.owner, repo: params.repo, expression: `${params.ref}:${params.path}` },
+      params
+    );
+  };
+
+  return stats;
+}
+
+/**
+ * Describe GraphQL batching statistics for logs
+ * @param {Object} stats - Statistics from addGraphqlBatching
+ * @returns {string} Log line
+ */
+export function formatGraphqlBatchStats(stats) {
+  return `GraphQL batching: ${stats.lookups} lookup(s) in ${stats.requests} request(s), ${stats.fallbacks} REST fallback(s)`;
+}
+
+/**
+ * Version of the result cache file format; files with another version are ignored
+ */
+export const RESULT_CACHE_VERSION = 1;
+
+/**
+ * Default number of hours cached results that can still change are kept
+ */
+export const DEFAULT_CACHE_TTL_HOURS = 24;
+
+/**
+ * Load the result cache file written by a previous run
+ * A missing, unreadable or incompatible file starts an empty cache, which is written on save.
+ * Cached expansions are discarded when they were stored with different trusted owners or exclude patterns.
+ * @param {string} filePath - Absolute path of the cache file
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlHours - Hours results that can still change stay cached (default DEFAULT_CACHE_TTL_HOURS)
+ * @param {Object} options.settings - Settings that expansions depend on (trustedOwners, excludeWorkflowPatterns)
+ * @param {Date} options.now - Current time
+ * @returns {Object} Result cache { filePath, ttlHours, settings, now, entries: { immutability, expansion }, stats }
+ */
+export function loadResultCache(filePath, options = {}) {
+  const cache = {
+    filePath,
+    ttlHours: options.ttlHours ?? DEFAULT_CACHE_TTL_HOURS,
+    settings: options.settings || {},
+    now: options.now || new Date(),
+    entries: { immutability: {}, expansion: {} },
+    stats: { hits: 0, misses: 0, expired: 0, stored: 0 }
+  };
+
+  if (!fs.existsSync(filePath)) {
+    core.info(`Result cache file not found, starting with an empty cache: ${filePath}`);
+    return cache;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    core.warning(`Ignoring unreadable result cache file ${filePath}: ${error.message}`);
+    return cache;
+  }
+  if (data?.version !== RESULT_CACHE_VERSION) {
+    core.warning(`Ignoring result cache file ${filePath} with unsupported version: ${data?.version}`);
+    return cache;
+  }
+
+  cache.entries.immutability = data.immutability || {};
+  if (JSON.stringify(data.settings || {}) === JSON.stringify(cache.settings)) {
+    cache.entries.expansion = data.expansion || {};
+  } else {
+    core.info('Discarding cached expansions stored with different trusted owners or exclude patterns');
+  }
+  core.info(
+    `Loaded result cache from ${filePath}: ${Object.keys(cache.entries.immutability).length} release result(s), ${Object.keys(cache.entries.expansion).length} expansion(s)`
+  );
+  return cache;
+}
+
+function isCacheEntryLive(entry, now) {
+  return !entry.expiresAt || Date.parse(entry.expiresAt) > now.getTime();
+}
+
+function isPinnedCacheReference(uses, immutability) {
+  const atIndex = uses.lastIndexOf('@');
+  const ref = uses.slice(atIndex + 1);
+  const releaseKey = `${uses.slice(0, atIndex).split('/').slice(0, 2).join('/')}@${ref}`;
+  return isFullSHA(ref) || immutability[releaseKey]?.value.immutable === true;
+}
+
+function isPermanentExpansion(uses, templates, immutability) {
+  // Nested references at a moving ref can change what the expansion finds
+  return (
+    isPinnedCacheReference(uses, immutability) &&
+    templates.every(
+      template => template.supported === false || template.image || isPinnedCacheReference(template.uses, immutability)
+    )
+  );
+}
+
+/**
+ * Look up a result cache entry, logging the hit or miss
+ * @param {Object} cache - Result cache from loadResultCache
+ * @param {string} section - 'immutability' (keyed by owner/repo@ref) or 'expansion' (keyed by uses)
+ * @param {string} key - Entry key
+ * @returns {*} Cached value, or undefined when the entry is missing or expired
+ */
+export function getCachedResult(cache, section, key) {
+  const entry = cache.entries[section][key];
+  if (entry && isCacheEntryLive(entry, cache.now)) {
+    cache.stats.hits++;
+    core.info(`Result cache hit: ${key}`);
+    return entry.value;
+  }
+
+  cache.stats.misses++;
+  if (entry) {
+    cache.stats.expired++;
+    delete cache.entries[section][key];
+    core.info(`Result cache miss: ${key} (expired ${entry.expiresAt})`);
+  } else {
+    core.info(`Result cache miss: ${key}`);
+  }
+  return undefined;
+}
+
+/**
+ * Store a result cache entry
+ * Permanent entries never expire; others expire after the cache TTL and are not stored when the TTL is 0.
+ * @param {Object} cache - Result cache from loadResultCache
+ * @param {string} section - 'immutability' or 'expansion'
+ * @param {string} key - Entry key
+ * @param {*} value - JSON-serializable value
+ * @param {boolean} permanent - Whether the value can never change (immutable release or full SHA)
+ */
+export function setCachedResult(cache, section, key, value, permanent) {
+  if (!permanent && cache.ttlHours === 0) {
+    return;
+  }
+
+  cache.entries[section][key] = {
+    value,
+    cachedAt: cache.now.toISOString(),
+    ...(!permanent && { expiresAt: new Date(cache.now.getTime() + cache.ttlHours * 3600000).toISOString() })
+  };
+  cache.stats.stored++;
+}
+
+/**
+ * Write the result cache file, dropping expired entries
+ * Expansions whose reference and nested references are all full SHAs or cached immutable releases are kept permanently.
+ * Write failures are logged as warnings since the cache only saves API requests.
+ * @param {Object} cache - Result cache from loadResultCache
+ * @returns {boolean} True when the file was written
+ */
+export function saveResultCache(cache) {
+  const immutability = Object.fromEntries(
+    Object.entries(cache.entries.immutability).filter(([, entry]) => isCacheEntryLive(entry, cache.now))
+  );
+  const expansion = {};
+  for (const [uses, entry] of Object.entries(cache.entries.expansion)) {
+    if (!isCacheEntryLive(entry, cache.now)) {
+      continue;
+    }
+    const { expiresAt, ...permanentEntry } = entry;
+    expansion[uses] = expiresAt && isPermanentExpansion(uses, entry.value, immutability) ? permanentEntry : entry;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(cache.filePath), { recursive: true });
+    fs.writeFileSync(
+      cache.filePath,
+      `${JSON.stringify({ version: RESULT_CACHE_VERSION, settings: cache.settings, immutability, expansion }, null, 2)}\n`
+    );
+  } catch (error) {
+    core.warning(`Failed to write result cache file ${cache.filePath}: ${error.message}`);
+    return false;
+  }
+
+  core.info(
+    `Saved result cache to ${cache.filePath}: ${Object.keys(immutability).length} release result(s), ${Object.keys(expansion).length} expansion(s)`
+  );
+  return true;
+}
+
+/**
+ * Describe result cache statistics for logs
+ * @param {Object} cache - Result cache from loadResultCache
+ * @returns {string} Log line
+ */
+export function formatResultCacheStats(cache) {
+  const { hits, misses, expired, stored } = cache.stats;
+  return `Result cache: ${hits} hit(s), ${misses} miss(es) (${expired} expired), ${stored} stored`;
+}
+
+/**
+ * Fetch file content from a remote repository at a given ref
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} filePath - Path in the repository
+ * @param {string} ref - Git ref
+ * @returns {Promise<Object>} Remote file result
+ */
+export async function fetchRemoteFile(octokit, owner, repo, filePath, ref) {
+  try {
+    const response = await octokit.rest.repos.getContent({
+      owner,
+      repo,
+      path: filePath,
+      ref
+    });
+
+    const file = response.data;
+    if (!file || Array.isArray(file) || file.type !== 'file' || typeof file.content !== 'string') {
+      return {
+        found: false,
+        message: `Remote path is not a file: ${filePath}`
+      };
     }
 
     return {
@@ -591,6 +1609,7 @@ export async function fetchRemoteFile(octokit, owner, repo, filePath, ref) {
 
     return {
       found: false,
+      apiError: true,
       message: `Failed to fetch remote file ${filePath}: ${error.message}`
     };
   }
@@ -600,9 +1619,10 @@ export async function fetchRemoteFile(octokit, owner, repo, filePath, ref) {
  * Build an unsupported record for remote recursion boundaries
  * @param {Object} action - Parsed action reference
  * @param {string} message - Unsupported message
+ * @param {string} unsupportedType - Reason the reference was not expanded (api-error records are reported as errored)
  * @returns {Object} Unsupported action record
  */
-export function createUnsupportedRemoteAction(action, message) {
+export function createUnsupportedRemoteAction(action, message, unsupportedType = 'remote-recursion') {
   return {
     uses: action.uses,
     workflowFile: action.workflowFile,
@@ -611,12 +1631,35 @@ export function createUnsupportedRemoteAction(action, message) {
     sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
     sourceJobName: action.sourceJobName || action.jobName,
     sourceStepName: action.sourceStepName || action.stepName,
+    sourceStepId: action.sourceStepId,
+    sourceFilePath: action.sourceFilePath ?? action.filePath,
+    sourceLine: action.sourceLine ?? action.line,
+    sourceColumn: action.sourceColumn ?? action.column,
+    via: action.via,
     supported: false,
-    unsupportedType: 'remote-recursion',
+    unsupportedType,
     message
   };
 }
 
+function getRemoteFileErrorType(fileResult) {
+  return fileResult?.apiError ? 'api-error' : 'remote-recursion';
+}
+
+/**
+ * Resolve a local ./ reference inside a remote repository to a reference to that repository at the same ref
+ * @param {string} uses - Local uses string (./path)
+ * @param {Object} repository - { owner, repo, ref } the reference was found in
+ * @param {string} basePath - Directory the reference is relative to (repository root for workflows)
+ * @returns {string} Remote uses string (owner/repo[/path]@ref)
+ */
+export function resolveRemoteLocalUses(uses, repository, basePath = '.') {
+  const resolvedPath = path.posix.normalize(path.posix.join(basePath, uses)).replace(/\/$/, '');
+  return resolvedPath === '.'
+    ? `${repository.owner}/${repository.repo}@${repository.ref}`
+    : `${repository.owner}/${repository.repo}/${resolvedPath}@${repository.ref}`;
+}
+
 /**
  * Clone a cached expansion template with caller workflow metadata
  * @param {Object} template - Cached action template
@@ -630,9 +1673,15 @@ export function instantiateExpandedAction(template, parentAction) {
     jobName: template.jobName || parentAction.jobName,
     stepName: template.stepName || parentAction.stepName,
     entrypointUses: parentAction.entrypointUses || parentAction.uses,
+    via: [...(parentAction.via || []), parentAction.uses, ...(template.via || [])],
     sourceWorkflowFile: parentAction.sourceWorkflowFile || parentAction.workflowFile,
     sourceJobName: parentAction.sourceJobName || parentAction.jobName,
-    sourceStepName: parentAction.sourceStepName || parentAction.stepName
+    sourceStepName: parentAction.sourceStepName || parentAction.stepName,
+    sourceStepId: parentAction.sourceStepId,
+    sourceFilePath: parentAction.sourceFilePath ?? parentAction.filePath,
+    sourceLine: parentAction.sourceLine ?? parentAction.line,
+    sourceColumn: parentAction.sourceColumn ?? parentAction.column,
+    ...(parentAction.suppression && { suppression: parentAction.suppression })
   };
 }
 
@@ -651,16 +1700,21 @@ export async function expandRemoteReusableWorkflow(octokit, action, content, opt
     const jobs = workflow?.jobs || {};
 
     for (const [jobName, job] of Object.entries(jobs)) {
+      if (job?.container || job?.services) {
+        addJobContainerImages(nestedTemplates, jobName, job, () => null, {
+          entrypointUses: action.entrypointUses || action.uses,
+          sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
+          sourceJobName: action.sourceJobName || action.jobName,
+          sourceStepName: action.sourceStepName || action.stepName,
+          sourceStepId: action.sourceStepId,
+          sourceFilePath: action.sourceFilePath ?? action.filePath,
+          sourceLine: action.sourceLine ?? action.line,
+          sourceColumn: action.sourceColumn ?? action.column
+        });
+      }
+
       if (job?.uses) {
-        let nestedUses = job.uses;
-        if (nestedUses.startsWith('./')) {
-          const resolvedPath = path.posix.normalize(nestedUses);
-          if (resolvedPath === '.') {
-            nestedUses = `${action.owner}/${action.repo}@${action.ref}`;
-          } else {
-            nestedUses = `${action.owner}/${action.repo}/${resolvedPath}@${action.ref}`;
-          }
-        }
+        const nestedUses = job.uses.startsWith('./') ? resolveRemoteLocalUses(job.uses, action) : job.uses;
         addParsedAction(
           nestedTemplates,
           nestedUses,
@@ -669,26 +1723,23 @@ export async function expandRemoteReusableWorkflow(octokit, action, content, opt
             entrypointUses: action.entrypointUses || action.uses,
             sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
             sourceJobName: action.sourceJobName || action.jobName,
-            sourceStepName: action.sourceStepName || action.stepName
+            sourceStepName: action.sourceStepName || action.stepName,
+            sourceStepId: action.sourceStepId,
+            sourceFilePath: action.sourceFilePath ?? action.filePath,
+            sourceLine: action.sourceLine ?? action.line,
+            sourceColumn: action.sourceColumn ?? action.column
           },
           {
             workspaceDir: options.workspaceDir,
-            excludeWorkflowPatterns: options.excludeWorkflowPatterns
+            excludeWorkflowPatterns: options.excludeWorkflowPatterns,
+            trustedOwners: options.trustedOwners
           }
         );
       }
 
       for (const step of job?.steps || []) {
         if (step?.uses) {
-          let nestedUses = step.uses;
-          if (nestedUses.startsWith('./')) {
-            const resolvedPath = path.posix.normalize(nestedUses);
-            if (resolvedPath === '.') {
-              nestedUses = `${action.owner}/${action.repo}@${action.ref}`;
-            } else {
-              nestedUses = `${action.owner}/${action.repo}/${resolvedPath}@${action.ref}`;
-            }
-          }
+          const nestedUses = step.uses.startsWith('./') ? resolveRemoteLocalUses(step.uses, action) : step.uses;
           addParsedAction(
             nestedTemplates,
             nestedUses,
@@ -698,11 +1749,16 @@ export async function expandRemoteReusableWorkflow(octokit, action, content, opt
               entrypointUses: action.entrypointUses || action.uses,
               sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
               sourceJobName: action.sourceJobName || action.jobName,
-              sourceStepName: action.sourceStepName || action.stepName
+              sourceStepName: action.sourceStepName || action.stepName,
+              sourceStepId: action.sourceStepId,
+              sourceFilePath: action.sourceFilePath ?? action.filePath,
+              sourceLine: action.sourceLine ?? action.line,
+              sourceColumn: action.sourceColumn ?? action.column
             },
             {
               workspaceDir: options.workspaceDir,
-              excludeWorkflowPatterns: options.excludeWorkflowPatterns
+              excludeWorkflowPatterns: options.excludeWorkflowPatterns,
+              trustedOwners: options.trustedOwners
             }
           );
         }
@@ -715,6 +1771,49 @@ export async function expandRemoteReusableWorkflow(octokit, action, content, opt
   }
 }
 
+/**
+ * Expand a remote Docker action into templates for its runs.image or the FROM images of its Dockerfile
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} action - Parsed action reference
+ * @param {string} image - runs.image from the action metadata
+ * @returns {Promise<Array>} Docker image templates
+ */
+export async function expandRemoteDockerAction(octokit, action, image) {
+  const templateMetadata = {
+    entrypointUses: action.entrypointUses || action.uses,
+    sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
+    sourceJobName: action.sourceJobName || action.jobName,
+    sourceStepName: action.sourceStepName || action.stepName,
+    sourceStepId: action.sourceStepId,
+    sourceFilePath: action.sourceFilePath ?? action.filePath,
+    sourceLine: action.sourceLine ?? action.line,
+    sourceColumn: action.sourceColumn ?? action.column
+  };
+
+  if (typeof image !== 'string' || !image) {
+    return [createUnsupportedRemoteAction(action, 'Remote Docker action has no runs.image')];
+  }
+
+  if (image.startsWith('docker://')) {
+    return [createDockerImageAction(image.slice('docker://'.length), templateMetadata)];
+  }
+
+  const dockerfilePath = path.posix.normalize(path.posix.join(action.actionPath || '.', image));
+  const dockerfile = await fetchRemoteFile(octokit, action.owner, action.repo, dockerfilePath, action.ref);
+  if (!dockerfile.found) {
+    return [createUnsupportedRemoteAction(action, dockerfile.message, getRemoteFileErrorType(dockerfile))];
+  }
+
+  return parseDockerfileImages(dockerfile.content).map(({ image: baseImage }) =>
+    baseImage.includes('$')
+      ? createUnsupportedRemoteAction(
+          action,
+          `Unsupported Dockerfile base image: ${baseImage} (build arguments are not resolved)`
+        )
+      : createDockerImageAction(baseImage, templateMetadata)
+  );
+}
+
 /**
  * Expand a fetched remote composite action into nested action templates
  * @param {Octokit} octokit - Octokit instance
@@ -733,7 +1832,7 @@ export async function expandRemoteCompositeAction(octokit, action, content, opti
     }
 
     if (actionType === 'docker') {
-      return [];
+      return await expandRemoteDockerAction(octokit, action, actionDefinition.runs.image);
     }
 
     if (actionType !== 'composite') {
@@ -747,16 +1846,9 @@ export async function expandRemoteCompositeAction(octokit, action, content, opti
         continue;
       }
 
-      let nestedUses = step.uses;
-      if (nestedUses.startsWith('./')) {
-        const basePath = action.actionPath || '.';
-        const resolvedPath = path.posix.normalize(path.posix.join(basePath, nestedUses));
-        if (resolvedPath === '.') {
-          nestedUses = `${action.owner}/${action.repo}@${action.ref}`;
-        } else {
-          nestedUses = `${action.owner}/${action.repo}/${resolvedPath}@${action.ref}`;
-        }
-      }
+      const nestedUses = step.uses.startsWith('./')
+        ? resolveRemoteLocalUses(step.uses, action, action.actionPath || '.')
+        : step.uses;
 
       addParsedAction(
         nestedTemplates,
@@ -766,11 +1858,16 @@ export async function expandRemoteCompositeAction(octokit, action, content, opti
           entrypointUses: action.entrypointUses || action.uses,
           sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
           sourceJobName: action.sourceJobName || action.jobName,
-          sourceStepName: action.sourceStepName || action.stepName
+          sourceStepName: action.sourceStepName || action.stepName,
+          sourceStepId: action.sourceStepId,
+          sourceFilePath: action.sourceFilePath ?? action.filePath,
+          sourceLine: action.sourceLine ?? action.line,
+          sourceColumn: action.sourceColumn ?? action.column
         },
         {
           workspaceDir: options.workspaceDir,
-          excludeWorkflowPatterns: options.excludeWorkflowPatterns
+          excludeWorkflowPatterns: options.excludeWorkflowPatterns,
+          trustedOwners: options.trustedOwners
         }
       );
     }
@@ -794,6 +1891,12 @@ export async function expandRemoteReference(octokit, action, options) {
     return options.expansionCache.get(cacheKey);
   }
 
+  const cachedTemplates = options.resultCache && getCachedResult(options.resultCache, 'expansion', cacheKey);
+  if (cachedTemplates) {
+    options.expansionCache.set(cacheKey, cachedTemplates);
+    return cachedTemplates;
+  }
+
   if (options.expansionStack.has(cacheKey)) {
     core.warning(`Skipping recursive remote reference cycle: ${action.uses}`);
     return [];
@@ -801,6 +1904,7 @@ export async function expandRemoteReference(octokit, action, options) {
 
   const nextOptions = {
     ...options,
+    concurrency: 1,
     expansionStack: new Set(options.expansionStack)
   };
   nextOptions.expansionStack.add(cacheKey);
@@ -811,7 +1915,7 @@ export async function expandRemoteReference(octokit, action, options) {
     const workflowFile = await fetchRemoteFile(octokit, action.owner, action.repo, action.actionPath, action.ref);
     expandedTemplates = workflowFile.found
       ? await expandRemoteReusableWorkflow(octokit, action, workflowFile.content, nextOptions)
-      : [createUnsupportedRemoteAction(action, workflowFile.message)];
+      : [createUnsupportedRemoteAction(action, workflowFile.message, getRemoteFileErrorType(workflowFile))];
   } else {
     const metadataPaths = action.actionPath
       ? [`${action.actionPath}/action.yml`, `${action.actionPath}/action.yaml`]
@@ -832,32 +1936,82 @@ export async function expandRemoteReference(octokit, action, options) {
 
     expandedTemplates = metadataResult?.found
       ? await expandRemoteCompositeAction(octokit, action, metadataResult.content, nextOptions)
-      : [createUnsupportedRemoteAction(action, metadataResult?.message || 'Remote action metadata not found')];
+      : [
+          createUnsupportedRemoteAction(
+            action,
+            metadataResult?.message || 'Remote action metadata not found',
+            getRemoteFileErrorType(metadataResult)
+          )
+        ];
   }
 
   options.expansionCache.set(cacheKey, expandedTemplates);
+  // Expansions hit by API errors are retried on the next run instead of being cached
+  if (options.resultCache && !expandedTemplates.some(template => template.unsupportedType === 'api-error')) {
+    setCachedResult(
+      options.resultCache,
+      'expansion',
+      cacheKey,
+      expandedTemplates,
+      isPermanentExpansion(cacheKey, expandedTemplates, options.resultCache.entries.immutability)
+    );
+  }
   return expandedTemplates;
 }
 
+/**
+ * Default number of references expanded or checked at the same time
+ */
+export const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Map items with an async function, running at most limit calls at a time
+ * Results keep the order of the input items regardless of completion order.
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} mapper - Async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
 /**
  * Expand action references by recursing into remote composite actions and reusable workflows
+ * Distinct references are expanded options.concurrency at a time; nested references are expanded sequentially.
  * @param {Octokit} octokit - Octokit instance
  * @param {Array} actions - Action references to expand
  * @param {Object} options - Expansion options and caches
  * @returns {Promise<Array>} Expanded action references
  */
 export async function expandActionReferences(octokit, actions, options) {
-  const expandedActions = [];
+  const expandableUses = [
+    ...new Set(actions.filter(action => action.supported !== false && !action.image).map(action => action.uses))
+  ];
+  const actionsByUses = new Map(actions.map(action => [action.uses, action]).reverse());
+  const templatesByUses = new Map(
+    await mapWithConcurrency(expandableUses, options.concurrency || 1, async uses => [
+      uses,
+      await expandRemoteReference(octokit, actionsByUses.get(uses), options)
+    ])
+  );
 
+  const expandedActions = [];
   for (const action of actions) {
     expandedActions.push(action);
 
-    if (action.supported === false) {
-      continue;
-    }
-
-    const nestedTemplates = await expandRemoteReference(octokit, action, options);
-    for (const template of nestedTemplates) {
+    for (const template of templatesByUses.get(action.uses) || []) {
       expandedActions.push(instantiateExpandedAction(template, action));
     }
   }
@@ -896,6 +2050,21 @@ export function getWorkflowFiles(workflowsInput, excludeWorkflowsInput, workspac
   const allFiles = fs.readdirSync(workflowsDir);
   const allWorkflowFiles = allFiles.filter(f => f.endsWith('.yml') || f.endsWith('.yaml'));
 
+  return selectWorkflowFiles(allWorkflowFiles, workflowsInput, excludeWorkflowsInput).map(f =>
+    path.join(workflowsDir, f)
+  );
+}
+
+/**
+ * Select the workflow files to check from the files in .github/workflows
+ * @param {Array<string>} allWorkflowFiles - Workflow file names
+ * @param {string} workflowsInput - Comma-separated workflow files or glob patterns (optional)
+ * @param {string} excludeWorkflowsInput - Comma-separated workflows or glob patterns to exclude (optional)
+ * @param {Object} options - Selection options
+ * @param {boolean} options.quiet - Do not warn about patterns that match no files (e.g. when scanning many repositories)
+ * @returns {Array<string>} Selected workflow file names
+ */
+export function selectWorkflowFiles(allWorkflowFiles, workflowsInput, excludeWorkflowsInput, options = {}) {
   let workflowFiles = [];
 
   if (workflowsInput) {
@@ -911,26 +2080,23 @@ export function getWorkflowFiles(workflowsInput, excludeWorkflowsInput, workspac
     const matched = new Set();
     for (const pattern of patterns) {
       const matches = allWorkflowFiles.filter(f => matchesPattern(f, pattern));
-      if (matches.length === 0) {
+      if (matches.length === 0 && !options.quiet) {
         core.warning(`No workflow files matched: ${pattern}`);
       }
       for (const m of matches) {
         matched.add(m);
       }
     }
-    workflowFiles = [...matched].map(f => path.join(workflowsDir, f));
+    workflowFiles = [...matched];
   } else {
     // Get all workflow files
-    workflowFiles = allWorkflowFiles.map(f => path.join(workflowsDir, f));
+    workflowFiles = [...allWorkflowFiles];
   }
 
   // Apply exclusions (exact names or glob patterns)
   if (excludeWorkflowsInput) {
     const excludePatterns = parseWorkflowPatterns(excludeWorkflowsInput);
-    workflowFiles = workflowFiles.filter(f => {
-      const workflowPath = `.github/workflows/${path.basename(f)}`;
-      return !isExcludedWorkflow(workflowPath, excludePatterns);
-    });
+    workflowFiles = workflowFiles.filter(f => !isExcludedWorkflow(`.github/workflows/${f}`, excludePatterns));
   }
 
   return workflowFiles;
@@ -972,9 +2138,23 @@ export function formatActionReference(owner, repo, ref, actionPath = '') {
   return `[${actionRef}](${url})`;
 }
 
-/**
- * Format an action reference without markdown for logs and outputs
- * @param {Object} action - Action-like object with owner/repo/ref/actionPath
+function formatSummaryReference(action) {
+  if (action.containerType === 'service') {
+    return `\`${action.uses}\` (service \`${action.serviceName}\`)`;
+  }
+  if (action.containerType === 'container') {
+    return `\`${action.uses}\` (job container)`;
+  }
+  if (action.image) {
+    return `\`${action.uses}\``;
+  }
+
+  return formatActionReference(action.owner, action.repo, action.ref, action.actionPath);
+}
+
+/**
+ * Format an action reference without markdown for logs and outputs
+ * @param {Object} action - Action-like object with owner/repo/ref/actionPath
  * @returns {string} Plain text action reference
  */
 export function formatActionReferenceText(action) {
@@ -989,7 +2169,7 @@ export function formatActionReferenceText(action) {
 }
 
 /**
- * Format a caller-side source location for summary reporting
+ * Format a caller-side source location for summary reporting, deep-linking to the uses line when known
  * @param {Object} sourceLocation - Caller-side source location
  * @returns {string} Human-readable location text
  */
@@ -1000,9 +2180,117 @@ export function formatSourceLocationLink(sourceLocation, repository, sha) {
     return locationText;
   }
 
-  const workflowPath = `.github/workflows/${sourceLocation.workflowFile}`;
+  const workflowPath = sourceLocation.filePath || `.github/workflows/${sourceLocation.workflowFile}`;
   const url = `https://github.com/${repository}/blob/${sha}/${workflowPath}`;
-  return `[${locationText}](${url})`;
+  return sourceLocation.line
+    ? `[${locationText}:${sourceLocation.line}](${url}#L${sourceLocation.line})`
+    : `[${locationText}](${url})`;
+}
+
+/**
+ * Get the repository location closest to a reference: its own uses line when it lives in a local file,
+ * otherwise the caller-side uses line that pulled it in (with the chain of references in between)
+ * @param {Object} action - Extracted action reference
+ * @returns {Object|null} { filePath, line, column, via? } or null when no repository line is known
+ */
+export function getActionLocation(action) {
+  if (action.filePath && action.line) {
+    return { filePath: action.filePath, line: action.line, column: action.column };
+  }
+
+  const filePath = action.sourceFilePath ?? action.filePath;
+  const line = action.sourceLine ?? action.line;
+  if (!filePath || !line) {
+    return null;
+  }
+
+  const location = { filePath, line, column: action.sourceColumn ?? action.column };
+  if (action.via?.length > 0) {
+    location.via = action.via;
+  }
+  return location;
+}
+
+/**
+ * Collect unique repository locations for each reference, keyed by action cache key
+ * @param {Array} actions - Extracted action references
+ * @param {Function} getKey - Key function (defaults to getActionCacheKey)
+ * @returns {Map<string, Array>} Locations per cache key
+ */
+function collectActionLocations(actions, getKey = getActionCacheKey) {
+  const locationsByAction = new Map();
+  for (const action of actions) {
+    const location = getActionLocation(action);
+    if (!location) {
+      continue;
+    }
+
+    const cacheKey = getKey(action);
+    if (!locationsByAction.has(cacheKey)) {
+      locationsByAction.set(cacheKey, new Map());
+    }
+    locationsByAction
+      .get(cacheKey)
+      .set(`${location.filePath}:${location.line}:${location.column}:${(location.via || []).join(' ')}`, location);
+  }
+
+  return new Map(
+    Array.from(locationsByAction.entries()).map(([cacheKey, locations]) => [cacheKey, Array.from(locations.values())])
+  );
+}
+
+/**
+ * Format the annotation message for a finding, naming the reference chain for transitive findings
+ * @param {Object} action - Mutable or unsupported finding
+ * @param {Object|null} location - Location from getActionLocation
+ * @returns {string} Annotation message
+ */
+export function formatAnnotationMessage(action, location) {
+  const reference = action.supported === false ? action.uses : formatActionReferenceText(action);
+  const lines = [`${reference} (${action.message})`];
+  if (location?.via?.length > 0) {
+    lines.push(`Reached via ${[...location.via, reference].join(' → ')}`);
+  }
+  if (action.suggestion) {
+    lines.push(`Suggested immutable release: ${action.suggestion.uses}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Emit an annotation at the given level
+ * @param {string} level - One of ANNOTATION_LEVELS
+ * @param {string} message - Annotation message
+ * @param {Object} properties - Annotation properties (file, startLine, ...)
+ */
+function annotate(level, message, properties) {
+  if (level === 'error') {
+    core.error(message, properties);
+  } else if (level === 'warning') {
+    core.warning(message, properties);
+  } else {
+    core.notice(message, properties);
+  }
+}
+
+/**
+ * Build workflow command annotation properties for a repository location
+ * @param {Object|null} location - Location from getActionLocation
+ * @param {string} title - Annotation title
+ * @returns {Object} Annotation properties for core.notice/core.warning
+ */
+export function getAnnotationProperties(location, title) {
+  if (!location) {
+    return { title };
+  }
+
+  return {
+    title,
+    file: location.filePath,
+    startLine: location.line,
+    ...(location.column ? { startColumn: location.column } : {})
+  };
 }
 
 /**
@@ -1010,9 +2298,15 @@ export function formatSourceLocationLink(sourceLocation, repository, sha) {
  * @param {string} message - Base status message
  * @param {Array} sourceLocations - Caller-side source locations
  * @param {boolean} linkSources - Whether to render source locations as links
+ * @param {Object} linkTarget - { repository, sha } the source files are linked at (defaults to the workflow run)
  * @returns {string} Message with optional source location details
  */
-export function formatSummaryMessage(message, sourceLocations = [], linkSources = false) {
+export function formatSummaryMessage(
+  message,
+  sourceLocations = [],
+  linkSources = false,
+  linkTarget = { repository: process.env.GITHUB_REPOSITORY, sha: process.env.GITHUB_SHA }
+) {
   if (!Array.isArray(sourceLocations) || sourceLocations.length === 0) {
     return message;
   }
@@ -1021,7 +2315,7 @@ export function formatSummaryMessage(message, sourceLocations = [], linkSources
     new Set(
       sourceLocations.map(source =>
         linkSources
-          ? formatSourceLocationLink(source, process.env.GITHUB_REPOSITORY, process.env.GITHUB_SHA)
+          ? formatSourceLocationLink(source, linkTarget.repository, linkTarget.sha)
           : source?.workflowFile || 'workflow'
       )
     )
@@ -1045,6 +2339,68 @@ export function formatTraversalHint(action) {
   return `${formatActionReferenceText(action)} reached via ${workflowFile}`;
 }
 
+/**
+ * Reference types reported for checked actions
+ */
+export const REFERENCE_TYPES = {
+  'full-sha': 'full SHA',
+  'short-sha': 'short SHA',
+  branch: 'branch',
+  'lightweight-tag': 'lightweight tag',
+  'annotated-tag': 'annotated tag',
+  'release-tag': 'release tag',
+  'major-tag': 'moving major tag',
+  'docker-digest': 'image digest',
+  'docker-tag': 'image tag',
+  unknown: 'unknown'
+};
+
+async function getGitRef(octokit, owner, repo, ref) {
+  try {
+    const { data } = await octokit.rest.git.getRef({ owner, repo, ref });
+    return data;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Classify a reference as a SHA, branch or kind of tag using the git refs API
+ * Tags are checked before branches, matching how GitHub resolves an ambiguous uses ref.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Git ref (tag, SHA, branch)
+ * @param {boolean} releaseFound - Whether a release exists for the ref (skips the refs API lookup)
+ * @returns {Promise<string>} One of the REFERENCE_TYPES keys
+ * @throws {Error} When a refs API lookup fails with anything other than a 404
+ */
+export async function classifyReference(octokit, owner, repo, ref, releaseFound = false) {
+  if (isFullSHA(ref)) {
+    return 'full-sha';
+  }
+  if (releaseFound) {
+    return 'release-tag';
+  }
+
+  const tag = await getGitRef(octokit, owner, repo, `tags/${ref}`);
+  if (tag) {
+    if (parseVersionTag(ref)?.length < 3) {
+      return 'major-tag';
+    }
+    return tag.object?.type === 'tag' ? 'annotated-tag' : 'lightweight-tag';
+  }
+
+  if (await getGitRef(octokit, owner, repo, `heads/${ref}`)) {
+    return 'branch';
+  }
+
+  return /^[a-f0-9]{7,39}$/i.test(ref) ? 'short-sha' : 'unknown';
+}
+
 /**
  * Check if a release is immutable via GitHub API
  * Note: The 'immutable' property is a GitHub feature that indicates whether a release
@@ -1053,7 +2409,7 @@ export function formatTraversalHint(action) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} ref - Git ref (tag, SHA, branch) - only tags can have releases
- * @returns {Promise<Object>} { immutable: boolean, releaseFound: boolean, message: string }
+ * @returns {Promise<Object>} { immutable: boolean, releaseFound: boolean, referenceType: string, message: string }
  */
 export async function checkReleaseImmutability(octokit, owner, repo, ref) {
   // Full 40-char SHAs are inherently immutable (cryptographic hash can't change)
@@ -1061,6 +2417,7 @@ export async function checkReleaseImmutability(octokit, owner, repo, ref) {
     return {
       immutable: true,
       releaseFound: false,
+      referenceType: 'full-sha',
       message: 'Immutable (full SHA reference)'
     };
   }
@@ -1082,238 +2439,2847 @@ export async function checkReleaseImmutability(octokit, owner, repo, ref) {
     return {
       immutable: isImmutable,
       releaseFound: true,
+      referenceType: 'release-tag',
       message: isImmutable ? 'Immutable release' : 'Mutable release'
     };
   } catch (error) {
+    let apiError = error;
     if (error.status === 404) {
       // No release found for this tag
       // This is expected for: commit SHAs, branch names, or tags without releases
-      return {
-        immutable: false,
-        releaseFound: false,
-        message: 'No release found for this reference'
-      };
+      try {
+        const referenceType = await classifyReference(octokit, owner, repo, ref);
+        return {
+          immutable: false,
+          releaseFound: false,
+          referenceType,
+          message:
+            referenceType === 'unknown'
+              ? 'No release found for this reference'
+              : `No release found for this reference (${REFERENCE_TYPES[referenceType]})`
+        };
+      } catch (classifyError) {
+        apiError = classifyError;
+      }
     }
 
-    // Other API errors
-    core.warning(`API error checking ${owner}/${repo}@${ref}: ${error.message}`);
+    // Other API errors, including failed refs API lookups
+    core.warning(`API error checking ${owner}/${repo}@${ref}: ${apiError.message}`);
     return {
       immutable: false,
       releaseFound: false,
-      message: `API error: ${error.message}`
+      referenceType: 'unknown',
+      apiError: true,
+      message: `API error: ${apiError.message}`
     };
   }
 }
 
 /**
- * Check all actions from workflows
+ * Number of branches and tags besides the default branch whose history verifyShaCommit compares against a SHA
+ */
+export const SHA_VERIFICATION_COMPARE_LIMIT = 20;
+
+/**
+ * Check whether a full SHA exists in a repository and is reachable from one of its branches or tags
+ * GitHub resolves commits from anywhere in a fork network, so a SHA that only exists in a fork (or in a
+ * deleted branch) still resolves under the upstream owner/repo. The default branch is compared first; only when
+ * the SHA is not on it are all branches and tags listed, with tips matched directly before walking the history of
+ * up to SHA_VERIFICATION_COMPARE_LIMIT of them in turn. A SHA that none of those contain is only reported as an
+ * orphan when every branch and tag was compared; otherwise it is unverified.
  * @param {Octokit} octokit - Octokit instance
- * @param {Array} actions - Array of action references
- * @param {boolean} includeFirstParty - Whether to include first-party actions in checks
- * @returns {Promise<Object>} { mutable: Array, immutable: Array, unsupported: Array, firstParty: Array, byWorkflow: Object }
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Full commit SHA
+ * @returns {Promise<Object>} { commitStatus: 'reachable'|'orphan'|'unverified'|'not-found', reachableFrom?: string }
  */
-export async function checkAllActions(octokit, actions, includeFirstParty = false) {
-  const mutable = [];
-  const immutable = [];
-  const unsupported = [];
-  const firstParty = [];
-  const byWorkflow = {};
+export async function verifyShaCommit(octokit, owner, repo, sha) {
+  try {
+    await octokit.rest.repos.getCommit({ owner, repo, ref: sha });
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return { commitStatus: 'not-found' };
+    }
+    throw error;
+  }
 
-  const unsupportedActions = actions.filter(a => a.supported === false);
+  const isReachableFrom = async ref => {
+    const { data: comparison } = await octokit.rest.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${ref}...${sha}`,
+      per_page: 1
+    });
+    // "behind" means the SHA is an ancestor of the ref
+    return comparison.status === 'behind' || comparison.status === 'identical';
+  };
 
-  // Separate first-party actions from actions to check
-  // When includeFirstParty is true, check all actions for immutability
-  const supportedActions = actions.filter(a => a.supported !== false);
-  const actionsToCheck = includeFirstParty ? supportedActions : supportedActions.filter(a => !a.isFirstParty);
-  const excludedFirstPartyActions = includeFirstParty ? [] : supportedActions.filter(a => a.isFirstParty);
-  const allFirstPartyActions = supportedActions.filter(a => a.isFirstParty);
+  const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+  const defaultBranch = repository.default_branch;
+  if (await isReachableFrom(defaultBranch)) {
+    return { commitStatus: 'reachable', reachableFrom: `branch ${defaultBranch}` };
+  }
 
-  // Create a cache for immutability results
-  const immutabilityCache = new Map();
+  const [branches, tags] = await Promise.all([
+    octokit.paginate(octokit.rest.repos.listBranches, { owner, repo, per_page: 100 }),
+    octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 })
+  ]);
+  const candidates = [
+    ...branches
+      .filter(branch => branch.name !== defaultBranch)
+      .map(branch => ({ name: branch.name, sha: branch.commit.sha, label: `branch ${branch.name}` })),
+    ...tags.map(tag => ({ name: tag.name, sha: tag.commit.sha, label: `tag ${tag.name}` }))
+  ];
+
+  const tip = candidates.find(candidate => candidate.sha.toLowerCase() === sha.toLowerCase());
+  if (tip) {
+    return { commitStatus: 'reachable', reachableFrom: tip.label };
+  }
 
-  // Process unsupported actions - deduplicate by uses string
-  const uniqueUnsupportedActions = Array.from(new Map(unsupportedActions.map(a => [getActionCacheKey(a), a])).values());
-  for (const action of uniqueUnsupportedActions) {
-    const actionInfo = {
-      uses: action.uses,
-      supported: false,
-      sourceLocations: [
-        {
-          workflowFile: action.sourceWorkflowFile || action.workflowFile,
-          jobName: action.sourceJobName || action.jobName,
-          stepName: action.sourceStepName || action.stepName
-        }
-      ],
-      unsupportedType: action.unsupportedType,
-      message: action.message
-    };
-    unsupported.push(actionInfo);
-    immutabilityCache.set(getActionCacheKey(action), actionInfo);
+  for (const candidate of candidates.slice(0, SHA_VERIFICATION_COMPARE_LIMIT)) {
+    if (await isReachableFrom(candidate.name)) {
+      return { commitStatus: 'reachable', reachableFrom: candidate.label };
+    }
   }
 
-  // Process excluded first-party actions (no API check needed) - deduplicate by uses string
-  const uniqueExcludedFirstParty = Array.from(new Map(excludedFirstPartyActions.map(a => [a.uses, a])).values());
-  for (const action of uniqueExcludedFirstParty) {
-    const actionInfo = {
-      uses: action.uses,
-      owner: action.owner,
-      repo: action.repo,
-      ref: action.ref,
-      isFirstParty: true,
-      immutable: true,
-      releaseFound: false,
-      message: 'Excluded (first-party)',
-      allowed: true,
-      excluded: true
-    };
-    firstParty.push(actionInfo);
+  return { commitStatus: candidates.length > SHA_VERIFICATION_COMPARE_LIMIT ? 'unverified' : 'orphan' };
+}
 
-    // Cache result for workflow grouping
-    immutabilityCache.set(getActionCacheKey(action), {
-      immutable: true,
-      releaseFound: false,
-      message: 'Excluded (first-party)'
-    });
+/**
+ * Read the version tag named in a trailing uses comment, e.g. "# v1.2.3" or "# tag=v1.2.3"
+ * @param {string} comment - Trailing comment text without the leading #
+ * @returns {string|null} Version tag, or null when the comment does not start with one
+ */
+export function parseVersionComment(comment) {
+  const match = /^(?:tag[=:]\s*)?(v?\d+(?:\.\d+)*(?:-[0-9A-Za-z.-]+)?)(?=$|[\s,;)])/.exec(comment?.trim() || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Check that the tag named in a SHA pin's version comment resolves to that SHA, and whether it is an immutable release
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Full commit SHA from the uses reference
+ * @param {string} tag - Version tag from the trailing comment
+ * @returns {Promise<Object>} { tag, matches, tagSha, immutableRelease, matchingTags }
+ */
+export async function checkVersionComment(octokit, owner, repo, sha, tag) {
+  let tagSha = null;
+  try {
+    const { data } = await octokit.rest.repos.getCommit({ owner, repo, ref: `tags/${tag}` });
+    tagSha = data.sha;
+  } catch (error) {
+    if (error.status !== 404 && error.status !== 422) {
+      throw error;
+    }
   }
 
-  // Deduplicate actions being checked by uses string for API calls, but preserve workflow info
-  const uniqueActions = Array.from(new Map(actionsToCheck.map(a => [getActionCacheKey(a), a])).values());
+  if (tagSha?.toLowerCase() === sha.toLowerCase()) {
+    let immutableRelease = false;
+    try {
+      const { data: release } = await octokit.rest.repos.getReleaseByTag({ owner, repo, tag });
+      immutableRelease = release.immutable === true;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+    return { tag, matches: true, tagSha, immutableRelease, matchingTags: [tag] };
+  }
 
-  for (const action of uniqueActions) {
-    core.info(`Checking ${formatActionReferenceText(action)}...`);
+  // Name the tags the SHA does belong to, so the comment can be corrected
+  const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+  const matchingTags = tags.filter(candidate => candidate.commit.sha.toLowerCase() === sha.toLowerCase());
+  return { tag, matches: false, tagSha, immutableRelease: false, matchingTags: matchingTags.map(({ name }) => name) };
+}
 
-    const result = await checkReleaseImmutability(octokit, action.owner, action.repo, action.ref);
-    immutabilityCache.set(getActionCacheKey(action), result);
+async function applyVersionCommentCheck(octokit, action, tag, result) {
+  try {
+    const versionComment = await checkVersionComment(octokit, action.owner, action.repo, action.ref, tag);
+    if (versionComment.matches) {
+      return {
+        ...result,
+        versionComment,
+        message: versionComment.immutableRelease
+          ? `${result.message}, matches immutable release ${tag}`
+          : `${result.message}, matches ${tag} which is not an immutable release`
+      };
+    }
 
-    const actionInfo = {
-      uses: action.uses,
-      owner: action.owner,
-      repo: action.repo,
-      actionPath: action.actionPath || '',
-      ref: action.ref,
-      entrypointUses: action.entrypointUses || action.uses,
-      sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
-      sourceJobName: action.sourceJobName || action.jobName,
-      sourceStepName: action.sourceStepName || action.stepName,
-      isFirstParty: action.isFirstParty || false,
-      ...result
+    const reason = versionComment.tagSha
+      ? `${tag} points at ${versionComment.tagSha.slice(0, 7)}`
+      : `tag ${tag} not found in ${action.owner}/${action.repo}`;
+    const matchingTags =
+      versionComment.matchingTags.length > 0 ? `; the SHA matches ${versionComment.matchingTags.join(', ')}` : '';
+    return {
+      ...result,
+      versionComment,
+      mismatched: true,
+      message: `Version comment does not match the SHA (${reason}${matchingTags})`
     };
+  } catch (error) {
+    core.warning(
+      `API error checking version comment for ${action.owner}/${action.repo}@${action.ref}: ${error.message}`
+    );
+    return result;
+  }
+}
 
-    if (result.immutable) {
-      immutable.push(actionInfo);
-    } else {
-      mutable.push(actionInfo);
-    }
+/**
+ * Find the release (if any) whose tag points at a commit SHA, preferring immutable releases
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Full commit SHA
+ * @param {Map} tagsCache - Cache of pending tag list requests keyed by owner/repo, shared by concurrent checks
+ * @returns {Promise<Object|null>} { tag, immutable } or null when no release tag points at the SHA
+ */
+export async function findShaRelease(octokit, owner, repo, sha, tagsCache = new Map()) {
+  const repoKey = `${owner}/${repo}`.toLowerCase();
+  if (!tagsCache.has(repoKey)) {
+    tagsCache.set(repoKey, octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 }));
   }
 
-  // Add checked first-party actions to the firstParty output with allowed/reason
-  if (includeFirstParty) {
-    const uniqueCheckedFirstParty = Array.from(new Map(allFirstPartyActions.map(a => [a.uses, a])).values());
-    for (const action of uniqueCheckedFirstParty) {
-      const cachedResult = immutabilityCache.get(getActionCacheKey(action));
-      firstParty.push({
-        uses: action.uses,
-        owner: action.owner,
-        repo: action.repo,
-        actionPath: action.actionPath || '',
-        ref: action.ref,
-        isFirstParty: true,
-        ...cachedResult,
-        allowed: cachedResult.immutable,
-        excluded: false
-      });
+  let mutableRelease = null;
+  const tags = await tagsCache.get(repoKey);
+  for (const tag of tags.filter(candidate => candidate.commit.sha.toLowerCase() === sha.toLowerCase())) {
+    try {
+      const { data: release } = await octokit.rest.repos.getReleaseByTag({ owner, repo, tag: tag.name });
+      if (release.immutable === true) {
+        return { tag: tag.name, immutable: true };
+      }
+      mutableRelease = mutableRelease || { tag: tag.name, immutable: false };
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
     }
   }
 
-  // Group all actions by workflow (deduplicate within each workflow)
-  // First, group actions by workflow file
-  const actionsByWorkflow = {};
-  for (const action of actions) {
-    const workflowFile = action.workflowFile;
-    if (!actionsByWorkflow[workflowFile]) {
-      actionsByWorkflow[workflowFile] = [];
+  return mutableRelease;
+}
+
+async function applyStrictShaCheck(octokit, action, result, tagsCache) {
+  try {
+    const release = await findShaRelease(octokit, action.owner, action.repo, action.ref, tagsCache);
+    if (release?.immutable) {
+      return {
+        ...result,
+        releaseFound: true,
+        releaseTag: release.tag,
+        message: `Immutable (full SHA reference, immutable release ${release.tag})`
+      };
     }
-    actionsByWorkflow[workflowFile].push(action);
-  }
 
-  // Then, deduplicate within each workflow and categorize
-  for (const [workflowFile, workflowActions] of Object.entries(actionsByWorkflow)) {
-    byWorkflow[workflowFile] = { mutable: [], immutable: [], unsupported: [], firstParty: [] };
+    return {
+      ...result,
+      immutable: false,
+      releaseFound: Boolean(release),
+      releaseTag: release?.tag,
+      message: release
+        ? `Full SHA matches release ${release.tag}, which is not immutable (strict mode)`
+        : 'Full SHA does not correspond to a release (strict mode)'
+    };
+  } catch (error) {
+    core.warning(`API error checking releases for ${action.owner}/${action.repo}@${action.ref}: ${error.message}`);
+    return {
+      ...result,
+      immutable: false,
+      apiError: true,
+      message: `API error checking releases for SHA: ${error.message}`
+    };
+  }
+}
 
-    // Deduplicate by uses string within this workflow
-    const uniqueWorkflowActions = Array.from(
-      workflowActions
-        .reduce((groupedActions, action) => {
-          const cacheKey = getActionCacheKey(action);
-          const sourceLocation = {
-            workflowFile: action.sourceWorkflowFile || action.workflowFile,
-            jobName: action.sourceJobName || action.jobName,
-            stepName: action.sourceStepName || action.stepName
-          };
-          const sourceKey = `${sourceLocation.workflowFile || ''}\u0000${sourceLocation.jobName || ''}\u0000${sourceLocation.stepName || ''}`;
+/**
+ * Check whether a finding is a full SHA that failed commit verification
+ * @param {Object} finding - Finding from checkAllActions results
+ * @returns {boolean} True for orphan, fork-only or missing commits
+ */
+export function isOrphanCommit(finding) {
+  return finding.commitStatus === 'orphan' || finding.commitStatus === 'not-found';
+}
 
-          if (!groupedActions.has(cacheKey)) {
+async function applyShaVerification(octokit, action, result) {
+  try {
+    const verification = await verifyShaCommit(octokit, action.owner, action.repo, action.ref);
+    if (verification.commitStatus === 'reachable') {
+      return {
+        ...result,
+        ...verification,
+        message: `Immutable (full SHA reference, reachable from ${verification.reachableFrom})`
+      };
+    }
+    if (verification.commitStatus === 'unverified') {
+      core.warning(
+        `Could not verify ${action.owner}/${action.repo}@${action.ref}: not on the default branch or the first ${SHA_VERIFICATION_COMPARE_LIMIT} branches and tags compared`
+      );
+      return {
+        ...result,
+        ...verification,
+        message: `Immutable (full SHA reference, reachability not verified past ${SHA_VERIFICATION_COMPARE_LIMIT} branches and tags)`
+      };
+    }
+
+    return {
+      ...result,
+      ...verification,
+      immutable: false,
+      message:
+        verification.commitStatus === 'not-found'
+          ? `Commit not found in ${action.owner}/${action.repo}`
+          : `Orphan or fork-only commit (not reachable from any branch or tag of ${action.owner}/${action.repo})`
+    };
+  } catch (error) {
+    core.warning(`API error verifying ${action.owner}/${action.repo}@${action.ref}: ${error.message}`);
+    return {
+      ...result,
+      immutable: false,
+      apiError: true,
+      message: `API error verifying commit: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Parse a version-like tag such as v2, v2.1 or 2.1.0
+ * @param {string} tag - Tag name
+ * @returns {Array<number>|null} Numeric version parts, or null when the tag is not version-like
+ */
+export function parseVersionTag(tag) {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(tag || '');
+  if (!match) {
+    return null;
+  }
+
+  return match
+    .slice(1)
+    .filter(part => part !== undefined)
+    .map(Number);
+}
+
+function compareVersionParts(a, b) {
+  for (let index = 0; index < Math.max(a.length, b.length); index++) {
+    const difference = (a[index] ?? 0) - (b[index] ?? 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Find the closest immutable release to a mutable reference
+ * Moving tags (v2, v2.1) get the newest immutable release in that line; full versions (v2.1.0) get the
+ * nearest newer immutable release in the same major; other refs (branches) get the newest immutable release.
+ * @param {string} ref - Mutable reference
+ * @param {Array<Object>} releases - Releases from the GitHub API (tag_name, immutable, draft, prerelease)
+ * @returns {string|null} Suggested tag name, or null when no immutable release fits
+ */
+export function findNearestImmutableRelease(ref, releases) {
+  const candidates = releases
+    .filter(release => release.immutable === true && !release.draft && !release.prerelease)
+    .map(release => ({ tag: release.tag_name, version: parseVersionTag(release.tag_name) }))
+    .filter(candidate => candidate.version?.length === 3);
+  const newestFirst = (a, b) => compareVersionParts(b.version, a.version);
+
+  const refVersion = parseVersionTag(ref);
+  if (!refVersion) {
+    return candidates.sort(newestFirst)[0]?.tag || null;
+  }
+
+  if (refVersion.length < 3) {
+    const line = candidates.filter(candidate => refVersion.every((part, index) => candidate.version[index] === part));
+    return line.sort(newestFirst)[0]?.tag || null;
+  }
+
+  const newer = candidates.filter(
+    candidate => candidate.version[0] === refVersion[0] && compareVersionParts(candidate.version, refVersion) > 0
+  );
+  return newer.sort((a, b) => compareVersionParts(a.version, b.version))[0]?.tag || null;
+}
+
+async function listReleasesForSuggestion(octokit, owner, repo) {
+  try {
+    return await octokit.paginate(octokit.rest.repos.listReleases, { owner, repo, per_page: 100 });
+  } catch (error) {
+    core.info(`Could not list releases for ${owner}/${repo}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Suggest an immutable release to replace a mutable reference
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} action - Parsed action reference
+ * @param {Map} releasesCache - Cache of pending release list requests keyed by owner/repo, shared by concurrent checks
+ * @returns {Promise<Object|null>} { tag, uses } or null when there is nothing to suggest
+ */
+export async function suggestImmutableRelease(octokit, action, releasesCache = new Map()) {
+  const repoKey = `${action.owner}/${action.repo}`.toLowerCase();
+  if (!releasesCache.has(repoKey)) {
+    releasesCache.set(repoKey, listReleasesForSuggestion(octokit, action.owner, action.repo));
+  }
+
+  const tag = findNearestImmutableRelease(action.ref, await releasesCache.get(repoKey));
+  return tag ? { tag, uses: pinActionReference(action.uses, tag) } : null;
+}
+
+/**
+ * Parse and validate allowlist entries for accepted mutable references
+ * @param {string|Array<Object>} allowlistInput - YAML list (string) or array of { uses, reason, expires } entries
+ * @returns {Array<Object>} Normalized allowlist entries
+ * @throws {Error} When the allowlist is malformed or an entry is missing required fields
+ */
+export function parseAllowlist(allowlistInput) {
+  if (!allowlistInput || (typeof allowlistInput === 'string' && !allowlistInput.trim())) {
+    return [];
+  }
+
+  const entries = typeof allowlistInput === 'string' ? YAML.parse(allowlistInput) : allowlistInput;
+  if (!Array.isArray(entries)) {
+    throw new Error('expected a list of entries with uses, reason and expires');
+  }
+
+  return entries.map((entry, index) => {
+    try {
+      return normalizeAllowlistEntry(entry, `entry ${index + 1}`);
+    } catch (error) {
+      error.entryIndex = index;
+      throw error;
+    }
+  });
+}
+
+function normalizeAllowlistEntry(entry, position) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${position} must be a mapping with uses, reason and expires`);
+  }
+
+  for (const key of ['uses', 'reason', 'expires']) {
+    if (typeof entry[key] !== 'string' || !entry[key].trim()) {
+      throw new Error(`${position} is missing required '${key}' (non-empty string)`);
+    }
+  }
+
+  const expires = entry.expires.trim();
+  const expiresDate = new Date(`${expires}T00:00:00Z`);
+  if (Number.isNaN(expiresDate.getTime()) || expiresDate.toISOString().slice(0, 10) !== expires) {
+    throw new Error(`${position} has invalid 'expires' date: ${expires} (expected YYYY-MM-DD)`);
+  }
+
+  return {
+    uses: entry.uses.trim(),
+    reason: entry.reason.trim(),
+    expires
+  };
+}
+
+/**
+ * Find the allowlist entry matching an action reference (exact uses string or glob pattern)
+ * @param {Object} action - Action reference with uses string
+ * @param {Array<Object>} allowlist - Normalized allowlist entries
+ * @returns {Object|null} Matching allowlist entry or null
+ */
+export function findAllowlistEntry(action, allowlist = []) {
+  return allowlist.find(entry => matchesPattern(action.uses, entry.uses)) || null;
+}
+
+/**
+ * Check whether an allowlist entry has expired (entries remain valid through the end of their expiry date, UTC)
+ * @param {Object} entry - Normalized allowlist entry
+ * @param {Date} now - Current time
+ * @returns {boolean} True when the entry no longer applies
+ */
+export function isAllowlistEntryExpired(entry, now = new Date()) {
+  return now.getTime() > Date.parse(`${entry.expires}T23:59:59.999Z`);
+}
+
+/**
+ * Build a static immutability result without calling the GitHub API
+ * @param {string} ref - Git ref (tag, SHA, branch)
+ * @returns {Object} { immutable: boolean, releaseFound: boolean, referenceType: string, unverified?: boolean, message: string }
+ */
+export function getOfflineImmutabilityResult(ref) {
+  if (isFullSHA(ref)) {
+    return {
+      immutable: true,
+      releaseFound: false,
+      referenceType: 'full-sha',
+      message: 'Immutable (full SHA reference)'
+    };
+  }
+
+  return {
+    immutable: false,
+    releaseFound: false,
+    referenceType: 'unknown',
+    unverified: true,
+    message: 'Not verified (offline mode skips release checks)'
+  };
+}
+
+/**
+ * Check a release reference, reusing and storing results in the result cache when one is configured
+ * Immutable releases are cached permanently; other results expire after the cache TTL and API errors are not cached.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} action - Parsed action reference
+ * @param {Object|null} resultCache - Result cache from loadResultCache
+ * @returns {Promise<Object>} checkReleaseImmutability result
+ */
+async function checkCachedReleaseImmutability(octokit, action, resultCache) {
+  if (!resultCache || isFullSHA(action.ref)) {
+    return await checkReleaseImmutability(octokit, action.owner, action.repo, action.ref);
+  }
+
+  const key = `${action.owner}/${action.repo}@${action.ref}`;
+  const cachedResult = getCachedResult(resultCache, 'immutability', key);
+  if (cachedResult) {
+    return cachedResult;
+  }
+
+  const result = await checkReleaseImmutability(octokit, action.owner, action.repo, action.ref);
+  if (!result.apiError) {
+    setCachedResult(resultCache, 'immutability', key, result, result.immutable);
+  }
+  return result;
+}
+
+/**
+ * Summary labels for the category of a suppressed finding
+ */
+const SUPPRESSED_CATEGORY_LABELS = {
+  mutable: 'Mutable',
+  mismatched: 'Comment mismatch',
+  errored: 'API error',
+  unsupported: 'Unsupported'
+};
+
+/**
+ * List the suppression comments that did not suppress a finding
+ * @param {Array} actions - Extracted action references
+ * @param {Object} results - checkAllActions results
+ * @returns {Array<Object>} Unused suppressions { reason, filePath, line }
+ */
+export function getUnusedSuppressions(actions, results) {
+  const getKey = suppression => `${suppression.filePath}:${suppression.line}`;
+  const used = new Set((results.suppressed || []).map(action => getKey(action.suppression)));
+  const unused = new Map();
+  for (const { suppression } of actions) {
+    if (suppression && !used.has(getKey(suppression))) {
+      unused.set(getKey(suppression), suppression);
+    }
+  }
+
+  return Array.from(unused.values());
+}
+
+/**
+ * Categories of findings that an inline suppression comment can suppress
+ */
+export const SUPPRESSIBLE_CATEGORIES = ['mutable', 'mismatched', 'errored', 'unsupported'];
+
+/**
+ * Name the result category of a check result
+ * @param {Object} result - Check result, or the cached record of an unsupported reference
+ * @returns {string} mutable, immutable, waived, unverified, mismatched, errored or unsupported
+ */
+function getResultCategory(result) {
+  if (result.supported === false) {
+    return result.apiError ? 'errored' : 'unsupported';
+  }
+  if (result.mismatched) {
+    return 'mismatched';
+  }
+  if (result.immutable) {
+    return 'immutable';
+  }
+  if (result.waived) {
+    return 'waived';
+  }
+  if (result.apiError) {
+    return 'errored';
+  }
+  return result.unverified ? 'unverified' : 'mutable';
+}
+
+/**
+ * Determine whether a check result is a finding that a suppression comment applies to
+ * @param {Object} result - Check result
+ * @returns {boolean} True for mutable, mismatched, errored and unsupported results
+ */
+function isSuppressibleResult(result) {
+  return Boolean(result) && SUPPRESSIBLE_CATEGORIES.includes(getResultCategory(result));
+}
+
+/**
+ * Key a suppressed reference by the comment that suppresses it, so each comment is reported on its own
+ * @param {Object} action - Extracted action reference with a suppression
+ * @returns {string} Suppressed finding key
+ */
+function getSuppressedFindingKey(action) {
+  return `suppressed:${action.suppression.filePath}:${action.suppression.line}:${getActionCacheKey(action)}`;
+}
+
+/**
+ * Key a reference for reporting; job and service container images are keyed by the container they are declared
+ * in, so the containerType and serviceName of a finding hold for every location it lists
+ * @param {Object} action - Extracted action reference
+ * @returns {string} Reported finding key
+ */
+function getReportedFindingKey(action) {
+  if (!action.containerType) {
+    return getActionCacheKey(action);
+  }
+
+  const container = action.serviceName ? `services.${action.serviceName}` : 'container';
+  return `${getActionCacheKey(action)}:${action.filePath || action.workflowFile}:${action.jobName}.${container}`;
+}
+
+/**
+ * Check all actions from workflows
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Array} actions - Array of action references
+ * @param {boolean} includeFirstParty - Whether to include first-party actions in checks
+ * @param {Object} options - Additional check options
+ * @param {Array<Object>} options.allowlist - Normalized allowlist entries for accepted mutable references
+ * @param {Date} options.now - Current time used for allowlist expiry checks
+ * @param {boolean} options.offline - Skip API calls; references that are not full SHAs are reported as unverified
+ * @param {boolean} options.verifyShaCommits - Check that full SHAs are reachable from a branch or tag of their repository
+ * @param {boolean} options.strictShaPins - Only accept full SHAs that are the target of an immutable release
+ * @param {number} options.concurrency - Maximum number of references checked at the same time (default DEFAULT_CONCURRENCY)
+ * @param {Object} options.resultCache - Result cache from loadResultCache for release results (optional)
+ * @returns {Promise<Object>} { mutable: Array, immutable: Array, waived: Array, unverified: Array, mismatched: Array, errored: Array, unsupported: Array, suppressed: Array, firstParty: Array, byWorkflow: Object }
+ */
+export async function checkAllActions(octokit, actions, includeFirstParty = false, options = {}) {
+  const allowlist = options.allowlist || [];
+  const now = options.now || new Date();
+  const mutable = [];
+  const immutable = [];
+  const waived = [];
+  const unverified = [];
+  const mismatched = [];
+  const errored = [];
+  const unsupported = [];
+  const suppressed = [];
+  const firstParty = [];
+  const byWorkflow = {};
+
+  const unsupportedActions = actions.filter(a => a.supported === false);
+
+  // Separate first-party actions from actions to check
+  // When includeFirstParty is true, check all actions for immutability
+  const supportedActions = actions.filter(a => a.supported !== false);
+  const actionsToCheck = includeFirstParty ? supportedActions : supportedActions.filter(a => !a.isFirstParty);
+  const excludedFirstPartyActions = includeFirstParty ? [] : supportedActions.filter(a => a.isFirstParty);
+  const allFirstPartyActions = supportedActions.filter(a => a.isFirstParty);
+
+  // Create a cache for immutability results
+  const immutabilityCache = new Map();
+  const releasesCache = new Map();
+  const tagsCache = new Map();
+
+  // Record unsupported actions - deduplicate by uses string
+  const uniqueUnsupportedActions = Array.from(new Map(unsupportedActions.map(a => [getActionCacheKey(a), a])).values());
+  for (const action of uniqueUnsupportedActions) {
+    immutabilityCache.set(getActionCacheKey(action), {
+      uses: action.uses,
+      supported: false,
+      sourceLocations: [
+        {
+          workflowFile: action.sourceWorkflowFile || action.workflowFile,
+          jobName: action.sourceJobName || action.jobName,
+          stepName: action.sourceStepName || action.stepName,
+          stepId: action.sourceStepId,
+          filePath: action.sourceFilePath ?? action.filePath,
+          line: action.sourceLine ?? action.line,
+          column: action.sourceColumn ?? action.column
+        }
+      ],
+      unsupportedType: action.unsupportedType,
+      ...(action.unsupportedType === 'api-error' && { apiError: true }),
+      message: action.message
+    });
+  }
+
+  // Process excluded first-party actions (no API check needed) - deduplicate by uses string
+  const uniqueExcludedFirstParty = Array.from(new Map(excludedFirstPartyActions.map(a => [a.uses, a])).values());
+  for (const action of uniqueExcludedFirstParty) {
+    const actionInfo = {
+      uses: action.uses,
+      owner: action.owner,
+      repo: action.repo,
+      ref: action.ref,
+      isFirstParty: true,
+      immutable: true,
+      releaseFound: false,
+      message: 'Excluded (first-party)',
+      allowed: true,
+      excluded: true
+    };
+    firstParty.push(actionInfo);
+
+    // Cache result for workflow grouping
+    immutabilityCache.set(getActionCacheKey(action), {
+      immutable: true,
+      releaseFound: false,
+      message: 'Excluded (first-party)'
+    });
+  }
+
+  // Deduplicate actions being checked by uses string for API calls, but preserve workflow info
+  const uniqueActions = Array.from(new Map(actionsToCheck.map(a => [getActionCacheKey(a), a])).values());
+
+  // Check distinct references concurrently, then categorize them in their original order
+  const results = await mapWithConcurrency(uniqueActions, options.concurrency || DEFAULT_CONCURRENCY, async action => {
+    core.info(`Checking ${formatActionReferenceText(action)}...`);
+
+    let result;
+    if (action.image) {
+      result = getDockerImageResult(action.image);
+    } else {
+      result = options.offline
+        ? getOfflineImmutabilityResult(action.ref)
+        : await checkCachedReleaseImmutability(octokit, action, options.resultCache);
+    }
+    if (options.verifyShaCommits && !options.offline && result.referenceType === 'full-sha') {
+      result = await applyShaVerification(octokit, action, result);
+    }
+    if (options.strictShaPins && !options.offline && result.immutable && result.referenceType === 'full-sha') {
+      result = await applyStrictShaCheck(octokit, action, result, tagsCache);
+    }
+
+    // Check SHA pins against the version named in their trailing comment
+    const commentTag = isFullSHA(action.ref) ? parseVersionComment(action.comment) : null;
+    if (commentTag && result.immutable && !options.offline) {
+      result = await applyVersionCommentCheck(octokit, action, commentTag, result);
+    }
+
+    // Apply allowlist waivers to mutable results only
+    const allowlistEntry = result.immutable ? null : findAllowlistEntry(action, allowlist);
+    if (allowlistEntry && isAllowlistEntryExpired(allowlistEntry, now)) {
+      core.warning(`Allowlist entry for ${allowlistEntry.uses} expired on ${allowlistEntry.expires}`);
+      result = {
+        ...result,
+        message: `${result.message} (allowlist entry expired on ${allowlistEntry.expires})`
+      };
+    } else if (allowlistEntry) {
+      result = {
+        ...result,
+        waived: true,
+        reason: allowlistEntry.reason,
+        expires: allowlistEntry.expires
+      };
+    }
+
+    // Point mutable references at the closest immutable release
+    if (!result.immutable && !result.unverified && !result.apiError && !action.image && octokit) {
+      const suggestion = await suggestImmutableRelease(octokit, action, releasesCache);
+      if (suggestion) {
+        result = { ...result, suggestion };
+      }
+    }
+
+    return result;
+  });
+
+  for (const [index, action] of uniqueActions.entries()) {
+    immutabilityCache.set(getActionCacheKey(action), results[index]);
+  }
+
+  // Findings on a line with a suppression comment are reported per comment instead of in their own category
+  const isSuppressed = action =>
+    Boolean(action.suppression) && isSuppressibleResult(immutabilityCache.get(getActionCacheKey(action)));
+  const actionLocations = collectActionLocations(
+    actions.filter(action => !isSuppressed(action)),
+    getReportedFindingKey
+  );
+  const suppressedLocations = collectActionLocations(actions.filter(isSuppressed), getSuppressedFindingKey);
+
+  const reportedUnsupportedActions = Array.from(
+    new Map(unsupportedActions.filter(a => !isSuppressed(a)).map(a => [getReportedFindingKey(a), a])).values()
+  );
+  for (const action of reportedUnsupportedActions) {
+    const actionInfo = {
+      ...immutabilityCache.get(getActionCacheKey(action)),
+      locations: actionLocations.get(getReportedFindingKey(action)) || []
+    };
+    (actionInfo.apiError ? errored : unsupported).push(actionInfo);
+  }
+
+  const reportedActions = Array.from(
+    new Map(actionsToCheck.filter(a => !isSuppressed(a)).map(a => [getReportedFindingKey(a), a])).values()
+  );
+  for (const action of reportedActions) {
+    const result = immutabilityCache.get(getActionCacheKey(action));
+    const actionInfo = {
+      uses: action.uses,
+      owner: action.owner,
+      repo: action.repo,
+      actionPath: action.actionPath || '',
+      ref: action.ref,
+      image: action.image,
+      containerType: action.containerType,
+      serviceName: action.serviceName,
+      entrypointUses: action.entrypointUses || action.uses,
+      sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
+      sourceJobName: action.sourceJobName || action.jobName,
+      sourceStepName: action.sourceStepName || action.stepName,
+      sourceStepId: action.sourceStepId,
+      sourceFilePath: action.sourceFilePath ?? action.filePath,
+      sourceLine: action.sourceLine ?? action.line,
+      sourceColumn: action.sourceColumn ?? action.column,
+      isFirstParty: action.isFirstParty || false,
+      locations: actionLocations.get(getReportedFindingKey(action)) || [],
+      ...result
+    };
+
+    if (result.mismatched) {
+      mismatched.push(actionInfo);
+    } else if (result.immutable) {
+      immutable.push(actionInfo);
+    } else if (result.waived) {
+      waived.push(actionInfo);
+    } else if (result.apiError) {
+      errored.push(actionInfo);
+    } else if (result.unverified) {
+      unverified.push(actionInfo);
+    } else {
+      mutable.push(actionInfo);
+    }
+  }
+
+  const uniqueSuppressedActions = Array.from(
+    new Map(actions.filter(isSuppressed).map(a => [getSuppressedFindingKey(a), a])).values()
+  );
+  for (const action of uniqueSuppressedActions) {
+    const result = immutabilityCache.get(getActionCacheKey(action));
+    suppressed.push({
+      ...result,
+      uses: action.uses,
+      owner: action.owner,
+      repo: action.repo,
+      actionPath: action.actionPath || '',
+      ref: action.ref,
+      image: action.image,
+      sourceWorkflowFile: action.sourceWorkflowFile || action.workflowFile,
+      sourceJobName: action.sourceJobName || action.jobName,
+      sourceStepName: action.sourceStepName || action.stepName,
+      sourceStepId: action.sourceStepId,
+      sourceFilePath: action.sourceFilePath ?? action.filePath,
+      sourceLine: action.sourceLine ?? action.line,
+      sourceColumn: action.sourceColumn ?? action.column,
+      sourceLocations: [
+        {
+          workflowFile: action.sourceWorkflowFile || action.workflowFile,
+          jobName: action.sourceJobName || action.jobName,
+          stepName: action.sourceStepName || action.stepName,
+          stepId: action.sourceStepId,
+          filePath: action.sourceFilePath ?? action.filePath,
+          line: action.sourceLine ?? action.line,
+          column: action.sourceColumn ?? action.column
+        }
+      ],
+      supported: action.supported !== false,
+      locations: suppressedLocations.get(getSuppressedFindingKey(action)) || [],
+      suppression: action.suppression,
+      suppressedCategory: getResultCategory(result)
+    });
+  }
+
+  // Add checked first-party actions to the firstParty output with allowed/reason
+  if (includeFirstParty) {
+    const uniqueCheckedFirstParty = Array.from(new Map(allFirstPartyActions.map(a => [a.uses, a])).values());
+    for (const action of uniqueCheckedFirstParty) {
+      const cachedResult = immutabilityCache.get(getActionCacheKey(action));
+      firstParty.push({
+        uses: action.uses,
+        owner: action.owner,
+        repo: action.repo,
+        actionPath: action.actionPath || '',
+        ref: action.ref,
+        isFirstParty: true,
+        ...cachedResult,
+        allowed: cachedResult.immutable || cachedResult.waived === true,
+        excluded: false
+      });
+    }
+  }
+
+  // Group all actions by workflow (deduplicate within each workflow)
+  // First, group actions by workflow file
+  const actionsByWorkflow = {};
+  for (const action of actions) {
+    const workflowFile = action.workflowFile;
+    if (!actionsByWorkflow[workflowFile]) {
+      actionsByWorkflow[workflowFile] = [];
+    }
+    actionsByWorkflow[workflowFile].push(action);
+  }
+
+  // Then, deduplicate within each workflow and categorize
+  for (const [workflowFile, workflowActions] of Object.entries(actionsByWorkflow)) {
+    byWorkflow[workflowFile] = {
+      mutable: [],
+      immutable: [],
+      waived: [],
+      unverified: [],
+      mismatched: [],
+      errored: [],
+      unsupported: [],
+      suppressed: [],
+      firstParty: []
+    };
+
+    const getWorkflowFindingKey = action =>
+      isSuppressed(action) ? getSuppressedFindingKey(action) : getReportedFindingKey(action);
+    const workflowLocations = collectActionLocations(workflowActions, getWorkflowFindingKey);
+
+    // Deduplicate by uses string within this workflow
+    const uniqueWorkflowActions = Array.from(
+      workflowActions
+        .reduce((groupedActions, action) => {
+          const cacheKey = getWorkflowFindingKey(action);
+          const sourceLocation = {
+            workflowFile: action.sourceWorkflowFile || action.workflowFile,
+            jobName: action.sourceJobName || action.jobName,
+            stepName: action.sourceStepName || action.stepName,
+            stepId: action.sourceStepId,
+            filePath: action.sourceFilePath ?? action.filePath,
+            line: action.sourceLine ?? action.line,
+            column: action.sourceColumn ?? action.column
+          };
+          const sourceKey = `${sourceLocation.workflowFile || ''}\u0000${sourceLocation.jobName || ''}\u0000${sourceLocation.stepName || ''}\u0000${sourceLocation.line || ''}`;
+
+          if (!groupedActions.has(cacheKey)) {
             groupedActions.set(cacheKey, {
               action,
               sourceLocations: new Map()
             });
           }
 
-          groupedActions.get(cacheKey).sourceLocations.set(sourceKey, sourceLocation);
-          return groupedActions;
-        }, new Map())
-        .values()
-    ).map(({ action, sourceLocations }) => ({
-      ...action,
-      sourceLocations: Array.from(sourceLocations.values())
-    }));
+          groupedActions.get(cacheKey).sourceLocations.set(sourceKey, sourceLocation);
+          return groupedActions;
+        }, new Map())
+        .values()
+    ).map(({ action, sourceLocations }) => ({
+      ...action,
+      sourceLocations: Array.from(sourceLocations.values())
+    }));
+
+    for (const action of uniqueWorkflowActions) {
+      const cachedResult = immutabilityCache.get(getActionCacheKey(action));
+      const actionInfo = {
+        uses: action.uses,
+        owner: action.owner,
+        repo: action.repo,
+        actionPath: action.actionPath || '',
+        ref: action.ref,
+        image: action.image,
+        containerType: action.containerType,
+        serviceName: action.serviceName,
+        workflowFile: action.workflowFile,
+        supported: action.supported !== false,
+        isFirstParty: action.isFirstParty || false,
+        ...cachedResult,
+        sourceLocations: action.sourceLocations || [],
+        locations: workflowLocations.get(getWorkflowFindingKey(action)) || []
+      };
+
+      if (isSuppressed(action)) {
+        byWorkflow[workflowFile].suppressed.push({
+          ...actionInfo,
+          suppression: action.suppression,
+          suppressedCategory: getResultCategory(cachedResult)
+        });
+      } else if (action.supported === false) {
+        byWorkflow[workflowFile][cachedResult.apiError ? 'errored' : 'unsupported'].push(actionInfo);
+      } else if (!includeFirstParty && action.isFirstParty) {
+        byWorkflow[workflowFile].firstParty.push(actionInfo);
+      } else if (cachedResult.mismatched) {
+        byWorkflow[workflowFile].mismatched.push(actionInfo);
+      } else if (cachedResult.immutable) {
+        byWorkflow[workflowFile].immutable.push(actionInfo);
+      } else if (cachedResult.waived) {
+        byWorkflow[workflowFile].waived.push(actionInfo);
+      } else if (cachedResult.apiError) {
+        byWorkflow[workflowFile].errored.push(actionInfo);
+      } else if (cachedResult.unverified) {
+        byWorkflow[workflowFile].unverified.push(actionInfo);
+      } else {
+        byWorkflow[workflowFile].mutable.push(actionInfo);
+      }
+    }
+  }
+
+  return {
+    mutable,
+    immutable,
+    waived,
+    unverified,
+    mismatched,
+    errored,
+    unsupported,
+    suppressed,
+    firstParty,
+    byWorkflow
+  };
+}
+
+/**
+ * Extract action references from a list of workflow files
+ * @param {Array<string>} workflowFiles - Workflow file paths
+ * @param {string} workspaceDir - Repository workspace root
+ * @param {Object} options - Workflow extraction options (excludeWorkflowPatterns, trustedOwners)
+ * @returns {Array} Action references across all workflows
+ */
+export function extractActionsFromWorkflows(workflowFiles, workspaceDir, options = {}) {
+  const allActions = [];
+  const extractOptions = { reportedSuppressionFiles: new Set(), ...options };
+  for (const workflowFile of workflowFiles) {
+    core.info(`Parsing workflow: ${path.basename(workflowFile)}`);
+    const actions = extractActionsFromWorkflow(workflowFile, workspaceDir, extractOptions);
+    core.info(`  Found ${actions.length} action(s)`);
+    allActions.push(...actions);
+  }
+
+  return allActions;
+}
+
+/**
+ * List the workflow files in .github/workflows of a remote repository
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Git ref
+ * @returns {Promise<Array<string>>} Workflow file names (empty when the directory does not exist)
+ * @throws {Error} On API errors other than 404
+ */
+export async function listRemoteWorkflowFiles(octokit, owner, repo, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path: '.github/workflows', ref });
+    return (Array.isArray(data) ? data : [])
+      .filter(entry => entry.type === 'file' && (entry.name.endsWith('.yml') || entry.name.endsWith('.yaml')))
+      .map(entry => entry.name);
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extract action references from the workflows of a remote repository without a checkout
+ * The ref (the default branch when omitted) is resolved to a commit SHA, so local ./ references are checked as
+ * references to the repository at that commit.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} repository - { owner, repo, ref? }
+ * @param {Object} options - Extraction options
+ * @param {string} options.workflowsInput - Comma-separated workflow files or glob patterns (optional)
+ * @param {string} options.excludeWorkflowsInput - Comma-separated workflows or glob patterns to exclude (optional)
+ * @param {Array<string>} options.excludeWorkflowPatterns - Exclude patterns for reusable workflows
+ * @param {Array<string>} options.trustedOwners - Ordered trust patterns
+ * @param {boolean} options.qualifyWorkflowFiles - Name workflows owner/repo:file to keep repositories apart
+ * @returns {Promise<Object>} { repository: 'owner/repo', ref, sha, workflowFiles, actions }
+ * @throws {Error} When the ref cannot be resolved or a workflow file cannot be fetched
+ */
+export async function extractActionsFromRemoteRepository(octokit, repository, options = {}) {
+  const { owner, repo } = repository;
+  let ref = repository.ref;
+  if (!ref) {
+    const { data } = await octokit.rest.repos.get({ owner, repo });
+    ref = data.default_branch;
+  }
+
+  const sha = isFullSHA(ref) ? ref : await resolveCommitSha(octokit, owner, repo, ref);
+  if (!sha) {
+    throw new Error(`Could not resolve ${ref} to a commit SHA`);
+  }
+
+  const workflowFiles = selectWorkflowFiles(
+    await listRemoteWorkflowFiles(octokit, owner, repo, sha),
+    options.workflowsInput,
+    options.excludeWorkflowsInput,
+    { quiet: options.qualifyWorkflowFiles }
+  );
+
+  const actions = [];
+  for (const workflowName of workflowFiles) {
+    const filePath = `.github/workflows/${workflowName}`;
+    const workflow = await fetchRemoteFile(octokit, owner, repo, filePath, sha);
+    if (!workflow.found) {
+      throw new Error(workflow.message);
+    }
+
+    try {
+      actions.push(
+        ...extractActionsFromWorkflowContent(workflow.content, {
+          workflowFile: options.qualifyWorkflowFiles ? `${owner}/${repo}:${workflowName}` : workflowName,
+          filePath,
+          repository: { owner, repo, ref: sha },
+          excludeWorkflowPatterns: options.excludeWorkflowPatterns,
+          trustedOwners: options.trustedOwners,
+          reportedSuppressionFiles: options.reportedSuppressionFiles
+        })
+      );
+    } catch (error) {
+      core.warning(`Failed to parse workflow ${owner}/${repo}/${filePath}: ${error.message}`);
+    }
+  }
+
+  return { repository: `${owner}/${repo}`, ref, sha, workflowFiles, actions };
+}
+
+/**
+ * Parse a target-repository input (owner/repo, optionally followed by @ref)
+ * @param {string} input - Target repository reference
+ * @returns {Object} { owner, repo, ref? } (ref is omitted for the default branch)
+ * @throws {Error} When the input is not an owner/repo or owner/repo@ref reference
+ */
+export function parseTargetRepository(input) {
+  const match = String(input)
+    .trim()
+    .match(/^([^/\s@]+)\/([^/\s@]+)(?:@(\S+))?$/);
+  if (!match) {
+    throw new Error(`${input} is not an owner/repo or owner/repo@ref reference`);
+  }
+
+  const [, owner, repo, ref] = match;
+  return ref ? { owner, repo, ref } : { owner, repo };
+}
+
+/**
+ * Parse the repositories to scan from the organization and repositories inputs
+ * @param {string|Array<string>} repositoriesInput - Comma-separated or listed owner/repo names or glob patterns
+ * @param {string} organization - Organization to scan; entries without an owner are repository names in it
+ * @returns {Array<string>} owner/repo patterns (empty when neither input is set)
+ * @throws {Error} When an entry is not an owner/repo name or pattern
+ */
+export function parseRepositoryPatterns(repositoriesInput, organization) {
+  const entries = (Array.isArray(repositoriesInput) ? repositoriesInput : (repositoriesInput || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return organization ? [`${organization}/*`] : [];
+  }
+
+  return entries.map(entry => {
+    const pattern = organization && !entry.includes('/') ? `${organization}/${entry}` : entry;
+    if (!/^[^/\s@]+\/[^/\s@]+$/.test(pattern)) {
+      throw new Error(`${entry} is not an owner/repo name or pattern`);
+    }
+    return pattern;
+  });
+}
+
+async function listOwnerRepositories(octokit, owner) {
+  try {
+    return await octokit.paginate(octokit.rest.repos.listForOrg, { org: owner, per_page: 100 });
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    return await octokit.paginate(octokit.rest.repos.listForUser, { username: owner, per_page: 100 });
+  }
+}
+
+/**
+ * Resolve repository patterns to the repositories to scan
+ * Exact owner/repo entries are used as given; glob patterns match the owner's repositories, skipping archived ones.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Array<string>} patterns - owner/repo patterns from parseRepositoryPatterns
+ * @returns {Promise<Array<Object>>} { owner, repo, ref? } entries in pattern order without duplicates
+ */
+export async function resolveScanRepositories(octokit, patterns) {
+  const listedRepositories = new Map();
+  const repositories = new Map();
+
+  for (const pattern of patterns) {
+    const [owner, repoPattern] = pattern.split('/');
+    if (!/[*?[\]{}]/.test(repoPattern)) {
+      repositories.set(pattern.toLowerCase(), { owner, repo: repoPattern });
+      continue;
+    }
+
+    if (!listedRepositories.has(owner)) {
+      listedRepositories.set(owner, await listOwnerRepositories(octokit, owner));
+    }
+    const matches = listedRepositories
+      .get(owner)
+      .filter(repository => !repository.archived && minimatch(repository.name, repoPattern, { nocase: true }));
+    if (matches.length === 0) {
+      core.warning(`No repositories matched: ${pattern}`);
+    }
+    for (const repository of matches) {
+      const key = `${owner}/${repository.name}`.toLowerCase();
+      if (!repositories.has(key)) {
+        repositories.set(key, { owner, repo: repository.name, ref: repository.default_branch });
+      }
+    }
+  }
+
+  return [...repositories.values()];
+}
+
+/**
+ * Roll up mutable findings of a multi-repository scan, most widely used first
+ * @param {Object} byWorkflow - checkAllActions results keyed by owner/repo:workflow names
+ * @returns {Array<Object>} { uses, message, suggestion?, repositories: Array<string>, workflows: number }
+ */
+export function buildMutableActionRollup(byWorkflow) {
+  const rollup = new Map();
+  for (const [workflowFile, workflowData] of Object.entries(byWorkflow)) {
+    const repository = workflowFile.slice(0, workflowFile.indexOf(':'));
+    for (const action of workflowData.mutable) {
+      if (!rollup.has(action.uses)) {
+        rollup.set(action.uses, {
+          uses: action.uses,
+          message: action.message,
+          ...(action.suggestion && { suggestion: action.suggestion.uses }),
+          repositories: new Set(),
+          workflows: 0
+        });
+      }
+      const entry = rollup.get(action.uses);
+      entry.repositories.add(repository);
+      entry.workflows++;
+    }
+  }
+
+  return [...rollup.values()]
+    .map(entry => ({ ...entry, repositories: [...entry.repositories] }))
+    .sort(
+      (a, b) =>
+        b.repositories.length - a.repositories.length || b.workflows - a.workflows || a.uses.localeCompare(b.uses)
+    );
+}
+
+const REPOSITORY_REPORT_CATEGORIES = ['immutable', 'waived', 'mutable', 'mismatched', 'errored', 'unsupported'];
+
+function summarizeRepositoryScan(scan, byWorkflow) {
+  const referencesByCategory = Object.fromEntries(REPOSITORY_REPORT_CATEGORIES.map(category => [category, new Set()]));
+  for (const workflowName of scan.workflowFiles) {
+    const workflowData = byWorkflow[`${scan.repository}:${workflowName}`];
+    for (const category of REPOSITORY_REPORT_CATEGORIES) {
+      for (const action of workflowData?.[category] || []) {
+        referencesByCategory[category].add(getActionCacheKey(action));
+      }
+    }
+  }
+
+  return {
+    repository: scan.repository,
+    ...(scan.ref && { ref: scan.ref, sha: scan.sha }),
+    workflows: scan.workflowFiles,
+    ...Object.fromEntries(
+      REPOSITORY_REPORT_CATEGORIES.map(category => [category, referencesByCategory[category].size])
+    ),
+    ...(scan.error && { error: scan.error })
+  };
+}
+
+/**
+ * Scan the workflows of many repositories through the GitHub API and check them together
+ * Each distinct reference is expanded and checked once across all repositories. Workflows are named
+ * owner/repo:file in the results; repositories that cannot be read are reported with an error.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Array<Object>} repositories - { owner, repo, ref? } entries from resolveScanRepositories
+ * @param {Object} options - extractActionsFromRemoteRepository and expandAndCheckActions options
+ * @returns {Promise<Object>} checkAllActions results plus repositories (per-repository reports) and rollup
+ */
+export async function scanRepositories(octokit, repositories, options = {}) {
+  const scans = await mapWithConcurrency(repositories, options.concurrency || DEFAULT_CONCURRENCY, async repository => {
+    core.info(`Scanning repository: ${repository.owner}/${repository.repo}`);
+    try {
+      return await extractActionsFromRemoteRepository(octokit, repository, { ...options, qualifyWorkflowFiles: true });
+    } catch (error) {
+      core.warning(`Failed to scan ${repository.owner}/${repository.repo}: ${error.message}`);
+      return {
+        repository: `${repository.owner}/${repository.repo}`,
+        workflowFiles: [],
+        actions: [],
+        error: error.message
+      };
+    }
+  });
+
+  const results = await expandAndCheckActions(
+    octokit,
+    scans.flatMap(scan => scan.actions),
+    options
+  );
+
+  return {
+    ...results,
+    repositories: scans.map(scan => summarizeRepositoryScan(scan, results.byWorkflow)),
+    rollup: buildMutableActionRollup(results.byWorkflow)
+  };
+}
+
+/**
+ * Expand remote references and check every action for immutability
+ * First-party actions are not expanded unless includeFirstParty is set, and offline mode skips expansion entirely.
+ * @param {Octokit|null} octokit - Octokit instance (not used in offline mode)
+ * @param {Array} actions - Extracted action references
+ * @param {Object} options - Expansion and check options
+ * @param {string} options.workspaceDir - Repository workspace root
+ * @param {Array<string>} options.excludeWorkflowPatterns - Exclude patterns
+ * @param {Array<string>} options.trustedOwners - Ordered trust patterns
+ * @param {boolean} options.includeFirstParty - Whether to include first-party actions in checks
+ * @param {Array<Object>} options.allowlist - Normalized allowlist entries
+ * @param {boolean} options.offline - Only run static checks without API calls
+ * @param {number} options.concurrency - Maximum number of references expanded or checked at the same time
+ * @param {Object} options.resultCache - Result cache from loadResultCache shared by expansion and release checks (optional)
+ * @param {Map} options.expansionCache - In-memory expansion cache to share with other expansions in the run (optional)
+ * @returns {Promise<Object>} checkAllActions results
+ */
+export async function expandAndCheckActions(octokit, actions, options = {}) {
+  const includeFirstParty = options.includeFirstParty || false;
+  let expandedActions = actions;
+
+  if (!options.offline) {
+    const skippedFirstPartyActions = includeFirstParty ? [] : actions.filter(action => action.isFirstParty);
+    const actionsToExpand = includeFirstParty ? actions : actions.filter(action => !action.isFirstParty);
+
+    const expandedNonFirstPartyActions = await expandActionReferences(octokit, actionsToExpand, {
+      workspaceDir: options.workspaceDir,
+      excludeWorkflowPatterns: options.excludeWorkflowPatterns || [],
+      trustedOwners: options.trustedOwners,
+      concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+      resultCache: options.resultCache,
+      expansionCache: options.expansionCache || new Map(),
+      expansionStack: new Set()
+    });
+    expandedActions = [...skippedFirstPartyActions, ...expandedNonFirstPartyActions];
+  }
+
+  return await checkAllActions(octokit, expandedActions, includeFirstParty, {
+    allowlist: options.allowlist,
+    offline: options.offline,
+    verifyShaCommits: options.verifyShaCommits,
+    strictShaPins: options.strictShaPins,
+    concurrency: options.concurrency,
+    resultCache: options.resultCache
+  });
+}
+
+/**
+ * Finding categories compared against a diff base
+ */
+export const DIFF_CATEGORIES = ['mutable', 'mismatched', 'errored', 'unsupported'];
+
+/**
+ * Build the key a reference is compared on between the checked workflows and a diff base
+ * Local references compare by path, including references the API resolved to the base repository at the base commit.
+ * @param {string} workflowFile - Workflow the reference was found in
+ * @param {string} uses - Reference uses string
+ * @param {Object} baseRepository - { owner, repo, sha } the base was read from through the API (optional)
+ * @returns {string} Comparison key
+ */
+export function getDiffReferenceKey(workflowFile, uses, baseRepository) {
+  let reference = uses;
+  const match = baseRepository && uses.match(/^([^/@]+\/[^/@]+)(\/[^@]*)?@(.+)$/);
+  if (
+    match &&
+    match[1].toLowerCase() === `${baseRepository.owner}/${baseRepository.repo}`.toLowerCase() &&
+    match[3] === baseRepository.sha
+  ) {
+    reference = `./${match[2] || ''}`;
+  }
+  if (reference.startsWith('./')) {
+    reference = `./${path.posix.normalize(reference).replace(/\/$/, '')}`;
+  }
+
+  return `${workflowFile}\u0000${reference}`;
+}
+
+/**
+ * Collect the references a diff base uses, including the ones reached through composite actions and reusable workflows
+ * Only references are compared, so the base is expanded but not checked for immutability.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Array} baseActions - Action references extracted from the base workflows
+ * @param {Object} options - Expansion options
+ * @param {string} options.workspaceDir - Root of the base checkout local references are read from
+ * @param {Array<string>} options.excludeWorkflowPatterns - Exclude patterns
+ * @param {Array<string>} options.trustedOwners - Ordered trust patterns
+ * @param {boolean} options.includeFirstParty - Whether first-party actions are expanded
+ * @param {number} options.concurrency - Maximum number of references expanded at the same time
+ * @param {Object} options.resultCache - Result cache from loadResultCache (optional)
+ * @param {Map} options.expansionCache - In-memory expansion cache shared with the checked workflows (optional)
+ * @param {Object} options.baseRepository - { owner, repo, sha } when the base was read through the API (optional)
+ * @returns {Promise<Set<string>>} Keys from getDiffReferenceKey
+ */
+export async function collectDiffBaseReferences(octokit, baseActions, options = {}) {
+  const actionsToExpand = options.includeFirstParty ? baseActions : baseActions.filter(action => !action.isFirstParty);
+  const expandedActions = await expandActionReferences(octokit, actionsToExpand, {
+    workspaceDir: options.workspaceDir,
+    excludeWorkflowPatterns: options.excludeWorkflowPatterns || [],
+    trustedOwners: options.trustedOwners,
+    concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+    resultCache: options.resultCache,
+    expansionCache: options.expansionCache || new Map(),
+    expansionStack: new Set()
+  });
+
+  return new Set(
+    [...baseActions, ...expandedActions].map(action =>
+      getDiffReferenceKey(action.workflowFile, action.uses, options.baseRepository)
+    )
+  );
+}
+
+/**
+ * Mark findings that are not in the diff base as introduced
+ * A finding is introduced when its workflow did not use the same reference in the base; findings in the flat
+ * category lists are introduced when they are introduced in any workflow.
+ * @param {Object} results - checkAllActions results
+ * @param {Set<string>} baseReferences - Keys from collectDiffBaseReferences
+ * @returns {Object} Results with an introduced flag on every finding in DIFF_CATEGORIES
+ */
+export function markIntroducedFindings(results, baseReferences) {
+  const introducedKeys = new Set();
+  const byWorkflow = {};
+  for (const [workflowFile, workflowData] of Object.entries(results.byWorkflow)) {
+    byWorkflow[workflowFile] = { ...workflowData };
+    for (const category of DIFF_CATEGORIES) {
+      byWorkflow[workflowFile][category] = (workflowData[category] || []).map(action => {
+        const introduced = !baseReferences.has(getDiffReferenceKey(workflowFile, action.uses));
+        if (introduced) {
+          introducedKeys.add(`${category}\u0000${action.uses}`);
+        }
+        return { ...action, introduced };
+      });
+    }
+  }
+
+  const marked = { ...results, byWorkflow };
+  for (const category of DIFF_CATEGORIES) {
+    marked[category] = results[category].map(action => ({
+      ...action,
+      introduced: introducedKeys.has(`${category}\u0000${action.uses}`)
+    }));
+  }
+  return marked;
+}
+
+/**
+ * Baseline file format version
+ */
+export const BASELINE_VERSION = 1;
+
+/**
+ * Finding categories that can be recorded in a baseline
+ */
+export const BASELINE_CATEGORIES = ['mutable', 'unsupported'];
+
+/**
+ * Build the key a baseline entry is matched on
+ * Steps are matched on their id when they have one (or their position when they have neither an id nor a name), so
+ * renaming a step keeps its entries and anonymous steps are told apart; other steps are matched on their name.
+ * @param {Object} entry - { workflow, job, step, stepId?, uses }
+ * @returns {string} Matching key
+ */
+function getBaselineEntryKey(entry) {
+  const step = entry.stepId ? `id:${entry.stepId}` : `name:${entry.step}`;
+  return [entry.workflow, entry.job, step, entry.uses].join('\u0000');
+}
+
+/**
+ * Format the step of a baseline entry for messages, naming its id or position when it has one
+ * @param {Object} entry - Baseline entry
+ * @returns {string} Step text, e.g. "Deploy (deploy)" or "unnamed step (#2)"
+ */
+export function formatBaselineStep(entry) {
+  return entry.stepId ? `${entry.step} (${entry.stepId})` : entry.step;
+}
+
+/**
+ * Build baseline entries for each caller-side source location of a finding
+ * @param {string} workflowFile - Workflow the finding is grouped under
+ * @param {Object} action - Finding from checkAllActions byWorkflow results
+ * @returns {Array<Object>} Baseline entries ({ workflow, job, step, stepId?, uses })
+ */
+function getBaselineEntries(workflowFile, action) {
+  return (action.sourceLocations || []).map(sourceLocation => ({
+    workflow: sourceLocation.workflowFile || workflowFile,
+    job: sourceLocation.jobName || '',
+    step: sourceLocation.stepName || '',
+    ...(sourceLocation.stepId && { stepId: sourceLocation.stepId }),
+    uses: action.uses
+  }));
+}
+
+/**
+ * Create a baseline of the current mutable and unsupported findings, one entry per workflow, job, step and reference
+ * @param {Object} byWorkflow - Results grouped by workflow from checkAllActions
+ * @returns {Object} { version, findings: [{ workflow, job, step, stepId?, uses }] }
+ */
+export function createBaseline(byWorkflow) {
+  const entries = new Map();
+  for (const [workflowFile, workflowData] of Object.entries(byWorkflow)) {
+    for (const category of BASELINE_CATEGORIES) {
+      for (const action of workflowData[category] || []) {
+        for (const entry of getBaselineEntries(workflowFile, action)) {
+          entries.set(getBaselineEntryKey(entry), entry);
+        }
+      }
+    }
+  }
+
+  return {
+    version: BASELINE_VERSION,
+    findings: [...entries.values()].sort((a, b) => getBaselineEntryKey(a).localeCompare(getBaselineEntryKey(b)))
+  };
+}
+
+/**
+ * Load the findings recorded in a baseline file
+ * @param {string} filePath - Absolute baseline file path
+ * @param {string} displayPath - Path shown in error messages
+ * @returns {Array<Object>} Baseline entries ({ workflow, job, step, stepId?, uses })
+ * @throws {Error} When the file cannot be read or is not a valid baseline
+ */
+export function loadBaselineFile(filePath, displayPath = filePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid baseline file ${displayPath}: ${error.message}`);
+  }
+
+  if (baseline?.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+    throw new Error(
+      `Invalid baseline file ${displayPath}: expected { "version": ${BASELINE_VERSION}, "findings": [...] }`
+    );
+  }
+  for (const [index, entry] of baseline.findings.entries()) {
+    if (!['workflow', 'job', 'step', 'uses'].every(key => typeof entry?.[key] === 'string')) {
+      throw new Error(
+        `Invalid baseline file ${displayPath}: findings[${index}] must have workflow, job, step and uses strings`
+      );
+    }
+    if (entry.stepId !== undefined && (typeof entry.stepId !== 'string' || !entry.stepId)) {
+      throw new Error(`Invalid baseline file ${displayPath}: findings[${index}].stepId must be a non-empty string`);
+    }
+  }
+
+  return baseline.findings.map(({ workflow, job, step, stepId, uses }) => ({
+    workflow,
+    job,
+    step,
+    ...(stepId && { stepId }),
+    uses
+  }));
+}
+
+/**
+ * Write a baseline created by createBaseline
+ * @param {string} filePath - Absolute baseline file path
+ * @param {Object} baseline - Baseline from createBaseline
+ */
+export function writeBaselineFile(filePath, baseline) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Mark mutable and unsupported findings recorded in a baseline and find baseline entries that no longer match
+ * A finding is baselined in a workflow when every workflow, job and step it is used in has a baseline entry, so a
+ * new step using a baselined reference is still reported; findings in the flat category lists are baselined when
+ * they are baselined in every workflow.
+ * @param {Object} results - checkAllActions results
+ * @param {Array<Object>} baselineEntries - Entries from loadBaselineFile
+ * @returns {Object} { results, fixed } with a baselined flag on every finding in BASELINE_CATEGORIES and the
+ * baseline entries that did not match a finding
+ */
+export function applyBaseline(results, baselineEntries) {
+  const baselineKeys = new Set(baselineEntries.map(getBaselineEntryKey));
+  const matchedKeys = new Set();
+  const baselinedKeys = new Set();
+  const reportedKeys = new Set();
+  const byWorkflow = {};
+  for (const [workflowFile, workflowData] of Object.entries(results.byWorkflow)) {
+    byWorkflow[workflowFile] = { ...workflowData };
+    for (const category of BASELINE_CATEGORIES) {
+      byWorkflow[workflowFile][category] = (workflowData[category] || []).map(action => {
+        const entryKeys = getBaselineEntries(workflowFile, action).map(getBaselineEntryKey);
+        for (const key of entryKeys) {
+          matchedKeys.add(key);
+        }
+        const baselined = entryKeys.length > 0 && entryKeys.every(key => baselineKeys.has(key));
+        (baselined ? baselinedKeys : reportedKeys).add(`${category}\u0000${action.uses}`);
+        return { ...action, baselined };
+      });
+    }
+  }
+
+  const marked = { ...results, byWorkflow };
+  for (const category of BASELINE_CATEGORIES) {
+    marked[category] = results[category].map(action => ({
+      ...action,
+      baselined:
+        baselinedKeys.has(`${category}\u0000${action.uses}`) && !reportedKeys.has(`${category}\u0000${action.uses}`)
+    }));
+  }
+
+  return {
+    results: marked,
+    fixed: baselineEntries.filter(entry => !matchedKeys.has(getBaselineEntryKey(entry)))
+  };
+}
+
+/**
+ * SARIF rule metadata keyed by rule ID; category maps each rule to a severity rule
+ */
+export const SARIF_RULES = {
+  'mutable-release': {
+    name: 'MutableRelease',
+    category: 'mutable',
+    description: 'Action reference points to a release that is not immutable'
+  },
+  'no-release': {
+    name: 'NoRelease',
+    category: 'mutable',
+    description: 'Action reference does not correspond to a release and can be moved'
+  },
+  'branch-ref': {
+    name: 'BranchRef',
+    category: 'branch',
+    description: 'Action reference points to a branch, which moves with every push'
+  },
+  'unpinned-image': {
+    name: 'UnpinnedImage',
+    category: 'image',
+    description: 'Docker image reference is not pinned to a sha256 digest'
+  },
+  'orphan-commit': {
+    name: 'OrphanCommit',
+    category: 'mutable',
+    description: 'Action reference is pinned to a commit that is not reachable from any branch or tag of the repository'
+  },
+  'version-comment-mismatch': {
+    name: 'VersionCommentMismatch',
+    category: 'mismatched',
+    description:
+      'SHA-pinned action reference has a trailing version comment naming a tag that points at a different commit'
+  },
+  'api-error': {
+    name: 'ApiError',
+    category: 'errored',
+    description: 'Action reference could not be checked because GitHub API requests kept failing'
+  },
+  'unverified-reference': {
+    name: 'UnverifiedReference',
+    category: null,
+    description: 'Action reference was not checked for an immutable release (offline scan)'
+  },
+  'unsupported-reference': {
+    name: 'UnsupportedReference',
+    category: 'unsupported',
+    description: 'Action reference type cannot be analyzed for immutability'
+  }
+};
+
+const SARIF_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  notice: 'note',
+  off: 'none'
+};
+
+const SARIF_HELP_URI = 'https://github.com/joshjohanning/ensure-immutable-actions#whats-considered-immutable';
+
+/**
+ * Determine the SARIF rule ID for a finding
+ * @param {Object} finding - Finding from checkAllActions results
+ * @param {'mutable'|'waived'|'unverified'|'mismatched'|'errored'|'unsupported'} status - Result category the finding belongs to
+ * @returns {string} SARIF rule ID
+ */
+export function getSarifRuleId(finding, status) {
+  if (status === 'unsupported') {
+    return 'unsupported-reference';
+  }
+
+  if (status === 'unverified') {
+    return 'unverified-reference';
+  }
+
+  if (status === 'mismatched') {
+    return 'version-comment-mismatch';
+  }
+
+  if (status === 'errored') {
+    return 'api-error';
+  }
+
+  if (finding.image) {
+    return 'unpinned-image';
+  }
+
+  if (finding.referenceType === 'branch') {
+    return 'branch-ref';
+  }
+
+  if (isOrphanCommit(finding)) {
+    return 'orphan-commit';
+  }
+
+  return finding.releaseFound ? 'mutable-release' : 'no-release';
+}
+
+/**
+ * Build a SARIF 2.1.0 report from check results, with one result per repository location of each finding
+ * Waived findings are included with an external suppression so code scanning shows them as dismissed, and findings
+ * suppressed by an inline comment with an in-source suppression.
+ * @param {Object} results - checkAllActions results (uses byWorkflow)
+ * @param {Object} options - Report options
+ * @param {Object} options.severityRules - Complete severity rules used to derive result levels
+ * @returns {Object} SARIF log object
+ */
+export function buildSarifReport(results, options = {}) {
+  const severityRules = options.severityRules || DEFAULT_SEVERITY_RULES;
+  const ruleIds = Object.keys(SARIF_RULES);
+  const getLevel = ruleId => {
+    const category = SARIF_RULES[ruleId].category;
+    return category ? SARIF_LEVELS[severityRules[category]] : 'note';
+  };
+
+  const sarifResults = [];
+  const seenResults = new Set();
+
+  for (const [workflowFile, workflowData] of Object.entries(results?.byWorkflow || {})) {
+    for (const status of ['mutable', 'waived', 'unverified', 'mismatched', 'errored', 'unsupported', 'suppressed']) {
+      for (const finding of workflowData[status] || []) {
+        const ruleId = getSarifRuleId(finding, status === 'suppressed' ? finding.suppressedCategory : status);
+        const level = getLevel(ruleId);
+        if (level === 'none') {
+          continue;
+        }
+
+        const reference = finding.supported === false ? finding.uses : formatActionReferenceText(finding);
+        let sourceLocations = finding.locations;
+        if (!sourceLocations?.length) {
+          sourceLocations = finding.sourceLocations?.length > 0 ? finding.sourceLocations : [{ workflowFile }];
+        }
+
+        for (const sourceLocation of sourceLocations) {
+          const uri = sourceLocation.filePath || `.github/workflows/${sourceLocation.workflowFile || workflowFile}`;
+          const resultKey = `${ruleId}\u0000${finding.uses}\u0000${uri}\u0000${sourceLocation.line || ''}`;
+          if (seenResults.has(resultKey)) {
+            continue;
+          }
+          seenResults.add(resultKey);
+
+          const sarifResult = {
+            ruleId,
+            ruleIndex: ruleIds.indexOf(ruleId),
+            level,
+            message: { text: `${reference}: ${finding.message}` },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+                  region: {
+                    startLine: sourceLocation.line || 1,
+                    startColumn: sourceLocation.column || 1
+                  }
+                }
+              }
+            ]
+          };
+
+          if (finding.referenceType) {
+            sarifResult.properties = { referenceType: finding.referenceType };
+          }
+
+          if (status === 'waived') {
+            sarifResult.suppressions = [
+              { kind: 'external', justification: `${finding.reason} (expires ${finding.expires})` }
+            ];
+          }
+
+          if (status === 'suppressed') {
+            sarifResult.suppressions = [{ kind: 'inSource', justification: finding.suppression.reason }];
+          }
+
+          sarifResults.push(sarifResult);
+        }
+      }
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'ensure-immutable-actions',
+            informationUri: 'https://github.com/joshjohanning/ensure-immutable-actions',
+            rules: ruleIds.map(ruleId => ({
+              id: ruleId,
+              name: SARIF_RULES[ruleId].name,
+              shortDescription: { text: SARIF_RULES[ruleId].description },
+              helpUri: SARIF_HELP_URI,
+              defaultConfiguration: { level: getLevel(ruleId) === 'none' ? 'note' : getLevel(ruleId) },
+              properties: { tags: ['security', 'supply-chain'] }
+            }))
+          }
+        },
+        results: sarifResults
+      }
+    ]
+  };
+}
+
+/**
+ * Write a SARIF report to disk, creating parent directories as needed
+ * @param {string} sarifPath - Destination file path
+ * @param {Object} report - SARIF log object
+ */
+export function writeSarifFile(sarifPath, report) {
+  fs.mkdirSync(path.dirname(sarifPath), { recursive: true });
+  fs.writeFileSync(sarifPath, `${JSON.stringify(report, null, 2)}\n`);
+}
+
+/**
+ * Write the SARIF report when a sarif-file path is configured and expose it as an output
+ * @param {string} sarifFile - Output path relative to the workspace (empty to skip)
+ * @param {string} workspaceDir - Workspace directory
+ * @param {Object} results - checkAllActions results
+ * @param {Object} severityRules - Complete severity rules
+ */
+function writeSarifOutput(sarifFile, workspaceDir, results, severityRules) {
+  if (!sarifFile) {
+    return;
+  }
+
+  const report = buildSarifReport(results, { severityRules });
+  writeSarifFile(path.resolve(workspaceDir, sarifFile), report);
+  core.info(`SARIF report written to ${sarifFile} (${report.runs[0].results.length} result(s))`);
+  core.setOutput('sarif-file', sarifFile);
+}
+
+/**
+ * Resolve a tag (or branch) reference to the commit SHA it currently points at
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Tag or branch name
+ * @returns {Promise<string|null>} Commit SHA, or null when the reference does not exist
+ */
+export async function resolveCommitSha(octokit, owner, repo, ref) {
+  for (const candidate of [`tags/${ref}`, `heads/${ref}`]) {
+    try {
+      const { data } = await octokit.rest.repos.getCommit({ owner, repo, ref: candidate });
+      return data.sha;
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 422) {
+        throw error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace the ref of a uses string with a commit SHA
+ * @param {string} uses - Action reference (owner/repo[/path]@ref)
+ * @param {string} sha - Commit SHA
+ * @returns {string} Pinned action reference
+ */
+export function pinActionReference(uses, sha) {
+  return `${uses.slice(0, uses.lastIndexOf('@'))}@${sha}`;
+}
+
+/**
+ * Plan SHA pinning fixes for mutable findings at their own uses lines in the workspace
+ * References only reached through remote actions or workflows cannot be fixed here and are skipped.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Array} mutableActions - Mutable findings from checkAllActions
+ * @returns {Promise<Object>} { fixes: Array, unresolved: Array }
+ */
+export async function planPinFixes(octokit, mutableActions) {
+  const fixes = [];
+  const unresolved = [];
+
+  for (const action of mutableActions) {
+    const locations = (action.locations || []).filter(location => !location.via?.length);
+    // SHA pins that fail strict or commit verification checks are already pinned; moving them needs a new version
+    if (locations.length === 0 || isFullSHA(action.ref) || action.image) {
+      continue;
+    }
+
+    let sha = null;
+    try {
+      sha = await resolveCommitSha(octokit, action.owner, action.repo, action.ref);
+    } catch (error) {
+      core.warning(`Failed to resolve ${action.uses} to a commit SHA: ${error.message}`);
+    }
+
+    if (!sha) {
+      unresolved.push({ uses: action.uses, message: `Could not resolve ${action.ref} to a commit SHA` });
+      continue;
+    }
+
+    for (const location of locations) {
+      fixes.push({
+        filePath: location.filePath,
+        line: location.line,
+        column: location.column,
+        uses: action.uses,
+        ref: action.ref,
+        sha,
+        pinnedUses: pinActionReference(action.uses, sha)
+      });
+    }
+  }
+
+  return { fixes, unresolved };
+}
+
+/**
+ * Check whether a trailing uses comment must be kept as written when the reference is pinned
+ * @param {string} comment - Trailing comment text without the leading #
+ * @param {string} ref - Ref being replaced by a SHA
+ * @returns {boolean} True when the comment already names the ref or is a directive like `tool: ...`
+ */
+function isKeptUsesComment(comment, ref) {
+  return comment.split(/\s/)[0] === ref || parseVersionComment(comment) === ref || /^[\w.-]+\s*:/.test(comment);
+}
+
+/**
+ * Rewrite uses values in YAML content, keeping quoting, indentation and comments intact
+ * The pinned value gets a trailing `# <ref>` comment; an existing comment is kept after the ref. Comments that already
+ * start with the ref and directive comments such as `# immutable-actions: ignore` are left as they are.
+ * @param {string} content - Original YAML content
+ * @param {Array} edits - Edits with line, column, uses, ref and pinnedUses
+ * @returns {Object} { content, applied: Array, skipped: Array }
+ */
+export function applyUsesEdits(content, edits) {
+  const lineCounter = new LineCounter();
+  const document = YAML.parseDocument(content, { lineCounter });
+  const scalarsByOffset = new Map();
+  YAML.visit(document, {
+    Scalar(_, node) {
+      if (node.range) {
+        scalarsByOffset.set(node.range[0], node);
+      }
+    }
+  });
+
+  const replacements = [];
+  const applied = [];
+  const skipped = [];
+  for (const edit of edits) {
+    const lineStart = lineCounter.lineStarts[edit.line - 1];
+    const node = lineStart === undefined ? null : scalarsByOffset.get(lineStart + (edit.column || 1) - 1);
+    if (!node || node.value !== edit.uses) {
+      skipped.push(edit);
+      continue;
+    }
+
+    const [start, valueEnd] = node.range;
+    const quote = ['"', `'`].includes(content[start]) ? content[start] : '';
+    const lineEnd = content.indexOf('\n', valueEnd);
+    const rest = content.slice(valueEnd, lineEnd === -1 ? content.length : lineEnd).replace(/\r$/, '');
+    const comment = rest.match(/^(\s+)#\s?(.*)$/);
+
+    let replacement = `${quote}${edit.pinnedUses}${quote}`;
+    let end = valueEnd;
+    if (comment) {
+      if (!isKeptUsesComment(comment[2].trim(), edit.ref)) {
+        replacement += `${comment[1]}# ${[edit.ref, comment[2].trim()].filter(Boolean).join(' ')}`;
+        end = valueEnd + rest.length;
+      }
+    } else if (!rest.trim()) {
+      replacement += ` # ${edit.ref}`;
+      end = valueEnd + rest.length;
+    }
+
+    replacements.push({ start, end, replacement });
+    applied.push(edit);
+  }
+
+  let updated = content;
+  for (const { start, end, replacement } of replacements.sort((a, b) => b.start - a.start)) {
+    updated = `${updated.slice(0, start)}${replacement}${updated.slice(end)}`;
+  }
+
+  return { content: updated, applied, skipped };
+}
+
+/**
+ * Format a unified diff for line-for-line changes (the edits made by applyUsesEdits)
+ * @param {string} filePath - Repository-relative file path
+ * @param {string} before - Original content
+ * @param {string} after - Updated content with the same number of lines
+ * @param {number} context - Lines of context around each change
+ * @returns {string} Unified diff, or an empty string when nothing changed
+ */
+export function formatUnifiedDiff(filePath, before, after, context = 3) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+  const changed = oldLines.map((line, index) => (line !== newLines[index] ? index : -1)).filter(index => index >= 0);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(oldLines.length - 1, index + context);
+    const previous = hunks[hunks.length - 1];
+    if (previous && start <= previous.end + 1) {
+      previous.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const lines = [`--- a/${filePath}`, `+++ b/${filePath}`];
+  for (const { start, end } of hunks) {
+    const length = end - start + 1;
+    lines.push(`@@ -${start + 1},${length} +${start + 1},${length} @@`);
+    for (let index = start; index <= end; index++) {
+      if (oldLines[index] === newLines[index]) {
+        lines.push(` ${oldLines[index]}`);
+      } else {
+        lines.push(`-${oldLines[index]}`, `+${newLines[index]}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Apply planned pinning fixes to files in the workspace
+ * @param {Array} fixes - Fixes from planPinFixes
+ * @param {Object} options - Fix options
+ * @param {string} options.workspaceDir - Repository workspace root
+ * @param {boolean} options.dryRun - Compute diffs without writing files
+ * @returns {Object} { files: Array<{ filePath, diff, fixes, content }>, applied: Array, skipped: Array }
+ */
+export function applyPinFixes(fixes, options = {}) {
+  const workspaceDir = options.workspaceDir || process.env.GITHUB_WORKSPACE || process.cwd();
+  const fixesByFile = new Map();
+  for (const fix of fixes) {
+    if (!fixesByFile.has(fix.filePath)) {
+      fixesByFile.set(fix.filePath, []);
+    }
+    fixesByFile.get(fix.filePath).push(fix);
+  }
+
+  const files = [];
+  const applied = [];
+  const skipped = [];
+  for (const [filePath, fileFixes] of fixesByFile) {
+    const absolutePath = path.join(workspaceDir, filePath);
+    const before = fs.readFileSync(absolutePath, 'utf8');
+    const result = applyUsesEdits(before, fileFixes);
+    skipped.push(...result.skipped);
+    if (result.applied.length === 0) {
+      continue;
+    }
+
+    if (!options.dryRun) {
+      fs.writeFileSync(absolutePath, result.content);
+    }
+
+    applied.push(...result.applied);
+    files.push({
+      filePath,
+      diff: formatUnifiedDiff(filePath, before, result.content),
+      fixes: result.applied,
+      content: result.content
+    });
+  }
+
+  return { files, applied, skipped };
+}
+
+/**
+ * Default branch used for pinning pull requests
+ */
+export const DEFAULT_PULL_REQUEST_BRANCH = 'immutable-actions/pin-shas';
+
+const PULL_REQUEST_TITLE = 'Pin mutable action references to commit SHAs';
+
+/**
+ * Format the pull request body listing each pinned reference
+ * @param {Array} applied - Applied fixes from applyPinFixes
+ * @returns {string} Markdown pull request body
+ */
+export function formatPinPullRequestBody(applied) {
+  const rows = applied.map(fix => `| \`${fix.filePath}:${fix.line}\` | \`${fix.uses}\` | \`${fix.pinnedUses}\` |`);
+  return [
+    'This pull request pins mutable action references to the commit SHAs their tags currently point at. ' +
+      'The original ref is kept as a trailing comment.',
+    '',
+    '| Location | Old reference | New reference |',
+    '|----------|---------------|---------------|',
+    ...rows,
+    '',
+    '_Generated by [ensure-immutable-actions](https://github.com/joshjohanning/ensure-immutable-actions)._'
+  ].join('\n');
+}
+
+/**
+ * Commit pinned files to a branch and open a pull request, or update the open one for that branch
+ * The branch is reset to a single commit on top of the base branch each run, so re-runs never duplicate changes.
+ * The fixes are re-applied to each file as it is on the base branch, so changes made there since the checked out
+ * commit are kept; references that moved or no longer exist on the base branch are skipped.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} pinResult - Result from applyPinFixes (dry run) with the fixes for each file
+ * @param {Object} options - Pull request options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.base - Base branch (defaults to the repository default branch)
+ * @param {string} options.branch - Head branch for the fixes
+ * @returns {Promise<Object|null>} { number, url, created, skipped }, or null when nothing applies to the base branch
+ * @throws {Error} When the repository is missing or a file cannot be read from the base branch
+ */
+export async function createOrUpdatePinPullRequest(octokit, pinResult, options) {
+  const { owner, repo } = options;
+  if (!owner || !repo) {
+    throw new Error('Repository owner and name are required to open a pull request');
+  }
+
+  const branch = options.branch || DEFAULT_PULL_REQUEST_BRANCH;
+  const base = options.base || (await octokit.rest.repos.get({ owner, repo })).data.default_branch;
+
+  const { data: baseRef } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${base}` });
+  const baseSha = baseRef.object.sha;
+  const { data: baseCommit } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: baseSha });
+
+  const files = [];
+  const applied = [];
+  const skipped = [];
+  for (const file of pinResult.files) {
+    const baseFile = await fetchRemoteFile(octokit, owner, repo, file.filePath, baseSha);
+    if (baseFile.apiError) {
+      throw new Error(baseFile.message);
+    }
+    if (!baseFile.found) {
+      skipped.push(...file.fixes);
+      continue;
+    }
+
+    const result = applyUsesEdits(baseFile.content, file.fixes);
+    skipped.push(...result.skipped);
+    if (result.applied.length > 0) {
+      files.push({ filePath: file.filePath, content: result.content });
+      applied.push(...result.applied);
+    }
+  }
+
+  if (applied.length === 0) {
+    return null;
+  }
+
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    base_tree: baseCommit.tree.sha,
+    tree: files.map(file => ({
+      path: file.filePath,
+      mode: '100644',
+      type: 'blob',
+      content: file.content
+    }))
+  });
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message: `${PULL_REQUEST_TITLE}\n\n${applied.map(fix => `- ${fix.uses} -> ${fix.sha}`).join('\n')}`,
+    tree: tree.sha,
+    parents: [baseSha]
+  });
+
+  let branchExists = true;
+  try {
+    await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    branchExists = false;
+  }
+
+  if (branchExists) {
+    await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: true });
+  } else {
+    await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+  }
+
+  const body = formatPinPullRequestBody(applied);
+  const { data: openPulls } = await octokit.rest.pulls.list({
+    owner,
+    repo,
+    head: `${owner}:${branch}`,
+    base,
+    state: 'open'
+  });
+
+  if (openPulls.length > 0) {
+    const { data: pull } = await octokit.rest.pulls.update({
+      owner,
+      repo,
+      pull_number: openPulls[0].number,
+      title: PULL_REQUEST_TITLE,
+      body
+    });
+    return { number: pull.number, url: pull.html_url, created: false, skipped };
+  }
+
+  const { data: pull } = await octokit.rest.pulls.create({
+    owner,
+    repo,
+    head: branch,
+    base,
+    title: PULL_REQUEST_TITLE,
+    body
+  });
+  return { number: pull.number, url: pull.html_url, created: true, skipped };
+}
+
+/**
+ * Determine whether to write a GitHub job summary based on mode and results.
+ * @param {'true'|'false'|'on-failure-only'} writeJobSummary - Summary writing mode
+ * @param {boolean} allPassed - True when no mutable or unsupported references are found
+ * @returns {boolean} True when summary should be written
+ */
+export function shouldWriteJobSummary(writeJobSummary, allPassed) {
+  if (writeJobSummary === 'false') {
+    return false;
+  }
+
+  if (writeJobSummary === 'on-failure-only') {
+    return !allPassed;
+  }
+
+  return true;
+}
+
+/**
+ * Default repository config file path (relative to the workspace)
+ */
+export const DEFAULT_CONFIG_FILE = '.github/immutable-actions.yml';
+
+/**
+ * Allowed severity levels for finding categories
+ * error findings fail the run (when fail-on-mutable is enabled), off findings are ignored by all-passed
+ */
+export const SEVERITY_LEVELS = ['error', 'warning', 'notice', 'off'];
+
+/**
+ * Default severity per finding category
+ * branch applies to mutable references that point at a branch and follows mutable unless it is set; image applies
+ * to Docker images that are not pinned to a digest.
+ */
+export const DEFAULT_SEVERITY_RULES = {
+  mutable: 'error',
+  branch: 'error',
+  image: 'warning',
+  mismatched: 'warning',
+  errored: 'error',
+  unsupported: 'warning'
+};
+
+/**
+ * Allowed annotation levels for findings
+ */
+export const ANNOTATION_LEVELS = ['notice', 'warning', 'error'];
+
+const WRITE_JOB_SUMMARY_MODES = ['true', 'false', 'on-failure-only'];
+
+/**
+ * Parse a concurrency limit from an input string or config value
+ * @param {string|number} value - Concurrency limit
+ * @returns {number} Positive integer limit
+ * @throws {Error} When the value is not a positive integer
+ */
+export function parseConcurrency(value) {
+  const concurrency = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('must be a positive integer');
+  }
+
+  return concurrency;
+}
+
+/**
+ * Parse the result cache TTL from an input string or config value
+ * @param {string|number} value - Number of hours
+ * @returns {number} Non-negative integer number of hours (0 disables caching results that can change)
+ * @throws {Error} When the value is not a non-negative integer
+ */
+export function parseCacheTtl(value) {
+  const ttl = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+  if (!Number.isInteger(ttl) || ttl < 0) {
+    throw new Error('must be a non-negative integer number of hours');
+  }
+
+  return ttl;
+}
+
+const FIX_MODES = ['false', 'true', 'dry-run', 'pull-request'];
+
+function createConfigError(keyPath, message, linePath = keyPath) {
+  const error = new Error(message);
+  error.keyPath = keyPath;
+  error.linePath = linePath;
+  return error;
+}
+
+function normalizeConfigStringList(value, key) {
+  if (typeof value === 'string') {
+    return parseWorkflowPatterns(value);
+  }
+
+  if (Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim())) {
+    return value.map(item => item.trim());
+  }
+
+  throw createConfigError([key], 'must be a comma-separated string or a list of non-empty strings');
+}
+
+function normalizeConfigBoolean(value, key) {
+  if (typeof value !== 'boolean') {
+    throw createConfigError([key], 'must be true or false');
+  }
+
+  return value;
+}
+
+/**
+ * Merge severity rules with the defaults and validate categories and levels
+ * @param {Object} rules - Mapping of finding category to severity level
+ * @returns {Object} Complete severity rules
+ * @throws {Error} When a category or level is unknown (error.keyPath points at the offending key)
+ */
+export function parseSeverityRules(rules) {
+  if (rules === undefined || rules === null) {
+    return { ...DEFAULT_SEVERITY_RULES };
+  }
+
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    throw createConfigError(['severity'], 'must be a mapping of finding category to severity level');
+  }
+
+  for (const [category, level] of Object.entries(rules)) {
+    if (!Object.hasOwn(DEFAULT_SEVERITY_RULES, category)) {
+      throw createConfigError(
+        ['severity', category],
+        `is not a known finding category. Allowed categories: ${Object.keys(DEFAULT_SEVERITY_RULES).join(', ')}`
+      );
+    }
+
+    if (!SEVERITY_LEVELS.includes(level)) {
+      throw createConfigError(['severity', category], `must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+    }
+  }
+
+  return { ...DEFAULT_SEVERITY_RULES, branch: rules.mutable ?? DEFAULT_SEVERITY_RULES.branch, ...rules };
+}
+
+/**
+ * Validate a parsed repository config file and normalize its values
+ * @param {Object} config - Parsed config file contents
+ * @returns {Object} Normalized config keyed by the matching action input names
+ * @throws {Error} When a key is unknown or has an invalid value (error.keyPath points at the offending key)
+ */
+export function validateConfig(config) {
+  if (config === undefined || config === null) {
+    return {};
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw createConfigError([], 'must be a mapping of settings');
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(config)) {
+    switch (key) {
+      case 'workflows':
+      case 'exclude-workflows':
+      case 'trusted-owners':
+      case 'repositories':
+        normalized[key] = normalizeConfigStringList(value, key);
+        break;
+      case 'include-first-party':
+      case 'fail-on-mutable':
+      case 'verify-sha-commits':
+      case 'strict-sha-pins':
+      case 'graphql-batching':
+        normalized[key] = normalizeConfigBoolean(value, key);
+        break;
+      case 'write-job-summary': {
+        const mode = String(value);
+        if (!WRITE_JOB_SUMMARY_MODES.includes(mode)) {
+          throw createConfigError([key], `must be one of: ${WRITE_JOB_SUMMARY_MODES.join(', ')}`);
+        }
+        normalized[key] = mode;
+        break;
+      }
+      case 'fix': {
+        const mode = String(value);
+        if (!FIX_MODES.includes(mode)) {
+          throw createConfigError([key], `must be one of: ${FIX_MODES.join(', ')}`);
+        }
+        normalized[key] = mode;
+        break;
+      }
+      case 'pull-request-branch':
+      case 'pull-request-base':
+      case 'cache-file':
+      case 'organization':
+      case 'diff-base':
+      case 'diff-base-path':
+      case 'baseline-file':
+        if (typeof value !== 'string' || !value.trim()) {
+          throw createConfigError([key], 'must be a non-empty string');
+        }
+        normalized[key] = value.trim();
+        break;
+      case 'target-repository':
+        if (typeof value !== 'string') {
+          throw createConfigError([key], 'must be an owner/repo or owner/repo@ref reference');
+        }
+        try {
+          parseTargetRepository(value);
+        } catch (error) {
+          throw createConfigError([key], error.message);
+        }
+        normalized[key] = value.trim();
+        break;
+      case 'concurrency':
+        if (typeof value !== 'number') {
+          throw createConfigError([key], 'must be a positive integer');
+        }
+        try {
+          normalized[key] = parseConcurrency(value);
+        } catch (error) {
+          throw createConfigError([key], error.message);
+        }
+        break;
+      case 'cache-ttl':
+        if (typeof value !== 'number') {
+          throw createConfigError([key], 'must be a non-negative integer number of hours');
+        }
+        try {
+          normalized[key] = parseCacheTtl(value);
+        } catch (error) {
+          throw createConfigError([key], error.message);
+        }
+        break;
+      case 'annotation-level':
+        if (!ANNOTATION_LEVELS.includes(value)) {
+          throw createConfigError([key], `must be one of: ${ANNOTATION_LEVELS.join(', ')}`);
+        }
+        normalized[key] = value;
+        break;
+      case 'allowlist':
+        if (!Array.isArray(value)) {
+          throw createConfigError([key], 'must be a list of entries with uses, reason and expires');
+        }
+        try {
+          normalized[key] = parseAllowlist(value);
+        } catch (error) {
+          throw createConfigError([key], error.message, [key, error.entryIndex]);
+        }
+        break;
+      case 'severity':
+        normalized[key] = parseSeverityRules(value);
+        break;
+      default:
+        throw createConfigError([key], 'is not a supported setting');
+    }
+  }
+
+  return normalized;
+}
+
+function getConfigKeyLine(document, lineCounter, keyPath) {
+  if (keyPath.length === 0) {
+    return null;
+  }
+
+  const parent = keyPath.length === 1 ? document.contents : document.getIn(keyPath.slice(0, -1), true);
+  const key = keyPath[keyPath.length - 1];
+  const pair = YAML.isMap(parent) ? parent.items.find(item => item.key?.value === key) : null;
+  const node = pair?.key || document.getIn(keyPath, true);
+  return node?.range ? lineCounter.linePos(node.range[0]).line : null;
+}
+
+/**
+ * Load and validate a repository config file
+ * @param {string} configPath - Absolute path to the config file
+ * @param {string} displayPath - Path shown in error messages
+ * @returns {Object} Normalized config (empty when the file does not exist)
+ * @throws {Error} When the file cannot be parsed or fails validation
+ */
+export function loadConfigFile(configPath, displayPath = configPath) {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  const lineCounter = new LineCounter();
+  const document = YAML.parseDocument(fs.readFileSync(configPath, 'utf8'), { lineCounter });
+  if (document.errors.length > 0) {
+    throw new Error(`Invalid config file ${displayPath}: ${document.errors[0].message}`);
+  }
+
+  try {
+    return validateConfig(document.toJS());
+  } catch (error) {
+    if (!error.keyPath) {
+      throw error;
+    }
+
+    const line = getConfigKeyLine(document, lineCounter, error.linePath);
+    const keyText = error.keyPath.length > 0 ? `'${error.keyPath.join('.')}' ` : '';
+    const lineText = line ? ` (line ${line})` : '';
+    throw new Error(`Invalid config file ${displayPath}: ${keyText}${error.message}${lineText}`);
+  }
+}
+
+/**
+ * Get the severity category of a mutable finding
+ * @param {Object} finding - Mutable finding
+ * @returns {'mutable'|'branch'|'image'} Severity category
+ */
+export function getMutableCategory(finding) {
+  if (finding.image) {
+    return 'image';
+  }
+
+  return finding.referenceType === 'branch' ? 'branch' : 'mutable';
+}
+
+/**
+ * Split mutable findings into the severity categories that apply to them
+ * @param {Array} findings - Mutable findings
+ * @returns {Object} { mutable, branch, image } finding arrays
+ */
+export function groupMutableFindings(findings) {
+  const groups = { mutable: [], branch: [], image: [] };
+  for (const finding of findings) {
+    groups[getMutableCategory(finding)].push(finding);
+  }
+
+  return groups;
+}
+
+/**
+ * Evaluate finding counts against severity rules
+ * @param {Object} findings - Finding arrays keyed by category (e.g., { mutable, unsupported })
+ * @param {Object} severityRules - Complete severity rules
+ * @returns {Object} { allPassed: boolean, failingCategories: Array<string> }
+ */
+export function evaluateFindings(findings, severityRules = DEFAULT_SEVERITY_RULES) {
+  const reportedCategories = Object.entries(findings)
+    .filter(([category, items]) => items.length > 0 && (severityRules[category] || 'error') !== 'off')
+    .map(([category]) => category);
+
+  return {
+    allPassed: reportedCategories.length === 0,
+    failingCategories: reportedCategories.filter(category => (severityRules[category] || 'error') === 'error')
+  };
+}
+
+/**
+ * Read the base commit of the pull request that triggered the workflow run
+ * @returns {string|null} Base commit SHA, or null when the run was not triggered by a pull request
+ */
+function getPullRequestBaseSha() {
+  if (!process.env.GITHUB_EVENT_PATH || !fs.existsSync(process.env.GITHUB_EVENT_PATH)) {
+    return null;
+  }
+
+  const event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'));
+  return event.pull_request?.base?.sha || null;
+}
+
+/**
+ * Read the diff base workflows from a second checkout or through the API and collect their references
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} options - Diff base inputs and collectDiffBaseReferences options
+ * @param {string} options.diffBase - pull-request or a ref of the checked repository
+ * @param {string} options.diffBasePath - Second checkout of the base, relative to the workspace (optional)
+ * @returns {Promise<Object|null>} { label, references }, or null when diffBase is pull-request outside a pull request
+ */
+async function loadDiffBase(octokit, options) {
+  const { diffBase, diffBasePath, workflowsInput, excludeWorkflowsInput, workspaceDir, ...expansionOptions } = options;
+  const extractOptions = {
+    excludeWorkflowPatterns: options.excludeWorkflowPatterns,
+    trustedOwners: options.trustedOwners,
+    reportedSuppressionFiles: false
+  };
+
+  if (diffBasePath) {
+    const baseDir = path.resolve(workspaceDir, diffBasePath);
+    if (!fs.existsSync(baseDir)) {
+      throw new Error(`Diff base checkout not found: ${diffBasePath}`);
+    }
+
+    const baseActions = extractActionsFromWorkflows(
+      getWorkflowFiles(workflowsInput, excludeWorkflowsInput, baseDir),
+      baseDir,
+      extractOptions
+    );
+    return {
+      label: `the checkout in ${diffBasePath}`,
+      references: await collectDiffBaseReferences(octokit, baseActions, { ...expansionOptions, workspaceDir: baseDir })
+    };
+  }
+
+  const ref = diffBase === 'pull-request' ? getPullRequestBaseSha() : diffBase;
+  if (!ref) {
+    core.info('Diff base: not a pull request, so all findings are checked');
+    return null;
+  }
+
+  const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/');
+  if (!owner || !repo) {
+    throw new Error('GITHUB_REPOSITORY is not set');
+  }
+
+  const base = await extractActionsFromRemoteRepository(
+    octokit,
+    { owner, repo, ref },
+    { workflowsInput, excludeWorkflowsInput, ...extractOptions }
+  );
+  return {
+    label:
+      diffBase === 'pull-request'
+        ? `the pull request base (${base.sha.slice(0, 7)})`
+        : `${ref} (${base.sha.slice(0, 7)})`,
+    references: await collectDiffBaseReferences(octokit, base.actions, {
+      ...expansionOptions,
+      workspaceDir,
+      baseRepository: { owner, repo, sha: base.sha }
+    })
+  };
+}
+
+/**
+ * Summary status labels for diff findings
+ */
+const DIFF_STATUS_LABELS = {
+  mutable: '❌ Mutable',
+  mismatched: '⚠️ Comment mismatch',
+  errored: '❗ API error',
+  unsupported: '⚠️ Unsupported'
+};
+
+/**
+ * Build a job summary table of introduced or existing findings, one row per workflow and reference
+ * @param {Object} byWorkflow - Results grouped by workflow from markIntroducedFindings
+ * @param {Array<string>} workflowFiles - Workflows in summary order
+ * @param {boolean} introduced - Whether to list introduced or existing findings
+ * @returns {string} Markdown table, or an empty string when there are no such findings
+ */
+function formatDiffFindingsTable(byWorkflow, workflowFiles, introduced) {
+  let rows = '';
+  for (const workflowFile of workflowFiles) {
+    for (const category of DIFF_CATEGORIES) {
+      for (const action of byWorkflow[workflowFile]?.[category] || []) {
+        if (action.introduced !== introduced) {
+          continue;
+        }
+        const actionRef = action.supported === false ? action.uses : formatSummaryReference(action);
+        const status = isOrphanCommit(action) ? '❌ Orphan commit' : DIFF_STATUS_LABELS[category];
+        rows += `| ${workflowFile} | ${actionRef} | ${status} | ${action.message} |\n`;
+      }
+    }
+  }
+
+  return rows ? `| Workflow | Action | Status | Message |\n|----------|--------|--------|---------|\n${rows}` : '';
+}
+
+/**
+ * Log result cache, GraphQL batching and rate limit statistics after the checks, saving the result cache
+ * @param {Object|null} resultCache - Result cache from loadResultCache
+ * @param {Object|null} batchStats - Statistics from addGraphqlBatching
+ * @param {Object} rateLimit - Rate limit state from addRequestRetries
+ */
+function logApiUsage(resultCache, batchStats, rateLimit) {
+  if (resultCache) {
+    core.info(formatResultCacheStats(resultCache));
+    saveResultCache(resultCache);
+  }
+  if (batchStats) {
+    core.info(formatGraphqlBatchStats(batchStats));
+  }
+  const rateLimitMessage = formatRateLimit(rateLimit);
+  if (rateLimitMessage) {
+    core.info(rateLimitMessage);
+  }
+}
 
-    for (const action of uniqueWorkflowActions) {
-      const cachedResult = immutabilityCache.get(getActionCacheKey(action));
-      const actionInfo = {
-        uses: action.uses,
-        owner: action.owner,
-        repo: action.repo,
-        actionPath: action.actionPath || '',
-        ref: action.ref,
-        workflowFile: action.workflowFile,
-        supported: action.supported !== false,
-        isFirstParty: action.isFirstParty || false,
-        ...cachedResult,
-        sourceLocations: action.sourceLocations || []
-      };
+/**
+ * Number of most-used mutable actions listed in the job summary of a multi-repository scan
+ */
+const MUTABLE_ROLLUP_SUMMARY_LIMIT = 20;
 
-      if (action.supported === false) {
-        byWorkflow[workflowFile].unsupported.push(actionInfo);
-      } else if (!includeFirstParty && action.isFirstParty) {
-        byWorkflow[workflowFile].firstParty.push(actionInfo);
-      } else if (cachedResult.immutable) {
-        byWorkflow[workflowFile].immutable.push(actionInfo);
-      } else {
-        byWorkflow[workflowFile].mutable.push(actionInfo);
-      }
+/**
+ * Collect the findings of one scanned repository by severity category
+ * @param {Object} repository - Per-repository report from scanRepositories
+ * @param {Object} byWorkflow - checkAllActions results keyed by owner/repo:workflow names
+ * @returns {Object} Finding arrays keyed by severity category, as evaluateFindings expects them
+ */
+function getRepositoryFindings(repository, byWorkflow) {
+  const findings = { mutable: [], mismatched: [], errored: [], unsupported: [] };
+  for (const workflowName of repository.workflows) {
+    const workflowData = byWorkflow[`${repository.repository}:${workflowName}`];
+    for (const category of Object.keys(findings)) {
+      findings[category].push(...(workflowData?.[category] || []));
     }
   }
 
-  return { mutable, immutable, unsupported, firstParty, byWorkflow };
+  return { ...findings, ...groupMutableFindings(findings.mutable) };
 }
 
 /**
- * Determine whether to write a GitHub job summary based on mode and results.
- * @param {'true'|'false'|'on-failure-only'} writeJobSummary - Summary writing mode
- * @param {boolean} allPassed - True when no mutable or unsupported references are found
- * @returns {boolean} True when summary should be written
+ * Set outputs, write the job summary and fail the run for a multi-repository scan
+ * Repositories that could not be read count as errored findings.
+ * @param {Object} results - scanRepositories results
+ * @param {Object} options - { severityRules, failOnMutable, writeJobSummary }
  */
-export function shouldWriteJobSummary(writeJobSummary, allPassed) {
-  if (writeJobSummary === 'false') {
-    return false;
+async function reportRepositoryScan(results, options) {
+  const { mutable, immutable, waived, mismatched, errored, unsupported, firstParty, repositories, rollup } = results;
+  const failedRepositories = repositories.filter(repository => repository.error);
+  const mutableGroups = groupMutableFindings(mutable);
+
+  core.setOutput('repositories-checked', JSON.stringify(repositories));
+  core.setOutput('mutable-actions-rollup', JSON.stringify(rollup));
+  core.setOutput('workflows-checked', JSON.stringify(Object.keys(results.byWorkflow)));
+  core.setOutput('mutable-actions', JSON.stringify(mutable));
+  core.setOutput('immutable-actions', JSON.stringify(immutable));
+  core.setOutput('waived-actions', JSON.stringify(waived));
+  core.setOutput('mismatched-actions', JSON.stringify(mismatched));
+  core.setOutput('errored-actions', JSON.stringify(errored));
+  core.setOutput('unsupported-actions', JSON.stringify(unsupported));
+  core.setOutput('suppressed-actions', JSON.stringify(results.suppressed));
+  core.setOutput('first-party-actions', JSON.stringify(firstParty));
+
+  const { allPassed, failingCategories } = evaluateFindings(
+    { ...mutableGroups, mismatched, errored: [...errored, ...failedRepositories], unsupported },
+    options.severityRules
+  );
+  const willFailRun = options.failOnMutable && failingCategories.length > 0;
+  core.setOutput('all-passed', allPassed);
+
+  if (shouldWriteJobSummary(options.writeJobSummary, allPassed)) {
+    try {
+      let summary = core.summary;
+      if (allPassed) {
+        summary = summary.addRaw('# ✅ Immutable Actions Check - All Passed\n\n');
+      } else if (willFailRun) {
+        summary = summary.addRaw('# ❌ Immutable Actions Check - Failed\n\n');
+      } else {
+        summary = summary.addRaw('# ⚠️ Immutable Actions Check - Findings Detected\n\n');
+      }
+
+      summary = summary.addRaw(
+        `**Summary:** ${repositories.length} repositories, ${immutable.length} immutable, ${waived.length} waived, ${mutable.length} mutable, ${unsupported.length} unsupported, ${mismatched.length} mismatched, ${errored.length} errored\n\n`
+      );
+
+      let repositoryTable =
+        '| Repository | Workflows | Immutable | Waived | Mutable | Unsupported | Mismatched | Errored |\n';
+      repositoryTable +=
+        '|------------|-----------|-----------|--------|---------|-------------|------------|---------|\n';
+      for (const repository of repositories) {
+        const repositoryResult = evaluateFindings(
+          getRepositoryFindings(repository, results.byWorkflow),
+          options.severityRules
+        );
+        let status = '✅';
+        if (repository.error) {
+          status = '❗';
+        } else if (repositoryResult.failingCategories.length > 0) {
+          status = '❌';
+        } else if (!repositoryResult.allPassed) {
+          status = '⚠️';
+        }
+        const workflows = repository.error ? `Failed to scan: ${repository.error}` : repository.workflows.length;
+        repositoryTable += `| ${status} ${repository.repository} | ${workflows} | ${repository.immutable} | ${repository.waived} | ${repository.mutable} | ${repository.unsupported} | ${repository.mismatched} | ${repository.errored} |\n`;
+      }
+      summary = summary.addRaw('## Repositories\n\n').addRaw(repositoryTable).addRaw('\n');
+
+      if (rollup.length > 0) {
+        let rollupTable = '| Action | Repositories | Workflows | Message |\n';
+        rollupTable += '|--------|--------------|-----------|---------|\n';
+        for (const entry of rollup.slice(0, MUTABLE_ROLLUP_SUMMARY_LIMIT)) {
+          const message = entry.suggestion
+            ? `${entry.message}<br>💡 Suggested: \`${entry.suggestion}\``
+            : entry.message;
+          rollupTable += `| \`${entry.uses}\` | ${entry.repositories.length} | ${entry.workflows} | ${message} |\n`;
+        }
+        summary = summary.addRaw('## Most-used mutable actions\n\n').addRaw(rollupTable).addRaw('\n');
+      }
+
+      await summary.write();
+    } catch {
+      // Fallback for local development
+      core.info('📊 Immutable Actions Check Results:');
+      core.info(`   Repositories: ${repositories.length}`);
+      core.info(`   Immutable: ${immutable.length}`);
+      core.info(`   Waived: ${waived.length}`);
+      core.info(`   Mutable: ${mutable.length}`);
+      core.info(`   Unsupported: ${unsupported.length}`);
+      core.info(`   Mismatched: ${mismatched.length}`);
+      core.info(`   Errored: ${errored.length}`);
+    }
   }
 
-  if (writeJobSummary === 'on-failure-only') {
-    return !allPassed;
+  if (rollup.length > 0) {
+    core.info(`\n❌ ${rollup.length} mutable action reference(s) across ${repositories.length} repositories:`);
+    for (const entry of rollup) {
+      core.info(`   - ${entry.uses} (${entry.repositories.length} repositories: ${entry.repositories.join(', ')})`);
+    }
   }
 
-  return true;
+  if (willFailRun) {
+    const failureMessages = [];
+    if (failingCategories.includes('mutable')) {
+      failureMessages.push(
+        `Found ${mutableGroups.mutable.length} action(s) using mutable releases across ${repositories.length} repositories.`
+      );
+    }
+    if (failingCategories.includes('branch')) {
+      failureMessages.push(`Found ${mutableGroups.branch.length} action(s) referenced by branch.`);
+    }
+    if (failingCategories.includes('image')) {
+      failureMessages.push(`Found ${mutableGroups.image.length} Docker image(s) not pinned to a digest.`);
+    }
+    if (failingCategories.includes('mismatched')) {
+      failureMessages.push(
+        `Found ${mismatched.length} SHA-pinned action reference(s) with a mismatched version comment.`
+      );
+    }
+    if (failingCategories.includes('errored')) {
+      failureMessages.push(
+        `Found ${errored.length} action reference(s) that could not be checked due to API errors and ${failedRepositories.length} repositories that could not be scanned.`
+      );
+    }
+    if (failingCategories.includes('unsupported')) {
+      failureMessages.push(`Found ${unsupported.length} unsupported action reference(s).`);
+    }
+    core.setFailed(failureMessages.join(' '));
+  } else if (allPassed) {
+    core.info('\n✅ All actions are using immutable releases!');
+  }
+}
+
+function getOptionalBooleanInput(name) {
+  return core.getInput(name) ? core.getBooleanInput(name) : undefined;
 }
 
 /**
@@ -1323,45 +5289,273 @@ export async function run() {
   try {
     // Get inputs
     const githubToken = core.getInput('github-token');
-    const failOnMutable = core.getBooleanInput('fail-on-mutable');
-    const includeFirstParty = core.getBooleanInput('include-first-party');
-    const writeJobSummary = core.getInput('write-job-summary').trim();
-    const workflowsInput = core.getInput('workflows');
-    const excludeWorkflowsInput = core.getInput('exclude-workflows');
 
     if (!githubToken) {
       core.setFailed('github-token is required (defaults to github.token)');
       return;
     }
 
-    const validWriteJobSummaryModes = ['true', 'false', 'on-failure-only'];
-    if (!validWriteJobSummaryModes.includes(writeJobSummary)) {
+    // Get workspace directory
+    const workspaceDir = process.env.GITHUB_WORKSPACE || process.cwd();
+
+    // Load the repository config file; action inputs override file values
+    const configFileInput = core.getInput('config-file').trim();
+    const configFile = configFileInput || DEFAULT_CONFIG_FILE;
+    const configPath = path.resolve(workspaceDir, configFile);
+    if (configFileInput && !fs.existsSync(configPath)) {
+      core.setFailed(`Config file not found: ${configFileInput}`);
+      return;
+    }
+
+    let config;
+    try {
+      config = loadConfigFile(configPath, configFile);
+    } catch (error) {
+      core.setFailed(error.message);
+      return;
+    }
+
+    const failOnMutable = getOptionalBooleanInput('fail-on-mutable') ?? config['fail-on-mutable'] ?? true;
+    const includeFirstParty = getOptionalBooleanInput('include-first-party') ?? config['include-first-party'] ?? false;
+    const writeJobSummary = core.getInput('write-job-summary').trim() || config['write-job-summary'] || 'true';
+    const workflowsInput = core.getInput('workflows') || (config.workflows || []).join(',');
+    const excludeWorkflowsInput = core.getInput('exclude-workflows') || (config['exclude-workflows'] || []).join(',');
+    const trustedOwners = parseTrustedOwners(core.getInput('trusted-owners') || config['trusted-owners']);
+    const allowlistInput = core.getInput('allowlist');
+    const sarifFile = core.getInput('sarif-file').trim();
+    const annotationLevel = core.getInput('annotation-level').trim() || config['annotation-level'];
+    const fixMode = core.getInput('fix').trim() || config.fix || 'false';
+    const pullRequestBranch =
+      core.getInput('pull-request-branch').trim() || config['pull-request-branch'] || DEFAULT_PULL_REQUEST_BRANCH;
+    const pullRequestBase = core.getInput('pull-request-base').trim() || config['pull-request-base'];
+    const verifyShaCommits = getOptionalBooleanInput('verify-sha-commits') ?? config['verify-sha-commits'] ?? false;
+    const strictShaPins = getOptionalBooleanInput('strict-sha-pins') ?? config['strict-sha-pins'] ?? false;
+    const graphqlBatching = getOptionalBooleanInput('graphql-batching') ?? config['graphql-batching'] ?? false;
+    const concurrencyInput = core.getInput('concurrency').trim();
+    const cacheFile = core.getInput('cache-file').trim() || config['cache-file'];
+    const cacheTtlInput = core.getInput('cache-ttl').trim();
+    const organization = core.getInput('organization').trim() || config.organization;
+    const repositoriesInput = core.getInput('repositories') || config.repositories;
+    const targetRepositoryInput = core.getInput('target-repository').trim() || config['target-repository'];
+    const diffBase = core.getInput('diff-base').trim() || config['diff-base'];
+    const diffBasePath = core.getInput('diff-base-path').trim() || config['diff-base-path'];
+    const baselineFile = core.getInput('baseline-file').trim() || config['baseline-file'];
+    const updateBaseline = getOptionalBooleanInput('update-baseline') ?? false;
+    const severityRules = config.severity || parseSeverityRules();
+
+    if (!WRITE_JOB_SUMMARY_MODES.includes(writeJobSummary)) {
       core.setFailed(
         `Invalid 'write-job-summary' input: ${writeJobSummary}. Allowed values: true, false, on-failure-only`
       );
       return;
     }
 
+    if (!FIX_MODES.includes(fixMode)) {
+      core.setFailed(`Invalid 'fix' input: ${fixMode}. Allowed values: ${FIX_MODES.join(', ')}`);
+      return;
+    }
+
+    if (annotationLevel && !ANNOTATION_LEVELS.includes(annotationLevel)) {
+      core.setFailed(
+        `Invalid 'annotation-level' input: ${annotationLevel}. Allowed values: ${ANNOTATION_LEVELS.join(', ')}`
+      );
+      return;
+    }
+
+    let concurrency;
+    try {
+      concurrency = concurrencyInput ? parseConcurrency(concurrencyInput) : config.concurrency || DEFAULT_CONCURRENCY;
+    } catch (error) {
+      core.setFailed(`Invalid 'concurrency' input: ${concurrencyInput} (${error.message})`);
+      return;
+    }
+
+    let cacheTtl;
+    try {
+      cacheTtl = cacheTtlInput ? parseCacheTtl(cacheTtlInput) : (config['cache-ttl'] ?? DEFAULT_CACHE_TTL_HOURS);
+    } catch (error) {
+      core.setFailed(`Invalid 'cache-ttl' input: ${cacheTtlInput} (${error.message})`);
+      return;
+    }
+
+    let repositoryPatterns;
+    try {
+      repositoryPatterns = parseRepositoryPatterns(repositoriesInput, organization);
+    } catch (error) {
+      core.setFailed(`Invalid 'repositories' input: ${error.message}`);
+      return;
+    }
+
+    let targetRepository = null;
+    if (targetRepositoryInput) {
+      try {
+        targetRepository = parseTargetRepository(targetRepositoryInput);
+      } catch (error) {
+        core.setFailed(`Invalid 'target-repository' input: ${error.message}`);
+        return;
+      }
+      if (repositoryPatterns.length > 0) {
+        core.setFailed(`The 'target-repository' input cannot be combined with 'organization' or 'repositories'`);
+        return;
+      }
+    }
+    if ((repositoryPatterns.length > 0 || targetRepository) && (diffBase || diffBasePath)) {
+      core.setFailed(
+        `The 'diff-base' and 'diff-base-path' inputs cannot be combined with 'organization', 'repositories' or 'target-repository'`
+      );
+      return;
+    }
+    if (repositoryPatterns.length > 0 && baselineFile) {
+      core.setFailed(`The 'baseline-file' input cannot be combined with 'organization' or 'repositories'`);
+      return;
+    }
+    if (updateBaseline && !baselineFile) {
+      core.setFailed(`The 'update-baseline' input requires 'baseline-file'`);
+      return;
+    }
+    if ((repositoryPatterns.length > 0 || targetRepository) && (fixMode !== 'false' || sarifFile)) {
+      core.setFailed(
+        `The 'fix' and 'sarif-file' inputs cannot be combined with 'organization', 'repositories' or 'target-repository' (other repositories are not checked out)`
+      );
+      return;
+    }
+
+    let pullRequestRepository = null;
+    if (fixMode === 'pull-request') {
+      try {
+        pullRequestRepository = parseTargetRepository(process.env.GITHUB_REPOSITORY || '');
+      } catch {
+        core.setFailed(`The 'fix: pull-request' mode requires GITHUB_REPOSITORY to be set to owner/repo`);
+        return;
+      }
+    }
+
+    const baselinePath = baselineFile ? path.resolve(workspaceDir, baselineFile) : null;
+    let baselineEntries = [];
+    if (baselineFile && fs.existsSync(baselinePath)) {
+      try {
+        baselineEntries = loadBaselineFile(baselinePath, baselineFile);
+      } catch (error) {
+        core.setFailed(error.message);
+        return;
+      }
+    } else if (baselineFile && !updateBaseline) {
+      core.setFailed(`Baseline file not found: ${baselineFile}`);
+      return;
+    }
+
+    let allowlist;
+    try {
+      allowlist = allowlistInput ? parseAllowlist(allowlistInput) : config.allowlist || [];
+    } catch (error) {
+      core.setFailed(`Invalid 'allowlist' input: ${error.message}`);
+      return;
+    }
+
     core.info('Starting Ensure Immutable Actions...');
     core.info(`Fail on mutable: ${failOnMutable}`);
     core.info(`Include first-party: ${includeFirstParty}`);
+    core.info(`Verify SHA commits: ${verifyShaCommits}`);
+    core.info(`Strict SHA pins: ${strictShaPins}`);
+    core.info(`Concurrency: ${concurrency}`);
+    core.info(`GraphQL batching: ${graphqlBatching}`);
+    core.info(cacheFile ? `Cache file: ${cacheFile} (TTL ${cacheTtl} hour(s))` : 'Cache file: none');
+    core.info(`Trusted owners: ${trustedOwners.join(', ')}`);
+    core.info(`Allowlist entries: ${allowlist.length}`);
     core.info(`Write job summary: ${writeJobSummary}`);
-
-    // Get workspace directory
-    const workspaceDir = process.env.GITHUB_WORKSPACE || process.cwd();
+    core.info(`Fix mode: ${fixMode}`);
+    core.info(
+      `Severity: ${Object.entries(severityRules)
+        .map(([category, level]) => `${category}=${level}`)
+        .join(', ')}`
+    );
     core.info(`Workspace directory: ${workspaceDir}`);
+    core.info(fs.existsSync(configPath) ? `Config file: ${configFile}` : `Config file: none (${configFile} not found)`);
+    if (repositoryPatterns.length > 0) {
+      core.info(`Repositories: ${repositoryPatterns.join(', ')}`);
+    }
+    if (targetRepository) {
+      core.info(`Target repository: ${targetRepositoryInput}`);
+    }
+    if (diffBase || diffBasePath) {
+      core.info(`Diff base: ${diffBasePath ? `checkout in ${diffBasePath}` : diffBase}`);
+    }
+    if (baselineFile) {
+      core.info(
+        `Baseline file: ${baselineFile} (${baselineEntries.length} entr(ies)${updateBaseline ? ', updating' : ''})`
+      );
+    }
 
-    // Get workflow files to check
-    const workflowFiles = getWorkflowFiles(workflowsInput, excludeWorkflowsInput, workspaceDir);
     const excludeWorkflowPatterns = parseWorkflowPatterns(excludeWorkflowsInput);
 
+    // Initialize Octokit, retrying transient API failures
+    const octokit = new Octokit({ auth: githubToken });
+    const rateLimit = addRequestRetries(octokit);
+    const batchStats = graphqlBatching ? addGraphqlBatching(octokit) : null;
+
+    // Reuse results cached by previous runs
+    const resultCache = cacheFile
+      ? loadResultCache(path.resolve(workspaceDir, cacheFile), {
+          ttlHours: cacheTtl,
+          settings: { trustedOwners, excludeWorkflowPatterns }
+        })
+      : null;
+
+    // Scan other repositories through the API instead of the workspace
+    if (repositoryPatterns.length > 0) {
+      const repositories = await resolveScanRepositories(octokit, repositoryPatterns);
+      core.info(`Found ${repositories.length} repository(ies) to scan`);
+      const results = await scanRepositories(octokit, repositories, {
+        workflowsInput,
+        excludeWorkflowsInput,
+        workspaceDir,
+        excludeWorkflowPatterns,
+        trustedOwners,
+        includeFirstParty,
+        allowlist,
+        verifyShaCommits,
+        strictShaPins,
+        concurrency,
+        resultCache
+      });
+      logApiUsage(resultCache, batchStats, rateLimit);
+      await reportRepositoryScan(results, { severityRules, failOnMutable, writeJobSummary });
+      return;
+    }
+
+    // Get workflow files to check, reading them through the API for a target repository
+    let remoteTarget = null;
+    let workflowFiles;
+    if (targetRepository) {
+      try {
+        remoteTarget = await extractActionsFromRemoteRepository(octokit, targetRepository, {
+          workflowsInput,
+          excludeWorkflowsInput,
+          excludeWorkflowPatterns,
+          trustedOwners
+        });
+      } catch (error) {
+        core.setFailed(`Failed to read workflows from ${targetRepositoryInput}: ${error.message}`);
+        return;
+      }
+      core.info(`Checking ${remoteTarget.repository}@${remoteTarget.ref} at commit ${remoteTarget.sha}`);
+      workflowFiles = remoteTarget.workflowFiles;
+    } else {
+      workflowFiles = getWorkflowFiles(workflowsInput, excludeWorkflowsInput, workspaceDir);
+    }
+
     if (workflowFiles.length === 0) {
       core.warning('No workflow files found to check');
       core.setOutput('all-passed', true);
       core.setOutput('workflows-checked', '[]');
       core.setOutput('mutable-actions', '[]');
       core.setOutput('immutable-actions', '[]');
+      core.setOutput('waived-actions', '[]');
+      core.setOutput('mismatched-actions', '[]');
+      core.setOutput('errored-actions', '[]');
       core.setOutput('unsupported-actions', '[]');
+      core.setOutput('suppressed-actions', '[]');
+      writeSarifOutput(sarifFile, workspaceDir, { byWorkflow: {} }, severityRules);
       return;
     }
 
@@ -1370,16 +5564,12 @@ export async function run() {
     core.info(`Workflows: ${workflowBasenames.join(', ')}`);
 
     // Extract all actions from workflows
-    const allActions = [];
-    for (const workflowFile of workflowFiles) {
-      const basename = path.basename(workflowFile);
-      core.info(`Parsing workflow: ${basename}`);
-      const actions = extractActionsFromWorkflow(workflowFile, workspaceDir, {
-        excludeWorkflowPatterns
-      });
-      core.info(`  Found ${actions.length} action(s)`);
-      allActions.push(...actions);
-    }
+    const allActions = remoteTarget
+      ? remoteTarget.actions
+      : extractActionsFromWorkflows(workflowFiles, workspaceDir, {
+          excludeWorkflowPatterns,
+          trustedOwners
+        });
 
     if (allActions.length === 0) {
       core.info('No actions found in workflows');
@@ -1387,8 +5577,13 @@ export async function run() {
       core.setOutput('workflows-checked', JSON.stringify(workflowBasenames));
       core.setOutput('mutable-actions', '[]');
       core.setOutput('immutable-actions', '[]');
+      core.setOutput('waived-actions', '[]');
+      core.setOutput('mismatched-actions', '[]');
+      core.setOutput('errored-actions', '[]');
       core.setOutput('unsupported-actions', '[]');
+      core.setOutput('suppressed-actions', '[]');
       core.setOutput('first-party-actions', '[]');
+      writeSarifOutput(sarifFile, workspaceDir, { byWorkflow: {} }, severityRules);
 
       if (shouldWriteJobSummary(writeJobSummary, true)) {
         // Create summary
@@ -1407,37 +5602,178 @@ export async function run() {
 
     core.info(`Total action references found: ${allActions.length}`);
 
-    // Initialize Octokit
-    const octokit = new Octokit({ auth: githubToken });
-
-    const skippedFirstPartyActions = includeFirstParty ? [] : allActions.filter(action => action.isFirstParty);
-    const actionsToExpand = includeFirstParty ? allActions : allActions.filter(action => !action.isFirstParty);
-
-    const expandedNonFirstPartyActions = await expandActionReferences(octokit, actionsToExpand, {
+    // Expand remote references and check all actions
+    const expansionCache = new Map();
+    const checkResults = await expandAndCheckActions(octokit, allActions, {
       workspaceDir,
       excludeWorkflowPatterns,
-      expansionCache: new Map(),
-      expansionStack: new Set()
+      trustedOwners,
+      includeFirstParty,
+      allowlist,
+      verifyShaCommits,
+      strictShaPins,
+      concurrency,
+      resultCache,
+      expansionCache
     });
-    const expandedActions = [...skippedFirstPartyActions, ...expandedNonFirstPartyActions];
 
-    // Check all actions
-    const { mutable, immutable, unsupported, firstParty, byWorkflow } = await checkAllActions(
-      octokit,
-      expandedActions,
-      includeFirstParty
-    );
+    for (const suppression of getUnusedSuppressions(allActions, checkResults)) {
+      core.warning(
+        `Suppression comment in ${suppression.filePath}:${suppression.line} does not match a finding and can be removed`,
+        getAnnotationProperties(remoteTarget ? null : suppression, 'Unused suppression comment')
+      );
+    }
+
+    // Compare with the diff base so only references introduced by the change count against the run
+    let diffBaseResult = null;
+    if (diffBase || diffBasePath) {
+      try {
+        diffBaseResult = await loadDiffBase(octokit, {
+          diffBase,
+          diffBasePath,
+          workflowsInput,
+          excludeWorkflowsInput,
+          workspaceDir,
+          excludeWorkflowPatterns,
+          trustedOwners,
+          includeFirstParty,
+          concurrency,
+          resultCache,
+          expansionCache
+        });
+      } catch (error) {
+        core.setFailed(`Failed to read the diff base: ${error.message}`);
+        return;
+      }
+      if (diffBaseResult) {
+        core.info(`Diff base: ${diffBaseResult.label} (${diffBaseResult.references.size} reference(s))`);
+      }
+    }
+    logApiUsage(resultCache, batchStats, rateLimit);
+
+    const comparedResults = diffBaseResult
+      ? markIntroducedFindings(checkResults, diffBaseResult.references)
+      : checkResults;
+
+    // Leave findings recorded in the baseline file out of the run result, optionally recording the current ones first
+    let baselineResult = null;
+    if (baselineFile) {
+      baselineResult = applyBaseline(comparedResults, baselineEntries);
+      if (updateBaseline) {
+        const baseline = createBaseline(comparedResults.byWorkflow);
+        writeBaselineFile(baselinePath, baseline);
+        core.info(`Wrote ${baseline.findings.length} baseline entr(ies) to ${baselineFile}`);
+        baselineResult = { ...applyBaseline(comparedResults, baseline.findings), fixed: baselineResult.fixed };
+      }
+
+      for (const entry of baselineResult.fixed) {
+        core.info(
+          `Baseline entry ${updateBaseline ? 'removed' : 'no longer matches a finding'}: ${entry.uses} in ${entry.workflow} (job: ${entry.job}, step: ${formatBaselineStep(entry)})`
+        );
+      }
+      if (baselineResult.fixed.length > 0 && !updateBaseline) {
+        core.info(`Run with update-baseline to remove ${baselineResult.fixed.length} fixed baseline entr(ies)`);
+      }
+      core.setOutput('fixed-baseline-entries', JSON.stringify(baselineResult.fixed));
+    }
+
+    const { mutable, immutable, waived, mismatched, errored, unsupported, suppressed, firstParty, byWorkflow } =
+      baselineResult ? baselineResult.results : comparedResults;
+    // Existing findings (with a diff base) and baselined findings are reported for information only
+    const countedFindings = findings =>
+      findings.filter(action => (!diffBaseResult || action.introduced) && !action.baselined);
+    const baselinedCount = [...mutable, ...unsupported].filter(action => action.baselined).length;
 
     // Set outputs
     core.setOutput('workflows-checked', JSON.stringify(workflowBasenames));
     core.setOutput('mutable-actions', JSON.stringify(mutable));
     core.setOutput('immutable-actions', JSON.stringify(immutable));
+    core.setOutput('waived-actions', JSON.stringify(waived));
+    core.setOutput('mismatched-actions', JSON.stringify(mismatched));
+    core.setOutput('errored-actions', JSON.stringify(errored));
     core.setOutput('unsupported-actions', JSON.stringify(unsupported));
+    core.setOutput('suppressed-actions', JSON.stringify(suppressed));
     core.setOutput('first-party-actions', JSON.stringify(firstParty));
-    core.setOutput('all-passed', mutable.length === 0 && unsupported.length === 0);
+    writeSarifOutput(sarifFile, workspaceDir, { byWorkflow }, severityRules);
+
+    // Pin mutable references to commit SHAs in workspace files
+    let pinResult = null;
+    let pullRequest = null;
+    if (fixMode !== 'false') {
+      const { fixes, unresolved } = await planPinFixes(octokit, mutable);
+      pinResult = applyPinFixes(fixes, { workspaceDir, dryRun: fixMode !== 'true' });
+
+      for (const entry of unresolved) {
+        core.warning(`${entry.uses}: ${entry.message}`);
+      }
+      for (const fix of pinResult.skipped) {
+        core.info(`Skipped pinning ${fix.uses} in ${fix.filePath}:${fix.line} (uses value not found at that location)`);
+      }
+      for (const file of pinResult.files) {
+        core.info(
+          fixMode === 'true' ? `📌 Pinned ${file.fixes.length} reference(s) in ${file.filePath}` : `\n${file.diff}`
+        );
+      }
+      core.info(
+        `${fixMode === 'true' ? 'Pinned' : 'Would pin'} ${pinResult.applied.length} reference(s) in ${pinResult.files.length} file(s)`
+      );
+      core.setOutput(
+        'pinned-actions',
+        JSON.stringify(
+          pinResult.applied.map(({ filePath, line, uses, pinnedUses, sha }) => ({
+            filePath,
+            line,
+            uses,
+            pinnedUses,
+            sha
+          }))
+        )
+      );
+
+      if (fixMode === 'pull-request' && pinResult.applied.length > 0) {
+        try {
+          pullRequest = await createOrUpdatePinPullRequest(octokit, pinResult, {
+            ...pullRequestRepository,
+            base: pullRequestBase,
+            branch: pullRequestBranch
+          });
+          if (pullRequest) {
+            for (const fix of pullRequest.skipped) {
+              core.info(`Skipped pinning ${fix.uses} in ${fix.filePath}:${fix.line} (not found on the base branch)`);
+            }
+            core.info(
+              `${pullRequest.created ? 'Opened' : 'Updated'} pull request #${pullRequest.number}: ${pullRequest.url}`
+            );
+            core.setOutput('pull-request-number', pullRequest.number);
+            core.setOutput('pull-request-url', pullRequest.url);
+          } else {
+            core.info('No pinned references apply to the base branch, so no pull request was opened');
+          }
+        } catch (error) {
+          core.setFailed(`Failed to open pinning pull request: ${error.message}`);
+        }
+      }
+    }
+
+    const countedMutable = groupMutableFindings(countedFindings(mutable));
+    const { allPassed, failingCategories } = evaluateFindings(
+      {
+        ...countedMutable,
+        mismatched: countedFindings(mismatched),
+        errored: countedFindings(errored),
+        unsupported: countedFindings(unsupported)
+      },
+      severityRules
+    );
+    const willFailRun = failOnMutable && failingCategories.length > 0;
+    core.setOutput('all-passed', allPassed);
 
-    const allPassed = mutable.length === 0 && unsupported.length === 0;
-    const willFailRun = failOnMutable && mutable.length > 0;
+    // Files of a target repository are not in the workspace: link them at the checked commit and do not
+    // attach annotations to workspace paths
+    const sourceLinkTarget = remoteTarget ? { repository: remoteTarget.repository, sha: remoteTarget.sha } : undefined;
+    const getFindingLocations = action => (!remoteTarget && action.locations?.length > 0 ? action.locations : [null]);
+    const getFindingLevel = (action, defaultLevel) =>
+      (diffBaseResult && !action.introduced) || action.baselined ? 'notice' : annotationLevel || defaultLevel;
 
     // Create summary with separate tables per workflow
     if (shouldWriteJobSummary(writeJobSummary, allPassed)) {
@@ -1454,12 +5790,70 @@ export async function run() {
 
         const excludedCount = firstParty.filter(a => a.excluded).length;
 
+        if (remoteTarget) {
+          summary = summary.addRaw(
+            `**Repository:** [${remoteTarget.repository}@${remoteTarget.ref}](https://github.com/${remoteTarget.repository}/tree/${remoteTarget.sha})\n\n`
+          );
+        }
+
         summary = summary
           .addRaw(`**Workflows Checked:** ${workflowBasenames.join(', ')}\n\n`)
           .addRaw(
-            `**Summary:** ${excludedCount} excluded, ${immutable.length} immutable, ${mutable.length} mutable, ${unsupported.length} unsupported\n\n`
+            `**Summary:** ${excludedCount} excluded, ${immutable.length} immutable, ${waived.length} waived, ${mutable.length} mutable, ${unsupported.length} unsupported, ${mismatched.length} mismatched, ${errored.length} errored${suppressed.length > 0 ? `, ${suppressed.length} suppressed` : ''}\n\n`
           );
 
+        if (diffBaseResult) {
+          const introducedTable = formatDiffFindingsTable(byWorkflow, workflowBasenames, true);
+          const existingTable = formatDiffFindingsTable(byWorkflow, workflowBasenames, false);
+          summary = summary
+            .addRaw('## 🆕 Introduced findings\n\n')
+            .addRaw(
+              `References that are new or changed compared with ${diffBaseResult.label}. These are checked against the severity settings.\n\n`
+            )
+            .addRaw(introducedTable ? `${introducedTable}\n` : 'No findings introduced.\n\n')
+            .addRaw('## Existing findings\n\n')
+            .addRaw(`Already present in ${diffBaseResult.label}; reported for information only.\n\n`)
+            .addRaw(existingTable ? `${existingTable}\n` : 'No existing findings.\n\n');
+        }
+
+        if (baselineResult) {
+          summary = summary
+            .addRaw('## Baseline\n\n')
+            .addRaw(
+              `${baselinedCount} finding(s) matched entries in \`${baselineFile}\` and are reported for information only.\n\n`
+            );
+          if (baselineResult.fixed.length > 0) {
+            let fixedTable = '| Workflow | Job | Step | Action |\n';
+            fixedTable += '|----------|-----|------|--------|\n';
+            for (const entry of baselineResult.fixed) {
+              fixedTable += `| ${entry.workflow} | ${entry.job} | ${formatBaselineStep(entry)} | ${entry.uses} |\n`;
+            }
+            summary = summary
+              .addRaw(
+                updateBaseline
+                  ? 'These fixed entries were removed from the baseline:\n\n'
+                  : 'These entries no longer match a finding and can be removed with `update-baseline`:\n\n'
+              )
+              .addRaw(fixedTable)
+              .addRaw('\n');
+          }
+        }
+
+        if (suppressed.length > 0) {
+          let suppressedTable = '| Action | Finding | Reason | Suppressed In |\n';
+          suppressedTable += '|--------|---------|--------|---------------|\n';
+          for (const action of suppressed) {
+            const actionRef = action.supported === false ? action.uses : formatSummaryReference(action);
+            const comment = `${action.suppression.filePath}:${action.suppression.line}`;
+            suppressedTable += `| ${actionRef} | ${SUPPRESSED_CATEGORY_LABELS[action.suppressedCategory]} | ${action.suppression.reason} | ${comment} |\n`;
+          }
+          summary = summary
+            .addRaw('## 🔕 Suppressed findings\n\n')
+            .addRaw('Suppressed by inline `# immutable-actions: ignore` comments; not counted against the run.\n\n')
+            .addRaw(suppressedTable)
+            .addRaw('\n');
+        }
+
         // Add a table for each workflow
         for (const workflowFile of workflowBasenames) {
           const workflowData = byWorkflow[workflowFile];
@@ -1467,8 +5861,12 @@ export async function run() {
           if (
             !workflowData ||
             (workflowData.immutable.length === 0 &&
+              workflowData.waived.length === 0 &&
               workflowData.mutable.length === 0 &&
+              workflowData.mismatched.length === 0 &&
+              workflowData.errored.length === 0 &&
               workflowData.unsupported.length === 0 &&
+              workflowData.suppressed.length === 0 &&
               workflowData.firstParty.length === 0)
           ) {
             continue;
@@ -1476,13 +5874,27 @@ export async function run() {
 
           const workflowMutableCount = workflowData.mutable.length;
           const workflowImmutableCount = workflowData.immutable.length;
+          const workflowWaivedCount = workflowData.waived.length;
           const workflowUnsupportedCount = workflowData.unsupported.length;
+          const workflowMismatchedCount = workflowData.mismatched.length;
+          const workflowErroredCount = workflowData.errored.length;
+          const workflowSuppressedCount = workflowData.suppressed.length;
           const workflowFirstPartyCount = workflowData.firstParty.length;
-          const workflowStatus = workflowMutableCount === 0 && workflowUnsupportedCount === 0 ? '✅' : '❌';
+          const workflowStatus = evaluateFindings(
+            {
+              ...groupMutableFindings(countedFindings(workflowData.mutable)),
+              mismatched: countedFindings(workflowData.mismatched),
+              errored: countedFindings(workflowData.errored),
+              unsupported: countedFindings(workflowData.unsupported)
+            },
+            severityRules
+          ).allPassed
+            ? '✅'
+            : '❌';
 
           summary = summary.addRaw(`### ${workflowStatus} ${workflowFile}\n\n`);
           summary = summary.addRaw(
-            `**Actions:** ${workflowFirstPartyCount} excluded, ${workflowImmutableCount} immutable, ${workflowMutableCount} mutable, ${workflowUnsupportedCount} unsupported\n\n`
+            `**Actions:** ${workflowFirstPartyCount} excluded, ${workflowImmutableCount} immutable, ${workflowWaivedCount} waived, ${workflowMutableCount} mutable, ${workflowUnsupportedCount} unsupported, ${workflowMismatchedCount} mismatched, ${workflowErroredCount} errored${workflowSuppressedCount > 0 ? `, ${workflowSuppressedCount} suppressed` : ''}\n\n`
           );
 
           // Build markdown table
@@ -1491,26 +5903,71 @@ export async function run() {
 
           // Iterate each category separately so status reflects check results, not just isFirstParty flag
           for (const action of workflowData.firstParty) {
-            const actionRef = formatActionReference(action.owner, action.repo, action.ref, action.actionPath);
+            const actionRef = formatSummaryReference(action);
             markdownTable += `| ${actionRef} | ✅ First-party | ${action.message} |\n`;
           }
           for (const action of workflowData.immutable) {
-            const actionRef = formatActionReference(action.owner, action.repo, action.ref, action.actionPath);
+            const actionRef = formatSummaryReference(action);
             markdownTable += `| ${actionRef} | ✅ Immutable | ${action.message} |\n`;
           }
+          for (const action of workflowData.waived) {
+            const actionRef = formatSummaryReference(action);
+            const message = `${action.message}<br>Waived until ${action.expires}: ${action.reason}`;
+            markdownTable += `| ${actionRef} | ⏳ Waived | ${message} |\n`;
+          }
           for (const action of workflowData.mutable) {
-            const actionRef = formatActionReference(action.owner, action.repo, action.ref, action.actionPath);
-            const message = formatSummaryMessage(action.message, action.sourceLocations, true);
-            markdownTable += `| ${actionRef} | ❌ Mutable | ${message} |\n`;
+            const actionRef = formatSummaryReference(action);
+            const message = formatSummaryMessage(
+              action.suggestion ? `${action.message}<br>💡 Suggested: \`${action.suggestion.uses}\`` : action.message,
+              action.sourceLocations,
+              true,
+              sourceLinkTarget
+            );
+            markdownTable += `| ${actionRef} | ${isOrphanCommit(action) ? '❌ Orphan commit' : '❌ Mutable'} | ${message} |\n`;
+          }
+          for (const action of workflowData.mismatched) {
+            const actionRef = formatSummaryReference(action);
+            const message = formatSummaryMessage(action.message, action.sourceLocations, true, sourceLinkTarget);
+            markdownTable += `| ${actionRef} | ⚠️ Comment mismatch | ${message} |\n`;
+          }
+          for (const action of workflowData.errored) {
+            const actionRef = action.supported === false ? action.uses : formatSummaryReference(action);
+            const message = formatSummaryMessage(action.message, action.sourceLocations, true, sourceLinkTarget);
+            markdownTable += `| ${actionRef} | ❗ API error | ${message} |\n`;
           }
           for (const action of workflowData.unsupported) {
-            const message = formatSummaryMessage(action.message, action.sourceLocations, true);
+            const message = formatSummaryMessage(action.message, action.sourceLocations, true, sourceLinkTarget);
             markdownTable += `| ${action.uses} | ⚠️ Unsupported | ${message} |\n`;
           }
+          for (const action of workflowData.suppressed) {
+            const actionRef = action.supported === false ? action.uses : formatSummaryReference(action);
+            const message = `${action.message}<br>Suppressed: ${action.suppression.reason}`;
+            markdownTable += `| ${actionRef} | 🔕 Suppressed | ${message} |\n`;
+          }
 
           summary = summary.addRaw(markdownTable).addRaw('\n');
         }
 
+        if (pinResult?.applied.length > 0) {
+          const pinHeadings = {
+            true: 'Pinned references',
+            'dry-run': 'Proposed SHA pins (dry run)',
+            'pull-request': pullRequest
+              ? `SHA pins proposed in [#${pullRequest.number}](${pullRequest.url})`
+              : 'Proposed SHA pins (pull request not opened)'
+          };
+          summary = summary.addRaw(`## 📌 ${pinHeadings[fixMode]}\n\n`);
+          let pinTable = '| File | Old reference | New reference |\n';
+          pinTable += '|------|---------------|---------------|\n';
+          for (const fix of pinResult.applied) {
+            pinTable += `| ${fix.filePath}:${fix.line} | ${fix.uses} | ${fix.pinnedUses} |\n`;
+          }
+          summary = summary.addRaw(pinTable).addRaw('\n');
+          if (fixMode === 'dry-run') {
+            summary = summary.addRaw(`\`\`\`diff\n${pinResult.files.map(file => file.diff).join('')}\`\`\`\n\n`);
+          }
+        }
+
         await summary.write();
       } catch {
         // Fallback for local development
@@ -1518,8 +5975,12 @@ export async function run() {
         core.info(`   Workflows: ${workflowBasenames.join(', ')}`);
         core.info(`   First-party: ${firstParty.length}`);
         core.info(`   Immutable: ${immutable.length}`);
+        core.info(`   Waived: ${waived.length}`);
         core.info(`   Mutable: ${mutable.length}`);
         core.info(`   Unsupported: ${unsupported.length}`);
+        core.info(`   Mismatched: ${mismatched.length}`);
+        core.info(`   Errored: ${errored.length}`);
+        core.info(`   Suppressed: ${suppressed.length}`);
       }
     }
 
@@ -1531,10 +5992,45 @@ export async function run() {
       }
     }
 
+    if (waived.length > 0) {
+      core.info(`\n⏳ ${waived.length} action(s) allowed by allowlist waivers:`);
+      for (const action of waived) {
+        core.info(`   - ${formatActionReferenceText(action)} (until ${action.expires}: ${action.reason})`);
+      }
+    }
+
+    if (suppressed.length > 0) {
+      core.info(`\n🔕 ${suppressed.length} finding(s) suppressed by inline comments:`);
+      for (const action of suppressed) {
+        const reference = action.supported === false ? action.uses : formatActionReferenceText(action);
+        core.info(
+          `   - ${reference} (${action.suppressedCategory} in ${action.suppression.filePath}:${action.suppression.line}: ${action.suppression.reason})`
+        );
+      }
+    }
+
     if (mutable.length > 0) {
       core.info(`\n❌ ${mutable.length} action(s) using mutable releases:`);
       for (const action of mutable) {
-        core.notice(`${formatActionReferenceText(action)} (${action.message})`);
+        if (!remoteTarget && action.locations?.length > 0) {
+          for (const location of action.locations) {
+            annotate(
+              getFindingLevel(action, 'notice'),
+              formatAnnotationMessage(action, location),
+              getAnnotationProperties(
+                location,
+                isOrphanCommit(action) ? 'Orphan commit reference' : 'Mutable action reference'
+              )
+            );
+          }
+          continue;
+        }
+
+        annotate(
+          getFindingLevel(action, 'notice'),
+          formatAnnotationMessage(action, null),
+          getAnnotationProperties(null, isOrphanCommit(action) ? 'Orphan commit reference' : 'Mutable action reference')
+        );
         const traversalHint = formatTraversalHint(action);
         if (traversalHint) {
           core.notice(traversalHint);
@@ -1542,19 +6038,82 @@ export async function run() {
       }
     }
 
+    if (mismatched.length > 0) {
+      core.warning(`Found ${mismatched.length} SHA-pinned action reference(s) with a mismatched version comment:`);
+      for (const action of mismatched) {
+        for (const location of getFindingLocations(action)) {
+          annotate(
+            getFindingLevel(action, 'warning'),
+            formatAnnotationMessage(action, location),
+            getAnnotationProperties(location, 'Version comment mismatch')
+          );
+        }
+      }
+    }
+
+    if (errored.length > 0) {
+      core.warning(`Found ${errored.length} action reference(s) that could not be checked due to GitHub API errors:`);
+      for (const action of errored) {
+        for (const location of getFindingLocations(action)) {
+          annotate(
+            getFindingLevel(action, 'warning'),
+            formatAnnotationMessage(action, location),
+            getAnnotationProperties(location, 'API error')
+          );
+        }
+      }
+    }
+
     if (unsupported.length > 0) {
       core.warning(`Found ${unsupported.length} unsupported action reference(s):`);
       for (const action of unsupported) {
-        core.warning(`${action.uses} (${action.message})`);
+        for (const location of getFindingLocations(action)) {
+          annotate(
+            getFindingLevel(action, 'warning'),
+            formatAnnotationMessage(action, location),
+            getAnnotationProperties(location, 'Unsupported action reference')
+          );
+        }
       }
     }
 
     // Fail if needed
-    if (failOnMutable && mutable.length > 0) {
-      core.setFailed(
-        `Found ${mutable.length} action(s) using mutable releases. ` +
-          `Please use immutable releases for supply chain security.`
-      );
+    if (willFailRun) {
+      const failureMessages = [];
+      const introducedText = diffBaseResult ? 'newly introduced ' : '';
+      if (failingCategories.includes('mutable')) {
+        failureMessages.push(
+          `Found ${countedMutable.mutable.length} ${introducedText}action(s) using mutable releases. ` +
+            `Please use immutable releases for supply chain security.`
+        );
+      }
+      if (failingCategories.includes('branch')) {
+        failureMessages.push(`Found ${countedMutable.branch.length} ${introducedText}action(s) referenced by branch.`);
+      }
+      if (failingCategories.includes('image')) {
+        failureMessages.push(
+          `Found ${countedMutable.image.length} ${introducedText}Docker image(s) not pinned to a digest.`
+        );
+      }
+      if (failingCategories.includes('mismatched')) {
+        failureMessages.push(
+          `Found ${countedFindings(mismatched).length} ${introducedText}SHA-pinned action reference(s) with a mismatched version comment.`
+        );
+      }
+      if (failingCategories.includes('errored')) {
+        failureMessages.push(
+          `Found ${countedFindings(errored).length} ${introducedText}action reference(s) that could not be checked due to API errors.`
+        );
+      }
+      if (failingCategories.includes('unsupported')) {
+        failureMessages.push(
+          `Found ${countedFindings(unsupported).length} ${introducedText}unsupported action reference(s).`
+        );
+      }
+      if (baselinedCount > 0) {
+        failureMessages.push(`${baselinedCount} finding(s) in the baseline file were not counted.`);
+      }
+      core.setFailed(failureMessages.join(' '));
     } else if (allPassed) {
       core.info('\n✅ All actions are using immutable releases!');
     }